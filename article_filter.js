@@ -0,0 +1,171 @@
+/**
+ * 記事の絞り込み（高評価数の取得前に適用する条件）
+ *
+ * 収集した記事を、スキ数・単価・有料/無料・公開日・クリエイターの条件で絞り込む。
+ * 高評価数の取得（記事ごとにリクエストが必要で最も時間がかかる）の前に適用し、
+ * 出力しない記事へのリクエストを省く。
+ * スキ数・単価が不明（null）な記事は、その項目の条件を指定した場合は除く。
+ *
+ * 公開API: globalThis.NoteExporter.articleFilter
+ */
+
+(() => {
+  "use strict";
+
+  const PAID_MODES = ["all", "paid", "free"];
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  const DEFAULT_FILTERS = {
+    likeMin: null, // スキ数の下限（null = 指定なし。以下同様）
+    likeMax: null,
+    priceMin: null, // 単価（円）の範囲
+    priceMax: null,
+    paid: "all", // all | paid（有料のみ） | free（無料のみ）
+    withinDays: null, // 公開日が過去N日以内
+    dateFrom: "", // 公開日の範囲（YYYY-MM-DD、両端を含む）
+    dateTo: "",
+    includeCreators: [], // 指定した場合はこのクリエイターの記事だけ（名前または urlname）
+    excludeCreators: [],
+    maxPerCreator: null, // クリエイターごとの上限件数（収集した順に先頭から）
+  };
+
+  function toNumberOrNull(value) {
+    if (value === null || value === undefined || value === "") return null;
+    const n = Number(value);
+    return isNaN(n) || n < 0 ? null : n;
+  }
+
+  function toDateString(value) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(String(value || "")) ? String(value) : "";
+  }
+
+  /**
+   * クリエイターの一覧を正規化（文字列の場合は改行・カンマ区切り、先頭の "@" は除去）
+   */
+  function toCreatorList(value) {
+    const list = Array.isArray(value) ? value : String(value || "").split(/[\n,、]/);
+    return [...new Set(list.map((c) => String(c || "").trim().replace(/^@/, "")).filter(Boolean))];
+  }
+
+  /**
+   * 入力値を絞り込み条件に揃える（不正な値は「指定なし」）
+   */
+  function normalizeFilters(input) {
+    const source = input || {};
+    const maxPerCreator = toNumberOrNull(source.maxPerCreator);
+    const withinDays = toNumberOrNull(source.withinDays);
+    return {
+      likeMin: toNumberOrNull(source.likeMin),
+      likeMax: toNumberOrNull(source.likeMax),
+      priceMin: toNumberOrNull(source.priceMin),
+      priceMax: toNumberOrNull(source.priceMax),
+      paid: PAID_MODES.includes(source.paid) ? source.paid : "all",
+      withinDays: withinDays ? Math.floor(withinDays) : null,
+      dateFrom: toDateString(source.dateFrom),
+      dateTo: toDateString(source.dateTo),
+      includeCreators: toCreatorList(source.includeCreators),
+      excludeCreators: toCreatorList(source.excludeCreators),
+      maxPerCreator: maxPerCreator >= 1 ? Math.floor(maxPerCreator) : null,
+    };
+  }
+
+  /**
+   * 条件が1つでも指定されているか
+   */
+  function hasFilters(filters) {
+    const f = normalizeFilters(filters);
+    return f.likeMin !== null || f.likeMax !== null || f.priceMin !== null || f.priceMax !== null
+      || f.paid !== "all" || f.withinDays !== null || Boolean(f.dateFrom) || Boolean(f.dateTo)
+      || f.includeCreators.length > 0 || f.excludeCreators.length > 0 || f.maxPerCreator !== null;
+  }
+
+  /**
+   * 範囲内か（値が不明 = null の場合は、範囲を指定していなければ一致、指定していれば不一致）
+   */
+  function inRange(value, min, max) {
+    if (value === null) return min === null && max === null;
+    return (min === null || value >= min) && (max === null || value <= max);
+  }
+
+  function creatorNames(article) {
+    return [article.creator, article.creatorUrlname]
+      .map((name) => String(name || "").trim().toLowerCase())
+      .filter(Boolean);
+  }
+
+  function matchesCreator(article, list) {
+    const names = creatorNames(article);
+    return list.some((c) => names.includes(c.toLowerCase()));
+  }
+
+  /**
+   * 公開日の条件（公開日が分からない記事は判定できないため残す）
+   */
+  function matchesDate(article, filters, now) {
+    if (!article.publishDate) return true;
+    const time = new Date(article.publishDate).getTime();
+    if (isNaN(time)) return true;
+    if (filters.withinDays !== null && time < now.getTime() - filters.withinDays * DAY_MS) return false;
+    // YYYY-MM-DD はローカル時刻の0時として扱い、dateTo はその日の終わりまでを含める
+    if (filters.dateFrom && time < new Date(`${filters.dateFrom}T00:00:00`).getTime()) return false;
+    if (filters.dateTo && time >= new Date(`${filters.dateTo}T00:00:00`).getTime() + DAY_MS) return false;
+    return true;
+  }
+
+  /**
+   * 1件の記事が条件に一致するか（クリエイターごとの上限は applyFilters で判定）
+   * @param {object} article
+   * @param {object} filters normalizeFilters 済み
+   * @param {Date} now 「過去N日」の基準日時
+   */
+  function matchesFilters(article, filters, now) {
+    const likeCount = toNumberOrNull(article.likeCount);
+    const price = toNumberOrNull(article.price);
+    if (!inRange(likeCount, filters.likeMin, filters.likeMax)) return false;
+    if (!inRange(price, filters.priceMin, filters.priceMax)) return false;
+    // 単価が不明な記事は、有料・無料のどちらの条件にも一致しない
+    if (filters.paid === "paid" && !(price > 0)) return false;
+    if (filters.paid === "free" && price !== 0) return false;
+    if (!matchesDate(article, filters, now)) return false;
+    if (filters.includeCreators.length > 0 && !matchesCreator(article, filters.includeCreators)) return false;
+    if (filters.excludeCreators.length > 0 && matchesCreator(article, filters.excludeCreators)) return false;
+    return true;
+  }
+
+  /**
+   * 記事配列を絞り込む（収集した順を保つ）
+   * @param {Array} articles
+   * @param {object} filters 絞り込み条件（normalizeFilters で正規化する）
+   * @param {{ now?: Date }} [options]
+   * @returns {{ articles: Array, removed: number }}
+   */
+  function applyFilters(articles, filters, options) {
+    const list = Array.isArray(articles) ? articles : [];
+    if (!hasFilters(filters)) return { articles: list, removed: 0 };
+
+    const f = normalizeFilters(filters);
+    const now = options?.now || new Date();
+    const perCreator = new Map();
+    const result = list.filter((article) => {
+      if (!matchesFilters(article, f, now)) return false;
+      if (f.maxPerCreator === null) return true;
+      const key = String(article.creatorUrlname || article.creator || "");
+      const count = perCreator.get(key) || 0;
+      if (count >= f.maxPerCreator) return false;
+      perCreator.set(key, count + 1);
+      return true;
+    });
+    return { articles: result, removed: list.length - result.length };
+  }
+
+  globalThis.NoteExporter = globalThis.NoteExporter || {};
+  globalThis.NoteExporter.articleFilter = {
+    PAID_MODES,
+    DEFAULT_FILTERS,
+    normalizeFilters,
+    hasFilters,
+    matchesFilters,
+    applyFilters,
+  };
+})();
@@ -0,0 +1,107 @@
+/**
+ * article_filter.js のユニットテスト
+ *
+ * テスト対象:
+ * - normalizeFilters / hasFilters: 入力値の正規化と「指定なし」の判定
+ * - matchesFilters: スキ数・単価・有料/無料・公開日・クリエイターの条件
+ * - applyFilters: 記事配列の絞り込みとクリエイターごとの上限
+ */
+
+require("./article_filter.js");
+
+const articleFilter = globalThis.NoteExporter.articleFilter;
+
+const now = new Date("2024-06-30T12:00:00Z");
+
+function article(fields) {
+  return { title: "記事", likeCount: 0, price: 0, url: "", creator: "", creatorUrlname: "", publishDate: "", ...fields };
+}
+
+function matches(fields, filters) {
+  return articleFilter.matchesFilters(article(fields), articleFilter.normalizeFilters(filters), now);
+}
+
+describe("normalizeFilters / hasFilters", () => {
+  test("未指定・空欄・不正な値は指定なしにする", () => {
+    const filters = articleFilter.normalizeFilters({ likeMin: "", priceMax: "abc", paid: "other", dateFrom: "2024/01/01", maxPerCreator: "0" });
+    expect(filters).toEqual(articleFilter.DEFAULT_FILTERS);
+    expect(articleFilter.hasFilters(filters)).toBe(false);
+    expect(articleFilter.hasFilters(null)).toBe(false);
+  });
+
+  test("数値は文字列からも読み取り、クリエイターは改行・カンマ区切りの一覧にする", () => {
+    const filters = articleFilter.normalizeFilters({
+      likeMin: "10",
+      withinDays: "90",
+      includeCreators: "userA\n@userB, userA\n",
+      maxPerCreator: "2.5",
+    });
+    expect(filters).toMatchObject({ likeMin: 10, withinDays: 90, includeCreators: ["userA", "userB"], maxPerCreator: 2 });
+    expect(articleFilter.hasFilters(filters)).toBe(true);
+  });
+});
+
+describe("matchesFilters", () => {
+  test("スキ数・単価の範囲は両端を含む", () => {
+    expect(matches({ likeCount: 10 }, { likeMin: 10, likeMax: 20 })).toBe(true);
+    expect(matches({ likeCount: 21 }, { likeMin: 10, likeMax: 20 })).toBe(false);
+    expect(matches({ price: 500 }, { priceMin: 100, priceMax: 500 })).toBe(true);
+    expect(matches({ price: 0 }, { priceMin: 100 })).toBe(false);
+  });
+
+  test("有料のみ・無料のみ", () => {
+    expect(matches({ price: 300 }, { paid: "paid" })).toBe(true);
+    expect(matches({ price: 0 }, { paid: "paid" })).toBe(false);
+    expect(matches({ price: 300 }, { paid: "free" })).toBe(false);
+  });
+
+  test("スキ数・単価が不明（null）な記事は、その項目の条件を指定した場合だけ除く", () => {
+    expect(matches({ likeCount: null, price: null }, {})).toBe(true);
+    expect(matches({ likeCount: null }, { likeMin: 0 })).toBe(false);
+    expect(matches({ price: null }, { priceMax: 1000 })).toBe(false);
+    expect(matches({ price: null }, { paid: "paid" })).toBe(false);
+    expect(matches({ price: null }, { paid: "free" })).toBe(false);
+  });
+
+  test("公開日の条件（過去N日・期間）。公開日が分からない記事は残す", () => {
+    expect(matches({ publishDate: "2024-06-01T00:00:00.000Z" }, { withinDays: 90 })).toBe(true);
+    expect(matches({ publishDate: "2024-03-01T00:00:00.000Z" }, { withinDays: 90 })).toBe(false);
+    expect(matches({ publishDate: "" }, { withinDays: 90 })).toBe(true);
+
+    const localNoon = (day) => new Date(2024, 4, day, 12).toISOString();
+    expect(matches({ publishDate: localNoon(31) }, { dateFrom: "2024-05-01", dateTo: "2024-05-31" })).toBe(true);
+    expect(matches({ publishDate: new Date(2024, 5, 1, 0, 0).toISOString() }, { dateTo: "2024-05-31" })).toBe(false);
+    expect(matches({ publishDate: localNoon(1) }, { dateFrom: "2024-05-02" })).toBe(false);
+  });
+
+  test("クリエイターは名前・urlnameのどちらでも、大文字小文字を区別せずに照合する", () => {
+    expect(matches({ creator: "ユーザーA", creatorUrlname: "UserA" }, { includeCreators: ["usera"] })).toBe(true);
+    expect(matches({ creator: "ユーザーA", creatorUrlname: "userA" }, { includeCreators: ["userB"] })).toBe(false);
+    expect(matches({ creator: "ユーザーA", creatorUrlname: "userA" }, { excludeCreators: ["ユーザーA"] })).toBe(false);
+  });
+});
+
+describe("applyFilters", () => {
+  const articles = [
+    article({ title: "A1", creatorUrlname: "a", likeCount: 30 }),
+    article({ title: "B1", creatorUrlname: "b", likeCount: 5 }),
+    article({ title: "A2", creatorUrlname: "a", likeCount: 20 }),
+    article({ title: "A3", creatorUrlname: "a", likeCount: 40 }),
+    article({ title: "B2", creatorUrlname: "b", likeCount: 50 }),
+  ];
+
+  test("条件に一致する記事を収集した順に残し、除外した件数を返す", () => {
+    const result = articleFilter.applyFilters(articles, { likeMin: 10 }, { now });
+    expect(result.articles.map((a) => a.title)).toEqual(["A1", "A2", "A3", "B2"]);
+    expect(result.removed).toBe(1);
+  });
+
+  test("クリエイターごとの上限は、他の条件に一致した記事の先頭から数える", () => {
+    const result = articleFilter.applyFilters(articles, { likeMin: 10, maxPerCreator: 2 }, { now });
+    expect(result.articles.map((a) => a.title)).toEqual(["A1", "A2", "B2"]);
+  });
+
+  test("条件がなければ同じ配列をそのまま返す", () => {
+    expect(articleFilter.applyFilters(articles, null)).toEqual({ articles, removed: 0 });
+  });
+});
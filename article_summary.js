@@ -0,0 +1,233 @@
+/**
+ * 取得結果の統計サマリー
+ *
+ * 記事配列から、スキ数・高評価数の分布（パーセンタイル）、有料/無料の割合、価格帯ごとの件数、
+ * スキ数・高評価数の上位10件、単価と高評価数の相関係数、推定売上（下限）の合計（全体・クエリ別）を求める。
+ * サマリーは exporter.js の行モデルにして、XLSX では記事一覧と同じブックの「集計」シート、
+ * その他の形式では記事一覧と並べて保存する別ファイルとして出力する（exporter.js の buildExportFiles）。
+ * 値が不明（null）な項目は、その項目の分布・割合の対象から除く。
+ *
+ * exporter.js の後に読み込む。
+ * 公開API: globalThis.NoteExporter.articleSummary
+ */
+
+(() => {
+  "use strict";
+
+  const { buildTable, rollupSales, numberValue } = globalThis.NoteExporter.exporter;
+
+  const PERCENTILES = [10, 25, 50, 75, 90];
+
+  const TOP_LIMIT = 10;
+
+  /**
+   * 価格帯（単価の下限・上限。上限 null は上限なし）
+   */
+  const PRICE_TIERS = [
+    { label: "無料", min: 0, max: 0 },
+    { label: "1〜499円", min: 1, max: 499 },
+    { label: "500〜999円", min: 500, max: 999 },
+    { label: "1,000〜2,999円", min: 1000, max: 2999 },
+    { label: "3,000〜9,999円", min: 3000, max: 9999 },
+    { label: "10,000円以上", min: 10000, max: null },
+  ];
+
+  function round(value, digits) {
+    const scale = 10 ** digits;
+    return Math.round(value * scale) / scale;
+  }
+
+  /**
+   * パーセンタイル（Excel の PERCENTILE.INC と同じ線形補間）
+   * @param {number[]} sorted 昇順に並べた値
+   * @param {number} p 0〜100
+   */
+  function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    const rank = (p / 100) * (sorted.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return round(sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower), 2);
+  }
+
+  /**
+   * 値の分布（件数・最小・最大・平均・パーセンタイル）。値がなければ件数0で他は null
+   */
+  function distribution(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const count = sorted.length;
+    return {
+      count,
+      min: count > 0 ? sorted[0] : null,
+      max: count > 0 ? sorted[count - 1] : null,
+      mean: count > 0 ? round(sorted.reduce((sum, v) => sum + v, 0) / count, 2) : null,
+      percentiles: PERCENTILES.map((p) => ({ p, value: percentile(sorted, p) })),
+    };
+  }
+
+  /**
+   * ピアソンの相関係数（2件未満、またはどちらかの値がすべて同じ場合は null）
+   */
+  function correlation(pairs) {
+    const n = pairs.length;
+    if (n < 2) return null;
+    const meanX = pairs.reduce((sum, [x]) => sum + x, 0) / n;
+    const meanY = pairs.reduce((sum, [, y]) => sum + y, 0) / n;
+    let cov = 0;
+    let varX = 0;
+    let varY = 0;
+    for (const [x, y] of pairs) {
+      cov += (x - meanX) * (y - meanY);
+      varX += (x - meanX) ** 2;
+      varY += (y - meanY) ** 2;
+    }
+    if (varX === 0 || varY === 0) return null;
+    return round(cov / Math.sqrt(varX * varY), 4);
+  }
+
+  function hasRating(article) {
+    return numberValue(article, "likeRating") !== null;
+  }
+
+  /**
+   * 指定した値の大きい順の上位（同じ値なら元の順）
+   */
+  function topBy(articles, valueOf) {
+    return articles
+      .map((article, index) => ({ article, index }))
+      .sort((a, b) => valueOf(b.article) - valueOf(a.article) || a.index - b.index)
+      .slice(0, TOP_LIMIT)
+      .map(({ article }) => article);
+  }
+
+  /**
+   * 推定売上の合計（全体と、一括取得の記事があればクエリ別。クエリは最初に出た順）
+   */
+  function summarizeSales(list) {
+    const byQuery = new Map();
+    for (const article of list) {
+      if (!article.query) continue;
+      if (!byQuery.has(article.query)) byQuery.set(article.query, []);
+      byQuery.get(article.query).push(article);
+    }
+    return {
+      total: rollupSales(list),
+      byQuery: [...byQuery].map(([query, articles]) => ({ query, ...rollupSales(articles) })),
+    };
+  }
+
+  /**
+   * 記事配列の統計サマリーを求める
+   * スキ数・高評価数・単価は値が分かる記事だけを対象にし、単価と高評価数の相関は高評価数のある有料記事で求める
+   * @param {Array} articles
+   */
+  function summarizeArticles(articles) {
+    const list = Array.isArray(articles) ? articles : [];
+    const prices = list.map((a) => numberValue(a, "price")).filter((price) => price !== null);
+    const paidCount = prices.filter((price) => price > 0).length;
+    const liked = list.filter((a) => numberValue(a, "likeCount") !== null);
+    const rated = list.filter(hasRating);
+    const paidRated = rated.filter((a) => numberValue(a, "price") > 0);
+
+    return {
+      count: list.length,
+      likeCount: distribution(liked.map((a) => numberValue(a, "likeCount"))),
+      likeRating: distribution(rated.map((a) => numberValue(a, "likeRating"))),
+      paid: {
+        paidCount,
+        freeCount: prices.length - paidCount,
+        unknownCount: list.length - prices.length,
+        paidShare: prices.length > 0 ? round(paidCount / prices.length, 4) : null,
+      },
+      priceTiers: PRICE_TIERS.map((tier) => {
+        const count = prices.filter((price) => price >= tier.min && (tier.max === null || price <= tier.max)).length;
+        return { label: tier.label, count, share: prices.length > 0 ? round(count / prices.length, 4) : null };
+      }),
+      topByLikes: topBy(liked, (a) => numberValue(a, "likeCount")),
+      topByRating: topBy(rated, (a) => numberValue(a, "likeRating")),
+      priceRatingCorrelation: {
+        count: paidRated.length,
+        value: correlation(paidRated.map((a) => [numberValue(a, "price"), numberValue(a, "likeRating")])),
+      },
+      sales: summarizeSales(list),
+    };
+  }
+
+  const SUMMARY_COLUMNS = [
+    { id: "section", header: "区分", type: "string", value: (r) => r.section },
+    { id: "item", header: "項目", type: "string", value: (r) => r.item },
+    { id: "value", header: "値", type: "number", value: (r) => r.value },
+    { id: "title", header: "タイトル", type: "string", value: (r) => r.title || "" },
+    { id: "url", header: "記事URL", type: "string", value: (r) => r.url || "" },
+  ];
+
+  function distributionRows(section, dist) {
+    return [
+      { section, item: "件数", value: dist.count },
+      { section, item: "最小", value: dist.min },
+      ...dist.percentiles.map(({ p, value }) => ({ section, item: p === 50 ? "中央値（50%）" : `${p}パーセンタイル`, value })),
+      { section, item: "最大", value: dist.max },
+      { section, item: "平均", value: dist.mean },
+    ];
+  }
+
+  function salesRows(section, sales, prefix) {
+    return [
+      { section, item: `${prefix}推定できた有料記事`, value: sales.estimatedCount },
+      { section, item: `${prefix}推定不可の有料記事`, value: sales.unestimableCount },
+      { section, item: `${prefix}推定購入者数の合計`, value: sales.buyers },
+      { section, item: `${prefix}推定売上の合計`, value: sales.revenue },
+    ];
+  }
+
+  function topRows(section, articles, valueOf) {
+    return articles.map((a, i) => ({ section, item: `${i + 1}位`, value: valueOf(a), title: a.title, url: a.url }));
+  }
+
+  /**
+   * 統計サマリーを行モデルに変換（区分・項目・値の縦持ち。上位の記事はタイトルと URL を付ける）
+   * 割合は 0〜1 の小数、値のない項目は空欄（JSON では null）
+   * @param {object} summary summarizeArticles の戻り値
+   */
+  function buildSummaryTable(summary) {
+    const rows = [
+      { section: "全体", item: "記事数", value: summary.count },
+      ...distributionRows("スキ数の分布", summary.likeCount),
+      ...distributionRows("高評価数の分布（取得できた記事）", summary.likeRating),
+      { section: "有料/無料", item: "有料記事", value: summary.paid.paidCount },
+      { section: "有料/無料", item: "無料記事", value: summary.paid.freeCount },
+      { section: "有料/無料", item: "単価が不明な記事", value: summary.paid.unknownCount },
+      { section: "有料/無料", item: "有料記事の割合", value: summary.paid.paidShare },
+      ...summary.priceTiers.flatMap((tier) => [
+        { section: "価格帯", item: `${tier.label}（件数）`, value: tier.count },
+        { section: "価格帯", item: `${tier.label}（割合）`, value: tier.share },
+      ]),
+      ...topRows(`スキ数の上位${TOP_LIMIT}件`, summary.topByLikes, (a) => numberValue(a, "likeCount")),
+      ...topRows(`高評価数の上位${TOP_LIMIT}件`, summary.topByRating, (a) => numberValue(a, "likeRating")),
+      { section: "単価と高評価数の相関（有料記事）", item: "対象の記事数", value: summary.priceRatingCorrelation.count },
+      { section: "単価と高評価数の相関（有料記事）", item: "相関係数", value: summary.priceRatingCorrelation.value },
+      ...salesRows("推定売上（下限）", summary.sales.total, ""),
+      ...summary.sales.byQuery.flatMap((sales) => salesRows("クエリ別の推定売上（下限）", sales, `${sales.query}：`)),
+    ];
+    return buildTable(rows, SUMMARY_COLUMNS);
+  }
+
+  /**
+   * 記事一覧に添える統計サマリー（exporter.js の buildExportFiles に渡す形）
+   * @param {Array} articles
+   */
+  function summaryAttachment(articles) {
+    return { table: buildSummaryTable(summarizeArticles(articles)), sheetName: "集計", baseName: "note_summary" };
+  }
+
+  globalThis.NoteExporter = globalThis.NoteExporter || {};
+  globalThis.NoteExporter.articleSummary = {
+    PERCENTILES,
+    PRICE_TIERS,
+    percentile,
+    correlation,
+    summarizeArticles,
+    buildSummaryTable,
+    summaryAttachment,
+  };
+})();
@@ -0,0 +1,129 @@
+/**
+ * article_summary.js のユニットテスト
+ *
+ * テスト対象:
+ * - percentile / correlation: パーセンタイル（PERCENTILE.INC と同じ補間）と相関係数
+ * - summarizeArticles: 分布・有料/無料・価格帯・上位10件・単価と高評価数の相関・推定売上の合計
+ * - buildSummaryTable / summaryAttachment: 統計サマリーの行モデル
+ */
+
+require("./exporter.js");
+require("./article_summary.js");
+
+const articleSummary = globalThis.NoteExporter.articleSummary;
+
+function article(i, fields) {
+  return { title: `記事${i}`, url: `https://note.com/u/n/n${i}`, likeCount: 0, price: 0, ...fields };
+}
+
+const articles = [
+  article(1, { likeCount: 10, price: 0 }),
+  article(2, { likeCount: 40, price: 300, likeRating: 1 }),
+  article(3, { likeCount: 20, price: 800, likeRating: 4 }),
+  article(4, { likeCount: 30, price: 1500, likeRating: 6 }),
+  article(5, { likeCount: 50, price: 12000, likeRating: 9 }),
+];
+
+describe("percentile / correlation", () => {
+  test("両端を含む線形補間で求める", () => {
+    const sorted = [10, 20, 30, 40, 50];
+    expect(articleSummary.percentile(sorted, 50)).toBe(30);
+    expect(articleSummary.percentile(sorted, 25)).toBe(20);
+    expect(articleSummary.percentile(sorted, 90)).toBe(46);
+    expect(articleSummary.percentile([7], 10)).toBe(7);
+    expect(articleSummary.percentile([], 50)).toBeNull();
+  });
+
+  test("相関係数は2件未満・値がすべて同じ場合は null", () => {
+    expect(articleSummary.correlation([[1, 2], [2, 4], [3, 6]])).toBe(1);
+    expect(articleSummary.correlation([[1, 3], [2, 2], [3, 1]])).toBe(-1);
+    expect(articleSummary.correlation([[1, 2]])).toBeNull();
+    expect(articleSummary.correlation([[1, 2], [1, 5]])).toBeNull();
+  });
+});
+
+describe("summarizeArticles", () => {
+  const summary = articleSummary.summarizeArticles(articles);
+
+  test("スキ数の分布と、高評価数を取得できた記事だけの分布", () => {
+    expect(summary.count).toBe(5);
+    expect(summary.likeCount).toMatchObject({ count: 5, min: 10, max: 50, mean: 30 });
+    expect(summary.likeCount.percentiles.find((p) => p.p === 50).value).toBe(30);
+    expect(summary.likeRating).toMatchObject({ count: 4, min: 1, max: 9, mean: 5 });
+  });
+
+  test("有料/無料の割合と価格帯ごとの件数", () => {
+    expect(summary.paid).toEqual({ paidCount: 4, freeCount: 1, unknownCount: 0, paidShare: 0.8 });
+    expect(summary.priceTiers.map((t) => t.count)).toEqual([1, 1, 1, 1, 0, 1]);
+    expect(summary.priceTiers[0]).toEqual({ label: "無料", count: 1, share: 0.2 });
+  });
+
+  test("上位の記事は値の大きい順（高評価数は取得できた記事だけ）", () => {
+    expect(summary.topByLikes.map((a) => a.title)).toEqual(["記事5", "記事2", "記事4", "記事3", "記事1"]);
+    expect(summary.topByRating.map((a) => a.title)).toEqual(["記事5", "記事4", "記事3", "記事2"]);
+
+    const many = Array.from({ length: 15 }, (_, i) => article(i, { likeCount: i }));
+    expect(articleSummary.summarizeArticles(many).topByLikes.length).toBe(10);
+  });
+
+  test("単価と高評価数の相関は、高評価数のある有料記事で求める", () => {
+    expect(summary.priceRatingCorrelation.count).toBe(4);
+    expect(summary.priceRatingCorrelation.value).toBeGreaterThan(0.8);
+    expect(summary.priceRatingCorrelation.value).toBeLessThanOrEqual(1);
+  });
+
+  test("値が不明（null）な項目は、その項目の分布・割合から除く", () => {
+    const withUnknown = articleSummary.summarizeArticles([
+      ...articles,
+      article(6, { likeCount: null, price: null, likeRating: null }),
+      article(7, { likeCount: 5, price: 100, likeRating: 0, likeRatingSource: "unknown" }),
+    ]);
+    expect(withUnknown.count).toBe(7);
+    expect(withUnknown.likeCount.count).toBe(6);
+    expect(withUnknown.likeRating.count).toBe(4);
+    expect(withUnknown.paid).toEqual({ paidCount: 5, freeCount: 1, unknownCount: 1, paidShare: 0.8333 });
+    expect(withUnknown.topByLikes.map((a) => a.title)).not.toContain("記事6");
+  });
+
+  test("記事がなければ件数0で、値は null", () => {
+    const empty = articleSummary.summarizeArticles([]);
+    expect(empty.likeCount).toMatchObject({ count: 0, min: null, mean: null });
+    expect(empty.paid.paidShare).toBeNull();
+    expect(empty.topByLikes).toEqual([]);
+    expect(empty.priceRatingCorrelation).toEqual({ count: 0, value: null });
+  });
+});
+
+describe("buildSummaryTable / summaryAttachment", () => {
+  test("区分・項目・値の縦持ちにし、上位の記事にはタイトルとURLを付ける", () => {
+    const table = articleSummary.buildSummaryTable(articleSummary.summarizeArticles(articles));
+    expect(table.headers).toEqual(["区分", "項目", "値", "タイトル", "記事URL"]);
+    expect(table.rows[0]).toEqual(["全体", "記事数", 5, "", ""]);
+    expect(table.rows).toContainEqual(["スキ数の上位10件", "1位", 50, "記事5", "https://note.com/u/n/n5"]);
+    expect(table.rows).toContainEqual(["有料/無料", "有料記事の割合", 0.8, "", ""]);
+    expect(table.rows).toContainEqual(["価格帯", "10,000円以上（件数）", 1, "", ""]);
+    expect(table.rows.map((r) => r[1])).toContain("相関係数");
+  });
+
+  test("推定売上（下限）の合計を全体とクエリ別に出す。取得元が分からない有料記事は推定不可として数える", () => {
+    const table = articleSummary.buildSummaryTable(articleSummary.summarizeArticles([
+      article(1, { query: "AI", price: 500, likeRating: 4, likeRatingSource: "api" }),
+      article(2, { query: "AI", price: 1000, likeRating: 0, likeRatingSource: "unknown" }),
+      article(3, { query: "副業", price: 300, likeRating: 2, likeRatingSource: "html" }),
+      article(4, { query: "副業", price: 0, likeRating: 0, likeRatingSource: "api" }),
+    ]));
+    const value = (section, item) => table.rows.find((r) => r[0] === section && r[1] === item)[2];
+    expect(value("推定売上（下限）", "推定売上の合計")).toBe(2600);
+    expect(value("推定売上（下限）", "推定購入者数の合計")).toBe(6);
+    expect(value("推定売上（下限）", "推定不可の有料記事")).toBe(1);
+    expect(value("クエリ別の推定売上（下限）", "AI：推定売上の合計")).toBe(2000);
+    expect(value("クエリ別の推定売上（下限）", "AI：推定不可の有料記事")).toBe(1);
+    expect(value("クエリ別の推定売上（下限）", "副業：推定売上の合計")).toBe(600);
+  });
+
+  test("出力に添える形（シート名とファイル名の先頭）", () => {
+    const attachment = articleSummary.summaryAttachment(articles);
+    expect(attachment).toMatchObject({ sheetName: "集計", baseName: "note_summary" });
+    expect(attachment.table.headers[0]).toBe("区分");
+  });
+});
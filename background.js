@@ -1,9 +1,1123 @@
 /**
  * Background Service Worker
  *
- * 拡張機能アイコンクリック時にSide Panelを開く
+ * - 拡張機能アイコンクリック時にSide Panelを開く
+ * - 取得ジョブの実行
+ *   ジョブの状態はここで持つため、Side Panel を閉じたりページを移動したりしてもジョブは続行する。
+ *   API による取得・高評価数の取得・実行履歴の保存・ファイルの保存（chrome.downloads）はここで行い、
+ *   DOM スクレイピングが必要な場合だけ対象タブの Content Script（content_script.js）を呼び出す。
+ *   終了したジョブの記事は Side Panel のプレビューに渡し、「出力」の操作でファイルに保存する。
+ * - 実行履歴の、高評価数の取得に失敗した記事だけの再取得（結果は元の実行に書き戻す）
+ * - 定期実行（chrome.alarms で保存済みのスケジュールを一括取得として実行し、結果をアイコンのバッジに表示）
+ * - 診断情報（設定・直近のジョブ・ログ・対象タブの DOM の診断）を Side Panel に返す
  */
 
-chrome.action.onClicked.addListener(async (tab) => {
-  await chrome.sidePanel.open({ windowId: tab.windowId });
-});
+if (typeof importScripts === "function") {
+  importScripts("logger.js", "exporter.js", "article_summary.js", "run_store.js", "settings_store.js", "schedule_store.js", "selector_profiles.js", "article_filter.js", "note_schema.js", "note_api.js");
+}
+
+(() => {
+  "use strict";
+
+  const { FORMATS, buildExportFiles, toDataUrl, withColumnEnabled } = globalThis.NoteExporter.exporter;
+  const { summaryAttachment } = globalThis.NoteExporter.articleSummary;
+  const { createRunId, getRun, saveRun, renameRun, deleteRun } = globalThis.NoteExporter.runStore;
+  const settingsStore = globalThis.NoteExporter.settingsStore;
+  const scheduleStore = globalThis.NoteExporter.scheduleStore;
+  const selectorProfiles = globalThis.NoteExporter.selectorProfiles;
+  const articleFilter = globalThis.NoteExporter.articleFilter;
+  const noteApi = globalThis.NoteExporter.noteApi;
+  const logger = globalThis.NoteExporter.logger;
+
+  chrome.action.onClicked.addListener(async (tab) => {
+    await chrome.sidePanel.open({ windowId: tab.windowId });
+  });
+
+  // --- ジョブの状態 ---
+
+  // chrome.storage.session に保存する進捗のキー（Service Worker が再起動しても最後の状態を表示できるように）
+  const JOB_SNAPSHOT_KEY = "jobSnapshot";
+
+  const ACTIVE_STATUSES = ["scraping", "paused", "stopping"];
+
+  // 実行中は定期的に拡張機能APIを呼び出し、Service Worker がアイドル扱いで終了されないようにする
+  const KEEPALIVE_INTERVAL_MS = 20000;
+
+  /** @type {object|null} 実行中、または最後に実行したジョブ */
+  let job = null;
+  let jobTask = null;
+  let keepAliveTimer = null;
+
+  function createJob(fields) {
+    return {
+      id: createRunId(),
+      kind: "page", // page | batch | retry
+      tabId: null, // DOM スクレイピングに使うタブ（一括取得では null）
+      pageUrl: "",
+      phase: "", // "dom" の間は一時停止・停止を Content Script にも伝える
+      status: "scraping", // scraping | paused | stopping | stopped | completed | error
+      current: 0,
+      targetCount: 0,
+      articles: [],
+      message: "",
+      run: null, // 保存用の実行情報 { id, query, pageType, sort, createdAt }（一括取得ではクエリごと）
+      savedRunId: null, // 最後に実行履歴へ保存した実行のID（再起動で中断した場合の表示に使う）
+      format: "csv", // 出力形式（exporter.js の FORMATS のキー）
+      columnLayout: null, // 列レイアウト（null = 既定の列）
+      concurrency: 0, // 高評価数取得の現在の同時実行数
+      throughput: 0, // 高評価数取得の処理速度（件/秒）
+      failures: [], // 取得中の失敗 { phase, page?, url, status, message, at, query? }
+      schemaDrift: [], // API レスポンスの形の変化（note_api.js の recordSchemaDrift）
+      batch: null, // 一括取得のみ { output, items: [{ query, status, count, failures }] }
+      filters: articleFilter.normalizeFilters(null), // 絞り込みの条件（高評価数の取得前に適用）
+      filteredOut: 0, // 絞り込みで除外した記事数
+      scheduleId: null, // 定期実行から開始したジョブのスケジュールID
+      ...fields,
+    };
+  }
+
+  function isActive(target) {
+    return Boolean(target) && ACTIVE_STATUSES.includes(target.status);
+  }
+
+  /**
+   * Side Panel に返す進捗（記事データは含めない）
+   */
+  function describeJob(target) {
+    return {
+      id: target.id,
+      kind: target.kind,
+      status: target.status,
+      current: target.current,
+      total: target.targetCount,
+      message: target.message,
+      throughput: target.throughput,
+      concurrency: target.concurrency,
+      failures: target.failures,
+      schemaDrift: target.schemaDrift,
+      batch: target.batch,
+      scheduleId: target.scheduleId,
+      filteredOut: target.filteredOut,
+      savedRunId: target.savedRunId,
+    };
+  }
+
+  async function saveSnapshot() {
+    if (!job) return;
+    try {
+      await chrome.storage.session.set({ [JOB_SNAPSHOT_KEY]: describeJob(job) });
+    } catch (err) {
+      logger.warn(`ジョブ状態の保存に失敗: ${err.message}`);
+    }
+  }
+
+  async function loadSnapshot() {
+    try {
+      const stored = await chrome.storage.session.get(JOB_SNAPSHOT_KEY);
+      return stored[JOB_SNAPSHOT_KEY] || null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * 前回の Service Worker で実行中だったジョブは続行できないため、中断として記録する
+   * 実行履歴に保存する前（記事の収集中など）に中断した場合は、結果が保存されていないことを示す
+   */
+  async function markInterruptedSnapshot() {
+    const snapshot = await loadSnapshot();
+    if (!snapshot || !ACTIVE_STATUSES.includes(snapshot.status)) return;
+    await chrome.storage.session.set({
+      [JOB_SNAPSHOT_KEY]: {
+        ...snapshot,
+        status: "error",
+        message: snapshot.savedRunId
+          ? "拡張機能の再起動により中断されました。途中までの結果は実行履歴に保存されています。"
+          : "拡張機能の再起動により中断されました。実行履歴に保存する前に中断したため、結果は保存されていません。",
+      },
+    });
+  }
+
+  function startKeepAlive() {
+    stopKeepAlive();
+    keepAliveTimer = setInterval(saveSnapshot, KEEPALIVE_INTERVAL_MS);
+  }
+
+  function stopKeepAlive() {
+    if (keepAliveTimer !== null) {
+      clearInterval(keepAliveTimer);
+      keepAliveTimer = null;
+    }
+  }
+
+  /**
+   * ジョブを開始し、終了まで（Side Panel とは独立して）実行する
+   * @param {object} target ジョブ
+   * @param {() => Promise<void>} task
+   * @param {(target: object) => Promise<void>} [onFinish] 終了後（エラー時を含む）に呼ぶ処理
+   */
+  function runJob(target, task, onFinish) {
+    job = target;
+    startKeepAlive();
+    saveSnapshot();
+
+    jobTask = (async () => {
+      try {
+        await task();
+      } catch (err) {
+        target.status = "error";
+        target.message = err.message;
+        logger.error("Error:", err);
+      } finally {
+        target.phase = "";
+        stopKeepAlive();
+        await saveSnapshot();
+        if (onFinish) await onFinish(target);
+      }
+    })();
+    return jobTask;
+  }
+
+  // --- 保存・出力 ---
+
+  /**
+   * 取得結果を実行履歴に保存する（失敗してもジョブは継続）
+   * @param {object} target ジョブ
+   * @param {"partial" | "completed"} runStatus
+   * @param {{ run: object, articles: Array, failures: Array }} [record] 省略時はジョブの内容
+   */
+  async function persistRun(target, runStatus, record) {
+    const { run, articles, failures } = record || target;
+    if (!run || articles.length === 0) return;
+    try {
+      await saveRun({ ...run, status: runStatus, articles, failures });
+      logger.info(`実行履歴に保存: ${articles.length}件 (${runStatus})`);
+      // 保存したことをすぐに進捗へ反映する（この後で中断された場合の表示に使う）
+      target.savedRunId = run.id;
+      await saveSnapshot();
+    } catch (err) {
+      logger.warn(`実行履歴の保存に失敗: ${err.message}`);
+    }
+  }
+
+  /**
+   * 記事配列を指定形式のファイルとして保存する（options は exporter.js の buildExportFile と同じ）
+   * 設定で統計サマリーを付ける場合は、XLSX は「集計」シート、その他の形式は別ファイルとして保存する
+   */
+  async function downloadArticles(articles, options) {
+    const { includeSummary } = await settingsStore.loadSettings();
+    const attachments = includeSummary ? [summaryAttachment(articles)] : [];
+    for (const { content, filename, mimeType } of buildExportFiles(articles, options, attachments)) {
+      await chrome.downloads.download({ url: toDataUrl(content, mimeType), filename, saveAs: false });
+    }
+  }
+
+  /**
+   * 停止要求を受けたジョブを終了し、取得済みの記事を出力待ちとして保持する
+   */
+  async function finishStopped(target, articles) {
+    target.articles = Array.isArray(articles) ? articles : [];
+    target.current = target.articles.length;
+    await persistRun(target, "partial");
+    target.status = "stopped";
+    target.message = `停止しました。${target.articles.length}件のデータを取得済みです。`;
+    logger.info(`停止: ${target.articles.length}件取得済み`);
+  }
+
+  /**
+   * 絞り込みの条件を適用する（収集の後、高評価数の取得の前）
+   */
+  function filterArticles(target, articles) {
+    const { articles: kept, removed } = articleFilter.applyFilters(articles, target.filters);
+    if (removed > 0) {
+      target.filteredOut += removed;
+      logger.info(`絞り込みで${removed}件を除外（残り${kept.length}件）`);
+    }
+    return kept;
+  }
+
+  function describeFilteredOut(target) {
+    return target.filteredOut > 0 ? `（絞り込みで${target.filteredOut}件を除外）` : "";
+  }
+
+  // --- DOM スクレイピング（Content Script に依頼） ---
+
+  /**
+   * 対象タブの Content Script にページの自動スクロールと DOM からの収集を依頼する
+   * ページ種別のセレクタープロファイル（selector_profiles.js）を渡す
+   * タブが閉じられた・移動した場合は失敗として記録し、空配列を返す
+   */
+  async function collectFromDom(target, targetCount) {
+    if (target.tabId === null || (await noteApi.shouldStop(target))) return [];
+
+    target.phase = "dom";
+    try {
+      const profile = await selectorProfiles.getProfile(target.run?.pageType);
+      const response = await chrome.tabs.sendMessage(target.tabId, { action: "collectDom", count: targetCount, profile });
+      if (response?.status === "busy") {
+        throw new Error("ページで別の収集が実行中です");
+      }
+      if (response?.status === "error") {
+        noteApi.recordFailure(target, { phase: "dom", url: target.pageUrl, message: response.message });
+      }
+      const articles = Array.isArray(response?.articles) ? response.articles : [];
+      target.current = articles.length;
+      return articles;
+    } catch (err) {
+      noteApi.recordFailure(target, {
+        phase: "dom",
+        url: target.pageUrl,
+        message: `ページとの通信に失敗しました（${err.message}）`,
+      });
+      return [];
+    } finally {
+      target.phase = "";
+    }
+  }
+
+  /**
+   * DOM 収集中のジョブへの一時停止・再開・停止を Content Script にも伝える
+   */
+  function forwardToDom(action) {
+    if (job?.phase !== "dom" || job.tabId === null) return;
+    chrome.tabs.sendMessage(job.tabId, { action }).catch((err) => {
+      logger.warn(`ページへの${action}の送信に失敗: ${err.message}`);
+    });
+  }
+
+  // --- ページ種別ごとの記事収集 ---
+
+  const HASHTAG_MODES = ["hybrid", "dom", "api"];
+
+  // API の並び順は DOM と異なるため、照合用に目標件数より多めに取得する
+  const HYBRID_API_FETCH_RATIO = 1.5;
+
+  /**
+   * API で取得し、取得できなければ DOM スクレイピングにフォールバック
+   * @param {object} target ジョブ
+   * @param {() => Promise<Array|null>} fetchFromApi
+   * @param {number} targetCount
+   */
+  async function collectWithDomFallback(target, fetchFromApi, targetCount) {
+    logger.info("戦略1: API経由で取得を試行...");
+    const articles = await fetchFromApi();
+
+    if (Array.isArray(articles) && articles.length > 0) {
+      target.current = articles.length;
+      return articles;
+    }
+    if (target.status === "stopping") return [];
+
+    logger.info("戦略2: DOMスクレイピングにフォールバック...");
+    return collectFromDom(target, targetCount);
+  }
+
+  /**
+   * ハッシュタグページの記事を取得
+   * @param {object} target ジョブ
+   * @param {object} pageInfo Content Script の getPageInfo の戻り値
+   * @param {number} targetCount
+   * @param {"hybrid" | "dom" | "api"} mode
+   *   hybrid: DOM の並び順・スキ数を正とし、API のメタデータで補完（既定）
+   *   dom: DOM のみ / api: API のみ（高速だが並び順・スキ数が表示と異なる場合がある）
+   * @param {boolean} keepPartial fetchFromHashtagAPI の keepPartial
+   */
+  async function collectHashtagArticles(target, pageInfo, targetCount, mode, keepPartial) {
+    const hashtagOptions = { hashtag: pageInfo.id, sort: pageInfo.run.sort };
+
+    if (mode === "api") {
+      logger.info("ハッシュタグページ: APIのみで取得...");
+      const apiArticles = await noteApi.fetchFromHashtagAPI(target, targetCount, { keepPartial, ...hashtagOptions });
+      if (Array.isArray(apiArticles) && apiArticles.length > 0) {
+        return apiArticles;
+      }
+      if (target.status === "stopping") return [];
+      logger.info("ハッシュタグAPIで取得できないため、DOMスクレイピングにフォールバック...");
+    } else {
+      logger.info("ハッシュタグページ: DOMスクレイピングで取得...");
+    }
+
+    const domArticles = await collectFromDom(target, targetCount);
+    if (mode !== "hybrid" || domArticles.length === 0 || target.status === "stopping") {
+      return domArticles;
+    }
+
+    target.message = "APIの記事情報で補完中...";
+    logger.info("ハッシュタグページ: APIの記事情報で補完...");
+    const apiArticles = await noteApi.fetchFromHashtagAPI(
+      target,
+      Math.ceil(targetCount * HYBRID_API_FETCH_RATIO),
+      { keepPartial: true, ...hashtagOptions }
+    );
+    const { articles, matched } = noteApi.mergeDomWithApi(domArticles, apiArticles);
+    logger.info(`API補完: ${matched}/${articles.length}件を照合`);
+
+    target.current = articles.length;
+    return articles;
+  }
+
+  /**
+   * ページ種別に応じた収集方法で記事を取得（以降の高評価数取得・出力は共通）
+   *
+   * - search / creator / magazine: API → DOM フォールバック
+   * - hashtag: collectHashtagArticles（hybrid / dom / api）
+   * - category / contest: 一覧用の公開APIがないため DOM スクレイピング
+   *
+   * @param {object} target ジョブ
+   * @param {object} pageInfo Content Script の getPageInfo の戻り値
+   * @param {number} targetCount
+   * @param {{ keepPartial: boolean, hashtagMode: string }} options
+   */
+  async function collectArticles(target, pageInfo, targetCount, options) {
+    const { keepPartial, hashtagMode } = options;
+    switch (pageInfo.pageType) {
+      case "hashtag":
+        return collectHashtagArticles(target, pageInfo, targetCount, hashtagMode, keepPartial);
+      case "creator":
+        return collectWithDomFallback(target, () => noteApi.fetchFromCreatorAPI(target, targetCount, {
+          keepPartial,
+          urlname: pageInfo.id,
+        }), targetCount);
+      case "magazine":
+        return collectWithDomFallback(target, () => noteApi.fetchFromMagazineAPI(target, targetCount, {
+          keepPartial,
+          magazineKey: pageInfo.id,
+        }), targetCount);
+      case "category":
+      case "contest":
+        logger.info(`${pageInfo.pageType}ページ: DOMスクレイピングで取得...`);
+        return collectFromDom(target, targetCount);
+      default:
+        return collectWithDomFallback(target, () => noteApi.fetchFromAPI(target, targetCount, {
+          keepPartial,
+          params: pageInfo.searchParams,
+        }), targetCount);
+    }
+  }
+
+  /**
+   * 開いているページの記事を取得・保存・出力する
+   */
+  async function runPageJob(target, pageInfo, options) {
+    logger.info(`ページ種別: ${pageInfo.pageType}`);
+
+    let articles = await collectArticles(target, pageInfo, target.targetCount, options);
+
+    if (target.status === "stopping") {
+      await finishStopped(target, filterArticles(target, articles));
+      return;
+    }
+
+    if (!Array.isArray(articles) || articles.length === 0) {
+      target.status = "error";
+      target.message = "記事データを取得できませんでした。DevToolsのConsoleログを確認してください。";
+      return;
+    }
+
+    const collectedCount = articles.length;
+    articles = filterArticles(target, articles);
+    if (articles.length === 0) {
+      target.status = "error";
+      target.message = `絞り込みの条件に一致する記事がありませんでした（取得${collectedCount}件）。`;
+      return;
+    }
+
+    // 収集段階の結果を先に保存（高評価数の取得中に中断されても失われないように）
+    target.articles = articles;
+    await persistRun(target, "partial");
+
+    // 高評価数を各記事ページから取得
+    target.message = "高評価数を取得中...";
+    logger.info("高評価数の取得を開始...");
+    articles = await noteApi.fetchAllLikeRatings(target, articles, { concurrency: options.ratingConcurrency });
+
+    if (target.status === "stopping") {
+      await finishStopped(target, articles);
+      return;
+    }
+
+    target.articles = articles;
+    await persistRun(target, "completed");
+
+    // ファイルは Side Panel のプレビューで確認してから出力する（exportCollected）
+    target.status = "completed";
+    target.current = articles.length;
+    target.message = `${articles.length}件のデータを取得しました${describeFilteredOut(target)}。一覧で確認してから出力してください。`;
+  }
+
+  // --- 複数クエリの一括取得 ---
+
+  const BATCH_OUTPUTS = ["combined", "perQuery"]; // まとめて1ファイル | クエリごとに1ファイル
+  const MAX_BATCH_QUERIES = 50;
+
+  /**
+   * 一括取得のクエリ一覧を正規化（前後の空白・空行・重複を除去）
+   * "#" で始まるものはハッシュタグとして扱う
+   * @param {string[]} queries
+   * @returns {string[]}
+   */
+  function normalizeBatchQueries(queries) {
+    const seen = new Set();
+    const result = [];
+    for (const raw of Array.isArray(queries) ? queries : []) {
+      const query = String(raw || "").trim().replace(/^＃/, "#");
+      if (!query || query === "#" || seen.has(query)) continue;
+      seen.add(query);
+      result.push(query);
+    }
+    return result.slice(0, MAX_BATCH_QUERIES);
+  }
+
+  /**
+   * 一括取得の1クエリ分の記事を API で取得
+   * 対象のページを開いていないため、DOM スクレイピングへのフォールバックはしない
+   * @param {object} target ジョブ
+   * @param {string} query キーワード、または "#ハッシュタグ"
+   * @param {number} targetCount
+   * @param {{ sort: string, context: string, keepPartial: boolean }} options
+   */
+  async function collectQueryArticles(target, query, targetCount, options) {
+    const { sort, context, keepPartial } = options;
+    if (query.startsWith("#")) {
+      return noteApi.fetchFromHashtagAPI(target, targetCount, { keepPartial, hashtag: query.slice(1), sort: sort || "popular" });
+    }
+    return noteApi.fetchFromAPI(target, targetCount, {
+      keepPartial,
+      params: { q: query, context: context || "note", mode: "search", sort: sort || "" },
+    });
+  }
+
+  /**
+   * 複数クエリを順に取得する
+   * クエリごとに実行履歴へ保存し、進捗と失敗件数は target.batch.items に記録する
+   * @param {object} target ジョブ
+   * @param {string[]} queries normalizeBatchQueries 済み
+   * @param {{ count: number, sort: string, context: string, keepPartial: boolean,
+   *           ratingConcurrency: number, output: string, layout: Array|null, download?: boolean }} options
+   *   layout: クエリごとに出力する場合の列レイアウト
+   *   download: false の場合はファイルを出力せず、実行履歴への保存だけを行う
+   *   （定期実行の既定。Side Panel からの一括取得は、まとめて出力する場合はプレビューから出力する）
+   * @returns {Promise<Array>} 全クエリの記事（各記事に query を付与）
+   */
+  async function runBatch(target, queries, options) {
+    const { count, sort, context, keepPartial, ratingConcurrency, output, layout, download } = options;
+    const items = target.batch.items;
+    const collected = [];
+
+    for (let i = 0; i < queries.length; i++) {
+      if (await noteApi.shouldStop(target)) break;
+
+      const query = queries[i];
+      const item = items[i];
+      const isHashtag = query.startsWith("#");
+      const failureStart = target.failures.length;
+      const run = {
+        id: createRunId(),
+        createdAt: new Date().toISOString(),
+        query,
+        pageType: isHashtag ? "hashtag" : "search",
+        sort: isHashtag ? sort || "popular" : sort || "",
+        ...(target.scheduleId ? { scheduleId: target.scheduleId } : {}),
+      };
+
+      item.status = "running";
+      target.current = 0;
+      target.throughput = 0;
+      target.message = `[${i + 1}/${queries.length}] 「${query}」を取得中...`;
+      logger.info(`一括取得 ${i + 1}/${queries.length}: "${query}"`);
+
+      const fetched = (await collectQueryArticles(target, query, count, { sort, context, keepPartial })) || [];
+      let articles = filterArticles(target, fetched);
+      if (articles.length > 0 && target.status !== "stopping") {
+        target.message = `[${i + 1}/${queries.length}] 「${query}」の高評価数を取得中...`;
+        articles = await noteApi.fetchAllLikeRatings(target, articles, { concurrency: ratingConcurrency });
+      }
+      articles = articles.map((article) => ({ ...article, query }));
+
+      const failures = target.failures.slice(failureStart);
+      for (const failure of failures) failure.query = query;
+
+      const stopped = target.status === "stopping";
+      await persistRun(target, stopped ? "partial" : "completed", { run, articles, failures });
+      collected.push(...articles);
+
+      item.count = articles.length;
+      item.failures = failures.length;
+      // 絞り込みで0件になったクエリは失敗ではなく完了（0件）とする
+      item.status = stopped ? "stopped" : fetched.length > 0 ? "done" : "failed";
+
+      if (!stopped && download !== false && output === "perQuery" && articles.length > 0) {
+        await downloadArticles(articles, { format: target.format, layout, label: query });
+      }
+    }
+
+    return collected;
+  }
+
+  async function runBatchJob(target, queries, options) {
+    const articles = await runBatch(target, queries, options);
+
+    if (target.status === "stopping") {
+      await finishStopped(target, articles);
+      return;
+    }
+
+    target.articles = articles;
+    target.current = articles.length;
+    if (articles.length === 0) {
+      target.status = "error";
+      target.message = "どのクエリでも記事データを取得できませんでした。";
+      return;
+    }
+
+    target.status = "completed";
+    if (options.download === false) {
+      target.message = `${queries.length}件のクエリから${articles.length}件のデータを取得し${describeFilteredOut(target)}、実行履歴に保存しました。`;
+      return;
+    }
+    if (options.output === "combined") {
+      await downloadArticles(articles, { format: target.format, layout: target.columnLayout, label: target.scheduleId ? "scheduled" : "batch" });
+    }
+    target.message = `${queries.length}件のクエリから${articles.length}件のデータを${FORMATS[target.format].label}で出力しました${describeFilteredOut(target)}。`;
+  }
+
+  // --- ジョブの開始 ---
+
+  function pickFormat(format) {
+    return FORMATS[format] ? format : "csv";
+  }
+
+  /**
+   * 複数クエリの一括取得ジョブを開始する（Side Panel の一括取得と定期実行で共通）
+   * @param {string[]} queries normalizeBatchQueries 済み
+   * @param {{ count: number, format: string, layout: Array|null, sort?: string, context?: string,
+   *           output?: string, keepPartial: boolean, ratingConcurrency: number,
+   *           download?: boolean, scheduleId?: string, filters?: object }} options
+   *   filters: 絞り込みの条件（article_filter.js。クエリごとに高評価数の取得前に適用）
+   * @param {(target: object) => Promise<void>} [onFinish] runJob の onFinish
+   */
+  function startBatchJob(queries, options, onFinish) {
+    const output = BATCH_OUTPUTS.includes(options.output) ? options.output : "combined";
+    const target = createJob({
+      kind: "batch",
+      targetCount: options.count,
+      format: options.format,
+      // まとめて出力する場合（停止後の出力を含む）は「検索クエリ」列を必ず含める
+      columnLayout: withColumnEnabled(options.layout, "query"),
+      scheduleId: options.scheduleId || null,
+      filters: articleFilter.normalizeFilters(options.filters),
+      batch: {
+        output,
+        items: queries.map((query) => ({ query, status: "pending", count: 0, failures: 0 })),
+      },
+    });
+    return runJob(target, () => runBatchJob(target, queries, {
+      count: options.count,
+      sort: options.sort || "",
+      context: options.context || "note",
+      keepPartial: options.keepPartial,
+      ratingConcurrency: options.ratingConcurrency,
+      output,
+      layout: options.layout,
+      download: options.download,
+    }), onFinish);
+  }
+
+  /**
+   * Side Panel からのジョブ開始要求を処理する
+   * @param {object} message
+   *   kind: "page"（開いているページ。tabId が必要）| "batch"（複数クエリ）
+   *   count, format, columns, concurrency, keepPartial, filters: 共通の設定
+   *   hashtagMode: ページのみ / queries, sort, context, output: 一括取得のみ
+   * @returns {Promise<{ status: string }>}
+   */
+  async function startJob(message) {
+    if (isActive(job)) return { status: "already_running" };
+
+    const layout = Array.isArray(message.columns) ? message.columns : null;
+    const common = {
+      targetCount: message.count,
+      format: pickFormat(message.format),
+    };
+    const keepPartial = message.keepPartial !== false;
+    const ratingConcurrency = message.concurrency || noteApi.RATING_FETCH_DEFAULTS.concurrency;
+
+    if (message.kind === "batch") {
+      const queries = normalizeBatchQueries(message.queries);
+      if (queries.length === 0) return { status: "no_queries" };
+
+      startBatchJob(queries, {
+        ...message,
+        format: common.format,
+        layout,
+        keepPartial,
+        ratingConcurrency,
+        // まとめて出力する場合は、ページの取得と同じくプレビューから出力する
+        download: message.output === "perQuery",
+      });
+      return { status: "started", queries };
+    }
+
+    let pageInfo;
+    try {
+      pageInfo = await chrome.tabs.sendMessage(message.tabId, { action: "getPageInfo" });
+    } catch (err) {
+      return { status: "no_content_script" };
+    }
+    if (!pageInfo || !pageInfo.supported) return { status: "unsupported_page" };
+
+    const target = createJob({
+      ...common,
+      kind: "page",
+      tabId: message.tabId,
+      pageUrl: pageInfo.url,
+      columnLayout: layout,
+      filters: articleFilter.normalizeFilters(message.filters),
+      run: { id: createRunId(), createdAt: new Date().toISOString(), ...pageInfo.run },
+    });
+    // ハッシュタグページ: APIはソート・like_countが表示と異なるため、
+    // 既定ではDOMの並び順・スキ数を正とし、APIのメタデータで補完する
+    const hashtagMode = HASHTAG_MODES.includes(message.hashtagMode) ? message.hashtagMode : "hybrid";
+    runJob(target, () => runPageJob(target, pageInfo, { keepPartial, hashtagMode, ratingConcurrency }));
+    return { status: "started" };
+  }
+
+  // --- 失敗した記事の再取得 ---
+
+  /**
+   * 実行履歴のうち、高評価数の取得に失敗した記事（articleId の付いた失敗がある記事）
+   */
+  function failedArticles(run) {
+    const ids = new Set((run.failures || []).map((failure) => failure.articleId).filter(Boolean));
+    return (run.articles || []).filter((article) => ids.has(noteApi.articleId(article)));
+  }
+
+  /**
+   * 失敗した記事の高評価数を取得し直し、元の実行の記事と失敗の一覧に書き戻す
+   * 取得し直した記事の古い失敗は、今回の失敗（あれば）に置き換える。
+   * 停止した場合、まだ取得していない記事は元の値と失敗のまま残す。
+   * 再取得の間に実行履歴で名前変更などがされてもよいよう、保存の直前に実行を読み直して記事と失敗だけを更新する
+   */
+  async function runRetryJob(target, run, articles, options) {
+    target.message = `失敗した${articles.length}件の記事の高評価数を取得し直しています...`;
+    // 停止した場合に未取得の記事を書き戻さないよう、取得した記事だけを集める
+    const retried = new Map();
+    await noteApi.fetchAllLikeRatings(target, articles, {
+      concurrency: options.ratingConcurrency,
+      onRated: (article) => retried.set(noteApi.articleId(article), article),
+    });
+
+    const latest = await getRun(run.id);
+    if (!latest) {
+      target.status = "error";
+      target.message = `「${run.name}」は実行履歴から削除されたため、取得し直した結果を反映できませんでした。`;
+      return;
+    }
+    const merged = (latest.articles || []).map((article) => retried.get(noteApi.articleId(article)) || article);
+    const failures = [
+      ...(latest.failures || []).filter((failure) => !retried.has(failure.articleId)),
+      ...target.failures,
+    ];
+    await saveRun({ ...latest, articles: merged, failures });
+
+    // 失敗はしなかったが高評価数が見つからなかった記事は、取得できた数に含めない
+    const recovered = [...retried.values()].filter((article) => typeof article.likeRating === "number").length;
+    const stillFailed = new Set(target.failures.map((failure) => failure.articleId)).size;
+    const notFound = retried.size - recovered - stillFailed;
+    target.articles = merged;
+    target.current = retried.size;
+    logger.info(`失敗した記事の再取得: ${retried.size}/${articles.length}件を取得し、${recovered}件の高評価数を取得`);
+
+    const name = latest.name || run.name;
+    if (target.status === "stopping") {
+      target.status = "stopped";
+      target.message = `停止しました。失敗した${articles.length}件のうち${retried.size}件を取得し直し、${recovered}件の高評価数を「${name}」に反映しました。`;
+      return;
+    }
+    target.status = "completed";
+    if (recovered === articles.length) {
+      target.message = `失敗した${articles.length}件の高評価数をすべて取得し、「${name}」に反映しました。`;
+      return;
+    }
+    const notes = [
+      stillFailed > 0 ? `${stillFailed}件は再び失敗` : "",
+      notFound > 0 ? `${notFound}件は高評価数が見つかりません` : "",
+    ].filter(Boolean).join("・");
+    target.message = `失敗した${articles.length}件のうち${recovered}件の高評価数を「${name}」に反映しました（${notes}）。`;
+  }
+
+  /**
+   * Side Panel の実行履歴からの再取得の要求を処理する
+   * @param {{ runId: string, concurrency?: number }} message
+   * @returns {Promise<{ status: string, count?: number }>}
+   */
+  async function startRetryJob(message) {
+    if (isActive(job)) return { status: "already_running" };
+
+    const run = await getRun(message.runId);
+    if (!run) return { status: "not_found" };
+    const articles = failedArticles(run);
+    if (articles.length === 0) return { status: "no_failures" };
+
+    const target = createJob({ kind: "retry", targetCount: articles.length });
+    const ratingConcurrency = message.concurrency || noteApi.RATING_FETCH_DEFAULTS.concurrency;
+    logger.info(`「${run.name}」の失敗した${articles.length}件の記事を再取得`);
+    runJob(target, () => runRetryJob(target, run, articles, { ratingConcurrency }));
+    return { status: "started", count: articles.length };
+  }
+
+  // --- 定期実行（chrome.alarms） ---
+
+  // 他のジョブの実行中にアラームが来た場合、この時間（分）後に再試行する
+  const SCHEDULE_RETRY_DELAY_MINUTES = 5;
+
+  const BADGES = {
+    scraping: { text: "RUN", color: "#41c9b4" },
+    completed: { text: "OK", color: "#2ecc71" },
+    stopped: { text: "STOP", color: "#999999" },
+    error: { text: "ERR", color: "#e74c3c" },
+  };
+
+  /**
+   * 定期実行の状態を拡張機能アイコンのバッジに表示する（status が BADGES にない場合は消す）
+   */
+  async function setBadge(status) {
+    const badge = BADGES[status];
+    try {
+      await chrome.action.setBadgeText({ text: badge ? badge.text : "" });
+      if (badge) await chrome.action.setBadgeBackgroundColor({ color: badge.color });
+    } catch (err) {
+      logger.warn(`バッジの更新に失敗: ${err.message}`);
+    }
+  }
+
+  /**
+   * 保存されているスケジュールと chrome.alarms を一致させ、次回実行日時を記録する
+   * スケジュールの追加・変更・削除（chrome.storage の変更）と Service Worker の起動時に呼ぶ
+   */
+  async function syncScheduleAlarms() {
+    const schedules = await scheduleStore.listSchedules();
+    const alarms = new Map(
+      (await chrome.alarms.getAll())
+        .filter((alarm) => scheduleStore.scheduleIdFromAlarm(alarm.name))
+        .map((alarm) => [alarm.name, alarm])
+    );
+
+    for (const schedule of schedules) {
+      const name = scheduleStore.alarmName(schedule.id);
+      const alarm = alarms.get(name);
+      alarms.delete(name);
+      alarms.delete(scheduleStore.retryAlarmName(schedule.id));
+
+      let nextRunAt = null;
+      if (schedule.enabled) {
+        const period = scheduleStore.periodInMinutes(schedule);
+        if (alarm && alarm.periodInMinutes === period) {
+          nextRunAt = new Date(alarm.scheduledTime).toISOString();
+        } else {
+          const when = Date.now() + period * 60 * 1000;
+          await chrome.alarms.create(name, { when, periodInMinutes: period });
+          nextRunAt = new Date(when).toISOString();
+        }
+      } else if (alarm) {
+        await chrome.alarms.clear(name);
+      }
+
+      if (schedule.nextRunAt !== nextRunAt) {
+        await scheduleStore.updateSchedule(schedule.id, { nextRunAt });
+      }
+    }
+
+    // 削除されたスケジュールのアラーム
+    for (const name of alarms.keys()) {
+      await chrome.alarms.clear(name);
+    }
+  }
+
+  /**
+   * スケジュールを実行する（保存済みの設定で一括取得し、実行履歴に保存）
+   * @param {string} id スケジュールID
+   * @param {{ fromAlarm?: boolean }} [options]
+   *   fromAlarm: アラームからの実行。無効なスケジュールは実行せず、
+   *   他のジョブの実行中なら SCHEDULE_RETRY_DELAY_MINUTES 後に再試行する
+   * @returns {Promise<{ status: string }>}
+   */
+  async function runSchedule(id, options) {
+    const fromAlarm = Boolean(options?.fromAlarm);
+    const schedule = await scheduleStore.getSchedule(id);
+    if (!schedule || (fromAlarm && !schedule.enabled)) return { status: "not_found" };
+
+    if (isActive(job)) {
+      if (fromAlarm) {
+        logger.info(`定期実行「${schedule.name}」: 実行中のジョブがあるため${SCHEDULE_RETRY_DELAY_MINUTES}分後に再試行`);
+        await chrome.alarms.create(scheduleStore.retryAlarmName(id), { delayInMinutes: SCHEDULE_RETRY_DELAY_MINUTES });
+      }
+      return { status: "already_running" };
+    }
+
+    const queries = normalizeBatchQueries(schedule.queries);
+    if (queries.length === 0) return { status: "no_queries" };
+
+    const settings = await settingsStore.loadSettings();
+    logger.info(`定期実行「${schedule.name}」を開始: ${queries.length}件のクエリ`);
+    await setBadge("scraping");
+
+    startBatchJob(queries, {
+      count: schedule.count,
+      format: pickFormat(schedule.format),
+      layout: settings.columnLayout,
+      sort: schedule.sort,
+      context: schedule.context,
+      output: "combined",
+      keepPartial: settings.keepPartialOnApiError,
+      ratingConcurrency: settings.ratingConcurrency,
+      download: schedule.autoDownload,
+      scheduleId: id,
+      filters: schedule.filters,
+    }, async (target) => {
+      await setBadge(target.status);
+      try {
+        const alarm = await chrome.alarms.get(scheduleStore.alarmName(id));
+        await scheduleStore.updateSchedule(id, {
+          lastRunAt: new Date().toISOString(),
+          lastStatus: target.status,
+          lastCount: target.articles.length,
+          nextRunAt: alarm ? new Date(alarm.scheduledTime).toISOString() : null,
+        });
+      } catch (err) {
+        logger.warn(`定期実行の結果の保存に失敗: ${err.message}`);
+      }
+    });
+    return { status: "started" };
+  }
+
+  chrome.alarms.onAlarm.addListener((alarm) => {
+    const id = scheduleStore.scheduleIdFromAlarm(alarm.name);
+    if (id) runSchedule(id, { fromAlarm: true });
+  });
+
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === "local" && changes[scheduleStore.SCHEDULES_KEY]) {
+      syncScheduleAlarms().catch((err) => logger.warn(`アラームの更新に失敗: ${err.message}`));
+    }
+  });
+
+  // --- メッセージリスナー ---
+
+  /**
+   * 終了（完了・停止）したジョブの記事を Side Panel のプレビューに渡す
+   */
+  function getJobArticles() {
+    if (!job || isActive(job) || job.articles.length === 0) return { status: "no_data" };
+    return { status: "ok", id: job.id, kind: job.kind, articles: job.articles };
+  }
+
+  /**
+   * 終了したジョブの記事を出力する（Side Panel のプレビューの「出力」）
+   * @param {object} message
+   *   jobId: プレビューに表示しているジョブ（別のジョブに変わっていれば出力しない）
+   *   indexes: 出力する記事の job.articles での位置（プレビューの並び順。省略時はすべて）
+   *   format, columns: 出力形式と列レイアウト
+   */
+  async function exportCollected(message) {
+    if (!job || isActive(job) || job.articles.length === 0 || (message.jobId && message.jobId !== job.id)) {
+      return { status: "no_data" };
+    }
+    const articles = Array.isArray(message.indexes)
+      ? message.indexes.map((i) => job.articles[i]).filter(Boolean)
+      : job.articles;
+    if (articles.length === 0) return { status: "no_data" };
+
+    let layout = Array.isArray(message.columns) ? message.columns : job.columnLayout;
+    if (job.batch) layout = withColumnEnabled(layout, "query");
+    await downloadArticles(articles, {
+      format: FORMATS[message.format] ? message.format : job.format,
+      layout,
+      label: job.batch ? (job.scheduleId ? "scheduled" : "batch") : "",
+    });
+    return { status: "exported", count: articles.length };
+  }
+
+  async function getJobState() {
+    if (job) return describeJob(job);
+    return (await loadSnapshot()) || { status: "idle", current: 0, total: 0, message: "", failures: [], batch: null };
+  }
+
+  /**
+   * 失敗を段階（phase）ごとに数える
+   */
+  function countFailuresByPhase(failures) {
+    const counts = {};
+    for (const failure of failures || []) {
+      const phase = failure.phase || "unknown";
+      counts[phase] = (counts[phase] || 0) + 1;
+    }
+    return counts;
+  }
+
+  /**
+   * 不具合の報告用の診断情報（Side Panel の「診断情報をダウンロード」）
+   * 設定・直近のジョブ（取得条件・ページ種別・段階ごとの失敗）・Service Worker のログと API レスポンスの
+   * サンプルに、tabId があれば note.com のタブの情報（ページ種別・DOM の診断・ログ）を加える。
+   * 記事データは含めない
+   * @param {{ tabId?: number }} message
+   */
+  async function getDiagnostics(message) {
+    let page = null;
+    if (message.tabId) {
+      try {
+        page = await chrome.tabs.sendMessage(message.tabId, { action: "getDiagnostics" });
+      } catch (err) {
+        page = { error: err.message };
+      }
+    }
+
+    let jobInfo = job
+      ? {
+          ...describeJob(job),
+          pageUrl: job.pageUrl,
+          phase: job.phase,
+          run: job.run,
+          format: job.format,
+          columnLayout: job.columnLayout,
+          filters: job.filters,
+          articleCount: job.articles.length,
+        }
+      : await loadSnapshot();
+    if (jobInfo) jobInfo = { ...jobInfo, failuresByPhase: countFailuresByPhase(jobInfo.failures) };
+
+    return {
+      generatedAt: new Date().toISOString(),
+      version: chrome.runtime.getManifest?.()?.version || "",
+      settings: await settingsStore.loadSettings(),
+      job: jobInfo,
+      page,
+      log: logger.snapshot(),
+    };
+  }
+
+  /**
+   * 非同期の処理結果を sendResponse で返す（失敗時は status: "error"）
+   */
+  function respondWith(promise, sendResponse) {
+    promise.then(sendResponse, (err) => {
+      logger.error("Error:", err);
+      sendResponse({ status: "error", message: err.message });
+    });
+    return true;
+  }
+
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.action === "startJob") {
+      return respondWith(startJob(message), sendResponse);
+    }
+
+    if (message.action === "retryFailedRatings") {
+      return respondWith(startRetryJob(message), sendResponse);
+    }
+
+    if (message.action === "pauseJob") {
+      if (job?.status === "scraping") {
+        job.status = "paused";
+        forwardToDom("pauseDom");
+        logger.info("一時停止しました");
+      }
+      sendResponse({ status: job ? job.status : "idle" });
+      return true;
+    }
+
+    if (message.action === "resumeJob") {
+      if (job?.status === "paused") {
+        job.status = "scraping";
+        forwardToDom("resumeDom");
+        logger.info("再開しました");
+      }
+      sendResponse({ status: job ? job.status : "idle" });
+      return true;
+    }
+
+    if (message.action === "stopJob") {
+      if (job?.status === "scraping" || job?.status === "paused") {
+        job.status = "stopping";
+        job.message = "停止しています...";
+        forwardToDom("stopDom");
+        logger.info("停止要求を受け付けました");
+      }
+      sendResponse({ status: job ? job.status : "idle" });
+      return true;
+    }
+
+    if (message.action === "getJobArticles") {
+      sendResponse(getJobArticles());
+      return true;
+    }
+
+    if (message.action === "exportCollected") {
+      return respondWith(exportCollected(message), sendResponse);
+    }
+
+    if (message.action === "getJobState") {
+      return respondWith(getJobState(), sendResponse);
+    }
+
+    if (message.action === "getDiagnostics") {
+      return respondWith(getDiagnostics(message), sendResponse);
+    }
+
+    if (message.action === "runSchedule") {
+      return respondWith(runSchedule(message.id), sendResponse);
+    }
+
+    // 実行履歴の名前変更・削除（保存中のジョブと同じ順番待ちで一覧を変更するため、ここで実行する）
+    if (message.action === "renameRun") {
+      return respondWith(renameRun(message.runId, message.name).then((run) => ({ status: run ? "renamed" : "not_found" })), sendResponse);
+    }
+
+    if (message.action === "deleteRun") {
+      return respondWith(deleteRun(message.runId).then(() => ({ status: "deleted" })), sendResponse);
+    }
+
+    // Side Panel を開いた時に、終了した定期実行のバッジを消す
+    if (message.action === "clearBadge") {
+      if (!isActive(job)) setBadge("");
+      return false;
+    }
+
+    // DOM 収集中の Content Script からの進捗通知
+    if (message.action === "domProgress") {
+      if (job?.phase === "dom" && sender.tab?.id === job.tabId) {
+        job.current = message.current;
+      }
+      return false;
+    }
+
+    return false;
+  });
+
+  markInterruptedSnapshot();
+  syncScheduleAlarms().catch((err) => logger.warn(`アラームの更新に失敗: ${err.message}`));
+
+  // --- テスト用エクスポート（テスト時のみ使用） ---
+  if (typeof globalThis.__NOTE_EXPORTER_TEST__ !== "undefined") {
+    globalThis.__NOTE_EXPORTER_FUNCS__ = {
+      startJob,
+      startRetryJob,
+      getDiagnostics,
+      runJob,
+      createJob,
+      collectArticles,
+      collectHashtagArticles,
+      collectFromDom,
+      normalizeBatchQueries,
+      collectQueryArticles,
+      runBatch,
+      exportCollected,
+      getJobState,
+      markInterruptedSnapshot,
+      syncScheduleAlarms,
+      runSchedule,
+      getJob: () => job,
+      waitForJob: () => jobTask,
+    };
+  }
+})();
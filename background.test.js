@@ -0,0 +1,862 @@
+/**
+ * background.js（ジョブの実行）の結合テスト
+ *
+ * テスト対象:
+ * - startJob: 開いているページの取得（API → DOM フォールバック、非対応ページ、絞り込み）
+ * - pauseJob / stopJob: DOM 収集中の制御
+ * - getJobArticles / exportCollected: 終了したジョブの記事のプレビューと出力
+ * - domProgress: Content Script からの進捗通知
+ * - normalizeBatchQueries / runBatch: 複数クエリの一括取得
+ * - retryFailedRatings: 高評価数の取得に失敗した記事だけの再取得と実行履歴への書き戻し
+ * - renameRun / deleteRun: Side Panel から依頼された実行履歴の名前変更・削除
+ * - getDiagnostics: 診断情報（設定・直近のジョブ・段階ごとの失敗・ログ・タブの情報）
+ * - markInterruptedSnapshot: Service Worker 再起動時の中断の記録
+ * - syncScheduleAlarms / runSchedule: 定期実行（chrome.alarms）とバッジ表示
+ */
+
+// テストモードフラグを設定
+globalThis.__NOTE_EXPORTER_TEST__ = true;
+
+// chrome.storage のインメモリモック
+function createStorageMock() {
+  let data = {};
+  return {
+    get: jest.fn(async (key) => (key in data ? { [key]: data[key] } : {})),
+    set: jest.fn(async (items) => { data = { ...data, ...items }; }),
+    remove: jest.fn(async (keys) => {
+      for (const key of [].concat(keys)) delete data[key];
+    }),
+  };
+}
+
+// chrome.alarms のインメモリモック
+function createAlarmsMock() {
+  const alarms = new Map();
+  return {
+    create: jest.fn(async (name, info) => {
+      const when = info.when || Date.now() + (info.delayInMinutes || info.periodInMinutes) * 60000;
+      alarms.set(name, { name, scheduledTime: when, periodInMinutes: info.periodInMinutes });
+    }),
+    clear: jest.fn(async (name) => alarms.delete(name)),
+    get: jest.fn(async (name) => alarms.get(name)),
+    getAll: jest.fn(async () => [...alarms.values()]),
+    onAlarm: { addListener: jest.fn() },
+  };
+}
+
+// chrome APIのモック
+globalThis.chrome = {
+  action: {
+    onClicked: { addListener: jest.fn() },
+    setBadgeText: jest.fn(() => Promise.resolve()),
+    setBadgeBackgroundColor: jest.fn(() => Promise.resolve()),
+  },
+  alarms: createAlarmsMock(),
+  sidePanel: { open: jest.fn() },
+  runtime: { onMessage: { addListener: jest.fn() } },
+  tabs: { sendMessage: jest.fn() },
+  downloads: { download: jest.fn(() => Promise.resolve(1)) },
+  storage: {
+    local: createStorageMock(),
+    session: createStorageMock(),
+    onChanged: { addListener: jest.fn() },
+  },
+};
+
+// Service Worker の importScripts と同じ順序で読み込み
+require("./logger.js");
+require("./exporter.js");
+require("./article_summary.js");
+require("./run_store.js");
+require("./settings_store.js");
+require("./schedule_store.js");
+require("./selector_profiles.js");
+require("./article_filter.js");
+require("./note_schema.js");
+require("./note_api.js");
+require("./background.js");
+
+const funcs = globalThis.__NOTE_EXPORTER_FUNCS__;
+const runStore = globalThis.NoteExporter.runStore;
+const scheduleStore = globalThis.NoteExporter.scheduleStore;
+const messageListener = chrome.runtime.onMessage.addListener.mock.calls[0][0];
+
+/** メッセージリスナーを呼び出し、sendResponseに渡された値を返す */
+function sendMessage(message, sender) {
+  return new Promise((resolve) => {
+    messageListener(message, sender || {}, resolve);
+  });
+}
+
+function jsonResponse(body) {
+  const text = JSON.stringify(body);
+  return { ok: true, status: 200, text: () => Promise.resolve(text), json: () => Promise.resolve(body) };
+}
+
+/** 全タイマーを進めながら実行中のジョブを完了させる */
+async function finishJob() {
+  const task = funcs.waitForJob();
+  await jest.runAllTimersAsync();
+  await task;
+}
+
+function pageInfo(fields) {
+  return {
+    supported: true,
+    pageType: "search",
+    id: "",
+    url: "https://note.com/search?q=AI",
+    run: { query: "AI", pageType: "search", sort: "" },
+    searchParams: { q: "AI", context: "note", mode: "search", sort: "" },
+    ...fields,
+  };
+}
+
+/** タブへのメッセージ（getPageInfo / collectDom など）への応答を設定 */
+function mockTab(handlers) {
+  chrome.tabs.sendMessage.mockImplementation((tabId, message) => {
+    const handler = handlers[message.action];
+    return handler ? handler(message) : Promise.resolve({ status: "idle" });
+  });
+}
+
+const originalFetch = globalThis.fetch;
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  chrome.tabs.sendMessage.mockReset();
+  chrome.downloads.download.mockClear();
+  chrome.storage.local = createStorageMock();
+});
+
+afterEach(async () => {
+  // 前のテストのジョブが残らないように終了させる
+  if (funcs.getJob()?.status === "paused") funcs.getJob().status = "scraping";
+  await finishJob();
+  jest.useRealTimers();
+  globalThis.fetch = originalFetch;
+});
+
+// ========================================
+// 開いているページの取得
+// ========================================
+describe("startJob - ページ", () => {
+  test("検索APIで取得して実行履歴に保存し、ファイルはプレビューからの出力を待つ", async () => {
+    mockTab({ getPageInfo: () => Promise.resolve(pageInfo()) });
+    globalThis.fetch = jest.fn((url) => {
+      if (url.includes("/api/v3/searches")) {
+        return Promise.resolve(jsonResponse({ data: { notes: [{ name: "記事1", note_url: "https://note.com/u/n/n001" }] } }));
+      }
+      return Promise.resolve(jsonResponse({ data: { rating_count: 7 } }));
+    });
+
+    const response = await sendMessage({ action: "startJob", kind: "page", tabId: 1, count: 1, format: "csv" });
+    expect(response).toEqual({ status: "started" });
+    await finishJob();
+
+    const state = await sendMessage({ action: "getJobState" });
+    expect(state).toMatchObject({ status: "completed", current: 1, total: 1 });
+    expect(chrome.downloads.download).not.toHaveBeenCalled();
+
+    const preview = await sendMessage({ action: "getJobArticles" });
+    expect(preview).toMatchObject({ status: "ok", id: state.id, kind: "page" });
+    expect(preview.articles.map((a) => a.title)).toEqual(["記事1"]);
+
+    expect(await sendMessage({ action: "exportCollected", jobId: state.id, format: "csv" })).toEqual({ status: "exported", count: 1 });
+    const { url, filename } = chrome.downloads.download.mock.calls[0][0];
+    expect(filename).toMatch(/^note_search_results_\d{8}_\d{4}\.csv$/);
+    expect(url.startsWith("data:text/csv;charset=utf-8;base64,")).toBe(true);
+
+    const [run] = await runStore.listRuns();
+    expect(run).toMatchObject({ query: "AI", status: "completed", count: 1 });
+    expect((await runStore.getRun(run.id)).articles[0].likeRating).toBe(7);
+
+    const { jobSnapshot } = await chrome.storage.session.get("jobSnapshot");
+    expect(jobSnapshot.status).toBe("completed");
+  });
+
+  test("API レスポンスの形が宣言と違う場合は、推測で取得を続けてスキーマの変化をジョブの状態に含める", async () => {
+    mockTab({ getPageInfo: () => Promise.resolve(pageInfo()) });
+    globalThis.fetch = jest.fn((url) => {
+      if (url.includes("/api/v3/searches")) {
+        return Promise.resolve(jsonResponse({ data: { results: [{ name: "記事1", note_url: "https://note.com/u/n/n001" }] } }));
+      }
+      return Promise.resolve(jsonResponse({ data: { rating_count: 7 } }));
+    });
+
+    await sendMessage({ action: "startJob", kind: "page", tabId: 1, count: 1 });
+    await finishJob();
+
+    const state = await sendMessage({ action: "getJobState" });
+    expect(state).toMatchObject({ status: "completed", current: 1 });
+    expect(state.schemaDrift).toEqual([expect.objectContaining({ adapterId: "search-v3", kind: "notes", unmatchedKeys: ["data.results"] })]);
+  });
+
+  test("絞り込みの条件は高評価数の取得前に適用し、除外した記事の高評価数は取得しない", async () => {
+    mockTab({ getPageInfo: () => Promise.resolve(pageInfo()) });
+    globalThis.fetch = jest.fn((url) => {
+      if (url.includes("/api/v3/searches")) {
+        return Promise.resolve(jsonResponse({ data: { notes: [
+          { name: "無料記事", note_url: "https://note.com/u/n/n001", price: 0 },
+          { name: "有料記事", note_url: "https://note.com/u/n/n002", price: 500 },
+        ] } }));
+      }
+      return Promise.resolve(jsonResponse({ data: { rating_count: 3 } }));
+    });
+
+    await sendMessage({ action: "startJob", kind: "page", tabId: 1, count: 2, filters: { paid: "paid" } });
+    await finishJob();
+
+    const job = funcs.getJob();
+    expect(job).toMatchObject({ status: "completed", current: 1, filteredOut: 1 });
+    expect(job.articles.map((a) => a.title)).toEqual(["有料記事"]);
+    expect(job.message).toContain("絞り込みで1件を除外");
+
+    const otherUrls = globalThis.fetch.mock.calls.map((call) => call[0]).filter((u) => !u.includes("/api/v3/searches"));
+    expect(otherUrls.some((u) => u.includes("n001"))).toBe(false);
+    expect(otherUrls.some((u) => u.includes("n002"))).toBe(true);
+    expect((await runStore.listRuns())[0]).toMatchObject({ status: "completed", count: 1 });
+  });
+
+  test("絞り込みで記事がなくなった場合はエラーで終了する", async () => {
+    mockTab({ getPageInfo: () => Promise.resolve(pageInfo()) });
+    globalThis.fetch = jest.fn(() => Promise.resolve(jsonResponse({
+      data: { notes: [{ name: "記事", note_url: "https://note.com/u/n/n001", like_count: 3 }] },
+    })));
+
+    await sendMessage({ action: "startJob", kind: "page", tabId: 1, count: 1, filters: { likeMin: 100 } });
+    await finishJob();
+
+    expect(funcs.getJob()).toMatchObject({
+      status: "error",
+      message: "絞り込みの条件に一致する記事がありませんでした（取得1件）。",
+    });
+    expect(globalThis.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test("APIで取得できない場合はタブのContent ScriptにDOM収集を依頼する", async () => {
+    mockTab({
+      getPageInfo: () => Promise.resolve(pageInfo()),
+      collectDom: () => Promise.resolve({
+        status: "completed",
+        articles: [{ title: "DOM記事", likeCount: 3, price: 0, url: "https://note.com/u/n/n002", creator: "u" }],
+      }),
+    });
+    globalThis.fetch = jest.fn((url) => Promise.resolve(
+      url.includes("/api/v3/searches") ? { ok: false, status: 404 } : jsonResponse({ data: {} })
+    ));
+
+    await sendMessage({ action: "startJob", kind: "page", tabId: 1, count: 5, format: "json" });
+    await finishJob();
+
+    expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(1, {
+      action: "collectDom",
+      count: 5,
+      profile: globalThis.NoteExporter.selectorProfiles.DEFAULT_PROFILE,
+    });
+    expect(funcs.getJob()).toMatchObject({ status: "completed", current: 1 });
+    expect(chrome.downloads.download).not.toHaveBeenCalled();
+  });
+
+  test("タブとの通信に失敗した場合は失敗を記録してエラーで終了する", async () => {
+    mockTab({
+      getPageInfo: () => Promise.resolve(pageInfo({ pageType: "category", id: "AI", run: { query: "カテゴリ:AI", pageType: "category", sort: "" } })),
+      collectDom: () => Promise.reject(new Error("Receiving end does not exist.")),
+    });
+    globalThis.fetch = jest.fn();
+
+    await sendMessage({ action: "startJob", kind: "page", tabId: 1, count: 5 });
+    await finishJob();
+
+    const job = funcs.getJob();
+    expect(globalThis.fetch).not.toHaveBeenCalled();
+    expect(job.status).toBe("error");
+    expect(job.failures[0]).toMatchObject({ phase: "dom", message: "ページとの通信に失敗しました（Receiving end does not exist.）" });
+    expect(chrome.downloads.download).not.toHaveBeenCalled();
+  });
+
+  test("対応していないページでは開始しない", async () => {
+    mockTab({ getPageInfo: () => Promise.resolve({ supported: false }) });
+    const previous = funcs.getJob();
+
+    expect(await sendMessage({ action: "startJob", kind: "page", tabId: 1, count: 5 })).toEqual({ status: "unsupported_page" });
+    expect(funcs.getJob()).toBe(previous);
+  });
+
+  test("Content Scriptが読み込まれていないタブではno_content_scriptを返す", async () => {
+    chrome.tabs.sendMessage.mockRejectedValue(new Error("Could not establish connection."));
+    expect(await sendMessage({ action: "startJob", kind: "page", tabId: 1, count: 5 })).toEqual({ status: "no_content_script" });
+  });
+});
+
+// ========================================
+// DOM 収集中の制御と停止後の出力
+// ========================================
+describe("一時停止・停止・取得済みデータのプレビューと出力", () => {
+  const domArticles = [
+    { title: "記事1", likeCount: 5, price: 0, url: "https://note.com/u1/n/n001", creator: "u1" },
+    { title: "記事2", likeCount: 10, price: 100, url: "https://note.com/u2/n/n002", creator: "u2" },
+  ];
+
+  /** DOM 収集中（応答待ち）のジョブを開始し、collectDom の応答を返す関数を返す */
+  async function startDomJob() {
+    let respond;
+    mockTab({
+      getPageInfo: () => Promise.resolve(pageInfo({ pageType: "contest", id: "note_award" })),
+      collectDom: () => new Promise((resolve) => { respond = resolve; }),
+    });
+    globalThis.fetch = jest.fn();
+    await sendMessage({ action: "startJob", kind: "page", tabId: 7, count: 10 });
+    await jest.advanceTimersByTimeAsync(0);
+    return (response) => respond(response);
+  }
+
+  test("一時停止・再開・停止はDOM収集中のタブにも伝える", async () => {
+    const respond = await startDomJob();
+    expect(funcs.getJob().phase).toBe("dom");
+
+    expect(await sendMessage({ action: "pauseJob" })).toEqual({ status: "paused" });
+    expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(7, { action: "pauseDom" });
+    expect(await sendMessage({ action: "resumeJob" })).toEqual({ status: "scraping" });
+    expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(7, { action: "resumeDom" });
+
+    expect(await sendMessage({ action: "stopJob" })).toEqual({ status: "stopping" });
+    expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(7, { action: "stopDom" });
+
+    respond({ status: "stopped", articles: domArticles });
+    await finishJob();
+
+    expect(funcs.getJob()).toMatchObject({ status: "stopped", current: 2 });
+    expect(chrome.downloads.download).not.toHaveBeenCalled();
+    expect((await runStore.listRuns())[0]).toMatchObject({ status: "partial", count: 2 });
+  });
+
+  test("実行中は別のジョブを開始しない", async () => {
+    const respond = await startDomJob();
+    expect(await sendMessage({ action: "startJob", kind: "batch", queries: ["AI"], count: 1 })).toEqual({ status: "already_running" });
+    respond({ status: "completed", articles: [] });
+  });
+
+  test("DOM収集の進捗は実行中のタブからの通知だけを反映する", async () => {
+    const respond = await startDomJob();
+    messageListener({ action: "domProgress", current: 5 }, { tab: { id: 99 } }, () => {});
+    expect(funcs.getJob().current).toBe(0);
+    messageListener({ action: "domProgress", current: 5 }, { tab: { id: 7 } }, () => {});
+    expect(funcs.getJob().current).toBe(5);
+    respond({ status: "completed", articles: [] });
+  });
+
+  test("停止後はexportCollectedで取得済みの記事を出力する", async () => {
+    const respond = await startDomJob();
+    await sendMessage({ action: "stopJob" });
+    respond({ status: "stopped", articles: domArticles });
+    await finishJob();
+
+    const response = await sendMessage({ action: "exportCollected", format: "markdown", columns: null });
+    expect(response).toEqual({ status: "exported", count: 2 });
+    expect(chrome.downloads.download.mock.calls[0][0].filename).toMatch(/\.md$/);
+  });
+
+  test("統計サマリーを付ける設定では、記事一覧と別のファイルとして保存する", async () => {
+    await globalThis.NoteExporter.settingsStore.updateSettings({ includeSummary: true });
+    const respond = await startDomJob();
+    await sendMessage({ action: "stopJob" });
+    respond({ status: "stopped", articles: domArticles });
+    await finishJob();
+
+    await sendMessage({ action: "exportCollected", format: "csv", columns: null });
+    const filenames = chrome.downloads.download.mock.calls.map(([options]) => options.filename);
+    expect(filenames.length).toBe(2);
+    expect(filenames[0]).toMatch(/^note_search_results_.*\.csv$/);
+    expect(filenames[1]).toMatch(/^note_summary_.*\.csv$/);
+  });
+
+  test("プレビューで選んだ記事だけを、その並び順で出力する", async () => {
+    const respond = await startDomJob();
+    await sendMessage({ action: "stopJob" });
+    respond({ status: "stopped", articles: domArticles });
+    await finishJob();
+
+    const { id } = await sendMessage({ action: "getJobArticles" });
+    const response = await sendMessage({ action: "exportCollected", jobId: id, indexes: [1, 5, 0], format: "json", columns: null });
+    expect(response).toEqual({ status: "exported", count: 2 });
+    const { url } = chrome.downloads.download.mock.calls[0][0];
+    const json = JSON.parse(Buffer.from(url.split(",")[1], "base64").toString("utf8"));
+    expect(json.map((a) => a["タイトル"])).toEqual(["記事2", "記事1"]);
+
+    expect(await sendMessage({ action: "exportCollected", jobId: "other", indexes: [0] })).toEqual({ status: "no_data" });
+  });
+
+  test("実行中は、getJobArticles・exportCollectedはno_dataを返す", async () => {
+    const respond = await startDomJob();
+    expect(await sendMessage({ action: "getJobArticles" })).toEqual({ status: "no_data" });
+    expect(await sendMessage({ action: "exportCollected" })).toEqual({ status: "no_data" });
+    respond({ status: "completed", articles: [] });
+  });
+});
+
+// ========================================
+// 複数クエリの一括取得
+// ========================================
+describe("normalizeBatchQueries", () => {
+  test("空行・前後の空白・重複を除去し、全角#はハッシュタグとして扱う", () => {
+    expect(funcs.normalizeBatchQueries(["  AI ", "", "AI", "＃個人開発", "#", "エッセイ"]))
+      .toEqual(["AI", "#個人開発", "エッセイ"]);
+  });
+
+  test("配列以外は空配列", () => {
+    expect(funcs.normalizeBatchQueries(undefined)).toEqual([]);
+  });
+});
+
+describe("runBatch", () => {
+  const batchOptions = { count: 1, sort: "", context: "note", keepPartial: true, ratingConcurrency: 2, output: "combined", layout: null };
+
+  function createBatchJob(queries, fields) {
+    return funcs.createJob({
+      kind: "batch",
+      batch: { output: "combined", items: queries.map((query) => ({ query, status: "pending", count: 0, failures: 0 })) },
+      ...fields,
+    });
+  }
+
+  async function runWithTimers(promise) {
+    const result = promise.then((v) => v);
+    await jest.runAllTimersAsync();
+    return result;
+  }
+
+  test("キーワードは検索API、#付きはハッシュタグAPIで取得し、記事にクエリを付与する", async () => {
+    globalThis.fetch = jest.fn((url) => {
+      if (url.includes("/api/v3/searches")) {
+        return Promise.resolve(jsonResponse({ data: { notes: [{ name: "検索記事", note_url: "https://note.com/u/n/n001" }] } }));
+      }
+      if (url.includes("/api/v3/hashtags/")) {
+        return Promise.resolve(jsonResponse({ data: { notes: [{ name: "タグ記事", key: "n002", user: { urlname: "u" } }], is_last_page: true } }));
+      }
+      return Promise.resolve({ ok: false, status: 404 });
+    });
+    const queries = ["AI", "#個人開発"];
+    const job = createBatchJob(queries);
+
+    const articles = await runWithTimers(funcs.runBatch(job, queries, { ...batchOptions, sort: "new" }));
+
+    expect(articles.map((a) => [a.title, a.query])).toEqual([["検索記事", "AI"], ["タグ記事", "#個人開発"]]);
+    const urls = globalThis.fetch.mock.calls.map((call) => call[0]);
+    expect(urls).toContain("https://note.com/api/v3/searches?q=AI&context=note&size=20&start=0&sort=new");
+    expect(urls.some((u) => u.startsWith(`https://note.com/api/v3/hashtags/${encodeURIComponent("個人開発")}/notes?page=1&sort=new`))).toBe(true);
+    expect(job.batch.items.map((i) => [i.status, i.count])).toEqual([["done", 1], ["done", 1]]);
+  });
+
+  test("絞り込みはクエリごとに適用し、すべて除外されたクエリは0件の完了とする", async () => {
+    globalThis.fetch = jest.fn((url) => Promise.resolve(url.includes("/api/v3/searches")
+      ? jsonResponse({ data: { notes: [{ name: "記事", note_url: "https://note.com/spam/n/n001", user: { urlname: "spam" } }] } })
+      : jsonResponse({ data: {} })));
+    const job = createBatchJob(["AI"], { filters: { excludeCreators: ["spam"], includeCreators: [], paid: "all" } });
+
+    const articles = await runWithTimers(funcs.runBatch(job, ["AI"], batchOptions));
+
+    expect(articles).toEqual([]);
+    expect(job.filteredOut).toBe(1);
+    expect(job.batch.items[0]).toMatchObject({ status: "done", count: 0 });
+  });
+
+  test("失敗したクエリはクエリごとに記録し、残りのクエリを続行する", async () => {
+    globalThis.fetch = jest.fn((url) => {
+      if (url.includes("q=broken")) return Promise.resolve({ ok: false, status: 400 });
+      if (url.includes("/api/v3/searches")) {
+        return Promise.resolve(jsonResponse({ data: { notes: [{ name: "記事", note_url: "https://note.com/u/n/n001" }] } }));
+      }
+      return Promise.resolve({ ok: false, status: 404 });
+    });
+    const queries = ["broken", "AI"];
+    const job = createBatchJob(queries);
+
+    const articles = await runWithTimers(funcs.runBatch(job, queries, batchOptions));
+
+    expect(articles.length).toBe(1);
+    const [broken, ok] = job.batch.items;
+    expect(broken).toMatchObject({ status: "failed", count: 0, failures: 1 });
+    // 高評価数の取得（記事API・HTML）の失敗も、記事に結び付けてそのクエリの失敗に含める
+    expect(ok).toMatchObject({ status: "done", count: 1, failures: 2 });
+    expect(job.failures[0]).toMatchObject({ query: "broken", phase: "search", status: 400 });
+    expect(job.failures[1]).toMatchObject({ query: "AI", phase: "articleApi", status: 404, articleId: "n001" });
+  });
+
+  test("停止要求後のクエリは取得しない", async () => {
+    globalThis.fetch = jest.fn();
+    const queries = ["AI", "#個人開発"];
+    const job = createBatchJob(queries, { status: "stopping" });
+
+    const articles = await funcs.runBatch(job, queries, batchOptions);
+
+    expect(articles).toEqual([]);
+    expect(globalThis.fetch).not.toHaveBeenCalled();
+    expect(job.batch.items.every((i) => i.status === "pending")).toBe(true);
+  });
+
+  test("一括取得はタブなしで実行し、まとめて出力する場合はプレビューから検索クエリ列を含めて出力する", async () => {
+    globalThis.fetch = jest.fn((url) => Promise.resolve(url.includes("/api/v3/searches")
+      ? jsonResponse({ data: { notes: [{ name: "記事", note_url: "https://note.com/u/n/n001" }] } })
+      : jsonResponse({ data: {} })));
+
+    const response = await sendMessage({ action: "startJob", kind: "batch", queries: ["AI", "AI"], count: 1, format: "csv" });
+    expect(response).toEqual({ status: "started", queries: ["AI"] });
+    await finishJob();
+
+    expect(chrome.tabs.sendMessage).not.toHaveBeenCalled();
+    expect(chrome.downloads.download).not.toHaveBeenCalled();
+
+    expect(await sendMessage({ action: "exportCollected" })).toEqual({ status: "exported", count: 1 });
+    const { url, filename } = chrome.downloads.download.mock.calls[0][0];
+    expect(filename).toMatch(/_batch\.csv$/);
+    const csv = Buffer.from(url.split(",")[1], "base64").toString("utf8");
+    expect(csv.replace(/^\uFEFF/, "").split("\n")[0].startsWith("検索クエリ,")).toBe(true);
+  });
+
+  test("クエリがない場合は開始しない", async () => {
+    expect(await sendMessage({ action: "startJob", kind: "batch", queries: ["  ", ""], count: 10 })).toEqual({ status: "no_queries" });
+  });
+});
+
+// ========================================
+// 失敗した記事の再取得
+// ========================================
+describe("retryFailedRatings", () => {
+  const errorResponse = (status) => ({ ok: false, status, headers: { get: () => null } });
+
+  /** 記事 n002 の高評価数の取得だけが失敗する検索ページの取得を実行し、保存された実行を返す */
+  async function runWithFailedArticle() {
+    mockTab({ getPageInfo: () => Promise.resolve(pageInfo()) });
+    globalThis.fetch = jest.fn((url) => {
+      if (url.includes("/api/v3/searches")) {
+        return Promise.resolve(jsonResponse({ data: { notes: [
+          { name: "記事1", note_url: "https://note.com/u/n/n001" },
+          { name: "記事2", note_url: "https://note.com/u/n/n002" },
+        ] } }));
+      }
+      if (url.includes("n002")) return Promise.resolve(errorResponse(500));
+      return Promise.resolve(jsonResponse({ data: { rating_count: 7 } }));
+    });
+    await sendMessage({ action: "startJob", kind: "page", tabId: 1, count: 2, format: "csv" });
+    await finishJob();
+    const [summary] = await runStore.listRuns();
+    return { summary, run: await runStore.getRun(summary.id) };
+  }
+
+  test("記事API・HTMLの失敗を記事に結び付けて実行履歴に保存する", async () => {
+    const { summary, run } = await runWithFailedArticle();
+
+    expect(summary).toMatchObject({ count: 2, failedArticleCount: 1 });
+    expect(run.articles.map((a) => a.likeRating)).toEqual([7, null]);
+    expect(run.failures).toEqual([
+      expect.objectContaining({ phase: "articleApi", url: "https://note.com/api/v3/notes/n002", status: 500, message: "HTTP 500", articleId: "n002", articleUrl: "https://note.com/u/n/n002" }),
+      expect.objectContaining({ phase: "articleHtml", url: "https://note.com/u/n/n002", status: 500, message: "HTTP 500", articleId: "n002" }),
+    ]);
+  });
+
+  test("失敗した記事だけを取得し直し、結果と失敗の一覧を元の実行に書き戻す", async () => {
+    const { run } = await runWithFailedArticle();
+    globalThis.fetch = jest.fn(() => Promise.resolve(jsonResponse({ data: { rating_count: 3 } })));
+
+    const response = await sendMessage({ action: "retryFailedRatings", runId: run.id });
+    expect(response).toEqual({ status: "started", count: 1 });
+    await finishJob();
+
+    expect(globalThis.fetch.mock.calls.map(([url]) => url)).toEqual(["https://note.com/api/v3/notes/n002"]);
+    const state = await sendMessage({ action: "getJobState" });
+    expect(state).toMatchObject({ kind: "retry", status: "completed", current: 1, total: 1, failures: [] });
+
+    const updated = await runStore.getRun(run.id);
+    expect(updated.articles.map((a) => a.likeRating)).toEqual([7, 3]);
+    expect(updated.articles[1].sources.likeRating).toBe("article_api");
+    expect(updated.failures).toEqual([]);
+    expect(updated).toMatchObject({ name: run.name, createdAt: run.createdAt, status: "completed" });
+    expect((await runStore.listRuns())[0].failedArticleCount).toBe(0);
+
+    // プレビューには書き戻した実行の全記事を表示する
+    const preview = await sendMessage({ action: "getJobArticles" });
+    expect(preview.articles.map((a) => a.title)).toEqual(["記事1", "記事2"]);
+  });
+
+  test("再び失敗した記事は、古い失敗を今回の失敗に置き換える", async () => {
+    const { run } = await runWithFailedArticle();
+    globalThis.fetch = jest.fn(() => Promise.resolve(errorResponse(404)));
+
+    await sendMessage({ action: "retryFailedRatings", runId: run.id });
+    await finishJob();
+
+    const updated = await runStore.getRun(run.id);
+    expect(updated.failures.map((f) => [f.phase, f.status, f.articleId])).toEqual([
+      ["articleApi", 404, "n002"],
+      ["articleHtml", 404, "n002"],
+    ]);
+    expect((await sendMessage({ action: "getJobState" })).message).toContain("1件は再び失敗");
+  });
+
+  test("失敗はしなかったが高評価数が見つからなかった記事は、取得できた件数に含めない", async () => {
+    const { run } = await runWithFailedArticle();
+    globalThis.fetch = jest.fn((url) => Promise.resolve(url.includes("/api/")
+      ? jsonResponse({ data: {} })
+      : { ok: true, status: 200, text: () => Promise.resolve("<p>本文</p>") }));
+
+    await sendMessage({ action: "retryFailedRatings", runId: run.id });
+    await finishJob();
+
+    const updated = await runStore.getRun(run.id);
+    expect(updated.articles[1].likeRating).toBeNull();
+    expect(updated.failures).toEqual([]);
+    expect((await sendMessage({ action: "getJobState" })).message)
+      .toBe(`失敗した1件のうち0件の高評価数を「${run.name}」に反映しました（1件は高評価数が見つかりません）。`);
+  });
+
+  test("再取得の間に実行履歴で変更された名前は保ち、記事と失敗だけを書き戻す", async () => {
+    const { run } = await runWithFailedArticle();
+    globalThis.fetch = jest.fn(async () => {
+      await runStore.renameRun(run.id, "再取得中に変更");
+      return jsonResponse({ data: { rating_count: 3 } });
+    });
+
+    await sendMessage({ action: "retryFailedRatings", runId: run.id });
+    await finishJob();
+
+    const updated = await runStore.getRun(run.id);
+    expect(updated.name).toBe("再取得中に変更");
+    expect(updated.articles.map((a) => a.likeRating)).toEqual([7, 3]);
+    expect((await runStore.listRuns())[0].name).toBe("再取得中に変更");
+  });
+
+  test("停止した場合、まだ取得していない記事は元の値と失敗のまま残す", async () => {
+    const failure = (key) => ({ phase: "articleApi", url: `https://note.com/api/v3/notes/${key}`, status: 500, message: "HTTP 500", articleId: key });
+    const articles = ["n001", "n002"].map((key) => ({ title: key, likeRating: null, url: `https://note.com/u/n/${key}`, sources: { likeRating: null } }));
+    await runStore.saveRun({ id: "r2", query: "AI", articles, failures: [failure("n001"), failure("n002")] });
+    // 1件目の取得中に停止する
+    globalThis.fetch = jest.fn(() => {
+      funcs.getJob().status = "stopping";
+      return Promise.resolve(jsonResponse({ data: { rating_count: 3 } }));
+    });
+
+    await sendMessage({ action: "retryFailedRatings", runId: "r2", concurrency: 1 });
+    await finishJob();
+
+    expect(globalThis.fetch).toHaveBeenCalledTimes(1);
+    expect((await sendMessage({ action: "getJobState" })).status).toBe("stopped");
+    const updated = await runStore.getRun("r2");
+    expect(updated.articles.map((a) => a.likeRating)).toEqual([3, null]);
+    expect(updated.failures).toEqual([failure("n002")]);
+  });
+
+  test("失敗した記事がない実行・存在しない実行は開始しない", async () => {
+    await runStore.saveRun({ id: "r1", query: "AI", articles: [{ title: "記事", url: "https://note.com/u/n/n001" }], failures: [] });
+    expect(await sendMessage({ action: "retryFailedRatings", runId: "r1" })).toEqual({ status: "no_failures" });
+    expect(await sendMessage({ action: "retryFailedRatings", runId: "missing" })).toEqual({ status: "not_found" });
+  });
+});
+
+// ========================================
+// 実行履歴の名前変更・削除
+// ========================================
+describe("renameRun / deleteRun", () => {
+  test("Side Panel からの名前変更・削除を実行履歴に反映する", async () => {
+    await runStore.saveRun({ id: "r1", query: "AI", articles: [{ title: "記事", url: "https://note.com/u/n/n001" }] });
+
+    expect(await sendMessage({ action: "renameRun", runId: "r1", name: "週次調査" })).toEqual({ status: "renamed" });
+    expect((await runStore.listRuns())[0].name).toBe("週次調査");
+    expect(await sendMessage({ action: "renameRun", runId: "missing", name: "x" })).toEqual({ status: "not_found" });
+
+    expect(await sendMessage({ action: "deleteRun", runId: "r1" })).toEqual({ status: "deleted" });
+    expect(await runStore.listRuns()).toEqual([]);
+  });
+
+  test("保存中の実行と同時に依頼された名前変更も失われない", async () => {
+    const run = { id: "r1", query: "AI", articles: [{ title: "記事", url: "https://note.com/u/n/n001" }] };
+    await runStore.saveRun(run);
+
+    const [, renamed] = await Promise.all([
+      runStore.saveRun({ ...run, status: "partial" }),
+      sendMessage({ action: "renameRun", runId: "r1", name: "週次調査" }),
+      runStore.saveRun({ ...run, status: "completed" }),
+    ]);
+    expect(renamed).toEqual({ status: "renamed" });
+    expect((await runStore.listRuns())[0]).toMatchObject({ name: "週次調査", status: "completed" });
+  });
+});
+
+// ========================================
+// Service Worker の再起動
+// ========================================
+describe("getDiagnostics", () => {
+  test("設定・直近のジョブ（ページ種別・段階ごとの失敗）・ログにタブの診断情報を加える", async () => {
+    mockTab({
+      getPageInfo: () => Promise.resolve(pageInfo()),
+      getDiagnostics: () => Promise.resolve({ pageInfo: pageInfo(), dom: { linkCount: 0 } }),
+    });
+    globalThis.fetch = jest.fn((url) => {
+      if (url.includes("/api/v3/searches")) {
+        return Promise.resolve(jsonResponse({ data: { notes: [{ name: "記事1", note_url: "https://note.com/u/n/n001" }] } }));
+      }
+      return Promise.resolve(jsonResponse({ data: { rating_count: 7 } }));
+    });
+    await sendMessage({ action: "startJob", kind: "page", tabId: 1, count: 1, format: "csv" });
+    await finishJob();
+    funcs.getJob().failures.push(
+      { phase: "rating", url: "https://note.com/u/n/n002", status: 500, message: "HTTP 500" },
+      { phase: "rating", url: "https://note.com/u/n/n003", status: 500, message: "HTTP 500" },
+      { phase: "search", page: 2, url: "", status: 400, message: "HTTP 400" },
+    );
+
+    const diagnostics = await sendMessage({ action: "getDiagnostics", tabId: 1 });
+    expect(diagnostics.settings).toMatchObject({ exportFormat: "csv" });
+    expect(diagnostics.job).toMatchObject({ status: "completed", format: "csv", articleCount: 1, run: { pageType: "search" } });
+    expect(diagnostics.job.failuresByPhase).toEqual({ rating: 2, search: 1 });
+    expect(diagnostics.job.articles).toBeUndefined();
+    expect(diagnostics.page).toMatchObject({ dom: { linkCount: 0 } });
+    expect(diagnostics.log.entries.some((entry) => entry.message.includes("ページ種別"))).toBe(true);
+  });
+
+  test("タブとの通信に失敗してもタブ以外の情報を返す", async () => {
+    chrome.tabs.sendMessage.mockImplementation(() => Promise.reject(new Error("Receiving end does not exist.")));
+    const diagnostics = await sendMessage({ action: "getDiagnostics", tabId: 1 });
+    expect(diagnostics.page).toEqual({ error: "Receiving end does not exist." });
+    expect(diagnostics.settings).toBeDefined();
+  });
+});
+
+describe("markInterruptedSnapshot", () => {
+  test("前回実行中だったジョブは中断（error）として記録する", async () => {
+    await chrome.storage.session.set({ jobSnapshot: { status: "scraping", current: 3, total: 10, failures: [], savedRunId: "r1" } });
+    await funcs.markInterruptedSnapshot();
+
+    const { jobSnapshot } = await chrome.storage.session.get("jobSnapshot");
+    expect(jobSnapshot.status).toBe("error");
+    expect(jobSnapshot.current).toBe(3);
+    expect(jobSnapshot.message).toContain("途中までの結果は実行履歴に保存されています");
+  });
+
+  test("実行履歴に保存する前に中断した場合は、結果が保存されていないことを示す", async () => {
+    await chrome.storage.session.set({ jobSnapshot: { status: "scraping", current: 3, total: 10, failures: [], savedRunId: null } });
+    await funcs.markInterruptedSnapshot();
+
+    const { jobSnapshot } = await chrome.storage.session.get("jobSnapshot");
+    expect(jobSnapshot.status).toBe("error");
+    expect(jobSnapshot.message).toContain("結果は保存されていません");
+    expect(jobSnapshot.message).not.toContain("保存されています");
+  });
+
+  test("途中の結果を実行履歴に保存した時点で、進捗に保存した実行のIDを記録する", async () => {
+    mockTab({ getPageInfo: () => Promise.resolve(pageInfo()) });
+    let snapshotDuringRating = null;
+    globalThis.fetch = jest.fn(async (url) => {
+      if (url.includes("/api/v3/searches")) {
+        return jsonResponse({ data: { notes: [{ name: "記事1", note_url: "https://note.com/u/n/n001" }] } });
+      }
+      // 高評価数の取得中（収集段階の結果を保存した後）の進捗
+      snapshotDuringRating = snapshotDuringRating || (await chrome.storage.session.get("jobSnapshot")).jobSnapshot;
+      return jsonResponse({ data: { rating_count: 7 } });
+    });
+
+    await sendMessage({ action: "startJob", kind: "page", tabId: 1, count: 1 });
+    await finishJob();
+
+    const [run] = await runStore.listRuns();
+    expect(snapshotDuringRating.savedRunId).toBe(run.id);
+  });
+
+  test("終了済みのジョブはそのまま", async () => {
+    await chrome.storage.session.set({ jobSnapshot: { status: "completed", current: 3, total: 3, failures: [] } });
+    await funcs.markInterruptedSnapshot();
+
+    const { jobSnapshot } = await chrome.storage.session.get("jobSnapshot");
+    expect(jobSnapshot.status).toBe("completed");
+  });
+});
+
+// ========================================
+// 定期実行
+// ========================================
+describe("定期実行", () => {
+  const alarmListener = chrome.alarms.onAlarm.addListener.mock.calls[0][0];
+
+  beforeEach(() => {
+    chrome.alarms = { ...createAlarmsMock(), onAlarm: chrome.alarms.onAlarm };
+    chrome.action.setBadgeText.mockClear();
+    globalThis.fetch = jest.fn((url) => Promise.resolve(url.includes("/api/v3/searches")
+      ? jsonResponse({ data: { notes: [{ name: "記事", note_url: "https://note.com/u/n/n001" }] } })
+      : jsonResponse({ data: {} })));
+  });
+
+  test("有効なスケジュールのアラームを登録し、無効・削除済みのアラームは解除する", async () => {
+    const daily = await scheduleStore.saveSchedule({ name: "毎日", queries: ["AI"], frequency: "daily" });
+    const paused = await scheduleStore.saveSchedule({ name: "停止中", queries: ["AI"], enabled: false });
+    await chrome.alarms.create(scheduleStore.alarmName(paused.id), { periodInMinutes: 60 });
+    await chrome.alarms.create(scheduleStore.alarmName("deleted"), { periodInMinutes: 60 });
+
+    await funcs.syncScheduleAlarms();
+
+    const alarms = await chrome.alarms.getAll();
+    expect(alarms.map((a) => [a.name, a.periodInMinutes])).toEqual([[scheduleStore.alarmName(daily.id), 1440]]);
+    expect((await scheduleStore.getSchedule(daily.id)).nextRunAt).toBe(new Date(alarms[0].scheduledTime).toISOString());
+    expect((await scheduleStore.getSchedule(paused.id)).nextRunAt).toBeNull();
+  });
+
+  test("実行間隔が変わった場合はアラームを登録し直す", async () => {
+    const schedule = await scheduleStore.saveSchedule({ queries: ["AI"], frequency: "daily" });
+    await funcs.syncScheduleAlarms();
+    await scheduleStore.updateSchedule(schedule.id, { frequency: "custom", intervalHours: 6 });
+    await funcs.syncScheduleAlarms();
+
+    expect((await chrome.alarms.get(scheduleStore.alarmName(schedule.id))).periodInMinutes).toBe(360);
+  });
+
+  test("アラームで一括取得を実行し、実行履歴にスナップショットを保存してバッジに結果を表示する", async () => {
+    const schedule = await scheduleStore.saveSchedule({ name: "週次", queries: ["AI"], frequency: "weekly", count: 1 });
+    await funcs.syncScheduleAlarms();
+
+    alarmListener({ name: scheduleStore.alarmName(schedule.id) });
+    await jest.advanceTimersByTimeAsync(0);
+    expect(chrome.action.setBadgeText).toHaveBeenCalledWith({ text: "RUN" });
+    await finishJob();
+
+    expect(funcs.getJob()).toMatchObject({ status: "completed", scheduleId: schedule.id });
+    expect(chrome.downloads.download).not.toHaveBeenCalled();
+    expect(chrome.action.setBadgeText).toHaveBeenLastCalledWith({ text: "OK" });
+
+    const [run] = await runStore.listRuns();
+    expect(run).toMatchObject({ query: "AI", scheduleId: schedule.id, count: 1 });
+
+    const updated = await scheduleStore.getSchedule(schedule.id);
+    expect(updated).toMatchObject({ lastStatus: "completed", lastCount: 1 });
+    expect(updated.lastRunAt).not.toBeNull();
+    expect(updated.nextRunAt).not.toBeNull();
+  });
+
+  test("自動ダウンロードが有効な場合はまとめて1ファイルで出力する", async () => {
+    const schedule = await scheduleStore.saveSchedule({ queries: ["AI"], count: 1, format: "jsonl", autoDownload: true });
+
+    expect(await funcs.runSchedule(schedule.id)).toEqual({ status: "started" });
+    await finishJob();
+
+    expect(chrome.downloads.download.mock.calls[0][0].filename).toMatch(/_scheduled\.jsonl$/);
+  });
+
+  test("他のジョブの実行中にアラームが来た場合は再試行のアラームを登録する", async () => {
+    const schedule = await scheduleStore.saveSchedule({ queries: ["AI"], count: 1 });
+    let respond;
+    mockTab({
+      getPageInfo: () => Promise.resolve(pageInfo({ pageType: "contest", id: "note_award" })),
+      collectDom: () => new Promise((resolve) => { respond = resolve; }),
+    });
+    await sendMessage({ action: "startJob", kind: "page", tabId: 7, count: 10 });
+
+    expect(await funcs.runSchedule(schedule.id, { fromAlarm: true })).toEqual({ status: "already_running" });
+    expect(chrome.alarms.create).toHaveBeenCalledWith(scheduleStore.retryAlarmName(schedule.id), { delayInMinutes: 5 });
+
+    await jest.advanceTimersByTimeAsync(0);
+    respond({ status: "completed", articles: [] });
+  });
+
+  test("無効なスケジュールはアラームでは実行しない", async () => {
+    const schedule = await scheduleStore.saveSchedule({ queries: ["AI"], enabled: false });
+    expect(await funcs.runSchedule(schedule.id, { fromAlarm: true })).toEqual({ status: "not_found" });
+  });
+});
@@ -1,23 +1,35 @@
 /**
- * note.com 検索結果スクレイパー
+ * note.com ページ側のスクリプト（ページ種別の判定と DOM スクレイピング）
  *
- * 戦略:
- *  1. note.com内部API（/api/v3/searches）から直接JSONデータを取得
- *  2. APIが失敗した場合、適応型DOMスクレイピングにフォールバック
+ * 取得ジョブは Background Service Worker（background.js）が実行する。
+ * このスクリプトはジョブから呼ばれて、次の処理だけを行う:
+ *  - getPageInfo: 現在のページの種別・検索条件を返す
+ *  - collectDom: ページを自動スクロールしながら DOM から記事を収集する（API が使えない場合など）
+ *    記事の見つけ方は、ジョブから渡されるページ種別のセレクタープロファイル（selector_profiles.js）に従う
+ *    スキ数・価格が見つからない記事は 0 ではなく null（不明）にし、各項目の取得元は DOM として記録する
+ *  - pauseDom / resumeDom / stopDom: 収集中の一時停止・再開・停止
+ *  - getDiagnostics: 診断情報（ページ種別・DOM 診断・このページのログ）を返す
+ *  - testSelectors / clearSelectorTest: Side Panel のセレクターのテスト（記事カードの強調表示と値のプレビュー）
  */
 
 (() => {
   "use strict";
 
+  // logger.js・note_api.js・selector_profiles.js（manifest で先に読み込み）
+  const logger = globalThis.NoteExporter.logger;
+  const { extractCreatorFromUrl, canonicalArticleUrl, articleId, withSources, VALUE_SOURCES, RESERVED_TOP_PATHS } = globalThis.NoteExporter.noteApi;
+  const { normalizeProfile } = globalThis.NoteExporter.selectorProfiles;
+
   // --- 状態管理 ---
-  let scrapingState = {
-    status: "idle", // idle | scraping | completed | error
+  let domState = {
+    status: "idle", // idle | collecting | paused | stopping
     current: 0,
-    targetCount: 0,
     articles: [],
-    message: "",
   };
 
+  // 最後に DOM 収集したときの diagnoseDom の結果（診断情報に含める）
+  let lastDomDiagnosis = null;
+
   // --- ユーティリティ関数 ---
 
   function extractNumber(text) {
@@ -31,480 +43,273 @@
     return new Promise((resolve) => setTimeout(resolve, ms));
   }
 
-  function extractCreatorFromUrl(url) {
-    const match = String(url).match(/note\.com\/([^/]+)\//);
-    return match ? match[1] : "";
-  }
-
-  // --- ページ種別判定 ---
-
   /**
-   * 現在のページがハッシュタグページかキーワード検索ページかを判定
-   * @returns {"hashtag" | "search"}
+   * 一時停止中は再開されるまで待機し、停止要求が出ていれば true を返す
    */
-  function getPageType() {
-    return window.location.pathname.startsWith("/hashtag/") ? "hashtag" : "search";
+  async function shouldStop() {
+    while (domState.status === "paused") {
+      await sleep(500);
+    }
+    return domState.status === "stopping";
   }
 
   /**
-   * ハッシュタグページからハッシュタグ名を抽出
-   * @returns {string} デコード済みハッシュタグ名（例: "個人開発"）
+   * DOM 収集の進捗を Background に通知する（通知できなくても収集は続ける）
    */
-  function getHashtagName() {
-    const match = window.location.pathname.match(/^\/hashtag\/(.+?)(?:\/|$)/);
-    if (!match) return "";
+  function reportDomProgress() {
     try {
-      return decodeURIComponent(match[1]);
-    } catch (e) {
-      return match[1];
-    }
-  }
-
-  // --- 戦略1: note.com 内部API経由でデータ取得 ---
-
-  function getSearchParams() {
-    const url = new URL(window.location.href);
-    return {
-      q: url.searchParams.get("q") || "",
-      context: url.searchParams.get("context") || "note",
-      mode: url.searchParams.get("mode") || "search",
-      sort: url.searchParams.get("sort") || "",
-    };
+      const sent = chrome.runtime.sendMessage({ action: "domProgress", current: domState.current });
+      if (sent && typeof sent.catch === "function") sent.catch(() => {});
+    } catch (e) { /* ignore */ }
   }
 
-  /**
-   * note.com内部APIからデータを取得（ページネーション対応）
-   */
-  async function fetchFromAPI(targetCount) {
-    const params = getSearchParams();
-    if (!params.q) {
-      console.warn("[NoteExporter] 検索クエリが見つかりません");
-      return null;
-    }
-
-    const articles = [];
-    const PAGE_SIZE = 20;
-    let start = 0;
-
-    console.log(`[NoteExporter] API戦略: q="${params.q}", context="${params.context}", 目標=${targetCount}件`);
-
-    while (articles.length < targetCount) {
-      const apiUrl = `https://note.com/api/v3/searches?q=${encodeURIComponent(params.q)}&context=${params.context}&size=${PAGE_SIZE}&start=${start}${params.sort ? "&sort=" + params.sort : ""}`;
-
-      console.log(`[NoteExporter] API取得中: ${apiUrl}`);
-
-      try {
-        const response = await fetch(apiUrl, {
-          credentials: "include",
-          headers: { Accept: "application/json" },
-        });
-
-        if (!response.ok) {
-          console.warn(`[NoteExporter] API応答エラー: ${response.status}`);
-          return null;
-        }
-
-        // まずテキストで取得してログ出力
-        const rawText = await response.text();
-        console.log(`[NoteExporter] API生レスポンス (先頭500文字): ${rawText.substring(0, 500)}`);
-
-        let data;
-        try {
-          data = JSON.parse(rawText);
-        } catch (jsonErr) {
-          console.warn(`[NoteExporter] JSONパースエラー: ${jsonErr.message}`);
-          return null;
-        }
-
-        // レスポンス構造をログ出力
-        console.log("[NoteExporter] トップレベルキー:", Object.keys(data || {}));
-        if (data?.data && typeof data.data === "object") {
-          console.log("[NoteExporter] data.data キー:", Object.keys(data.data));
-        }
-
-        const parsedArticles = extractNotesFromApiResponse(data);
-
-        if (!Array.isArray(parsedArticles) || parsedArticles.length === 0) {
-          console.log(`[NoteExporter] API: これ以上の結果なし (start=${start})`);
-          break;
-        }
-
-        for (let i = 0; i < parsedArticles.length; i++) {
-          if (articles.length >= targetCount) break;
-          articles.push(parsedArticles[i]);
-        }
-
-        scrapingState.current = articles.length;
-        console.log(`[NoteExporter] API: ${articles.length}/${targetCount}件取得`);
+  // --- ページ種別判定 ---
 
-        start += PAGE_SIZE;
-        await sleep(500);
-      } catch (err) {
-        console.warn(`[NoteExporter] APIエラー: ${err.message}`, err);
-        return null;
-      }
+  function decodePathSegment(segment) {
+    try {
+      return decodeURIComponent(segment);
+    } catch (e) {
+      return segment;
     }
-
-    return articles.length > 0 ? articles : null;
   }
 
   /**
-   * ハッシュタグページ用: note.com内部APIからデータを取得（ページネーション対応）
+   * パスからページ種別と対象（ハッシュタグ名・urlname・マガジンキーなど）を判定
+   *
+   * - /search                         → search
+   * - /hashtag/{name}                 → hashtag
+   * - /m/{key}, /{urlname}/m/{key}    → magazine
+   * - /interests/{name}, /categories/{name} → category
+   * - /contests/{key}(/entries など)  → contest
+   * - /{urlname}, /{urlname}/all      → creator
+   * - それ以外                        → unknown
+   *
+   * @param {string} pathname
+   * @returns {{ type: string, id: string }}
    */
-  async function fetchFromHashtagAPI(targetCount) {
-    const hashtag = getHashtagName();
-    if (!hashtag) {
-      console.warn("[NoteExporter] ハッシュタグ名が見つかりません");
-      return null;
-    }
-
-    // URLからソートパラメータを検出（デフォルトは人気順）
-    const url = new URL(window.location.href);
-    const sort = url.searchParams.get("sort") || "popular";
-
-    const articles = [];
-    let page = 1;
-
-    console.log(`[NoteExporter] ハッシュタグAPI戦略: hashtag="${hashtag}", sort="${sort}", 目標=${targetCount}件`);
-
-    while (articles.length < targetCount) {
-      const apiUrl = `https://note.com/api/v3/hashtags/${encodeURIComponent(hashtag)}/notes?page=${page}&sort=${sort}`;
-
-      console.log(`[NoteExporter] ハッシュタグAPI取得中: ${apiUrl}`);
-
-      try {
-        const response = await fetch(apiUrl, {
-          credentials: "include",
-          headers: { Accept: "application/json" },
-        });
-
-        if (!response.ok) {
-          console.warn(`[NoteExporter] ハッシュタグAPI応答エラー: ${response.status}`);
-          return null;
-        }
-
-        const rawText = await response.text();
-        console.log(`[NoteExporter] ハッシュタグAPI生レスポンス (先頭500文字): ${rawText.substring(0, 500)}`);
-
-        let data;
-        try {
-          data = JSON.parse(rawText);
-        } catch (jsonErr) {
-          console.warn(`[NoteExporter] JSONパースエラー: ${jsonErr.message}`);
-          return null;
-        }
-
-        console.log("[NoteExporter] トップレベルキー:", Object.keys(data || {}));
-        if (data?.data && typeof data.data === "object") {
-          console.log("[NoteExporter] data.data キー:", Object.keys(data.data));
-        }
-
-        const noteObjects = data?.data?.notes;
-        if (!Array.isArray(noteObjects) || noteObjects.length === 0) {
-          console.log(`[NoteExporter] ハッシュタグAPI: これ以上の結果なし (page=${page})`);
-          break;
-        }
-
-        for (const noteObj of noteObjects) {
-          if (articles.length >= targetCount) break;
-          try {
-            const article = extractArticleFromNote(noteObj);
-            if (article && article.title) {
-              articles.push(article);
-            }
-          } catch (noteErr) {
-            console.warn(`[NoteExporter] パースエラー:`, noteErr.message);
-          }
-        }
-
-        scrapingState.current = articles.length;
-        console.log(`[NoteExporter] ハッシュタグAPI: ${articles.length}/${targetCount}件取得`);
-
-        // 最終ページ判定
-        if (data?.data?.is_last_page) {
-          console.log("[NoteExporter] ハッシュタグAPI: 最終ページに到達");
-          break;
-        }
-
-        page++;
-        await sleep(500);
-      } catch (err) {
-        console.warn(`[NoteExporter] ハッシュタグAPIエラー: ${err.message}`, err);
-        return null;
+  function parsePagePath(pathname) {
+    const segments = String(pathname || "").split("/").filter(Boolean).map(decodePathSegment);
+    const [first, second, third] = segments;
+
+    if (first === "search") return { type: "search", id: "" };
+    if (first === "hashtag" && second) return { type: "hashtag", id: second };
+    if (first === "m" && second) return { type: "magazine", id: second };
+    if ((first === "interests" || first === "categories") && second) return { type: "category", id: second };
+    if (first === "contests" && second) return { type: "contest", id: second };
+
+    if (first && !RESERVED_TOP_PATHS.has(first) && /^[A-Za-z0-9_]+$/.test(first)) {
+      if (second === "m" && third) return { type: "magazine", id: third };
+      if (segments.length === 1 || (segments.length === 2 && second === "all")) {
+        return { type: "creator", id: first };
       }
     }
 
-    return articles.length > 0 ? articles : null;
+    return { type: "unknown", id: "" };
   }
 
   /**
-   * APIレスポンスから記事データの配列を抽出して返す
-   * 必ずArrayを返す（エラー時は空配列）
+   * 現在のページの種別を判定（判定できないページは従来どおり検索ページとして扱う）
+   * @returns {"search" | "hashtag" | "creator" | "magazine" | "category" | "contest"}
    */
-  function extractNotesFromApiResponse(data) {
-    try {
-      const noteObjects = findNotesArray(data);
-
-      if (!Array.isArray(noteObjects) || noteObjects.length === 0) {
-        return [];
-      }
-
-      // 最初の2件の生データをログ出力
-      for (let i = 0; i < Math.min(2, noteObjects.length); i++) {
-        console.log(`[NoteExporter] ${i + 1}件目の全キー:`, Object.keys(noteObjects[i] || {}));
-        console.log(`[NoteExporter] ${i + 1}件目の生データ:`, JSON.stringify(noteObjects[i], null, 2).substring(0, 2000));
-      }
-
-      const articles = [];
-      for (let i = 0; i < noteObjects.length; i++) {
-        try {
-          const article = extractArticleFromNote(noteObjects[i]);
-          if (article && article.title) {
-            articles.push(article);
-          }
-        } catch (noteErr) {
-          console.warn(`[NoteExporter] ${i}件目のパースエラー:`, noteErr.message);
-        }
-      }
-
-      return articles;
-    } catch (err) {
-      console.warn("[NoteExporter] extractNotesFromApiResponse エラー:", err.message);
-      return [];
-    }
+  function getPageType() {
+    const { type } = parsePagePath(window.location.pathname);
+    return type === "unknown" ? "search" : type;
   }
 
   /**
-   * APIレスポンスからnotes配列を探す
-   * 必ずArrayを返す
+   * 実行履歴に保存するための、現在ページの検索条件
+   * @returns {{ query: string, pageType: string, sort: string }}
    */
-  function findNotesArray(data) {
-    if (!data || typeof data !== "object") return [];
-
-    // 明示的な候補を順に確認
-    const paths = [
-      () => data?.data?.notes?.contents,
-      () => data?.data?.notes?.items,
-      () => data?.data?.notes,
-      () => data?.data?.contents,
-      () => data?.data?.search_results,
-      () => data?.data?.items,
-      () => data?.notes,
-      () => data?.contents,
-      () => data?.items,
-    ];
-
-    for (const pathFn of paths) {
-      try {
-        const val = pathFn();
-        if (Array.isArray(val) && val.length > 0) {
-          console.log(`[NoteExporter] 記事配列を発見: ${val.length}件`);
-          return val;
-        }
-      } catch (e) { /* ignore */ }
-    }
-
-    // data.data が配列の場合
-    if (Array.isArray(data?.data) && data.data.length > 0) {
-      console.log(`[NoteExporter] data.data が配列: ${data.data.length}件`);
-      return data.data;
-    }
-
-    // data.data のプロパティを探索して配列を見つける
-    if (data?.data && typeof data.data === "object" && !Array.isArray(data.data)) {
-      for (const [key, value] of Object.entries(data.data)) {
-        if (Array.isArray(value) && value.length > 0 && typeof value[0] === "object" && value[0] !== null) {
-          console.log(`[NoteExporter] data.data.${key} で配列を発見: ${value.length}件`);
-          return value;
-        }
-      }
-    }
-
-    // トップレベルのプロパティを探索
-    for (const [key, value] of Object.entries(data)) {
-      if (key === "data") continue;
-      if (Array.isArray(value) && value.length > 0 && typeof value[0] === "object" && value[0] !== null) {
-        console.log(`[NoteExporter] data.${key} で配列を発見: ${value.length}件`);
-        return value;
-      }
+  function getRunContext() {
+    const pageType = getPageType();
+    const { id } = parsePagePath(window.location.pathname);
+    const url = new URL(window.location.href);
+    switch (pageType) {
+      case "hashtag":
+        return { query: `#${id}`, pageType, sort: url.searchParams.get("sort") || "popular" };
+      case "creator":
+        return { query: `@${id}`, pageType, sort: "" };
+      case "magazine":
+        return { query: `マガジン:${id}`, pageType, sort: "" };
+      case "category":
+        return { query: `カテゴリ:${id}`, pageType, sort: "" };
+      case "contest":
+        return { query: `コンテスト:${id}`, pageType, sort: "" };
+      default:
+        return { query: url.searchParams.get("q") || "", pageType, sort: url.searchParams.get("sort") || "" };
     }
-
-    console.warn("[NoteExporter] 配列が見つかりません。data構造:", JSON.stringify(data, null, 2).substring(0, 1000));
-    return [];
   }
 
   /**
-   * 1つのnoteオブジェクトから記事データを抽出
+   * 検索ページのURLから検索APIの条件を取得
    */
-  function extractArticleFromNote(note) {
-    if (!note || typeof note !== "object") return null;
-
-    // noteオブジェクト内にさらにネストされた記事データがある場合を考慮
-    const inner = (note.note && typeof note.note === "object") ? note.note : note;
-
-    // タイトル
-    const title = safeStr(inner.name) || safeStr(note.name)
-      || safeStr(inner.title) || safeStr(note.title)
-      || safeStr(inner.headline) || safeStr(note.headline)
-      || "";
-
-    // スキ数
-    const likeCount = safeNum(inner, [
-      "like_count", "likeCount", "likes_count", "likesCount",
-      "sp_count", "spCount", "suki_count", "sukiCount",
-    ]) || safeNum(note, [
-      "like_count", "likeCount", "likes_count", "likesCount",
-      "sp_count", "spCount", "suki_count", "sukiCount",
-    ]);
-
-    // 価格
-    let price = safeNum(inner, ["price", "amount", "body_price", "bodyPrice"])
-      || safeNum(note, ["price", "amount", "body_price", "bodyPrice"]);
-    if (price === "無料") price = 0;
-
-    // URL
-    const noteUrl = buildNoteUrl(note, inner);
-
-    // クリエイター名
-    const creator = findCreatorName(note, inner);
-
+  function getSearchParams() {
+    const url = new URL(window.location.href);
     return {
-      title,
-      likeCount: Number(likeCount) || 0,
-      price: Number(price) || 0,
-      url: noteUrl,
-      creator,
+      q: url.searchParams.get("q") || "",
+      context: url.searchParams.get("context") || "note",
+      mode: url.searchParams.get("mode") || "search",
+      sort: url.searchParams.get("sort") || "",
     };
   }
 
-  /**
-   * 安全に文字列を取得
-   */
-  function safeStr(val) {
-    if (val === undefined || val === null) return "";
-    if (typeof val === "string") return val;
-    return String(val);
-  }
+  // --- DOMスクレイピング ---
 
   /**
-   * オブジェクトから数値フィールドを安全に取得
+   * 記事リンクとその周りの DOM 構造を調べる（DOM スクレイピングが失敗したときの診断用）
+   * 結果は debug レベルで出力し、診断情報（getDiagnostics）にも含める（DOM 収集の開始時の結果は lastDomDiagnosis に残す）
+   * @returns {{ at: string, url: string, linkCount: number, sampleLink: object|null, ancestors: string[] }}
    */
-  function safeNum(obj, keys) {
-    if (!obj || typeof obj !== "object") return 0;
-    for (const key of keys) {
-      const val = obj[key];
-      if (val !== undefined && val !== null) {
-        const num = Number(val);
-        if (!isNaN(num)) return num;
+  function diagnoseDom() {
+    const articleLinks = document.querySelectorAll('a[href*="/n/"]');
+    const result = {
+      at: new Date().toISOString(),
+      url: window.location.href,
+      linkCount: articleLinks.length,
+      sampleLink: null,
+      ancestors: [],
+    };
+
+    if (articleLinks.length > 0) {
+      const sample = articleLinks[0];
+      result.sampleLink = {
+        href: sample.getAttribute("href"),
+        text: sample.textContent.trim().substring(0, 50),
+      };
+
+      let el = sample;
+      for (let i = 0; i < 8; i++) {
+        el = el.parentElement;
+        if (!el || el === document.body) break;
+        result.ancestors.push(`${i}階層上: <${el.tagName.toLowerCase()}> class="${(el.className || "").substring(0, 120)}"`);
       }
     }
-    return 0;
+
+    logger.debug(`DOM診断: /n/ を含むリンク数 ${result.linkCount}`, result);
+    return result;
   }
 
   /**
-   * 記事URLを構築
+   * querySelectorAll の結果の配列（セレクターが空欄なら空配列。解釈できないセレクターは警告を残して空配列）
    */
-  function buildNoteUrl(note, inner) {
-    // 直接URLフィールド
-    for (const obj of [inner, note]) {
-      for (const key of ["note_url", "noteUrl", "url"]) {
-        const val = obj?.[key];
-        if (typeof val === "string" && val.startsWith("http")) return val;
-      }
-    }
-
-    // keyとurlnameから構築
-    const key = inner.key || note.key || inner.slug || note.slug || "";
-    const user = inner.user || note.user || {};
-    const urlname = (typeof user === "object" ? user.urlname : "") || inner.urlname || note.urlname || "";
-
-    if (key && urlname) {
-      return `https://note.com/${urlname}/n/${key}`;
+  function queryAll(root, selector) {
+    if (!root || !selector) return [];
+    try {
+      return Array.from(root.querySelectorAll(selector));
+    } catch (err) {
+      logger.warn(`セレクター「${selector}」を解釈できません: ${err.message}`);
+      return [];
     }
-
-    // hrefフィールド
-    const href = inner.href || note.href || "";
-    if (href) return href.startsWith("http") ? href : `https://note.com${href}`;
-
-    return "";
   }
 
   /**
-   * クリエイター名を探す
+   * セレクターのリスト（カンマ区切り）を1つずつのセレクターに分ける
+   * 括弧・角括弧・引用符の中のカンマ（:is(a, b) や属性値）では分けない
    */
-  function findCreatorName(note, inner) {
-    for (const obj of [inner, note]) {
-      const user = obj?.user;
-      if (user && typeof user === "object") {
-        const name = user.nickname || user.name || user.urlname || user.display_name;
-        if (name) return String(name);
-      }
-    }
-
-    // 文字列フィールド
-    for (const obj of [inner, note]) {
-      for (const key of ["creator_name", "creatorName", "author_name", "authorName"]) {
-        if (obj?.[key]) return String(obj[key]);
+  function splitSelectorList(selector) {
+    const parts = [];
+    let depth = 0;
+    let quote = "";
+    let current = "";
+    for (const ch of String(selector || "")) {
+      if (quote) {
+        if (ch === quote) quote = "";
+      } else if (ch === '"' || ch === "'") {
+        quote = ch;
+      } else if (ch === "(" || ch === "[") {
+        depth++;
+      } else if (ch === ")" || ch === "]") {
+        depth = Math.max(0, depth - 1);
+      } else if (ch === "," && depth === 0) {
+        if (current.trim()) parts.push(current.trim());
+        current = "";
+        continue;
       }
+      current += ch;
     }
-
-    return "";
+    if (current.trim()) parts.push(current.trim());
+    return parts;
   }
 
-  // --- 戦略2: 適応型DOMスクレイピング ---
-
-  function diagnoseDom() {
-    console.log("[NoteExporter] === DOM診断開始 ===");
-    const articleLinks = document.querySelectorAll('a[href*="/n/"]');
-    console.log(`[NoteExporter] /n/ を含むリンク数: ${articleLinks.length}`);
-
-    if (articleLinks.length > 0) {
-      const sample = articleLinks[0];
-      console.log("[NoteExporter] サンプルリンク:", {
-        href: sample.getAttribute("href"),
-        text: sample.textContent.trim().substring(0, 50),
-      });
-
-      let el = sample;
-      for (let i = 0; i < 8; i++) {
-        el = el.parentElement;
-        if (!el || el === document.body) break;
-        console.log(`[NoteExporter]   ${i}階層上: <${el.tagName.toLowerCase()}> class="${(el.className || "").substring(0, 120)}"`);
+  /**
+   * セレクターのリストの各セレクターについて、最初に一致した要素だけを順に返す
+   * （カード内の関連記事など、別の要素の値を拾わないよう、セレクターごとに querySelector の1件だけを見る）
+   */
+  function queryFirstEach(root, selector) {
+    if (!root) return [];
+    const found = [];
+    for (const part of splitSelectorList(selector)) {
+      try {
+        const el = root.querySelector(part);
+        if (el) found.push(el);
+      } catch (err) {
+        logger.warn(`セレクター「${part}」を解釈できません: ${err.message}`);
       }
     }
-    console.log("[NoteExporter] === DOM診断終了 ===");
+    return found;
   }
 
-  function collectArticlesFromDom() {
-    const articles = [];
+  /**
+   * プロファイルのセレクターで記事リンクと記事カードを見つけ、記事データにする
+   * @param {object} [profile] selector_profiles.js のプロファイル（省略時は既定のプロファイル）
+   * @returns {Array<{ article: object, container: Element }>}
+   */
+  function matchArticles(profile) {
+    const selectors = normalizeProfile(profile);
+    const matches = [];
     const seen = new Set();
-    const allLinks = document.querySelectorAll('a[href*="/n/"]');
 
-    for (const link of allLinks) {
+    for (const link of queryAll(document, selectors.articleLink)) {
       const href = link.getAttribute("href") || "";
-      if (!href.match(/\/[^/]+\/n\/[a-zA-Z0-9]+$/)) continue;
+      // note.com の記事（/{urlname}/n/{key}）と独自ドメインの記事（https://{独自ドメイン}/n/{key}）
+      if (!href.match(/\/n\/[a-zA-Z0-9]+\/?(?:[?#].*)?$/)) continue;
 
-      const fullUrl = href.startsWith("http") ? href : `https://note.com${href}`;
-      if (seen.has(fullUrl)) continue;
+      // 同じ記事へのリンク（クエリ文字列・末尾のスラッシュ違いを含む）は記事IDで1件にまとめる
+      const fullUrl = canonicalArticleUrl(href.startsWith("http") ? href : `https://note.com${href}`);
+      const id = articleId(fullUrl);
+      if (seen.has(id)) continue;
 
-      const container = findArticleContainer(link);
+      const container = findArticleContainer(link, selectors);
       if (!container) continue;
 
-      const title = extractTitle(link, container);
+      const title = extractTitle(link, container, selectors);
       if (!title || title.length < 2) continue;
 
-      const likeCount = extractLikeCount(container);
-      const price = extractPrice(container);
-      const creator = extractCreator(container, fullUrl);
-
-      seen.add(fullUrl);
-      articles.push({ title, likeCount, price, url: fullUrl, creator });
+      const likeCount = extractLikeCount(container, selectors);
+      const price = extractPrice(container, selectors);
+      const creator = extractCreator(container, fullUrl, selectors);
+
+      seen.add(id);
+      matches.push({
+        article: withSources(
+          { title, likeCount, price, url: fullUrl, creator, creatorUrlname: extractCreatorFromUrl(fullUrl) },
+          VALUE_SOURCES.DOM
+        ),
+        container,
+      });
     }
 
-    return articles;
+    return matches;
+  }
+
+  function collectArticlesFromDom(profile) {
+    return matchArticles(profile).map((match) => match.article);
   }
 
-  function findArticleContainer(linkEl) {
+  /**
+   * 記事リンクを含む記事カード
+   * プロファイルに記事カードのセレクターがあればそれに一致する祖先（なければ対象外）、
+   * 空欄なら他の記事へのリンクを含まない範囲を自動で判定する
+   */
+  function findArticleContainer(linkEl, selectors) {
+    if (selectors?.card) {
+      try {
+        return linkEl.closest(selectors.card);
+      } catch (err) {
+        return null;
+      }
+    }
+
     let el = linkEl.parentElement;
     for (let i = 0; i < 10; i++) {
       if (!el || el === document.body) return linkEl.parentElement;
@@ -520,15 +325,15 @@
     return linkEl.parentElement;
   }
 
-  function extractTitle(link, container) {
-    const heading = link.querySelector("h1, h2, h3, h4");
+  function extractTitle(link, container, selectors) {
+    const heading = queryAll(link, selectors.title)[0];
     if (heading) return heading.textContent.trim();
     const ariaLabel = link.getAttribute("aria-label");
     if (ariaLabel) return ariaLabel.trim();
     const titleAttr = link.getAttribute("title");
     if (titleAttr) return titleAttr.trim();
     if (container) {
-      const containerHeading = container.querySelector("h1, h2, h3, h4");
+      const containerHeading = queryAll(container, selectors.title)[0];
       if (containerHeading) return containerHeading.textContent.trim();
     }
     const text = link.textContent.trim();
@@ -539,263 +344,149 @@
     return "";
   }
 
-  function extractLikeCount(container) {
-    if (!container) return 0;
-    const svgs = container.querySelectorAll("svg");
-    for (const svg of svgs) {
+  /**
+   * 数字を含むテキストか（「0」も値として扱うための判定）
+   */
+  function hasDigit(text) {
+    return /\d/.test(String(text || ""));
+  }
+
+  /**
+   * 要素の並びから読んだスキ数（1以上の最初の数。「0」しかなければ 0、数字がなければ null）
+   */
+  function likeCountFromElements(elements) {
+    let zero = null;
+    for (const el of elements) {
+      if (!el) continue;
+      const num = extractNumber(el.textContent);
+      if (num > 0) return num;
+      if (hasDigit(el.textContent)) zero = 0;
+    }
+    return zero;
+  }
+
+  /**
+   * スキ数のアイコン（SVG）の隣の数字（親要素のテキスト、なければ次の要素）
+   */
+  function likeCountNearIcon(container) {
+    let zero = null;
+    for (const svg of queryAll(container, "svg")) {
       const parent = svg.parentElement;
       if (!parent) continue;
-      const num = extractNumber(parent.textContent);
+      const num = likeCountFromElements([parent, parent.nextElementSibling || svg.nextElementSibling]);
       if (num > 0) return num;
-      const nextEl = parent.nextElementSibling || svg.nextElementSibling;
-      if (nextEl) {
-        const nextNum = extractNumber(nextEl.textContent);
-        if (nextNum > 0) return nextNum;
-      }
+      if (num === 0) zero = 0;
     }
-    for (const sel of ['[class*="like"]', '[class*="Like"]', '[class*="heart"]', '[class*="Heart"]']) {
-      try {
-        const el = container.querySelector(sel);
-        if (el) { const num = extractNumber(el.textContent); if (num > 0) return num; }
-      } catch (e) { /* ignore */ }
+    return zero;
+  }
+
+  /**
+   * カード内のスキ数（見つからなければ null = 不明。どの方法でも「0」しか見つからなければ 0）
+   * アイコンの隣の数字とセレクターのどちらを先に見るかはプロファイルの likeIconFirst で決める
+   */
+  function extractLikeCount(container, selectors) {
+    if (!container) return null;
+    const strategies = [() => likeCountFromElements(queryFirstEach(container, selectors.likeCount))];
+    if (selectors.likeNearIcon) {
+      const nearIcon = () => likeCountNearIcon(container);
+      if (selectors.likeIconFirst) strategies.unshift(nearIcon);
+      else strategies.push(nearIcon);
+    }
+    let zero = null;
+    for (const strategy of strategies) {
+      const num = strategy();
+      if (num > 0) return num;
+      if (num === 0) zero = 0;
     }
-    return 0;
+    return zero;
   }
 
-  function extractPrice(container) {
-    if (!container) return 0;
-    for (const sel of ['[class*="price"]', '[class*="Price"]', '[class*="amount"]']) {
-      try {
-        const el = container.querySelector(sel);
-        if (el) {
-          const text = el.textContent.trim();
-          if (text.includes("無料")) return 0;
-          const num = extractNumber(text);
-          if (num > 0) return num;
-        }
-      } catch (e) { /* ignore */ }
+  /**
+   * カード内の価格（「無料」の表示は 0、見つからなければ null = 不明）
+   */
+  function extractPrice(container, selectors) {
+    if (!container) return null;
+    for (const el of queryFirstEach(container, selectors.price)) {
+      const text = el.textContent.trim();
+      if (text.includes("無料")) return 0;
+      const num = extractNumber(text);
+      if (num > 0) return num;
     }
+    if (!selectors.priceFromYenText) return null;
     const yenMatch = container.textContent.match(/[¥￥]\s*([0-9,]+)/);
     if (yenMatch) return extractNumber(yenMatch[1]);
-    return 0;
+    return null;
   }
 
-  function extractCreator(container, url) {
+  function extractCreator(container, url, selectors) {
     if (!container) return extractCreatorFromUrl(url);
-    for (const sel of ['[class*="creator"]', '[class*="Creator"]', '[class*="author"]', '[class*="Author"]', '[class*="userName"]']) {
-      try {
-        const el = container.querySelector(sel);
-        if (el) { const text = el.textContent.trim(); if (text.length > 0 && text.length < 100) return text; }
-      } catch (e) { /* ignore */ }
+    for (const el of queryFirstEach(container, selectors.creator)) {
+      const text = el.textContent.trim();
+      if (text.length > 0 && text.length < 100) return text;
     }
     return extractCreatorFromUrl(url);
   }
 
-  // --- 高評価数の取得（個別記事ページから） ---
+  // --- セレクターのテスト（Side Panel から） ---
 
-  /**
-   * 記事詳細APIまたはHTMLページから高評価数を取得
-   */
-  async function fetchLikeRating(articleUrl) {
-    if (!articleUrl) return 0;
-
-    try {
-      // URLからnoteのkeyを抽出 (例: /username/n/nXXXXXX)
-      const urlMatch = articleUrl.match(/\/n\/([a-zA-Z0-9]+)/);
-      if (!urlMatch) return 0;
-      const noteKey = urlMatch[1];
-
-      // ※ like_count はスキ数であり、高評価数とは別の指標
-      // 高評価数専用のフィールド候補（like_countは含めない）
-      const ratingFieldCandidates = [
-        "rating_count", "ratingCount",
-        "recommend_count", "recommendCount",
-        "evaluation_count", "evaluationCount",
-        "high_rating_count", "highRatingCount",
-        "buyer_like_count", "buyerLikeCount",
-        "purchase_like_count", "purchaseLikeCount",
-      ];
-
-      // 方法1: 記事詳細APIを試行
-      let apiNetworkError = false;
-      try {
-        const apiUrl = `https://note.com/api/v3/notes/${noteKey}`;
-        const apiRes = await fetch(apiUrl, {
-          credentials: "include",
-          headers: { Accept: "application/json" },
-        });
-        if (apiRes.ok) {
-          const apiData = await apiRes.json();
-          const noteData = apiData?.data || apiData;
-          const inner = noteData?.note || noteData;
-
-          // 高評価専用フィールドを検索（like_countは除外）
-          for (const obj of [inner, noteData]) {
-            const rating = safeNum(obj, ratingFieldCandidates);
-            if (rating > 0) {
-              console.log(`[NoteExporter] API高評価数: ${rating} (${noteKey})`);
-              return rating;
-            }
-          }
-
-          // APIレスポンスの全キーをログ出力（初回のみ、デバッグ用）
-          if (!fetchLikeRating._logged) {
-            fetchLikeRating._logged = true;
-            console.log(`[NoteExporter] 記事API全キー:`, Object.keys(noteData || {}));
-            if (noteData?.note) {
-              console.log(`[NoteExporter] 記事API note内キー:`, Object.keys(noteData.note));
-            }
-            console.log(`[NoteExporter] 記事API生データ(先頭2000):`, JSON.stringify(noteData, null, 2).substring(0, 2000));
-            console.log(`[NoteExporter] ※ 高評価数はAPIに含まれない可能性あり。HTMLフォールバックに進みます`);
-          }
-        }
-      } catch (apiErr) {
-        apiNetworkError = true;
-        if (!fetchLikeRating._networkErrorLogged) {
-          fetchLikeRating._networkErrorLogged = true;
-          console.warn(`[NoteExporter] 記事API失敗 (以降同様のエラーは省略): ${apiErr.message}`);
-        }
-      }
-
-      // 方法2: HTMLページから抽出（APIがネットワークエラーの場合はスキップ）
-      if (!apiNetworkError) {
-        try {
-          const pageRes = await fetch(articleUrl, {
-            credentials: "include",
-          });
-          if (pageRes.ok) {
-            const html = await pageRes.text();
-
-            // パターン1: "XX人が高評価" テキストを検索
-            const ratingMatch = html.match(/(\d+)\s*人が高評価/);
-            if (ratingMatch) {
-              const count = parseInt(ratingMatch[1], 10);
-              console.log(`[NoteExporter] HTML高評価数: ${count} (${noteKey})`);
-              return count;
-            }
-
-            // パターン2: __NEXT_DATA__ 内のJSONから高評価数を探す
-            const nextDataMatch = html.match(/<script\s+id="__NEXT_DATA__"[^>]*>([\s\S]*?)<\/script>/);
-            if (nextDataMatch) {
-              try {
-                const nextData = JSON.parse(nextDataMatch[1]);
-                // __NEXT_DATA__内を再帰的に探索
-                const rating = findRatingInObject(nextData, ratingFieldCandidates);
-                if (rating > 0) {
-                  console.log(`[NoteExporter] __NEXT_DATA__高評価数: ${rating} (${noteKey})`);
-                  return rating;
-                }
-              } catch (e) { /* JSONパースエラーは無視 */ }
-            }
-
-            // パターン3: __NUXT__ データから探す（旧バージョン対応）
-            const nuxtMatch = html.match(/__NUXT__[^=]*=\s*(\{[\s\S]*?\});?\s*<\/script>/);
-            if (nuxtMatch) {
-              try {
-                const ratingInNuxt = nuxtMatch[1].match(/"(?:rating_count|ratingCount|recommend_count|high_rating_count|buyer_like_count)"\s*:\s*(\d+)/);
-                if (ratingInNuxt) {
-                  const count = parseInt(ratingInNuxt[1], 10);
-                  console.log(`[NoteExporter] Nuxt高評価数: ${count} (${noteKey})`);
-                  return count;
-                }
-              } catch (e) { /* ignore */ }
-            }
-
-            // パターン4: HTML内のJSON-LD等に「高評価」関連データがないか（テキストマッチ）
-            const htmlRatingMatch = html.match(/"(?:rating_count|ratingCount|recommend_count|high_rating_count|buyer_like_count)"\s*:\s*(\d+)/);
-            if (htmlRatingMatch) {
-              const count = parseInt(htmlRatingMatch[1], 10);
-              console.log(`[NoteExporter] HTML-JSON高評価数: ${count} (${noteKey})`);
-              return count;
-            }
-          }
-        } catch (htmlErr) {
-          if (!fetchLikeRating._htmlErrorLogged) {
-            fetchLikeRating._htmlErrorLogged = true;
-            console.warn(`[NoteExporter] HTML取得失敗 (以降同様のエラーは省略): ${htmlErr.message}`);
-          }
-        }
-      }
-    } catch (err) {
-      console.warn(`[NoteExporter] 高評価数取得エラー: ${err.message}`);
-    }
-
-    return 0;
-  }
+  const HIGHLIGHT_CLASS = "note-exporter-highlight";
+  const TEST_PREVIEW_LIMIT = 20;
 
-  /**
-   * オブジェクトを浅く探索して高評価数フィールドを見つける（最大2階層）
-   */
-  function findRatingInObject(obj, fieldCandidates, depth) {
-    if (depth === undefined) depth = 0;
-    if (!obj || typeof obj !== "object" || depth > 3) return 0;
-
-    // 直接フィールドをチェック
-    for (const key of fieldCandidates) {
-      if (obj[key] !== undefined && obj[key] !== null) {
-        const num = Number(obj[key]);
-        if (!isNaN(num) && num > 0) return num;
-      }
+  function clearHighlights() {
+    for (const el of queryAll(document, `.${HIGHLIGHT_CLASS}`)) {
+      el.classList.remove(HIGHLIGHT_CLASS);
+      el.removeAttribute("data-note-exporter-index");
     }
-
-    // 子オブジェクトを探索
-    for (const val of Object.values(obj)) {
-      if (val && typeof val === "object" && !Array.isArray(val)) {
-        const found = findRatingInObject(val, fieldCandidates, depth + 1);
-        if (found > 0) return found;
-      }
-    }
-
-    return 0;
   }
 
   /**
-   * 全記事の高評価数を一括取得（進捗表示付き）
+   * プロファイルで見つかる記事カードをページ上で強調表示し、取り出した値を返す
+   * @param {object} profile
+   * @returns {{ linkCount: number, cardCount: number, articles: Array }} articles は先頭20件
    */
-  async function fetchAllLikeRatings(articles) {
-    console.log(`[NoteExporter] 高評価数の取得を開始: ${articles.length}件`);
-    const results = [];
-
-    for (let i = 0; i < articles.length; i++) {
-      const article = articles[i];
-      const rating = await fetchLikeRating(article.url);
-      results.push({ ...article, likeRating: rating });
-
-      scrapingState.current = i + 1;
-      scrapingState.message = `高評価数を取得中... ${i + 1} / ${articles.length} 件`;
-      console.log(`[NoteExporter] 高評価数 ${i + 1}/${articles.length}: ${article.title.substring(0, 30)}... → ${rating}`);
-
-      // レート制限対策
-      if (i < articles.length - 1) {
-        await sleep(300);
-      }
-    }
-
-    return results;
+  function testSelectors(profile) {
+    clearHighlights();
+    const selectors = normalizeProfile(profile);
+    const matches = matchArticles(selectors);
+    matches.forEach(({ container }, i) => {
+      container.classList.add(HIGHLIGHT_CLASS);
+      container.setAttribute("data-note-exporter-index", String(i + 1));
+    });
+    if (matches.length > 0 && typeof matches[0].container.scrollIntoView === "function") {
+      matches[0].container.scrollIntoView({ behavior: "smooth", block: "center" });
+    }
+    const linkCount = queryAll(document, selectors.articleLink).length;
+    logger.info(`セレクターのテスト: 記事リンク${linkCount}件・記事カード${matches.length}件`);
+    return {
+      linkCount,
+      cardCount: matches.length,
+      articles: matches.slice(0, TEST_PREVIEW_LIMIT).map((match) => match.article),
+    };
   }
 
   // --- 自動スクロール ---
 
-  async function autoScrollAndCollect(targetCount) {
+  async function autoScrollAndCollect(targetCount, profile) {
     let lastArticleCount = 0;
     let noNewArticleRetries = 0;
     const MAX_RETRIES = 15;
 
-    while (scrapingState.status === "scraping") {
-      const articles = collectArticlesFromDom();
-      scrapingState.articles = articles;
-      scrapingState.current = articles.length;
+    while (!(await shouldStop())) {
+      const articles = collectArticlesFromDom(profile);
+      domState.articles = articles;
+      domState.current = articles.length;
+      reportDomProgress();
 
       if (articles.length >= targetCount) {
-        scrapingState.articles = articles.slice(0, targetCount);
-        scrapingState.current = targetCount;
+        domState.articles = articles.slice(0, targetCount);
+        domState.current = targetCount;
         return;
       }
 
       if (articles.length === lastArticleCount) {
         noNewArticleRetries++;
         if (noNewArticleRetries >= MAX_RETRIES) {
-          console.log(`[NoteExporter] ${articles.length}件で読み込み停止（目標: ${targetCount}件）`);
+          logger.info(`${articles.length}件で読み込み停止（目標: ${targetCount}件）`);
           return;
         }
       } else {
@@ -808,136 +499,105 @@
     }
   }
 
-  // --- CSV生成とダウンロード ---
-
-  function downloadCSV(articles) {
-    const headers = ["タイトル", "スキ数", "高評価数", "単価", "記事URL", "クリエイター名"];
-    const rows = articles.map((a) => [
-      escapeCsvField(a.title),
-      String(a.likeCount),
-      String(a.likeRating || 0),
-      String(a.price),
-      escapeCsvField(a.url),
-      escapeCsvField(a.creator),
-    ]);
-
-    const csvContent = [headers.join(","), ...rows.map((r) => r.join(","))].join("\n");
-    const bom = "\uFEFF";
-    const blob = new Blob([bom + csvContent], { type: "text/csv;charset=utf-8;" });
-
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `note_search_results_${formatDate()}.csv`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-  }
-
-  function escapeCsvField(value) {
-    if (!value) return '""';
-    const str = String(value);
-    if (str.includes('"') || str.includes(",") || str.includes("\n")) {
-      return `"${str.replace(/"/g, '""')}"`;
-    }
-    return `"${str}"`;
-  }
+  // --- メッセージリスナー ---
 
-  function formatDate() {
-    const now = new Date();
-    const y = now.getFullYear();
-    const m = String(now.getMonth() + 1).padStart(2, "0");
-    const d = String(now.getDate()).padStart(2, "0");
-    const h = String(now.getHours()).padStart(2, "0");
-    const min = String(now.getMinutes()).padStart(2, "0");
-    return `${y}${m}${d}_${h}${min}`;
+  /**
+   * ジョブの実行に必要な現在ページの情報
+   */
+  function getPageInfo() {
+    const { type, id } = parsePagePath(window.location.pathname);
+    return {
+      supported: type !== "unknown",
+      pageType: getPageType(),
+      id,
+      url: window.location.href,
+      run: getRunContext(),
+      searchParams: getSearchParams(),
+    };
   }
 
-  // --- メッセージリスナー ---
-
   chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-    if (message.action === "startScraping") {
-      if (scrapingState.status === "scraping") {
-        sendResponse({ status: "already_running" });
+    if (message.action === "getPageInfo") {
+      sendResponse(getPageInfo());
+      return true;
+    }
+
+    if (message.action === "collectDom") {
+      if (domState.status !== "idle") {
+        sendResponse({ status: "busy", articles: [] });
         return true;
       }
-
-      scrapingState = {
-        status: "scraping",
-        current: 0,
-        targetCount: message.count,
-        articles: [],
-        message: "",
-      };
-
-      sendResponse({ status: "started" });
+      domState = { status: "collecting", current: 0, articles: [] };
 
       (async () => {
         try {
-          diagnoseDom();
-
-          const pageType = getPageType();
-          console.log(`[NoteExporter] ページ種別: ${pageType}`);
-
-          let articles;
-
-          if (pageType === "hashtag") {
-            // ハッシュタグページ: APIはソート・like_countが不正確なため、
-            // ページに表示されているデータをDOMから直接取得する
-            console.log("[NoteExporter] ハッシュタグページ: DOMスクレイピングで取得...");
-            await autoScrollAndCollect(message.count);
-            articles = scrapingState.articles;
-          } else {
-            // 検索ページ: API → DOMフォールバック
-            console.log("[NoteExporter] 戦略1: API経由で取得を試行...");
-            articles = await fetchFromAPI(message.count);
-
-            if (!Array.isArray(articles) || articles.length === 0) {
-              console.log("[NoteExporter] 戦略2: DOMスクレイピングにフォールバック...");
-              await autoScrollAndCollect(message.count);
-              articles = scrapingState.articles;
-            } else {
-              scrapingState.articles = articles;
-              scrapingState.current = articles.length;
-            }
-          }
-
-          if (Array.isArray(articles) && articles.length > 0) {
-            // 高評価数を各記事ページから取得
-            scrapingState.message = "高評価数を取得中...";
-            console.log("[NoteExporter] 高評価数の取得を開始...");
-            articles = await fetchAllLikeRatings(articles);
-
-            downloadCSV(articles);
-            scrapingState.status = "completed";
-            scrapingState.current = articles.length;
-            scrapingState.message = `${articles.length}件のデータをCSVに出力しました。`;
-          } else {
-            scrapingState.status = "error";
-            scrapingState.message =
-              "記事データを取得できませんでした。DevToolsのConsoleログを確認してください。";
-          }
+          lastDomDiagnosis = diagnoseDom();
+          await autoScrollAndCollect(message.count, message.profile);
+          sendResponse({ status: domState.status === "stopping" ? "stopped" : "completed", articles: domState.articles });
         } catch (err) {
-          scrapingState.status = "error";
-          scrapingState.message = `エラー: ${err.message}`;
-          console.error("[NoteExporter] Error:", err);
+          logger.error("Error:", err);
+          sendResponse({ status: "error", message: err.message, articles: domState.articles });
+        } finally {
+          domState.status = "idle";
         }
       })();
 
       return true;
     }
 
-    if (message.action === "getProgress") {
+    if (message.action === "getDiagnostics") {
       sendResponse({
-        status: scrapingState.status,
-        current: scrapingState.current,
-        total: scrapingState.targetCount,
-        message: scrapingState.message,
+        pageInfo: getPageInfo(),
+        domState: { status: domState.status, current: domState.current },
+        lastDomDiagnosis,
+        dom: diagnoseDom(),
+        log: logger.snapshot(),
       });
       return true;
     }
 
+    if (message.action === "testSelectors") {
+      try {
+        sendResponse({ status: "ok", ...testSelectors(message.profile) });
+      } catch (err) {
+        sendResponse({ status: "error", message: err.message });
+      }
+      return true;
+    }
+
+    if (message.action === "clearSelectorTest") {
+      clearHighlights();
+      sendResponse({ status: "ok" });
+      return true;
+    }
+
+    if (message.action === "pauseDom") {
+      if (domState.status === "collecting") {
+        domState.status = "paused";
+        logger.info("一時停止しました");
+      }
+      sendResponse({ status: domState.status });
+      return true;
+    }
+
+    if (message.action === "resumeDom") {
+      if (domState.status === "paused") {
+        domState.status = "collecting";
+        logger.info("再開しました");
+      }
+      sendResponse({ status: domState.status });
+      return true;
+    }
+
+    if (message.action === "stopDom") {
+      if (domState.status === "collecting" || domState.status === "paused") {
+        domState.status = "stopping";
+        logger.info("停止要求を受け付けました");
+      }
+      sendResponse({ status: domState.status });
+      return true;
+    }
+
     return false;
   });
 
@@ -945,23 +605,21 @@
   if (typeof globalThis.__NOTE_EXPORTER_TEST__ !== "undefined") {
     globalThis.__NOTE_EXPORTER_FUNCS__ = {
       extractNumber,
-      extractCreatorFromUrl,
-      extractNotesFromApiResponse,
-      findNotesArray,
-      extractArticleFromNote,
-      safeStr,
-      safeNum,
-      buildNoteUrl,
-      findCreatorName,
-      escapeCsvField,
-      downloadCSV,
-      fetchLikeRating,
-      fetchAllLikeRatings,
-      findRatingInObject,
+      collectArticlesFromDom,
+      splitSelectorList,
+      matchArticles,
+      testSelectors,
+      autoScrollAndCollect,
+      parsePagePath,
       getPageType,
-      getHashtagName,
+      getRunContext,
+      getSearchParams,
+      getPageInfo,
+      diagnoseDom,
+      shouldStop,
+      getDomState: () => domState,
     };
   }
 
-  console.log("[NoteExporter] Content script loaded on:", window.location.href);
+  logger.debug("Content script loaded on:", window.location.href);
 })();
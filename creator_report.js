@@ -0,0 +1,178 @@
+/**
+ * クリエイター別の集計
+ *
+ * 取得結果の記事をクリエイターごとにまとめ、記事数・スキ数・高評価数・有料記事の割合・単価・
+ * 推定売上（下限。exporter.js の estimateSales）と、最もスキ数の多い記事を求める。
+ * 同じ表示名の別のクリエイターをまとめないよう、クリエイターは urlname（分からなければ表示名）で区別する。
+ * 集計結果は exporter.js の行モデルにして、記事一覧と同じ出力形式で書き出す。
+ *
+ * exporter.js の後に読み込む。
+ * 公開API: globalThis.NoteExporter.creatorReport
+ */
+
+(() => {
+  "use strict";
+
+  const { buildTable, rollupSales, numberValue } = globalThis.NoteExporter.exporter;
+
+  /**
+   * 記事のクリエイターを区別するキー（urlname と表示名が同じ文字列でも衝突しないよう接頭辞を付ける）
+   */
+  function creatorKey(article) {
+    if (article.creatorUrlname) return `id:${article.creatorUrlname}`;
+    return `name:${String(article.creator || "").trim()}`;
+  }
+
+  /**
+   * 2つの値の比較（不明な値 null は、どの既知の値よりも小さいとみなす）
+   * @returns {number} a が大きければ正、b が大きければ負、同じなら 0
+   */
+  function compareKnown(a, b) {
+    if (a === b) return 0;
+    if (a === null) return -1;
+    if (b === null) return 1;
+    return a - b;
+  }
+
+  /**
+   * 最もスキ数の多い記事か（スキ数が不明な記事は分かる記事に勝たない。同数なら高評価数、それも同じなら先に出た記事）
+   */
+  function outperforms(article, best) {
+    const likeDiff = compareKnown(numberValue(article, "likeCount"), numberValue(best, "likeCount"));
+    if (likeDiff !== 0) return likeDiff > 0;
+    return compareKnown(numberValue(article, "likeRating"), numberValue(best, "likeRating")) > 0;
+  }
+
+  /**
+   * 推定売上の合計（推定できた有料記事が1件もなければ null）
+   */
+  function salesFields(sales) {
+    const estimated = sales.estimatedCount > 0;
+    return {
+      estimatedBuyersTotal: estimated ? sales.buyers : null,
+      estimatedRevenueTotal: estimated ? sales.revenue : null,
+      unestimableCount: sales.unestimableCount,
+    };
+  }
+
+  function average(total, count) {
+    return count > 0 ? Math.round((total / count) * 10) / 10 : null;
+  }
+
+  /**
+   * 記事をクリエイターごとに集計する
+   * スキ数・高評価数は値が分かる記事だけで合計・平均を求め（1件もなければ null）、平均単価は有料記事だけで求める。
+   * 有料記事の割合は単価が分かる記事に占める割合（1件もなければ null）。
+   * 推定売上は推定できた有料記事だけを合計し、推定できなかった有料記事の件数を別に数える
+   * @param {Array} articles 取得結果の記事
+   * @returns {Array<object>} クリエイターごとの集計。スキ数の合計が多い順（同数なら記事数の多い順。スキ数が1件も分からなければ最後）
+   */
+  function aggregateByCreator(articles) {
+    const creators = new Map();
+
+    for (const article of Array.isArray(articles) ? articles : []) {
+      const key = creatorKey(article);
+      let entry = creators.get(key);
+      if (!entry) {
+        entry = {
+          key,
+          creator: String(article.creator || ""),
+          creatorUrlname: String(article.creatorUrlname || ""),
+          articleCount: 0,
+          likeCountTotal: null,
+          likedCount: 0,
+          likeRatingTotal: null,
+          paidCount: 0,
+          pricedCount: 0,
+          priceTotal: 0,
+          priceMax: 0,
+          best: article,
+          articles: [],
+        };
+        creators.set(key, entry);
+      }
+
+      const knownPrice = numberValue(article, "price");
+      const price = knownPrice || 0;
+      const likeCount = numberValue(article, "likeCount");
+      const likeRating = numberValue(article, "likeRating");
+      entry.articles.push(article);
+      entry.articleCount++;
+      if (likeCount !== null) {
+        entry.likeCountTotal = (entry.likeCountTotal || 0) + likeCount;
+        entry.likedCount++;
+      }
+      if (likeRating !== null) {
+        entry.likeRatingTotal = (entry.likeRatingTotal || 0) + likeRating;
+      }
+      if (knownPrice !== null) entry.pricedCount++;
+      if (price > 0) {
+        entry.paidCount++;
+        entry.priceTotal += price;
+        entry.priceMax = Math.max(entry.priceMax, price);
+      }
+      if (!entry.creator && article.creator) entry.creator = String(article.creator);
+      if (outperforms(article, entry.best)) entry.best = article;
+    }
+
+    return [...creators.values()]
+      .map((entry) => ({
+        key: entry.key,
+        creator: entry.creator,
+        creatorUrlname: entry.creatorUrlname,
+        articleCount: entry.articleCount,
+        likeCountTotal: entry.likeCountTotal,
+        likeCountAverage: average(entry.likeCountTotal, entry.likedCount),
+        likeRatingTotal: entry.likeRatingTotal,
+        paidCount: entry.paidCount,
+        paidRatio: entry.pricedCount > 0 ? Math.round((entry.paidCount / entry.pricedCount) * 1000) / 1000 : null,
+        priceAverage: average(entry.priceTotal, entry.paidCount),
+        priceMax: entry.priceMax,
+        bestTitle: String(entry.best.title || ""),
+        bestUrl: String(entry.best.url || ""),
+        bestLikeCount: numberValue(entry.best, "likeCount"),
+        ...salesFields(rollupSales(entry.articles)),
+      }))
+      .sort((a, b) => compareKnown(b.likeCountTotal, a.likeCountTotal) || b.articleCount - a.articleCount);
+  }
+
+  const numberColumn = (id, header) => ({ id, header, type: "number", value: (c) => c[id] });
+
+  /**
+   * クリエイター別の集計の列（exporter.js の buildTable に渡す列定義）
+   * 値のない項目（高評価数を取得していない、有料記事がないなど）は空欄（JSON では null）
+   */
+  const CREATOR_COLUMNS = [
+    { id: "creator", header: "クリエイター名", type: "string", value: (c) => c.creator },
+    { id: "creatorUrlname", header: "クリエイターID", type: "string", value: (c) => c.creatorUrlname },
+    numberColumn("articleCount", "記事数"),
+    numberColumn("likeCountTotal", "スキ数の合計"),
+    numberColumn("likeCountAverage", "スキ数の平均"),
+    numberColumn("likeRatingTotal", "高評価数の合計"),
+    numberColumn("paidCount", "有料記事数"),
+    numberColumn("paidRatio", "有料記事の割合"),
+    numberColumn("priceAverage", "平均単価（有料記事）"),
+    { id: "priceMax", header: "最高単価", type: "number", value: (c) => c.priceMax || null },
+    { id: "bestTitle", header: "スキ数が最も多い記事", type: "string", value: (c) => c.bestTitle },
+    { id: "bestUrl", header: "その記事のURL", type: "string", value: (c) => c.bestUrl },
+    numberColumn("bestLikeCount", "その記事のスキ数"),
+    numberColumn("estimatedBuyersTotal", "推定購入者数の合計（下限）"),
+    numberColumn("estimatedRevenueTotal", "推定売上の合計（下限）"),
+    numberColumn("unestimableCount", "推定不可の有料記事数"),
+  ];
+
+  /**
+   * クリエイター別の集計を行モデルに変換
+   * @param {Array} creators aggregateByCreator の戻り値
+   */
+  function buildCreatorTable(creators) {
+    return buildTable(creators, CREATOR_COLUMNS);
+  }
+
+  globalThis.NoteExporter = globalThis.NoteExporter || {};
+  globalThis.NoteExporter.creatorReport = {
+    CREATOR_COLUMNS,
+    aggregateByCreator,
+    buildCreatorTable,
+  };
+})();
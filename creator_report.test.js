@@ -0,0 +1,116 @@
+/**
+ * creator_report.js のユニットテスト
+ *
+ * テスト対象:
+ * - aggregateByCreator: クリエイターの区別（urlname）、件数・スキ数・高評価数・単価・推定売上の集計
+ * - buildCreatorTable: クリエイター別の集計の行モデル
+ */
+
+require("./exporter.js");
+require("./creator_report.js");
+
+const exporter = globalThis.NoteExporter.exporter;
+const creatorReport = globalThis.NoteExporter.creatorReport;
+
+const articles = [
+  { title: "A-1", creator: "ユーザーA", creatorUrlname: "user_a", likeCount: 10, likeRating: 2, price: 0, url: "https://note.com/user_a/n/n001" },
+  { title: "A-2", creator: "ユーザーA", creatorUrlname: "user_a", likeCount: 30, likeRating: 5, price: 500, url: "https://note.com/user_a/n/n002" },
+  { title: "A-3", creator: "ユーザーA", creatorUrlname: "user_a", likeCount: 20, price: 1000, url: "https://note.com/user_a/n/n003" },
+  // 表示名が同じ別のクリエイター
+  { title: "A'-1", creator: "ユーザーA", creatorUrlname: "user_a2", likeCount: 5, price: 0, url: "https://note.com/user_a2/n/n004" },
+  // urlname が分からない記事（DOM から取得）は表示名で区別する
+  { title: "B-1", creator: "ユーザーB", likeCount: 1, price: 0, url: "" },
+  { title: "B-2", creator: "ユーザーB", likeCount: 3, price: 0, url: "" },
+];
+
+describe("aggregateByCreator", () => {
+  const creators = creatorReport.aggregateByCreator(articles);
+  const byKey = Object.fromEntries(creators.map((c) => [c.key, c]));
+
+  test("urlname でクリエイターを区別し、スキ数の合計が多い順に並べる", () => {
+    expect(creators.map((c) => c.key)).toEqual(["id:user_a", "id:user_a2", "name:ユーザーB"]);
+    expect(creators.map((c) => c.creator)).toEqual(["ユーザーA", "ユーザーA", "ユーザーB"]);
+  });
+
+  test("記事数・スキ数・有料記事の割合・単価を集計する", () => {
+    expect(byKey["id:user_a"]).toMatchObject({
+      articleCount: 3,
+      likeCountTotal: 60,
+      likeCountAverage: 20,
+      paidCount: 2,
+      paidRatio: 0.667,
+      priceAverage: 750,
+      priceMax: 1000,
+    });
+  });
+
+  test("高評価数は取得できた記事だけ合計し、1件もなければ null", () => {
+    expect(byKey["id:user_a"].likeRatingTotal).toBe(7);
+    expect(byKey["name:ユーザーB"].likeRatingTotal).toBeNull();
+  });
+
+  test("スキ数が最も多い記事を記録する。有料記事がなければ平均単価は null", () => {
+    expect(byKey["id:user_a"]).toMatchObject({ bestTitle: "A-2", bestUrl: "https://note.com/user_a/n/n002", bestLikeCount: 30 });
+    expect(byKey["name:ユーザーB"]).toMatchObject({ bestTitle: "B-2", paidRatio: 0, priceAverage: null, priceMax: 0 });
+  });
+
+  test("スキ数の合計・平均は分かる記事だけで求め、1件もなければ null（そのクリエイターは最後に並べる）", () => {
+    const result = creatorReport.aggregateByCreator([
+      { creatorUrlname: "none", title: "不明", likeCount: null },
+      { creatorUrlname: "x", title: "X-1", likeCount: 10 },
+      { creatorUrlname: "x", title: "X-2", likeCount: null },
+      { creatorUrlname: "x", title: "X-3", likeCount: 20 },
+    ]);
+    expect(result.map((c) => c.key)).toEqual(["id:x", "id:none"]);
+    expect(result[0]).toMatchObject({ articleCount: 3, likeCountTotal: 30, likeCountAverage: 15 });
+    expect(result[1]).toMatchObject({ likeCountTotal: null, likeCountAverage: null, bestLikeCount: null });
+  });
+
+  test("スキ数が不明な記事は、スキ数0の記事より多いとはみなさない", () => {
+    const [creator] = creatorReport.aggregateByCreator([
+      { creatorUrlname: "x", title: "不明", likeCount: null, likeRating: 5 },
+      { creatorUrlname: "x", title: "0件", likeCount: 0 },
+    ]);
+    expect(creator).toMatchObject({ bestTitle: "0件", bestLikeCount: 0 });
+  });
+
+  test("有料記事の割合は単価が分かる記事だけで求め、1件もなければ null", () => {
+    const result = creatorReport.aggregateByCreator([
+      { creatorUrlname: "x", price: 500 },
+      { creatorUrlname: "x", price: 0 },
+      { creatorUrlname: "x", price: null },
+      { creatorUrlname: "x", price: null },
+      { creatorUrlname: "y", price: null },
+    ]);
+    const byKey = Object.fromEntries(result.map((c) => [c.key, c]));
+    expect(byKey["id:x"]).toMatchObject({ articleCount: 4, paidCount: 1, paidRatio: 0.5 });
+    expect(byKey["id:y"]).toMatchObject({ articleCount: 1, paidCount: 0, paidRatio: null });
+  });
+
+  test("推定売上（下限）は、高評価数の取得元が分かる有料記事だけを合計する", () => {
+    const result = creatorReport.aggregateByCreator([
+      { creatorUrlname: "x", price: 500, likeRating: 3, likeRatingSource: "api" },
+      { creatorUrlname: "x", price: 1000, likeRating: 2, likeRatingSource: "html" },
+      { creatorUrlname: "x", price: 800, likeRating: 0, likeRatingSource: "unknown" },
+      { creatorUrlname: "y", price: 800, likeRating: 5 },
+    ]);
+    expect(result[0]).toMatchObject({ key: "id:x", estimatedBuyersTotal: 5, estimatedRevenueTotal: 3500, unestimableCount: 1 });
+    expect(result[1]).toMatchObject({ key: "id:y", estimatedBuyersTotal: null, estimatedRevenueTotal: null, unestimableCount: 1 });
+  });
+
+  test("記事がなければ空配列", () => {
+    expect(creatorReport.aggregateByCreator([])).toEqual([]);
+    expect(creatorReport.aggregateByCreator(undefined)).toEqual([]);
+  });
+});
+
+describe("buildCreatorTable", () => {
+  test("値のない項目は空欄にする", () => {
+    const table = creatorReport.buildCreatorTable(creatorReport.aggregateByCreator(articles));
+    expect(table.headers.slice(0, 3)).toEqual(["クリエイター名", "クリエイターID", "記事数"]);
+    expect(table.rows.length).toBe(3);
+
+    const csvLines = exporter.serializeTable(table, "csv").content.split("\n");
+    expect(csvLines[3].startsWith("\"ユーザーB\",\"\",2,4,2,,0,0,,,\"B-2\"")).toBe(true);
+  });
+});
@@ -0,0 +1,670 @@
+/**
+ * エクスポート処理（行モデル・出力形式・ダウンロード）
+ *
+ * 記事配列を共通の行モデル（ヘッダー + 行）に変換し、
+ * 出力形式ごとのライター（CSV / TSV / JSON / JSONL / Markdown / XLSX）で書き出す。
+ *
+ * Background Service Worker と Side Panel の両方から読み込んで共通で使用する。
+ * 公開API: globalThis.NoteExporter.exporter
+ */
+
+(() => {
+  "use strict";
+
+  // --- 値の取得元と不明な値 ---
+
+  /**
+   * 値の取得元（note_api.js の VALUE_SOURCES）の表示名
+   */
+  const VALUE_SOURCE_LABELS = {
+    search_api: "検索API",
+    article_api: "記事API",
+    html_text: "HTMLテキスト",
+    next_data: "__NEXT_DATA__",
+    nuxt: "__NUXT__",
+    dom: "DOM",
+  };
+
+  // 取得元を記録する前の実行履歴の高評価数の取得元（likeRatingSource）
+  const LEGACY_RATING_SOURCES = { api: "article_api", html: "html_text" };
+
+  /**
+   * 記事の項目の取得元（不明・記録がなければ null）
+   */
+  function valueSource(article, field) {
+    if (article.sources && typeof article.sources === "object") return article.sources[field] || null;
+    if (field === "likeRating") return LEGACY_RATING_SOURCES[article.likeRatingSource] || null;
+    return null;
+  }
+
+  /**
+   * 記事の数値の項目の値（不明なら null）
+   * 取得元を記録する前の実行履歴で、高評価数を取得できなかった記事（likeRatingSource が "unknown" の 0）も不明とする
+   */
+  function numberValue(article, field) {
+    const value = article[field];
+    if (value === undefined || value === null || value === "") return null;
+    if (field === "likeRating" && article.likeRatingSource === "unknown") return null;
+    const num = Number(value);
+    return Number.isFinite(num) ? num : null;
+  }
+
+  // --- 行モデル ---
+
+  /**
+   * 売上の推定の区分
+   */
+  const SALES_ESTIMATE_LABELS = {
+    estimated: "推定値（下限）",
+    unknown: "推定不可（高評価数が不明）",
+    noPrice: "推定不可（単価が不明）",
+    free: "対象外（無料記事）",
+  };
+
+  /**
+   * 有料記事の購入者数・売上の下限を推定する
+   * 有料記事の高評価は購入者しか付けられないため、高評価数を購入者数の下限とみなす。
+   * 高評価数の取得元が分からない記事は、0 が「高評価なし」か「取得できなかった」かを区別できないため推定しない
+   * @param {object} article
+   * @returns {{ status: "estimated"|"unknown"|"noPrice"|"free", buyers: number|null, revenue: number|null }}
+   */
+  function estimateSales(article) {
+    const price = numberValue(article, "price");
+    if (price === null) return { status: "noPrice", buyers: null, revenue: null };
+    if (price <= 0) return { status: "free", buyers: null, revenue: null };
+    const rating = numberValue(article, "likeRating");
+    if (rating === null || !valueSource(article, "likeRating")) return { status: "unknown", buyers: null, revenue: null };
+    return { status: "estimated", buyers: rating, revenue: price * rating };
+  }
+
+  /**
+   * 記事配列の推定購入者数・推定売上の合計（クエリ別・クリエイター別の集計用）
+   * 推定できない有料記事は合計に含めず、その件数を unestimableCount に数える。
+   * 単価が不明な記事は有料・無料のどちらにも数えず、その件数を priceUnknownCount に数える
+   * @param {Array} articles
+   * @returns {{ paidCount: number, estimatedCount: number, unestimableCount: number, priceUnknownCount: number, buyers: number, revenue: number }}
+   */
+  function rollupSales(articles) {
+    const total = { paidCount: 0, estimatedCount: 0, unestimableCount: 0, priceUnknownCount: 0, buyers: 0, revenue: 0 };
+    for (const article of articles) {
+      const estimate = estimateSales(article);
+      if (estimate.status === "free") continue;
+      if (estimate.status === "noPrice") {
+        total.priceUnknownCount++;
+        continue;
+      }
+      total.paidCount++;
+      if (estimate.status === "unknown") {
+        total.unestimableCount++;
+        continue;
+      }
+      total.estimatedCount++;
+      total.buyers += estimate.buyers;
+      total.revenue += estimate.revenue;
+    }
+    return total;
+  }
+
+  /**
+   * 値が不明になりうる数値の項目（「不明な項目」列の対象）
+   */
+  const NUMBER_FIELDS = [
+    { id: "likeCount", header: "スキ数" },
+    { id: "likeRating", header: "高評価数" },
+    { id: "price", header: "単価" },
+    { id: "commentCount", header: "コメント数" },
+  ];
+
+  /**
+   * 項目の取得元の列（列ID は sourceLikeCount など。記事の likeRatingSource とは別）
+   */
+  const sourceColumn = (id, header) => ({
+    id: `source${id[0].toUpperCase()}${id.slice(1)}`, header: `${header}の取得元`, type: "string", defaultEnabled: false,
+    value: (a) => VALUE_SOURCE_LABELS[valueSource(a, id)] || "",
+  });
+
+  /**
+   * 出力列の定義（列の順序 = 既定の出力順）
+   * value は記事オブジェクトから出力値を取り出す（数値列は数値のまま返し、不明な値は null = 空欄）
+   * defaultEnabled が false の列は、列レイアウトで有効にした場合のみ出力する
+   */
+  const COLUMNS = [
+    { id: "title", header: "タイトル", type: "string", defaultEnabled: true, value: (a) => a.title || "" },
+    { id: "likeCount", header: "スキ数", type: "number", defaultEnabled: true, value: (a) => numberValue(a, "likeCount") },
+    { id: "likeRating", header: "高評価数", type: "number", defaultEnabled: true, value: (a) => numberValue(a, "likeRating") },
+    { id: "price", header: "単価", type: "number", defaultEnabled: true, value: (a) => numberValue(a, "price") },
+    { id: "url", header: "記事URL", type: "string", defaultEnabled: true, value: (a) => a.url || "" },
+    { id: "creator", header: "クリエイター名", type: "string", defaultEnabled: true, value: (a) => a.creator || "" },
+    { id: "creatorUrlname", header: "クリエイターID", type: "string", defaultEnabled: false, value: (a) => a.creatorUrlname || "" },
+    { id: "publishDate", header: "公開日時", type: "string", defaultEnabled: false, value: (a) => a.publishDate || "" },
+    { id: "commentCount", header: "コメント数", type: "number", defaultEnabled: false, value: (a) => numberValue(a, "commentCount") },
+    {
+      id: "hashtags", header: "ハッシュタグ", type: "string", defaultEnabled: false,
+      value: (a) => (Array.isArray(a.hashtags) ? a.hashtags.map((t) => `#${t}`).join(" ") : ""),
+    },
+    { id: "eyecatchUrl", header: "アイキャッチURL", type: "string", defaultEnabled: false, value: (a) => a.eyecatchUrl || "" },
+    { id: "noteType", header: "記事タイプ", type: "string", defaultEnabled: false, value: (a) => a.noteType || "" },
+    { id: "membershipOnly", header: "メンバーシップ限定", type: "boolean", defaultEnabled: false, value: (a) => a.membershipOnly === true },
+    { id: "inMagazine", header: "マガジン収録", type: "boolean", defaultEnabled: false, value: (a) => a.inMagazine === true },
+    { id: "query", header: "検索クエリ", type: "string", defaultEnabled: false, value: (a) => a.query || "" },
+    {
+      id: "salesEstimate", header: "売上の推定", type: "string", defaultEnabled: false,
+      value: (a) => SALES_ESTIMATE_LABELS[estimateSales(a).status],
+    },
+    { id: "estimatedBuyers", header: "推定購入者数（下限）", type: "number", defaultEnabled: false, value: (a) => estimateSales(a).buyers },
+    { id: "estimatedRevenue", header: "推定売上（下限）", type: "number", defaultEnabled: false, value: (a) => estimateSales(a).revenue },
+    {
+      id: "unknownFields", header: "不明な項目", type: "string", defaultEnabled: false,
+      value: (a) => NUMBER_FIELDS.filter((f) => numberValue(a, f.id) === null).map((f) => f.header).join(" "),
+    },
+    sourceColumn("title", "タイトル"),
+    sourceColumn("likeCount", "スキ数"),
+    sourceColumn("likeRating", "高評価数"),
+    sourceColumn("price", "単価"),
+    sourceColumn("creator", "クリエイター名"),
+    sourceColumn("publishDate", "公開日時"),
+    sourceColumn("commentCount", "コメント数"),
+  ];
+
+  // --- 列レイアウト（表示・順序・ヘッダー名のユーザー設定） ---
+
+  /**
+   * 列レイアウトを正規化
+   * 未知の列IDは除外し、レイアウトに無い列（後から追加された列など）は末尾に既定の表示状態で追加する
+   * @param {Array<{ id: string, header?: string, enabled?: boolean }>} [layout]
+   * @returns {Array<{ id: string, header: string, enabled: boolean }>} header は独自名（空文字なら既定名）
+   */
+  function normalizeLayout(layout) {
+    const known = new Map(COLUMNS.map((c) => [c.id, c]));
+    const result = [];
+    const seen = new Set();
+
+    for (const entry of Array.isArray(layout) ? layout : []) {
+      if (!entry || !known.has(entry.id) || seen.has(entry.id)) continue;
+      seen.add(entry.id);
+      result.push({
+        id: entry.id,
+        header: typeof entry.header === "string" ? entry.header.trim() : "",
+        enabled: entry.enabled !== false,
+      });
+    }
+
+    for (const col of COLUMNS) {
+      if (!seen.has(col.id)) {
+        result.push({ id: col.id, header: "", enabled: col.defaultEnabled });
+      }
+    }
+    return result;
+  }
+
+  /**
+   * 指定した列を必ず出力するレイアウトを返す（一括取得の「検索クエリ」列など）
+   * 無効だった列は有効にして先頭へ移動し、有効な列は位置を変えない
+   */
+  function withColumnEnabled(layout, id) {
+    const normalized = normalizeLayout(layout);
+    const index = normalized.findIndex((entry) => entry.id === id);
+    if (index === -1 || normalized[index].enabled) return normalized;
+    const [entry] = normalized.splice(index, 1);
+    return [{ ...entry, enabled: true }, ...normalized];
+  }
+
+  /**
+   * 列レイアウトを出力列の定義に解決（有効な列のみ、レイアウト順、ヘッダー名を反映）
+   * 有効な列が1つもない場合は既定の列を返す
+   */
+  function resolveColumns(layout) {
+    const byId = new Map(COLUMNS.map((c) => [c.id, c]));
+    const columns = normalizeLayout(layout)
+      .filter((entry) => entry.enabled)
+      .map((entry) => ({ ...byId.get(entry.id), header: entry.header || byId.get(entry.id).header }));
+    return columns.length > 0 ? columns : COLUMNS.filter((c) => c.defaultEnabled);
+  }
+
+  /**
+   * 記事配列を行モデルに変換
+   * @param {Array} articles
+   * @param {Array} [columns] 出力列の定義（省略時は既定の列）
+   * @returns {{ headers: string[], types: string[], rows: Array<Array<string|number>> }}
+   */
+  function buildTable(articles, columns) {
+    const cols = columns || resolveColumns();
+    return {
+      headers: cols.map((c) => c.header),
+      types: cols.map((c) => c.type),
+      rows: articles.map((a) => cols.map((c) => c.value(a))),
+    };
+  }
+
+  /**
+   * 行モデルをヘッダー名をキーとするオブジェクト配列に変換（JSON系の出力用）
+   */
+  function tableToObjects(table) {
+    return table.rows.map((row) => {
+      const obj = {};
+      table.headers.forEach((header, i) => { obj[header] = row[i]; });
+      return obj;
+    });
+  }
+
+  // --- 形式ごとのライター ---
+
+  /**
+   * テキスト系の形式でのセル表記（真偽値は TRUE / FALSE）
+   */
+  function cellText(value) {
+    if (value === undefined || value === null) return "";
+    if (typeof value === "boolean") return value ? "TRUE" : "FALSE";
+    return String(value);
+  }
+
+  function escapeCsvField(value) {
+    if (!value) return '""';
+    const str = String(value);
+    if (str.includes('"') || str.includes(",") || str.includes("\n")) {
+      return `"${str.replace(/"/g, '""')}"`;
+    }
+    return `"${str}"`;
+  }
+
+  function writeCsv(table) {
+    const rows = table.rows.map((row) =>
+      row.map((val, i) => (table.types[i] === "string" ? escapeCsvField(val) : cellText(val)))
+    );
+    return [table.headers.join(","), ...rows.map((r) => r.join(","))].join("\n");
+  }
+
+  function escapeTsvField(value) {
+    return cellText(value).replace(/[\t\r\n]+/g, " ");
+  }
+
+  function writeTsv(table) {
+    return [table.headers, ...table.rows]
+      .map((row) => row.map(escapeTsvField).join("\t"))
+      .join("\n");
+  }
+
+  function writeJson(table) {
+    return JSON.stringify(tableToObjects(table), null, 2);
+  }
+
+  function writeJsonl(table) {
+    return tableToObjects(table).map((obj) => JSON.stringify(obj)).join("\n");
+  }
+
+  function escapeMarkdownCell(value) {
+    return cellText(value)
+      .replace(/\|/g, "\\|")
+      .replace(/\r?\n/g, "<br>");
+  }
+
+  function writeMarkdown(table) {
+    const line = (cells) => `| ${cells.map(escapeMarkdownCell).join(" | ")} |`;
+    const separator = `|${table.types.map((t) => (t === "number" ? " ---: " : " --- ")).join("|")}|`;
+    return [line(table.headers), separator, ...table.rows.map(line)].join("\n");
+  }
+
+  // --- XLSX（Office Open XML）ライター ---
+
+  const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      table[n] = c >>> 0;
+    }
+    return table;
+  })();
+
+  function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  /**
+   * 無圧縮（STORE）のZIPアーカイブを作成
+   * @param {Array<{ name: string, data: string }>} files
+   * @returns {Uint8Array}
+   */
+  function createZip(files) {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const file of files) {
+      const nameBytes = encoder.encode(file.name);
+      const dataBytes = encoder.encode(file.data);
+      const crc = crc32(dataBytes);
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034B50, true);
+      local.setUint16(4, 20, true); // 展開に必要なバージョン
+      local.setUint16(6, 0x0800, true); // ファイル名はUTF-8
+      local.setUint16(8, 0, true); // STORE
+      local.setUint16(10, 0, true); // 時刻
+      local.setUint16(12, 0x21, true); // 日付（1980-01-01）
+      local.setUint32(14, crc, true);
+      local.setUint32(18, dataBytes.length, true);
+      local.setUint32(22, dataBytes.length, true);
+      local.setUint16(26, nameBytes.length, true);
+      local.setUint16(28, 0, true);
+
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, 0x02014B50, true);
+      central.setUint16(4, 20, true);
+      central.setUint16(6, 20, true);
+      central.setUint16(8, 0x0800, true);
+      central.setUint16(10, 0, true);
+      central.setUint16(12, 0, true);
+      central.setUint16(14, 0x21, true);
+      central.setUint32(16, crc, true);
+      central.setUint32(20, dataBytes.length, true);
+      central.setUint32(24, dataBytes.length, true);
+      central.setUint16(28, nameBytes.length, true);
+      central.setUint32(42, offset, true);
+
+      localParts.push(new Uint8Array(local.buffer), nameBytes, dataBytes);
+      centralParts.push(new Uint8Array(central.buffer), nameBytes);
+      offset += 30 + nameBytes.length + dataBytes.length;
+    }
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let pos = 0;
+    for (const part of parts) {
+      result.set(part, pos);
+      pos += part.length;
+    }
+    return result;
+  }
+
+  function escapeXml(value) {
+    return String(value)
+      // XML 1.0 で使えない制御文字を除去
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "")
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  function columnLetter(index) {
+    let letters = "";
+    let n = index + 1;
+    while (n > 0) {
+      const rem = (n - 1) % 26;
+      letters = String.fromCharCode(65 + rem) + letters;
+      n = Math.floor((n - 1) / 26);
+    }
+    return letters;
+  }
+
+  function buildSheetXml(table) {
+    const allRows = [table.headers, ...table.rows];
+    const rowsXml = allRows.map((row, r) => {
+      const cells = row.map((val, c) => {
+        const ref = `${columnLetter(c)}${r + 1}`;
+        if (r > 0 && typeof val === "number" && isFinite(val)) {
+          return `<c r="${ref}"><v>${val}</v></c>`;
+        }
+        if (r > 0 && typeof val === "boolean") {
+          return `<c r="${ref}" t="b"><v>${val ? 1 : 0}</v></c>`;
+        }
+        return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(val === undefined || val === null ? "" : val)}</t></is></c>`;
+      });
+      return `<row r="${r + 1}">${cells.join("")}</row>`;
+    });
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+      + `<sheetData>${rowsXml.join("")}</sheetData>`
+      + "</worksheet>";
+  }
+
+  /**
+   * シートの配列からXLSXワークブックを作成
+   * @param {Array<{ name: string, table: object }>} sheets
+   * @returns {Uint8Array}
+   */
+  function buildWorkbook(sheets) {
+    const sheetName = (name) => escapeXml(String(name).replace(/[\\/?*[\]:]/g, "_").substring(0, 31));
+
+    const files = [
+      {
+        name: "[Content_Types].xml",
+        data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+          + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+          + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+          + '<Default Extension="xml" ContentType="application/xml"/>'
+          + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+          + sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join("")
+          + "</Types>",
+      },
+      {
+        name: "_rels/.rels",
+        data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+          + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+          + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+          + "</Relationships>",
+      },
+      {
+        name: "xl/workbook.xml",
+        data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+          + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+          + `<sheets>${sheets.map((s, i) => `<sheet name="${sheetName(s.name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join("")}</sheets>`
+          + "</workbook>",
+      },
+      {
+        name: "xl/_rels/workbook.xml.rels",
+        data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+          + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+          + sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join("")
+          + "</Relationships>",
+      },
+      ...sheets.map((s, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, data: buildSheetXml(s.table) })),
+    ];
+
+    return createZip(files);
+  }
+
+  function writeXlsx(table, sheetName) {
+    return buildWorkbook([{ name: sheetName || "記事一覧", table }]);
+  }
+
+  // --- 出力形式の登録 ---
+
+  /**
+   * 出力形式の一覧
+   * write は行モデル（と XLSX のシート名）を受け取り、文字列または Uint8Array を返す
+   */
+  const FORMATS = {
+    csv: { label: "CSV", extension: "csv", mimeType: "text/csv;charset=utf-8;", bom: true, write: writeCsv },
+    tsv: { label: "TSV", extension: "tsv", mimeType: "text/tab-separated-values;charset=utf-8;", bom: true, write: writeTsv },
+    json: { label: "JSON", extension: "json", mimeType: "application/json;charset=utf-8;", bom: false, write: writeJson },
+    jsonl: { label: "JSON Lines", extension: "jsonl", mimeType: "application/x-ndjson;charset=utf-8;", bom: false, write: writeJsonl },
+    markdown: { label: "Markdown表", extension: "md", mimeType: "text/markdown;charset=utf-8;", bom: false, write: writeMarkdown },
+    xlsx: { label: "Excel (.xlsx)", extension: "xlsx", mimeType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", bom: false, write: writeXlsx },
+  };
+
+  const DEFAULT_FORMAT = "csv";
+  const BOM = "\uFEFF";
+
+  function getFormat(formatId) {
+    return FORMATS[formatId] || FORMATS[DEFAULT_FORMAT];
+  }
+
+  /**
+   * 行モデルを指定形式のファイル内容に変換（差分レポートなど、記事一覧以外の表の出力にも使う）
+   * @param {{ headers: string[], types: string[], rows: Array }} table
+   * @param {string} [formatId] FORMATS のキー（省略時はCSV）
+   * @param {string} [sheetName] XLSX のシート名（省略時は「記事一覧」）
+   */
+  function serializeTable(table, formatId, sheetName) {
+    const format = getFormat(formatId);
+    const output = format.write(table, sheetName);
+    return {
+      content: format.bom ? BOM + output : output,
+      extension: format.extension,
+      mimeType: format.mimeType,
+    };
+  }
+
+  function formatDate(date) {
+    const now = date || new Date();
+    const y = now.getFullYear();
+    const m = String(now.getMonth() + 1).padStart(2, "0");
+    const d = String(now.getDate()).padStart(2, "0");
+    const h = String(now.getHours()).padStart(2, "0");
+    const min = String(now.getMinutes()).padStart(2, "0");
+    return `${y}${m}${d}_${h}${min}`;
+  }
+
+  /**
+   * 文字列またはバイト列をファイルとしてダウンロードさせる
+   */
+  function downloadFile(content, filename, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * ファイル名に使えない文字を置き換える（クエリ名などをファイル名に含めるため）
+   */
+  function sanitizeFileNamePart(text) {
+    return String(text || "")
+      .replace(/[\\/:*?"<>|#\s]+/g, "_")
+      .replace(/^_+|_+$/g, "")
+      .slice(0, 50);
+  }
+
+  /**
+   * 出力ファイルの内容とファイル名を作る
+   * @param {Array} articles
+   * @param {{ format?: string, layout?: Array, date?: Date, label?: string }} [options]
+   *   format: FORMATS のキー（省略時はCSV） / layout: 列レイアウト / date: ファイル名に使う日時
+   *   label: ファイル名の末尾に付ける名前（一括取得のクエリごとの出力など）
+   * @returns {{ content: string|Uint8Array, filename: string, mimeType: string }}
+   */
+  function buildExportFile(articles, options) {
+    const opts = options || {};
+    return buildTableFile(buildTable(articles, resolveColumns(opts.layout)), opts);
+  }
+
+  /**
+   * 行モデルから出力ファイルの内容とファイル名を作る
+   * @param {object} table buildTable の戻り値
+   * @param {{ format?: string, date?: Date, label?: string, baseName?: string, sheetName?: string }} [options]
+   *   baseName: ファイル名の先頭（省略時は "note_search_results"） / その他は buildExportFile と同じ
+   * @returns {{ content: string|Uint8Array, filename: string, mimeType: string }}
+   */
+  function buildTableFile(table, options) {
+    const opts = options || {};
+    const { content, extension, mimeType } = serializeTable(table, opts.format, opts.sheetName);
+    return { content, filename: buildFileName(opts, extension), mimeType };
+  }
+
+  function buildFileName(opts, extension) {
+    const label = sanitizeFileNamePart(opts.label);
+    return `${opts.baseName || "note_search_results"}_${formatDate(opts.date)}${label ? "_" + label : ""}.${extension}`;
+  }
+
+  /**
+   * 記事一覧に別の表（統計サマリーなど）を添えた出力ファイルを作る
+   * XLSX は記事一覧と同じブックの2枚目以降のシートにし、その他の形式は表ごとに別ファイルにする
+   * （ファイル名は添える表の baseName に、記事一覧と同じ日時・名前を付ける）
+   * @param {Array} articles
+   * @param {object} [options] buildExportFile と同じ
+   * @param {Array<{ table: object, sheetName: string, baseName: string }>} [attachments] 添える表
+   * @returns {Array<{ content: string|Uint8Array, filename: string, mimeType: string }>} 先頭が記事一覧
+   */
+  function buildExportFiles(articles, options, attachments) {
+    const opts = options || {};
+    const extras = Array.isArray(attachments) ? attachments : [];
+    const table = buildTable(articles, resolveColumns(opts.layout));
+    if (extras.length === 0) return [buildTableFile(table, opts)];
+
+    const format = getFormat(opts.format);
+    if (format.extension === "xlsx") {
+      const sheets = [{ name: opts.sheetName || "記事一覧", table }, ...extras.map((e) => ({ name: e.sheetName, table: e.table }))];
+      return [{ content: buildWorkbook(sheets), filename: buildFileName(opts, format.extension), mimeType: format.mimeType }];
+    }
+    return [
+      buildTableFile(table, opts),
+      ...extras.map((e) => buildTableFile(e.table, { ...opts, baseName: e.baseName, sheetName: e.sheetName })),
+    ];
+  }
+
+  /**
+   * ファイルの内容を data: URL に変換する
+   * Service Worker では Blob URL を作れないため、chrome.downloads にはこの形式で渡す
+   */
+  function toDataUrl(content, mimeType) {
+    const bytes = typeof content === "string" ? new TextEncoder().encode(content) : content;
+    let binary = "";
+    const CHUNK = 0x8000;
+    for (let i = 0; i < bytes.length; i += CHUNK) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK));
+    }
+    return `data:${String(mimeType).replace(/;+$/, "")};base64,${btoa(binary)}`;
+  }
+
+  /**
+   * 記事配列を指定形式でダウンロード（ページ・Side Panel 用。options は buildExportFile と同じ）
+   * @param {Array} [attachments] 添える表（buildExportFiles を参照）
+   */
+  function exportArticles(articles, options, attachments) {
+    for (const { content, filename, mimeType } of buildExportFiles(articles, options, attachments)) {
+      downloadFile(content, filename, mimeType);
+    }
+  }
+
+  globalThis.NoteExporter = globalThis.NoteExporter || {};
+  globalThis.NoteExporter.exporter = {
+    VALUE_SOURCE_LABELS,
+    valueSource,
+    numberValue,
+    SALES_ESTIMATE_LABELS,
+    estimateSales,
+    rollupSales,
+    COLUMNS,
+    FORMATS,
+    DEFAULT_FORMAT,
+    normalizeLayout,
+    withColumnEnabled,
+    resolveColumns,
+    buildTable,
+    tableToObjects,
+    escapeCsvField,
+    buildWorkbook,
+    crc32,
+    serializeTable,
+    formatDate,
+    sanitizeFileNamePart,
+    buildExportFile,
+    buildExportFiles,
+    buildTableFile,
+    toDataUrl,
+    downloadFile,
+    exportArticles,
+  };
+})();
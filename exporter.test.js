@@ -0,0 +1,472 @@
+/**
+ * exporter.js のユニットテスト
+ *
+ * テスト対象:
+ * - buildTable: 記事配列 → 行モデル
+ * - estimateSales / rollupSales: 有料記事の推定購入者数・推定売上（下限）
+ * - normalizeLayout / withColumnEnabled / resolveColumns: 列レイアウト（表示・順序・ヘッダー名）
+ * - sanitizeFileNamePart: ファイル名に含めるクエリ名の整形
+ * - escapeCsvField: CSVフィールドエスケープ
+ * - buildExportFiles: 各出力形式（CSV / TSV / JSON / JSONL / Markdown / XLSX）
+ * - buildExportFile / buildTableFile / toDataUrl: ファイル名の決定と chrome.downloads 用の data: URL
+ * - buildExportFiles: 記事一覧に添える表（XLSX は別シート、その他の形式は別ファイル）
+ * - crc32 / buildWorkbook: XLSX（ZIP）生成
+ */
+
+require("./exporter.js");
+
+const exporter = globalThis.NoteExporter.exporter;
+
+const articles = [
+  { title: "記事A, 入門", likeCount: 150, likeRating: 12, price: 0, url: "https://note.com/userA/n/n001", creator: "ユーザーA" },
+  { title: "記事B | \"比較\"\n改行", likeCount: 300, price: 1500, url: "https://note.com/userB/n/n002", creator: "ユーザーB" },
+];
+
+const decoder = new TextDecoder();
+
+// 既定で出力する列のヘッダー
+const DEFAULT_HEADERS = ["タイトル", "スキ数", "高評価数", "単価", "記事URL", "クリエイター名"];
+
+/** 記事一覧の出力ファイル（Background の出力と同じ buildExportFiles の1件目） */
+const exportFile = (rows, format, layout) => exporter.buildExportFiles(rows, { format, layout })[0];
+
+// ========================================
+// estimateSales / rollupSales
+// ========================================
+describe("estimateSales / rollupSales", () => {
+  test("有料記事は高評価数を購入者数の下限とし、単価を掛けて売上の下限にする", () => {
+    expect(exporter.estimateSales({ price: 500, likeRating: 12, likeRatingSource: "api" }))
+      .toEqual({ status: "estimated", buyers: 12, revenue: 6000 });
+    expect(exporter.estimateSales({ price: 500, likeRating: 0, likeRatingSource: "html" }))
+      .toEqual({ status: "estimated", buyers: 0, revenue: 0 });
+  });
+
+  test("取得元を記録した記事は sources.likeRating で判定し、単価が不明な記事は有料記事に数えない", () => {
+    expect(exporter.estimateSales({ price: 500, likeRating: 0, sources: { likeRating: "next_data" } }))
+      .toEqual({ status: "estimated", buyers: 0, revenue: 0 });
+    expect(exporter.estimateSales({ price: 500, likeRating: null, sources: { likeRating: null } }).status).toBe("unknown");
+    expect(exporter.estimateSales({ price: null, likeRating: 3, sources: { likeRating: "article_api" } }).status).toBe("noPrice");
+    expect(exporter.rollupSales([{ price: null, likeRating: 3 }, { price: 300, likeRating: null }]))
+      .toMatchObject({ paidCount: 1, unestimableCount: 1, priceUnknownCount: 1 });
+  });
+
+  test("高評価数の取得元が分からない記事は推定不可、無料記事は対象外", () => {
+    expect(exporter.estimateSales({ price: 500, likeRating: 0, likeRatingSource: "unknown" }).status).toBe("unknown");
+    expect(exporter.estimateSales({ price: 500, likeRating: 3 }).status).toBe("unknown");
+    expect(exporter.estimateSales({ price: 500, likeRatingSource: "api" }).status).toBe("unknown");
+    expect(exporter.estimateSales({ price: 0, likeRating: 3, likeRatingSource: "api" }))
+      .toEqual({ status: "free", buyers: null, revenue: null });
+  });
+
+  test("推定の列は既定では出力せず、推定できない行は区分で示して数値を空欄にする", () => {
+    const layout = exporter.normalizeLayout().map((c) => ({ ...c, enabled: ["title", "salesEstimate", "estimatedBuyers", "estimatedRevenue"].includes(c.id) }));
+    expect(exporter.resolveColumns().some((c) => c.id === "estimatedRevenue")).toBe(false);
+
+    const table = exporter.buildTable([
+      { title: "A", price: 300, likeRating: 2, likeRatingSource: "api" },
+      { title: "B", price: 300, likeRating: 0, likeRatingSource: "unknown" },
+      { title: "C", price: 0 },
+    ], exporter.resolveColumns(layout));
+    expect(table.headers).toEqual(["タイトル", "売上の推定", "推定購入者数（下限）", "推定売上（下限）"]);
+    expect(table.rows).toEqual([
+      ["A", "推定値（下限）", 2, 600],
+      ["B", "推定不可（高評価数が不明）", null, null],
+      ["C", "対象外（無料記事）", null, null],
+    ]);
+  });
+
+  test("合計は推定できた有料記事だけで求め、推定不可の件数を数える", () => {
+    expect(exporter.rollupSales([
+      { price: 300, likeRating: 2, likeRatingSource: "api" },
+      { price: 1000, likeRating: 1, likeRatingSource: "html" },
+      { price: 500, likeRating: 0, likeRatingSource: "unknown" },
+      { price: 0, likeRating: 9, likeRatingSource: "api" },
+    ])).toEqual({ paidCount: 3, estimatedCount: 2, unestimableCount: 1, priceUnknownCount: 0, buyers: 3, revenue: 1600 });
+  });
+});
+
+// ========================================
+// buildTable
+// ========================================
+describe("buildTable", () => {
+  test("既定の6列で行モデルを作る", () => {
+    const table = exporter.buildTable(articles);
+    expect(table.headers).toEqual(["タイトル", "スキ数", "高評価数", "単価", "記事URL", "クリエイター名"]);
+    expect(table.rows[0]).toEqual(["記事A, 入門", 150, 12, 0, "https://note.com/userA/n/n001", "ユーザーA"]);
+  });
+
+  test("likeRatingがない記事は不明（null = 空欄）になる", () => {
+    const table = exporter.buildTable(articles);
+    expect(table.rows[1][2]).toBeNull();
+  });
+
+  test("取得元と不明な項目の列は既定では出力せず、有効にすると表示名で出力する", () => {
+    const ids = ["likeCount", "likeRating", "sourceLikeCount", "sourceLikeRating", "sourcePrice", "unknownFields"];
+    expect(exporter.resolveColumns().some((c) => c.id.startsWith("source") || c.id === "unknownFields")).toBe(false);
+
+    const layout = exporter.normalizeLayout().map((c) => ({ ...c, enabled: ids.includes(c.id) }));
+    const table = exporter.buildTable([
+      { likeCount: 0, likeRating: null, price: 300, commentCount: 2, sources: { likeCount: "dom", likeRating: null, price: "search_api" } },
+      { likeCount: 4, likeRating: 0, likeRatingSource: "unknown", price: 300 },
+    ], exporter.resolveColumns(layout));
+    expect(table.headers).toEqual(["スキ数", "高評価数", "不明な項目", "スキ数の取得元", "高評価数の取得元", "単価の取得元"]);
+    expect(table.rows).toEqual([
+      [0, null, "高評価数", "DOM", "", "検索API"],
+      // 取得元を記録する前の実行履歴: 取得できなかった高評価数（"unknown" の 0）は不明とする
+      [4, null, "高評価数 コメント数", "", "", ""],
+    ]);
+  });
+});
+
+// ========================================
+// normalizeLayout / resolveColumns
+// ========================================
+describe("normalizeLayout", () => {
+  test("未指定の場合は既定の列順・表示状態", () => {
+    const layout = exporter.normalizeLayout(null);
+    expect(layout.map((e) => e.id)).toEqual(exporter.COLUMNS.map((c) => c.id));
+    expect(layout.every((e) => e.header === "")).toBe(true);
+  });
+
+  test("未知の列IDと重複は除外し、不足している列は末尾に追加", () => {
+    const layout = exporter.normalizeLayout([
+      { id: "url", enabled: true },
+      { id: "unknown", enabled: true },
+      { id: "url", enabled: false },
+    ]);
+    expect(layout[0]).toEqual({ id: "url", header: "", enabled: true });
+    expect(layout.filter((e) => e.id === "url").length).toBe(1);
+    expect(layout.some((e) => e.id === "unknown")).toBe(false);
+    expect(layout.length).toBe(exporter.COLUMNS.length);
+  });
+});
+
+describe("withColumnEnabled", () => {
+  test("無効な列は有効にして先頭へ移動する", () => {
+    const layout = exporter.withColumnEnabled(null, "query");
+    expect(layout[0]).toEqual({ id: "query", header: "", enabled: true });
+    expect(layout.filter((e) => e.id === "query").length).toBe(1);
+  });
+
+  test("有効な列は位置とヘッダー名を変えない", () => {
+    const base = exporter.normalizeLayout([{ id: "title", enabled: true }, { id: "query", header: "キーワード", enabled: true }]);
+    expect(exporter.withColumnEnabled(base, "query")).toEqual(base);
+  });
+});
+
+describe("resolveColumns", () => {
+  test("レイアウトの順序・表示・ヘッダー名を反映", () => {
+    const columns = exporter.resolveColumns([
+      { id: "creator", header: "著者", enabled: true },
+      { id: "title", header: "", enabled: true },
+      { id: "likeCount", enabled: false },
+      { id: "likeRating", enabled: false },
+      { id: "price", enabled: false },
+      { id: "url", enabled: false },
+    ]);
+    expect(columns.map((c) => c.header)).toEqual(["著者", "タイトル"]);
+  });
+
+  test("追加メタデータの列は既定では出力しない", () => {
+    const ids = exporter.resolveColumns().map((c) => c.id);
+    expect(ids).not.toContain("publishDate");
+    expect(ids).not.toContain("hashtags");
+  });
+
+  test("有効な列がない場合は既定の列", () => {
+    const layout = exporter.COLUMNS.map((c) => ({ id: c.id, enabled: false }));
+    expect(exporter.resolveColumns(layout).map((c) => c.header)).toEqual(DEFAULT_HEADERS);
+  });
+
+  test("レイアウトはすべての出力形式に適用される", () => {
+    const layout = [
+      { id: "title", header: "記事名", enabled: true },
+      { id: "price", enabled: true },
+      { id: "likeCount", enabled: false },
+      { id: "likeRating", enabled: false },
+      { id: "url", enabled: false },
+      { id: "creator", enabled: false },
+    ];
+    const csv = exportFile(articles, "csv", layout).content;
+    expect(csv.replace(/^\uFEFF/, "").split("\n")[0]).toBe("記事名,単価");
+
+    const json = JSON.parse(exportFile(articles, "json", layout).content);
+    expect(Object.keys(json[0])).toEqual(["記事名", "単価"]);
+
+    const md = exportFile(articles, "markdown", layout).content;
+    expect(md.split("\n")[1]).toBe("| --- | ---: |");
+  });
+});
+
+// ========================================
+// 出力形式
+// ========================================
+describe("出力形式", () => {
+  test("CSVはBOM付きで、従来と同じ形式", () => {
+    const { content, filename } = exportFile(articles, "csv");
+    expect(filename.endsWith(".csv")).toBe(true);
+    expect(content.startsWith("\uFEFF")).toBe(true);
+    expect(content.split("\n")[0]).toBe("\uFEFF" + DEFAULT_HEADERS.join(","));
+    expect(content.split("\n")[1]).toBe('"記事A, 入門",150,12,0,"https://note.com/userA/n/n001","ユーザーA"');
+  });
+
+  test("TSVはタブ区切りで、セル内のタブ・改行は空白に置換", () => {
+    const { content } = exportFile(articles, "tsv");
+    const lines = content.replace(/^\uFEFF/, "").split("\n");
+    expect(lines.length).toBe(3);
+    expect(lines[0].split("\t")).toEqual(DEFAULT_HEADERS);
+    expect(lines[2].split("\t")[0]).toBe('記事B | "比較" 改行');
+  });
+
+  test("JSONはヘッダー名をキーとしたオブジェクト配列（数値は数値のまま）", () => {
+    const { content } = exportFile(articles, "json");
+    const parsed = JSON.parse(content);
+    expect(parsed.length).toBe(2);
+    expect(parsed[1]["タイトル"]).toBe('記事B | "比較"\n改行');
+    expect(parsed[1]["単価"]).toBe(1500);
+  });
+
+  test("JSONLは1行1記事", () => {
+    const { content } = exportFile(articles, "jsonl");
+    const lines = content.split("\n");
+    expect(lines.length).toBe(2);
+    expect(JSON.parse(lines[0])["スキ数"]).toBe(150);
+  });
+
+  test("Markdownはパイプと改行をエスケープし、数値列は右寄せ", () => {
+    const { content, filename } = exportFile(articles, "markdown");
+    const lines = content.split("\n");
+    expect(filename.endsWith(".md")).toBe(true);
+    expect(lines[0]).toBe("| タイトル | スキ数 | 高評価数 | 単価 | 記事URL | クリエイター名 |");
+    expect(lines[1]).toBe("| --- | ---: | ---: | ---: | --- | --- |");
+    expect(lines[3]).toContain('記事B \\| "比較"<br>改行');
+  });
+
+  test("ハッシュタグは#付きの空白区切り、真偽値はTRUE/FALSE", () => {
+    const layout = [
+      { id: "hashtags", enabled: true },
+      { id: "membershipOnly", enabled: true },
+      ...["title", "likeCount", "likeRating", "price", "url", "creator"].map((id) => ({ id, enabled: false })),
+    ];
+    const rows = [{ ...articles[0], hashtags: ["AI", "個人開発"], membershipOnly: true }];
+
+    const csv = exportFile(rows, "csv", layout).content;
+    expect(csv.split("\n")[1]).toBe('"#AI #個人開発",TRUE');
+
+    const json = JSON.parse(exportFile(rows, "json", layout).content);
+    expect(json[0]["メンバーシップ限定"]).toBe(true);
+
+    const xlsx = decoder.decode(exportFile(rows, "xlsx", layout).content);
+    expect(xlsx).toContain('<c r="B2" t="b"><v>1</v></c>');
+  });
+
+  test("未知の形式はCSVとして出力", () => {
+    expect(exportFile(articles, "unknown").filename.endsWith(".csv")).toBe(true);
+  });
+
+  test("XLSXはZIP（PK）形式のバイト列", () => {
+    const { content, filename } = exportFile(articles, "xlsx");
+    expect(filename.endsWith(".xlsx")).toBe(true);
+    expect(content).toBeInstanceOf(Uint8Array);
+    expect(Array.from(content.slice(0, 4))).toEqual([0x50, 0x4B, 0x03, 0x04]);
+  });
+});
+
+// ========================================
+// escapeCsvField
+// ========================================
+describe("escapeCsvField", () => {
+  test("通常の文字列", () => {
+    expect(exporter.escapeCsvField("hello")).toBe('"hello"');
+  });
+
+  test("カンマを含む文字列", () => {
+    expect(exporter.escapeCsvField("a,b")).toBe('"a,b"');
+  });
+
+  test("ダブルクォートを含む文字列", () => {
+    expect(exporter.escapeCsvField('a"b')).toBe('"a""b"');
+  });
+
+  test("改行を含む文字列", () => {
+    expect(exporter.escapeCsvField("a\nb")).toBe('"a\nb"');
+  });
+
+  test("null", () => {
+    expect(exporter.escapeCsvField(null)).toBe('""');
+  });
+
+  test("空文字列", () => {
+    expect(exporter.escapeCsvField("")).toBe('""');
+  });
+});
+
+describe("CSV - 高評価数列", () => {
+  // バックグラウンドの出力（downloadArticles）と同じ buildExportFiles で CSV を作る
+  const date = new Date(2024, 0, 2, 3, 4);
+  const csvLines = (rows) => exporter.buildExportFiles(rows, { format: "csv", date })[0].content.replace(/^\uFEFF/, "").split("\n");
+
+  test("CSVヘッダーに高評価数が含まれ、値を出力する", () => {
+    const rows = [
+      { title: "テスト", likeCount: 5, likeRating: 24, price: 100, url: "https://note.com/u/n/n1", creator: "c" },
+    ];
+    expect(exporter.buildTable(rows).headers[2]).toBe("高評価数");
+    expect(exporter.buildTable(rows).rows[0][2]).toBe(24);
+
+    const [header, line] = csvLines(rows);
+    expect(header).toBe("タイトル,スキ数,高評価数,単価,記事URL,クリエイター名");
+    expect(line).toBe('"テスト",5,24,100,"https://note.com/u/n/n1","c"');
+  });
+
+  test("likeRatingがundefinedの場合は空欄が出力される", () => {
+    const rows = [
+      { title: "テスト", likeCount: 5, price: 100, url: "https://note.com/u/n/n1", creator: "c" },
+    ];
+    expect(exporter.buildTable(rows).rows[0][2]).toBeNull();
+    expect(csvLines(rows)[1]).toBe('"テスト",5,,100,"https://note.com/u/n/n1","c"');
+  });
+
+  test("高評価数0は空欄にせず0を出力する", () => {
+    const rows = [
+      { title: "テスト", likeCount: 5, likeRating: 0, price: 100, url: "https://note.com/u/n/n1", creator: "c", sources: { likeRating: "article_api" } },
+    ];
+    expect(csvLines(rows)[1]).toBe('"テスト",5,0,100,"https://note.com/u/n/n1","c"');
+  });
+});
+
+describe("sanitizeFileNamePart", () => {
+  test("ファイル名に使えない文字・空白・#を置き換える", () => {
+    expect(exporter.sanitizeFileNamePart("#個人 開発/AI?")).toBe("個人_開発_AI");
+    expect(exporter.sanitizeFileNamePart("")).toBe("");
+  });
+});
+
+// ========================================
+// buildExportFile / toDataUrl
+// ========================================
+describe("buildExportFile", () => {
+  const date = new Date(2024, 0, 2, 3, 4);
+
+  test("日時入りのファイル名と形式ごとのMIMEタイプを返す", () => {
+    const file = exporter.buildExportFile(articles, { format: "json", date });
+    expect(file.filename).toBe("note_search_results_20240102_0304.json");
+    expect(file.mimeType).toBe(exporter.FORMATS.json.mimeType);
+    expect(JSON.parse(file.content).length).toBe(2);
+  });
+
+  test("labelはファイル名の末尾に付ける", () => {
+    const file = exporter.buildExportFile(articles, { format: "csv", date, label: "#個人開発" });
+    expect(file.filename).toBe("note_search_results_20240102_0304_個人開発.csv");
+  });
+});
+
+describe("buildTableFile", () => {
+  const date = new Date(2024, 0, 2, 3, 4);
+  const table = exporter.buildTable([{ name: "記事A", diff: 5 }, { name: "記事B", diff: null }], [
+    { id: "name", header: "名前", type: "string", value: (r) => r.name },
+    { id: "diff", header: "増減", type: "number", value: (r) => r.diff },
+  ]);
+
+  test("baseNameでファイル名の先頭を変え、任意の行モデルを書き出す", () => {
+    const file = exporter.buildTableFile(table, { format: "csv", date, baseName: "note_diff", label: "AI" });
+    expect(file.filename).toBe("note_diff_20240102_0304_AI.csv");
+    expect(file.content).toBe("\uFEFF名前,増減\n\"記事A\",5\n\"記事B\",");
+  });
+
+  test("XLSXのシート名を指定できる", () => {
+    const file = exporter.buildTableFile(table, { format: "xlsx", date, sheetName: "差分" });
+    expect(file.filename).toBe("note_search_results_20240102_0304.xlsx");
+    expect(decoder.decode(file.content)).toContain('name="差分"');
+  });
+});
+
+describe("buildExportFiles", () => {
+  const date = new Date(2024, 0, 2, 3, 4);
+  const summary = {
+    table: exporter.buildTable([{ item: "記事数", value: 2 }], [
+      { id: "item", header: "項目", type: "string", value: (r) => r.item },
+      { id: "value", header: "値", type: "number", value: (r) => r.value },
+    ]),
+    sheetName: "集計",
+    baseName: "note_summary",
+  };
+
+  test("添える表がなければ記事一覧の1ファイルだけ", () => {
+    const files = exporter.buildExportFiles(articles, { format: "csv", date });
+    expect(files).toEqual([exporter.buildExportFile(articles, { format: "csv", date })]);
+  });
+
+  test("XLSXは記事一覧と同じブックの2枚目のシートにする", () => {
+    const files = exporter.buildExportFiles(articles, { format: "xlsx", date, label: "AI" }, [summary]);
+    expect(files.length).toBe(1);
+    expect(files[0].filename).toBe("note_search_results_20240102_0304_AI.xlsx");
+    const text = decoder.decode(files[0].content);
+    expect(text).toContain('<sheet name="記事一覧" sheetId="1" r:id="rId1"/><sheet name="集計" sheetId="2" r:id="rId2"/>');
+    expect(text).toContain("xl/worksheets/sheet2.xml");
+  });
+
+  test("その他の形式は、同じ日時・名前で別ファイルにする", () => {
+    const files = exporter.buildExportFiles(articles, { format: "csv", date, label: "AI" }, [summary]);
+    expect(files.map((f) => f.filename)).toEqual([
+      "note_search_results_20240102_0304_AI.csv",
+      "note_summary_20240102_0304_AI.csv",
+    ]);
+    expect(files[1].content).toBe("\uFEFF項目,値\n\"記事数\",2");
+  });
+});
+
+describe("toDataUrl", () => {
+  test("文字列はUTF-8でBase64化し、MIMEタイプ末尾の;を除く", () => {
+    const url = exporter.toDataUrl("\uFEFFタイトル", "text/csv;charset=utf-8;");
+    expect(url.startsWith("data:text/csv;charset=utf-8;base64,")).toBe(true);
+    const decoded = Buffer.from(url.split(",")[1], "base64").toString("utf8");
+    expect(decoded).toBe("\uFEFFタイトル");
+  });
+
+  test("バイト列（XLSX）はそのままBase64化する", () => {
+    const bytes = new Uint8Array([0x50, 0x4B, 0x03, 0x04]);
+    expect(exporter.toDataUrl(bytes, exporter.FORMATS.xlsx.mimeType))
+      .toBe(`data:${exporter.FORMATS.xlsx.mimeType};base64,UEsDBA==`);
+  });
+});
+
+// ========================================
+// crc32 / buildWorkbook
+// ========================================
+describe("crc32", () => {
+  test("既知のチェック値と一致", () => {
+    expect(exporter.crc32(new TextEncoder().encode("123456789"))).toBe(0xCBF43926);
+  });
+});
+
+describe("buildWorkbook", () => {
+  test("必要なパーツとシートを含み、セル値がエスケープされる", () => {
+    const table = exporter.buildTable(articles);
+    const text = decoder.decode(exporter.buildWorkbook([{ name: "記事一覧", table }]));
+
+    expect(text).toContain("[Content_Types].xml");
+    expect(text).toContain("xl/workbook.xml");
+    expect(text).toContain("xl/worksheets/sheet1.xml");
+    expect(text).toContain('<sheet name="記事一覧" sheetId="1" r:id="rId1"/>');
+    expect(text).toContain('<c r="B2"><v>150</v></c>');
+    expect(text).toContain("記事B | &quot;比較&quot;\n改行");
+  });
+
+  test("複数シートを作成できる", () => {
+    const table = exporter.buildTable(articles);
+    const text = decoder.decode(exporter.buildWorkbook([
+      { name: "記事一覧", table },
+      { name: "集計", table },
+    ]));
+    expect(text).toContain("xl/worksheets/sheet2.xml");
+    expect(text).toContain('<sheet name="集計" sheetId="2" r:id="rId2"/>');
+  });
+
+  test("中央ディレクトリ終端レコードにファイル数が記録される", () => {
+    const bytes = exporter.buildWorkbook([{ name: "記事一覧", table: exporter.buildTable(articles) }]);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const endOffset = bytes.length - 22;
+    expect(view.getUint32(endOffset, true)).toBe(0x06054B50);
+    expect(view.getUint16(endOffset + 10, true)).toBe(5);
+  });
+});
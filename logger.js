@@ -0,0 +1,147 @@
+/**
+ * レベル付きのログ出力と診断用の記録
+ *
+ * error / warn / info / debug の4段階で console に出力する。出力するレベルは
+ * chrome.storage.local の "logLevel" キーに保存し（Side Panel で切り替え）、変更はすべての
+ * コンテキスト（Service Worker / Content Script / Side Panel）に反映する。
+ * 出力したログは直近の分だけ保持し、API レスポンスなどの大きなデータは切り詰めたサンプルとして
+ * 別に保持する。どちらも診断情報（Side Panel の「診断情報をダウンロード」）に含める。
+ *
+ * 他のモジュールより先に読み込む。
+ * 公開API: globalThis.NoteExporter.logger
+ */
+
+(() => {
+  "use strict";
+
+  const LOG_LEVELS = ["error", "warn", "info", "debug"];
+  const DEFAULT_LOG_LEVEL = "info";
+  const LOG_LEVEL_KEY = "logLevel";
+
+  const MAX_ENTRIES = 300; // 保持するログの件数（古いものから捨てる）
+  const MAX_DETAIL_LENGTH = 500; // ログに付けた値を保持するときの最大文字数
+  const MAX_SAMPLES_PER_NAME = 3; // サンプルの種類ごとの保持件数（最初の分を残す）
+  const MAX_SAMPLE_LENGTH = 2000;
+
+  const CONSOLE_METHODS = { error: "error", warn: "warn", info: "log", debug: "debug" };
+
+  let level = DEFAULT_LOG_LEVEL;
+  let entries = [];
+  let samples = {};
+
+  function normalizeLevel(value) {
+    return LOG_LEVELS.includes(value) ? value : DEFAULT_LOG_LEVEL;
+  }
+
+  /**
+   * 指定したレベルのログを出力する設定か
+   */
+  function isEnabled(target) {
+    return LOG_LEVELS.indexOf(target) <= LOG_LEVELS.indexOf(level);
+  }
+
+  /**
+   * 値を保持用の文字列にする（オブジェクトは JSON。長いものは切り詰める）
+   */
+  function truncate(value, maxLength) {
+    let text;
+    if (value instanceof Error) {
+      text = value.message;
+    } else if (typeof value === "string") {
+      text = value;
+    } else {
+      try {
+        text = JSON.stringify(value, null, 2);
+      } catch (e) {
+        text = String(value);
+      }
+    }
+    text = String(text);
+    return text.length > maxLength ? `${text.substring(0, maxLength)}…(${text.length}文字)` : text;
+  }
+
+  function write(target, message, details) {
+    if (!isEnabled(target)) return;
+    entries.push({
+      at: new Date().toISOString(),
+      level: target,
+      message: String(message),
+      details: details.map((d) => truncate(d, MAX_DETAIL_LENGTH)),
+    });
+    if (entries.length > MAX_ENTRIES) entries = entries.slice(-MAX_ENTRIES);
+    console[CONSOLE_METHODS[target]](`[NoteExporter] ${message}`, ...details);
+  }
+
+  const error = (message, ...details) => write("error", message, details);
+  const warn = (message, ...details) => write("warn", message, details);
+  const info = (message, ...details) => write("info", message, details);
+  const debug = (message, ...details) => write("debug", message, details);
+
+  /**
+   * 大きなデータ（API レスポンスなど）を診断用のサンプルとして保持し、debug レベルで出力する
+   * 種類ごとに最初の数件だけを、切り詰めて保持する（ログのレベルに関係なく保持する）
+   * @param {string} name サンプルの種類（例: "searchApi"）
+   * @param {*} data
+   */
+  function sample(name, data) {
+    const list = samples[name] || (samples[name] = []);
+    if (list.length < MAX_SAMPLES_PER_NAME) {
+      list.push({ at: new Date().toISOString(), data: truncate(data, MAX_SAMPLE_LENGTH) });
+    }
+    debug(`サンプル ${name}:`, data);
+  }
+
+  /**
+   * 診断情報に含める、このコンテキストのログとサンプル
+   */
+  function snapshot() {
+    return { level, entries: entries.slice(), samples: JSON.parse(JSON.stringify(samples)) };
+  }
+
+  function clear() {
+    entries = [];
+    samples = {};
+  }
+
+  function getLevel() {
+    return level;
+  }
+
+  /**
+   * 出力するレベルを変更して保存する（他のコンテキストには storage の変更通知で反映される）
+   */
+  async function setLevel(value) {
+    level = normalizeLevel(value);
+    await chrome.storage.local.set({ [LOG_LEVEL_KEY]: level });
+    return level;
+  }
+
+  // 保存されたレベルを読み込み、他のコンテキストでの変更に追従する
+  if (typeof chrome !== "undefined" && chrome.storage?.local) {
+    Promise.resolve(chrome.storage.local.get(LOG_LEVEL_KEY))
+      .then((stored) => { level = normalizeLevel(stored?.[LOG_LEVEL_KEY]); })
+      .catch(() => {});
+    chrome.storage.onChanged?.addListener((changes, areaName) => {
+      if (areaName === "local" && changes[LOG_LEVEL_KEY]) {
+        level = normalizeLevel(changes[LOG_LEVEL_KEY].newValue);
+      }
+    });
+  }
+
+  globalThis.NoteExporter = globalThis.NoteExporter || {};
+  globalThis.NoteExporter.logger = {
+    LOG_LEVELS,
+    DEFAULT_LOG_LEVEL,
+    LOG_LEVEL_KEY,
+    isEnabled,
+    error,
+    warn,
+    info,
+    debug,
+    sample,
+    snapshot,
+    clear,
+    getLevel,
+    setLevel,
+  };
+})();
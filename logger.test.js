@@ -0,0 +1,120 @@
+/**
+ * logger.js のユニットテスト
+ *
+ * テスト対象:
+ * - error / warn / info / debug / isEnabled: レベルによる出力の切り替え
+ * - snapshot / clear: 診断情報に含めるログの保持
+ * - sample: API レスポンスなどのサンプルの保持と切り詰め
+ * - setLevel / getLevel: レベルの保存と、他のコンテキストでの変更への追従
+ */
+
+// chrome.storage のインメモリモック
+const storageData = {};
+const changeListeners = [];
+globalThis.chrome = {
+  storage: {
+    local: {
+      get: jest.fn(async (key) => (key in storageData ? { [key]: storageData[key] } : {})),
+      set: jest.fn(async (items) => { Object.assign(storageData, items); }),
+    },
+    onChanged: { addListener: jest.fn((listener) => changeListeners.push(listener)) },
+  },
+};
+
+require("./logger.js");
+
+const logger = globalThis.NoteExporter.logger;
+
+beforeEach(async () => {
+  await logger.setLevel("info");
+  logger.clear();
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "debug").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+  jest.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("レベルによる出力の切り替え", () => {
+  test("既定（info）では debug を出力しない", () => {
+    logger.info("情報");
+    logger.debug("詳細");
+    expect(console.log).toHaveBeenCalledWith("[NoteExporter] 情報");
+    expect(console.debug).not.toHaveBeenCalled();
+    expect(logger.snapshot().entries.map((e) => e.message)).toEqual(["情報"]);
+  });
+
+  test("error にすると警告と情報も出力しない", async () => {
+    await logger.setLevel("error");
+    logger.warn("警告");
+    logger.info("情報");
+    logger.error("エラー", new Error("失敗"));
+    expect(console.warn).not.toHaveBeenCalled();
+    expect(console.error).toHaveBeenCalledTimes(1);
+    expect(logger.snapshot().entries).toEqual([
+      expect.objectContaining({ level: "error", message: "エラー", details: ["失敗"] }),
+    ]);
+  });
+
+  test("isEnabled は設定したレベル以上の重要度なら true", async () => {
+    await logger.setLevel("warn");
+    expect(logger.isEnabled("error")).toBe(true);
+    expect(logger.isEnabled("warn")).toBe(true);
+    expect(logger.isEnabled("info")).toBe(false);
+  });
+});
+
+describe("ログとサンプルの保持", () => {
+  test("ログに付けた値は切り詰めて保持する", () => {
+    logger.info("長い値", "x".repeat(1000), { a: 1 });
+    const [entry] = logger.snapshot().entries;
+    expect(entry.details[0]).toMatch(/^x{500}…\(1000文字\)$/);
+    expect(entry.details[1]).toBe(JSON.stringify({ a: 1 }, null, 2));
+  });
+
+  test("保持するログは直近の300件", () => {
+    for (let i = 0; i < 310; i++) logger.info(`ログ${i}`);
+    const { entries } = logger.snapshot();
+    expect(entries.length).toBe(300);
+    expect(entries[0].message).toBe("ログ10");
+  });
+
+  test("サンプルは種類ごとに最初の3件を切り詰めて保持し、レベルに関係なく残す", async () => {
+    await logger.setLevel("error");
+    for (let i = 0; i < 5; i++) logger.sample("検索API", { index: i, body: "y".repeat(3000) });
+    const { samples, entries } = logger.snapshot();
+    expect(samples["検索API"].length).toBe(3);
+    expect(samples["検索API"][0].data).toContain("\"index\": 0");
+    expect(samples["検索API"][0].data).toMatch(/…\(\d+文字\)$/);
+    expect(entries).toEqual([]);
+  });
+
+  test("snapshot はコピーを返す", () => {
+    logger.sample("記事API", "本文");
+    const snapshot = logger.snapshot();
+    snapshot.samples["記事API"].push("追加");
+    expect(logger.snapshot().samples["記事API"].length).toBe(1);
+  });
+});
+
+describe("setLevel / getLevel", () => {
+  test("レベルを保存し、不明な値は既定のレベルにする", async () => {
+    await logger.setLevel("debug");
+    expect(storageData.logLevel).toBe("debug");
+    expect(logger.getLevel()).toBe("debug");
+
+    await logger.setLevel("verbose");
+    expect(logger.getLevel()).toBe(logger.DEFAULT_LOG_LEVEL);
+  });
+
+  test("他のコンテキストでの変更に追従する", () => {
+    for (const listener of changeListeners) listener({ logLevel: { newValue: "warn" } }, "local");
+    expect(logger.getLevel()).toBe("warn");
+
+    for (const listener of changeListeners) listener({ logLevel: { newValue: "debug" } }, "sync");
+    expect(logger.getLevel()).toBe("warn");
+  });
+});
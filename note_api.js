@@ -0,0 +1,1317 @@
+/**
+ * note.com API からの記事取得
+ *
+ * 検索・ハッシュタグ・クリエイター・マガジンの各APIのページング取得、
+ * API レスポンスから記事データへの変換、高評価数の一括取得（429/503 のバックオフ付き）をまとめる。
+ * 各APIのレスポンスの形は note_schema.js のアダプターで宣言し、形が合わない場合はスキーマの変化として記録する。
+ * Background Service Worker（ジョブの実行）と Content Script（URL の解析）の両方から読み込む。
+ *
+ * 取得処理は job（ジョブの状態オブジェクト）を受け取り、進捗（current / message / throughput / concurrency）と
+ * 失敗（failures）・スキーマの変化（schemaDrift）を書き込む。job.status が "paused" の間は待機し、"stopping" になると中断する。
+ *
+ * 記事データの数値の項目は、取得できなかった場合に 0 ではなく null（不明）にする。
+ * 各項目をどこから取得したかは article.sources に VALUE_SOURCES の値で記録する（値が不明な項目は null）。
+ *
+ * logger.js・note_schema.js の後に読み込む。
+ * 公開API: globalThis.NoteExporter.noteApi
+ */
+
+(() => {
+  "use strict";
+
+  const logger = globalThis.NoteExporter.logger;
+  const noteSchema = globalThis.NoteExporter.noteSchema;
+
+  // --- 値の取得元 ---
+
+  /**
+   * 記事の各項目の値の取得元（article.sources[項目] に記録する値）
+   */
+  const VALUE_SOURCES = {
+    SEARCH_API: "search_api", // 検索・ハッシュタグ・クリエイター・マガジンの一覧API
+    ARTICLE_API: "article_api", // 記事詳細API
+    HTML_TEXT: "html_text", // 記事ページのテキスト（「XX人が高評価」など）
+    NEXT_DATA: "next_data", // 記事ページの __NEXT_DATA__
+    NUXT: "nuxt", // 記事ページの __NUXT__
+    DOM: "dom", // 表示中のページの DOM
+  };
+
+  // 取得元を記録する項目
+  const SOURCE_FIELDS = ["title", "likeCount", "likeRating", "price", "creator", "publishDate", "commentCount"];
+
+  /**
+   * 記事の各項目に取得元を付ける（値が null・undefined・空文字の項目は null）
+   */
+  function withSources(article, source) {
+    const sources = {};
+    for (const field of SOURCE_FIELDS) {
+      const value = article[field];
+      sources[field] = value === undefined || value === null || value === "" ? null : source;
+    }
+    return { ...article, sources };
+  }
+
+  // --- ユーティリティ関数 ---
+
+  function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  /**
+   * 一時停止中は再開されるまで待機し、停止要求が出ていれば true を返す
+   * 各収集ループの区切りごとに呼び出す
+   */
+  async function shouldStop(job) {
+    while (job.status === "paused") {
+      await sleep(500);
+    }
+    return job.status === "stopping";
+  }
+
+  // --- URL ---
+
+  const NOTE_HOST = "note.com";
+
+  /**
+   * note.com の1階層目のパスのうち、クリエイターの urlname ではないもの
+   * 記事URLの解析（ここ）とページ種別の判定（content_script.js の parsePagePath）で共通に使う
+   */
+  const RESERVED_TOP_PATHS = new Set([
+    "n", "m", "search", "hashtag", "interests", "categories", "contests", "api",
+    "login", "signup", "settings", "sitesettings", "notifications", "dashboard",
+    "notes", "topic", "premium", "info", "terms", "privacy",
+  ]);
+
+  // note Pro の独自ドメイン → クリエイターの urlname（API の記事データから覚える）
+  const customDomainCreators = new Map();
+
+  function normalizeHost(host) {
+    return String(host || "").toLowerCase().replace(/:\d+$/, "").replace(/^www\./, "");
+  }
+
+  /**
+   * 記事URLを解析する
+   * note.com の記事（https://note.com/{urlname}/n/{key}）に加え、note Pro の独自ドメインの記事
+   * （https://{独自ドメイン}/n/{key}。パスにクリエイターを含まない）を扱う。
+   * 独自ドメインのクリエイターは rememberCustomDomain で覚えた対応から引き、分からなければ空文字
+   * @param {string} url 絶対URL、または note.com 上の相対パス（"/{urlname}/n/{key}"）
+   * @returns {{ host: string, customDomain: boolean, creatorUrlname: string, key: string }}
+   */
+  function parseArticleUrl(url) {
+    const text = String(url || "").trim();
+    const match = text.match(/^(?:https?:)?\/\/([^/?#]+)([^?#]*)/i);
+    const host = match ? normalizeHost(match[1]) : (text.startsWith("/") ? NOTE_HOST : "");
+    const path = match ? match[2] : text.split(/[?#]/)[0];
+    const customDomain = host !== "" && host !== NOTE_HOST;
+
+    let creatorUrlname = "";
+    if (customDomain) {
+      creatorUrlname = customDomainCreators.get(host) || "";
+    } else if (host) {
+      const first = path.split("/").filter(Boolean)[0] || "";
+      if (!RESERVED_TOP_PATHS.has(first)) creatorUrlname = first;
+    }
+
+    return { host, customDomain, creatorUrlname, key: extractNoteKey(path) };
+  }
+
+  /**
+   * 独自ドメインとクリエイターの対応を覚える（note.com の URL は何もしない）
+   * 同じ独自ドメインの他の記事（DOM から収集した記事など）のクリエイターを引けるようにする
+   * @param {string} url 独自ドメインの記事URL
+   * @param {string} urlname クリエイターの urlname
+   */
+  function rememberCustomDomain(url, urlname) {
+    const { host, customDomain } = parseArticleUrl(url);
+    if (customDomain && urlname) customDomainCreators.set(host, String(urlname));
+  }
+
+  function extractCreatorFromUrl(url) {
+    return parseArticleUrl(url).creatorUrlname;
+  }
+
+  /**
+   * 記事URLから note のキーを抽出（例: /username/n/nXXXXXX → "nXXXXXX"）
+   */
+  function extractNoteKey(url) {
+    const match = String(url || "").match(/\/n\/([a-zA-Z0-9]+)/);
+    return match ? match[1] : "";
+  }
+
+  /**
+   * 記事URLからクエリ文字列・フラグメント・末尾のスラッシュを除く（出力するURLの表記を揃える）
+   */
+  function canonicalArticleUrl(url) {
+    return String(url || "").split(/[?#]/)[0].replace(/\/+$/, "");
+  }
+
+  /**
+   * 記事の正規ID（note キー）
+   * 同じ記事はクエリ文字列・末尾のスラッシュ・ドメインが違っても同じ ID になるため、
+   * 記事の照合・重複除去はすべてこの ID で行う。
+   * note キーを取り出せない URL は canonicalArticleUrl で揃えた URL を使う
+   * @param {object|string} articleOrUrl 記事オブジェクト、または記事URL
+   * @returns {string} URL がなければ空文字
+   */
+  function articleId(articleOrUrl) {
+    const url = typeof articleOrUrl === "string" ? articleOrUrl : articleOrUrl?.url;
+    return extractNoteKey(url) || canonicalArticleUrl(url);
+  }
+
+  /**
+   * まだ出ていない記事なら seen に ID を記録して true を返す（URL のない記事は判定できないため常に true）
+   * @param {Set<string>} seen
+   * @param {object} article
+   */
+  function markSeen(seen, article) {
+    const id = articleId(article);
+    if (!id) return true;
+    if (seen.has(id)) return false;
+    seen.add(id);
+    return true;
+  }
+
+  /**
+   * 同じ記事（articleId が同じもの）を除き、最初に出たものを残す
+   */
+  function dedupeArticles(articles) {
+    const seen = new Set();
+    return (Array.isArray(articles) ? articles : []).filter((article) => markSeen(seen, article));
+  }
+
+  // --- note.com 内部API経由でデータ取得 ---
+
+  /**
+   * 検索APIの1ページを取得してJSONを返す
+   * 5xx・ネットワークエラー・JSONパースエラーは指数バックオフで再試行する
+   * （429/503 は fetchWithBackoff 内で Retry-After に従って再試行済み）
+   * @throws {Error} 再試行しても取得できなかった場合。status にHTTPステータス（あれば）
+   */
+  async function fetchApiPage(apiUrl, logLabel) {
+    let lastError = null;
+
+    for (let attempt = 0; attempt <= RETRY_DEFAULTS.maxRetries; attempt++) {
+      if (attempt > 0) {
+        const delay = RETRY_DEFAULTS.baseBackoffMs * 2 ** (attempt - 1);
+        logger.warn(`${logLabel}: ${lastError.message} → ${delay / 1000}秒後に再試行 (${attempt}/${RETRY_DEFAULTS.maxRetries})`);
+        await sleep(delay);
+      }
+
+      let response;
+      try {
+        response = await fetchWithBackoff(apiUrl, {
+          credentials: "include",
+          headers: { Accept: "application/json" },
+        });
+      } catch (err) {
+        lastError = new Error(`ネットワークエラー: ${err.message}`);
+        continue;
+      }
+
+      if (!response.ok) {
+        lastError = new Error(`HTTP ${response.status}`);
+        lastError.status = response.status;
+        logger.warn(`${logLabel}応答エラー: ${response.status}`);
+        // 4xx と、バックオフ済みの 429/503 は再試行しても変わらない
+        if (response.status < 500 || response.status === 503) break;
+        continue;
+      }
+
+      // まずテキストで取得し、診断用のサンプルとして残す
+      const rawText = await response.text();
+      logger.sample(`${logLabel}レスポンス`, rawText);
+
+      try {
+        return JSON.parse(rawText);
+      } catch (jsonErr) {
+        logger.warn(`JSONパースエラー: ${jsonErr.message}`);
+        lastError = new Error(`JSONパースエラー: ${jsonErr.message}`);
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * 取得中に発生した失敗をジョブに記録する（進捗表示と実行履歴に含める）
+   * 記事ごとの失敗（高評価数の取得）は articleId と articleUrl で記事に結び付ける
+   * @param {object} job
+   * @param {{ phase: string, page?: number, url: string, status?: number|null, message: string,
+   *           articleId?: string, articleUrl?: string }} failure
+   */
+  function recordFailure(job, failure) {
+    job.failures.push({ status: null, ...failure, at: new Date().toISOString() });
+  }
+
+  /**
+   * API レスポンスの形がアダプターの宣言と合わないことをジョブに記録する（Side Panel に警告を表示する）
+   * 同じ変化は1件にまとめ、検出したページ数を数える
+   * @param {object} job
+   * @param {object} drift note_schema.js の readNotes / checkNotes が返す変化
+   * @param {string} url
+   */
+  function recordSchemaDrift(job, drift, url) {
+    if (!job.schemaDrift) job.schemaDrift = [];
+    const signature = noteSchema.driftSignature(drift);
+    const existing = job.schemaDrift.find((d) => noteSchema.driftSignature(d) === signature);
+    if (existing) {
+      existing.pages++;
+      return;
+    }
+    const message = noteSchema.describeDrift(drift);
+    job.schemaDrift.push({ ...drift, url, pages: 1, message, at: new Date().toISOString() });
+    logger.warn(`スキーマの変化を検出: ${message}`);
+  }
+
+  /**
+   * レスポンスからアダプターの宣言どおりに記事オブジェクトを取り出し、標準の形に変換する
+   * 記事配列が宣言した場所にない場合は、スキーマの変化を記録してレスポンス全体から推測し（findNotesArray）、
+   * 見つかった記事も同じアダプターで変換する
+   * @returns {Array} 記事オブジェクト（結果なしは空配列）
+   */
+  function notesFromResponse(job, adapter, data, url) {
+    const { notes, drift } = noteSchema.readNotes(adapter, data);
+    if (drift) {
+      recordSchemaDrift(job, drift, url);
+      logger.sample(`${adapter.label}（形式の変化）`, data);
+      return findNotesArray(data).map((note) => noteSchema.adaptNote(adapter, note));
+    }
+
+    const fieldDrift = noteSchema.checkNotes(adapter, notes);
+    if (fieldDrift) {
+      recordSchemaDrift(job, fieldDrift, url);
+      logger.sample(`${adapter.label}（形式の変化）`, notes[0]);
+    }
+    return notes.map((note) => noteSchema.adaptNote(adapter, note));
+  }
+
+  /**
+   * ページ取得に失敗したときの処理を決める
+   * @returns {Array|null} 取得済みの記事で続行する場合はその配列、破棄する場合は null
+   */
+  function handlePageFailure(job, phase, page, apiUrl, err, articles, keepPartial) {
+    recordFailure(job, { phase, page, url: apiUrl, status: err.status || null, message: err.message });
+    if (keepPartial && articles.length > 0) {
+      logger.warn(`${page}ページ目の取得に失敗 (${err.message})。取得済みの${articles.length}件で続行します`);
+      job.message = `${page}ページ目の取得に失敗しました（${err.message}）。取得済みの${articles.length}件で続行します。`;
+      return articles;
+    }
+    logger.warn(`${page}ページ目の取得に失敗 (${err.message})。API結果を破棄します`);
+    return null;
+  }
+
+  /**
+   * note.com内部の検索APIからデータを取得（ページネーション対応）
+   * @param {object} job 進捗・失敗・停止要求を共有するジョブの状態
+   * @param {number} targetCount
+   * @param {{ keepPartial?: boolean, params: { q: string, context?: string, sort?: string } }} options
+   *   keepPartial: 途中のページで失敗した場合に取得済みの記事で続行する（既定 true）
+   *   params: 検索条件（検索ページのURLの q / context / sort）
+   */
+  async function fetchFromAPI(job, targetCount, options) {
+    const keepPartial = options?.keepPartial !== false;
+    const params = { context: "note", sort: "", ...(options?.params || {}) };
+    if (!params.q) {
+      logger.warn("検索クエリが見つかりません");
+      return null;
+    }
+
+    const adapter = noteSchema.getAdapter("search");
+    const articles = [];
+    const seen = new Set();
+    const PAGE_SIZE = 20;
+    let start = 0;
+
+    logger.info(`API戦略: q="${params.q}", context="${params.context}", 目標=${targetCount}件`);
+
+    while (articles.length < targetCount) {
+      if (await shouldStop(job)) {
+        logger.info(`API: 停止要求により中断 (${articles.length}件取得済み)`);
+        break;
+      }
+
+      const apiUrl = `https://note.com/api/${adapter.version}/searches?q=${encodeURIComponent(params.q)}&context=${encodeURIComponent(params.context)}&size=${PAGE_SIZE}&start=${start}${params.sort ? "&sort=" + encodeURIComponent(params.sort) : ""}`;
+      const page = start / PAGE_SIZE + 1;
+
+      logger.debug(`API取得中: ${apiUrl}`);
+
+      let data;
+      try {
+        data = await fetchApiPage(apiUrl, "API");
+      } catch (err) {
+        return handlePageFailure(job, "search", page, apiUrl, err, articles, keepPartial);
+      }
+
+      const parsedArticles = parseNotes(notesFromResponse(job, adapter, data, apiUrl));
+
+      if (!Array.isArray(parsedArticles) || parsedArticles.length === 0) {
+        logger.info(`API: これ以上の結果なし (start=${start})`);
+        break;
+      }
+
+      for (let i = 0; i < parsedArticles.length; i++) {
+        if (articles.length >= targetCount) break;
+        // ページ境界で結果がずれると同じ記事が次のページにも出るため、ID で重複を除く
+        if (markSeen(seen, parsedArticles[i])) articles.push(parsedArticles[i]);
+      }
+
+      job.current = articles.length;
+      logger.info(`API: ${articles.length}/${targetCount}件取得`);
+
+      start += PAGE_SIZE;
+      await sleep(500);
+    }
+
+    return articles.length > 0 ? articles : null;
+  }
+
+  /**
+   * ページ番号でページングする note API から記事を取得（ハッシュタグ・クリエイター・マガジン共通）
+   *
+   * @param {object} source
+   * @param {object} source.adapter レスポンスの形（note_schema.js のアダプター。label はログ表示名）
+   * @param {string} source.phase 失敗記録の phase
+   * @param {(page: number) => string} source.buildUrl
+   * @param {object} job
+   * @param {number} targetCount
+   * @param {{ keepPartial?: boolean }} [options]
+   */
+  async function fetchPagedNotesFromApi(job, source, targetCount, options) {
+    const keepPartial = options?.keepPartial !== false;
+    const { adapter, phase } = source;
+    const { label } = adapter;
+    const articles = [];
+    const seen = new Set();
+    let page = 1;
+
+    while (articles.length < targetCount) {
+      if (await shouldStop(job)) {
+        logger.info(`${label}: 停止要求により中断 (${articles.length}件取得済み)`);
+        break;
+      }
+
+      const apiUrl = source.buildUrl(page);
+
+      logger.debug(`${label}取得中: ${apiUrl}`);
+
+      let data;
+      try {
+        data = await fetchApiPage(apiUrl, label);
+      } catch (err) {
+        return handlePageFailure(job, phase, page, apiUrl, err, articles, keepPartial);
+      }
+
+      const noteObjects = notesFromResponse(job, adapter, data, apiUrl);
+      if (noteObjects.length === 0) {
+        logger.info(`${label}: これ以上の結果なし (page=${page})`);
+        break;
+      }
+
+      for (const noteObj of noteObjects) {
+        if (articles.length >= targetCount) break;
+        try {
+          const article = extractArticleFromNote(noteObj);
+          if (article && article.title && markSeen(seen, article)) {
+            articles.push(article);
+          }
+        } catch (noteErr) {
+          logger.warn(`パースエラー:`, noteErr.message);
+        }
+      }
+
+      job.current = articles.length;
+      logger.info(`${label}: ${articles.length}/${targetCount}件取得`);
+
+      // 最終ページ判定
+      if (noteSchema.isLastPage(adapter, data)) {
+        logger.info(`${label}: 最終ページに到達`);
+        break;
+      }
+
+      page++;
+      await sleep(500);
+    }
+
+    return articles.length > 0 ? articles : null;
+  }
+
+  /**
+   * ハッシュタグの記事を取得（ページネーション対応）
+   * @param {object} job
+   * @param {number} targetCount
+   * @param {{ keepPartial?: boolean, hashtag: string, sort?: string }} options
+   *   keepPartial: fetchFromAPI と同じ / sort: 省略時は人気順
+   */
+  async function fetchFromHashtagAPI(job, targetCount, options) {
+    const hashtag = options?.hashtag;
+    if (!hashtag) {
+      logger.warn("ハッシュタグ名が見つかりません");
+      return null;
+    }
+    const sort = options.sort || "popular";
+
+    logger.info(`ハッシュタグAPI戦略: hashtag="${hashtag}", sort="${sort}", 目標=${targetCount}件`);
+
+    const adapter = noteSchema.getAdapter("hashtag");
+    return fetchPagedNotesFromApi(job, {
+      adapter,
+      phase: "hashtag",
+      buildUrl: (page) => `https://note.com/api/${adapter.version}/hashtags/${encodeURIComponent(hashtag)}/notes?page=${page}&sort=${encodeURIComponent(sort)}`,
+    }, targetCount, options);
+  }
+
+  /**
+   * クリエイターの記事一覧を取得（note.com/{urlname}）
+   * @param {{ keepPartial?: boolean, urlname: string }} options
+   */
+  async function fetchFromCreatorAPI(job, targetCount, options) {
+    const urlname = options?.urlname;
+    if (!urlname) return null;
+
+    logger.info(`クリエイターAPI戦略: urlname="${urlname}", 目標=${targetCount}件`);
+
+    const adapter = noteSchema.getAdapter("creator");
+    return fetchPagedNotesFromApi(job, {
+      adapter,
+      phase: "creator",
+      buildUrl: (page) => `https://note.com/api/${adapter.version}/creators/${encodeURIComponent(urlname)}/contents?kind=note&page=${page}`,
+    }, targetCount, options);
+  }
+
+  /**
+   * マガジンの収録記事を取得（/m/{key}, /{urlname}/m/{key}）
+   * @param {{ keepPartial?: boolean, magazineKey: string }} options
+   */
+  async function fetchFromMagazineAPI(job, targetCount, options) {
+    const magazineKey = options?.magazineKey;
+    if (!magazineKey) return null;
+
+    logger.info(`マガジンAPI戦略: key="${magazineKey}", 目標=${targetCount}件`);
+
+    const adapter = noteSchema.getAdapter("magazine");
+    return fetchPagedNotesFromApi(job, {
+      adapter,
+      phase: "magazine",
+      buildUrl: (page) => `https://note.com/api/${adapter.version}/layout/magazine/${encodeURIComponent(magazineKey)}/section?page=${page}`,
+    }, targetCount, options);
+  }
+
+  /**
+   * 記事オブジェクトの配列を記事データに変換する（タイトルのないもの・解析できないものは除く）
+   */
+  function parseNotes(noteObjects) {
+    if (!Array.isArray(noteObjects)) return [];
+
+    // 最初の2件の生データを診断用のサンプルとして残す
+    for (let i = 0; i < Math.min(2, noteObjects.length); i++) {
+      logger.debug(`${i + 1}件目の全キー:`, Object.keys(noteObjects[i] || {}));
+      logger.sample("記事データ", noteObjects[i]);
+    }
+
+    const articles = [];
+    for (let i = 0; i < noteObjects.length; i++) {
+      try {
+        const article = extractArticleFromNote(noteObjects[i]);
+        if (article && article.title) {
+          articles.push(article);
+        }
+      } catch (noteErr) {
+        logger.warn(`${i}件目のパースエラー:`, noteErr.message);
+      }
+    }
+    return articles;
+  }
+
+  /**
+   * APIレスポンスからnotes配列を探す（アダプターの宣言した場所にない場合の推測）
+   * 必ずArrayを返す
+   */
+  function findNotesArray(data) {
+    if (!data || typeof data !== "object") return [];
+
+    // 明示的な候補を順に確認
+    const paths = [
+      () => data?.data?.notes?.contents,
+      () => data?.data?.notes?.items,
+      () => data?.data?.notes,
+      () => data?.data?.contents,
+      () => data?.data?.search_results,
+      () => data?.data?.items,
+      () => data?.notes,
+      () => data?.contents,
+      () => data?.items,
+    ];
+
+    for (const pathFn of paths) {
+      try {
+        const val = pathFn();
+        if (Array.isArray(val) && val.length > 0) {
+          logger.debug(`記事配列を発見: ${val.length}件`);
+          return val;
+        }
+      } catch (e) { /* ignore */ }
+    }
+
+    // data.data が配列の場合
+    if (Array.isArray(data?.data) && data.data.length > 0) {
+      logger.debug(`data.data が配列: ${data.data.length}件`);
+      return data.data;
+    }
+
+    // data.data のプロパティを探索して配列を見つける
+    if (data?.data && typeof data.data === "object" && !Array.isArray(data.data)) {
+      for (const [key, value] of Object.entries(data.data)) {
+        if (Array.isArray(value) && value.length > 0 && typeof value[0] === "object" && value[0] !== null) {
+          logger.debug(`data.data.${key} で配列を発見: ${value.length}件`);
+          return value;
+        }
+      }
+    }
+
+    // トップレベルのプロパティを探索
+    for (const [key, value] of Object.entries(data)) {
+      if (key === "data") continue;
+      if (Array.isArray(value) && value.length > 0 && typeof value[0] === "object" && value[0] !== null) {
+        logger.debug(`data.${key} で配列を発見: ${value.length}件`);
+        return value;
+      }
+    }
+
+    logger.warn("記事の配列が見つかりません。レスポンスを診断用のサンプルに残します");
+    logger.sample("記事配列のないレスポンス", data);
+    return [];
+  }
+
+  /**
+   * 1つのnoteオブジェクトから記事データを抽出
+   */
+  function extractArticleFromNote(note) {
+    if (!note || typeof note !== "object") return null;
+
+    // noteオブジェクト内にさらにネストされた記事データがある場合を考慮
+    const inner = (note.note && typeof note.note === "object") ? note.note : note;
+
+    // タイトル
+    const title = safeStr(inner.name) || safeStr(note.name)
+      || safeStr(inner.title) || safeStr(note.title)
+      || safeStr(inner.headline) || safeStr(note.headline)
+      || "";
+
+    // スキ数（キーがなければ null = 不明）
+    const likeCount = findNumber(note, inner, [
+      "like_count", "likeCount", "likes_count", "likesCount",
+      "sp_count", "spCount", "suki_count", "sukiCount",
+    ]);
+
+    // 価格（キーがなければ null = 不明）
+    const priceKeys = ["price", "amount", "body_price", "bodyPrice"];
+    let price = findNumber(note, inner, priceKeys);
+    if (price === null && findFirstValue(note, inner, priceKeys) === "無料") price = 0;
+
+    // URL
+    const noteUrl = buildNoteUrl(note, inner);
+
+    // クリエイター名
+    const creator = findCreatorName(note, inner);
+    const creatorUrlname = findCreatorUrlname(note, inner, noteUrl);
+    rememberCustomDomain(noteUrl, creatorUrlname);
+
+    return withSources({
+      title,
+      likeCount,
+      price,
+      url: canonicalArticleUrl(noteUrl),
+      creator,
+      creatorUrlname,
+      publishDate: normalizeDate(
+        findFirstValue(note, inner, ["publish_at", "publishAt", "published_at", "publishedAt", "created_at", "createdAt"])
+      ),
+      commentCount: findNumber(note, inner, ["comment_count", "commentCount", "comments_count", "commentsCount"]),
+      hashtags: findHashtags(note, inner),
+      eyecatchUrl: findEyecatchUrl(note, inner),
+      noteType: normalizeNoteType(findFirstValue(note, inner, ["type", "note_type", "noteType"])),
+      membershipOnly: safeBool(inner, MEMBERSHIP_KEYS) || safeBool(note, MEMBERSHIP_KEYS),
+      inMagazine: isInMagazine(note, inner),
+    }, VALUE_SOURCES.SEARCH_API);
+  }
+
+  // --- 記事メタデータの正規化 ---
+
+  const MEMBERSHIP_KEYS = [
+    "is_membership_only", "isMembershipOnly",
+    "is_membership_connected", "isMembershipConnected",
+    "membership_only", "membershipOnly",
+  ];
+
+  const MAGAZINE_FLAG_KEYS = ["is_magazine_note", "isMagazineNote", "in_magazine", "inMagazine"];
+
+  /**
+   * Note の種類（API の type 値）を正規化
+   * 例: "TextNote" → "text", "MovieNote" → "video"
+   */
+  const NOTE_TYPE_MAP = {
+    textnote: "text",
+    imagenote: "image",
+    movienote: "video",
+    videonote: "video",
+    soundnote: "sound",
+    talknote: "talk",
+  };
+
+  /**
+   * inner → note の順に、候補キーのうち最初に値があるものを返す
+   */
+  function findFirstValue(note, inner, keys) {
+    for (const obj of [inner, note]) {
+      if (!obj || typeof obj !== "object") continue;
+      for (const key of keys) {
+        if (obj[key] !== undefined && obj[key] !== null && obj[key] !== "") return obj[key];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * inner → note の順に、候補キーのうち最初に数値として読める値を返す（0 も値として扱い、見つからなければ null）
+   */
+  function findNumber(note, inner, keys) {
+    for (const obj of [inner, note]) {
+      if (!obj || typeof obj !== "object") continue;
+      for (const key of keys) {
+        const val = obj[key];
+        if (val === undefined || val === null || val === "") continue;
+        const num = Number(val);
+        if (!isNaN(num)) return num;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * オブジェクトから真偽値フィールドを安全に取得（見つからなければ false）
+   */
+  function safeBool(obj, keys) {
+    if (!obj || typeof obj !== "object") return false;
+    for (const key of keys) {
+      const val = obj[key];
+      if (val === true || val === "true" || val === 1) return true;
+    }
+    return false;
+  }
+
+  /**
+   * 日時を ISO 8601 形式に正規化（解釈できない場合は空文字列）
+   */
+  function normalizeDate(value) {
+    if (value === null || value === undefined || value === "") return "";
+    const date = typeof value === "number"
+      // 秒単位のUNIX時刻にも対応
+      ? new Date(value < 1e12 ? value * 1000 : value)
+      : new Date(String(value));
+    return isNaN(date.getTime()) ? "" : date.toISOString();
+  }
+
+  function normalizeNoteType(value) {
+    if (!value || typeof value !== "string") return "";
+    return NOTE_TYPE_MAP[value.toLowerCase()] || value.toLowerCase();
+  }
+
+  /**
+   * ハッシュタグ名の配列を取得（先頭の "#" は除去）
+   * 要素は文字列 / { name } / { hashtag: { name } } のいずれにも対応
+   */
+  function findHashtags(note, inner) {
+    for (const obj of [inner, note]) {
+      const list = obj?.hashtags || obj?.hashtag_notes || obj?.hashtagNotes;
+      if (!Array.isArray(list)) continue;
+
+      const names = [];
+      for (const item of list) {
+        const name = typeof item === "string" ? item : (item?.hashtag?.name || item?.name || "");
+        const normalized = String(name).replace(/^#/, "").trim();
+        if (normalized && !names.includes(normalized)) names.push(normalized);
+      }
+      return names;
+    }
+    return [];
+  }
+
+  function findEyecatchUrl(note, inner) {
+    for (const obj of [inner, note]) {
+      for (const key of ["eyecatch", "eyecatch_url", "eyecatchUrl", "thumbnail", "thumbnail_url"]) {
+        const val = obj?.[key];
+        if (typeof val === "string" && val.startsWith("http")) return val;
+        if (val && typeof val === "object" && typeof val.url === "string") return val.url;
+      }
+    }
+    return "";
+  }
+
+  function isInMagazine(note, inner) {
+    if (safeBool(inner, MAGAZINE_FLAG_KEYS) || safeBool(note, MAGAZINE_FLAG_KEYS)) return true;
+    for (const obj of [inner, note]) {
+      const magazines = obj?.magazines || obj?.magazine_notes;
+      if (Array.isArray(magazines) && magazines.length > 0) return true;
+    }
+    return false;
+  }
+
+  /**
+   * クリエイターのurlname（note.com/{urlname}）を探す
+   * 見つからなければ記事URLから抽出する（独自ドメインの記事は覚えた対応から引く）
+   */
+  function findCreatorUrlname(note, inner, noteUrl) {
+    for (const obj of [inner, note]) {
+      const user = obj?.user;
+      if (user && typeof user === "object" && user.urlname) return String(user.urlname);
+      if (obj?.urlname) return String(obj.urlname);
+    }
+    return extractCreatorFromUrl(noteUrl);
+  }
+
+  /**
+   * 安全に文字列を取得
+   */
+  function safeStr(val) {
+    if (val === undefined || val === null) return "";
+    if (typeof val === "string") return val;
+    return String(val);
+  }
+
+  /**
+   * 記事URLを構築
+   */
+  function buildNoteUrl(note, inner) {
+    // 直接URLフィールド
+    for (const obj of [inner, note]) {
+      for (const key of ["note_url", "noteUrl", "url"]) {
+        const val = obj?.[key];
+        if (typeof val === "string" && val.startsWith("http")) return val;
+      }
+    }
+
+    // keyとurlnameから構築
+    const key = inner.key || note.key || inner.slug || note.slug || "";
+    const user = inner.user || note.user || {};
+    const urlname = (typeof user === "object" ? user.urlname : "") || inner.urlname || note.urlname || "";
+
+    if (key && urlname) {
+      return `https://note.com/${urlname}/n/${key}`;
+    }
+
+    // hrefフィールド
+    const href = inner.href || note.href || "";
+    if (href) return href.startsWith("http") ? href : `https://note.com${href}`;
+
+    return "";
+  }
+
+  /**
+   * クリエイター名を探す
+   */
+  function findCreatorName(note, inner) {
+    for (const obj of [inner, note]) {
+      const user = obj?.user;
+      if (user && typeof user === "object") {
+        const name = user.nickname || user.name || user.urlname || user.display_name;
+        if (name) return String(name);
+      }
+    }
+
+    // 文字列フィールド
+    for (const obj of [inner, note]) {
+      for (const key of ["creator_name", "creatorName", "author_name", "authorName"]) {
+        if (obj?.[key]) return String(obj[key]);
+      }
+    }
+
+    return "";
+  }
+
+  // --- リクエスト制御（429/503 時のバックオフと同時実行数の自動調整） ---
+
+  const RETRY_DEFAULTS = {
+    maxRetries: 3,
+    baseBackoffMs: 1000,
+    maxWaitMs: 60 * 1000, // Retry-After がこれより長い場合は待たずに失敗とする（待機は全ワーカーで共有するため）
+  };
+
+  const RATING_FETCH_DEFAULTS = {
+    concurrency: 4,
+    requestIntervalMs: 300, // 各ワーカーがリクエスト間に空ける時間
+  };
+
+  const MAX_RATING_CONCURRENCY = 8;
+
+  // この回数だけ連続で成功したら同時実行数を1つ戻す
+  const RECOVERY_SUCCESS_STREAK = 10;
+
+  /**
+   * Retry-After ヘッダー（秒数またはHTTP日付）をミリ秒に変換
+   * @returns {number|null} 解釈できない場合は null
+   */
+  function parseRetryAfter(value) {
+    if (value === null || value === undefined || value === "") return null;
+    const seconds = Number(value);
+    if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * ワーカー間で共有するレート制御の状態
+   * limit: 現在許可している同時実行数（429/503 で半減し、成功が続くと回復）
+   * pausedUntil: この時刻（ms）まで新しいリクエストを送らない
+   */
+  function createRateLimiter(concurrency) {
+    const max = Math.min(MAX_RATING_CONCURRENCY, Math.max(1, parseInt(concurrency, 10) || 1));
+    return {
+      maxConcurrency: max,
+      limit: max,
+      pausedUntil: 0,
+      successStreak: 0,
+      throttledCount: 0,
+    };
+  }
+
+  /**
+   * fetch のラッパー: 429/503 の場合は Retry-After（なければ指数バックオフ）だけ待って再試行する
+   * limiter を渡した場合は待機時間と同時実行数の低下を全ワーカーで共有する
+   * 再試行回数を超えた場合、または Retry-After が RETRY_DEFAULTS.maxWaitMs より長い場合は最後のレスポンスをそのまま返す
+   */
+  async function fetchWithBackoff(url, options, limiter) {
+    for (let attempt = 0; ; attempt++) {
+      if (limiter) {
+        const wait = limiter.pausedUntil - Date.now();
+        if (wait > 0) await sleep(wait);
+      }
+
+      const response = await fetch(url, options);
+      const throttled = response.status === 429 || response.status === 503;
+
+      if (!throttled || attempt >= RETRY_DEFAULTS.maxRetries) {
+        if (limiter && response.ok) {
+          limiter.successStreak++;
+          if (limiter.successStreak >= RECOVERY_SUCCESS_STREAK && limiter.limit < limiter.maxConcurrency) {
+            limiter.limit++;
+            limiter.successStreak = 0;
+          }
+        }
+        return response;
+      }
+
+      const retryAfter = parseRetryAfter(response.headers?.get?.("Retry-After"));
+      const delay = retryAfter !== null ? retryAfter : RETRY_DEFAULTS.baseBackoffMs * 2 ** attempt;
+      if (limiter) {
+        limiter.throttledCount++;
+        limiter.successStreak = 0;
+        limiter.limit = Math.max(1, Math.floor(limiter.limit / 2));
+      }
+      if (delay > RETRY_DEFAULTS.maxWaitMs) {
+        logger.warn(`${response.status}: Retry-After が${Math.round(delay / 1000)}秒と長いため、待たずに失敗とします ${url}`);
+        return response;
+      }
+      logger.warn(`${response.status}: ${Math.round(delay / 1000)}秒待って再試行します (${attempt + 1}/${RETRY_DEFAULTS.maxRetries}) ${url}`);
+
+      if (limiter) {
+        limiter.pausedUntil = Math.max(limiter.pausedUntil, Date.now() + delay);
+      } else {
+        await sleep(delay);
+      }
+    }
+  }
+
+  // --- ハッシュタグページ: DOM と API の併用 ---
+
+  /**
+   * DOMから取得した記事を、同じ note キーの API 記事データで補完する
+   * 並び順とスキ数（DOMで取得できた場合）は DOM を正とし、それ以外の項目は API の値を使う。
+   * 取得元（sources）も、DOM の値を使った項目は DOM のものにする
+   * @returns {{ articles: Array, matched: number }}
+   */
+  function mergeDomWithApi(domArticles, apiArticles) {
+    const apiByKey = new Map();
+    for (const apiArticle of apiArticles || []) {
+      const key = articleId(apiArticle);
+      if (key && !apiByKey.has(key)) apiByKey.set(key, apiArticle);
+    }
+
+    let matched = 0;
+    const articles = domArticles.map((domArticle) => {
+      const apiArticle = apiByKey.get(articleId(domArticle));
+      if (!apiArticle) return domArticle;
+      matched++;
+      const useDomTitle = Boolean(domArticle.title);
+      const useDomLikes = typeof domArticle.likeCount === "number";
+      const domSources = domArticle.sources || {};
+      const apiSources = apiArticle.sources || {};
+      return {
+        ...apiArticle,
+        title: useDomTitle ? domArticle.title : apiArticle.title,
+        likeCount: useDomLikes ? domArticle.likeCount : apiArticle.likeCount,
+        url: domArticle.url,
+        sources: {
+          ...apiSources,
+          title: useDomTitle ? domSources.title || null : apiSources.title || null,
+          likeCount: useDomLikes ? domSources.likeCount || null : apiSources.likeCount || null,
+        },
+      };
+    });
+
+    return { articles, matched };
+  }
+
+  // --- 高評価数の取得（個別記事ページから） ---
+
+  /**
+   * 記事詳細APIまたはHTMLページから高評価数を取得
+   * @param {string} articleUrl
+   * @param {object} [limiter] createRateLimiter の戻り値（一括取得時に共有）
+   * @returns {Promise<number|null>} どこからも見つからなかった場合は null（不明）
+   */
+  async function fetchLikeRating(articleUrl, limiter) {
+    return (await fetchLikeRatingWithSource(articleUrl, limiter)).rating;
+  }
+
+  /**
+   * 高評価数と、その取得元（VALUE_SOURCES の記事API・HTMLテキスト・__NEXT_DATA__・__NUXT__）を返す
+   * 記事APIと __NEXT_DATA__ では 0 より大きい値を優先し、0 しか見つからなければ最後に 0 を返す。
+   * どこからも見つからなかった場合は { rating: null, source: null }（「高評価が0件」とは区別する）
+   * failures を渡すと、値を確定できなかった場合（不明として返す場合）に記事API・HTMLの取得の失敗を追加する
+   * （{ phase: "articleApi" | "articleHtml", url, status, message }。明示的な 0 を含め、値が見つかった場合は追加しない）
+   * @param {string} articleUrl
+   * @param {object} [limiter]
+   * @param {Array} [failures]
+   * @returns {Promise<{ rating: number|null, source: string|null }>}
+   */
+  async function fetchLikeRatingWithSource(articleUrl, limiter, failures) {
+    const unknown = { rating: null, source: null };
+    if (!articleUrl) return unknown;
+
+    // 0 より大きい値が見つからなかった場合に使う、明示的な 0
+    let zero = null;
+    // この記事での取得の失敗（不明として返す場合だけ failures に渡す）
+    const errors = [];
+
+    try {
+      // URLからnoteのkeyを抽出 (例: /username/n/nXXXXXX)
+      const noteKey = extractNoteKey(articleUrl);
+      if (!noteKey) return unknown;
+
+      // ※ like_count はスキ数であり、高評価数とは別の指標
+      // 高評価数専用のフィールド候補（like_countは含めない）
+      const ratingFieldCandidates = [
+        "rating_count", "ratingCount",
+        "recommend_count", "recommendCount",
+        "evaluation_count", "evaluationCount",
+        "high_rating_count", "highRatingCount",
+        "buyer_like_count", "buyerLikeCount",
+        "purchase_like_count", "purchaseLikeCount",
+      ];
+
+      // 方法1: 記事詳細APIを試行
+      let apiNetworkError = false;
+      const apiUrl = `https://note.com/api/v3/notes/${noteKey}`;
+      let apiStatus = null;
+      try {
+        const apiRes = await fetchWithBackoff(apiUrl, {
+          credentials: "include",
+          headers: { Accept: "application/json" },
+        }, limiter);
+        apiStatus = apiRes.status ?? null;
+        if (!apiRes.ok) {
+          errors.push({ phase: "articleApi", url: apiUrl, status: apiStatus, message: `HTTP ${apiRes.status}` });
+        } else {
+          const apiData = await apiRes.json();
+          const noteData = apiData?.data || apiData;
+          const inner = noteData?.note || noteData;
+
+          // 独自ドメインの記事は、ここで分かるクリエイターを覚えておく（HTML の取得先・出力に使う）
+          rememberCustomDomain(articleUrl, findCreatorUrlname(noteData, inner, ""));
+
+          // 高評価専用フィールドを検索（like_countは除外）
+          const rating = findNumber(noteData, inner, ratingFieldCandidates);
+          if (rating > 0) {
+            logger.debug(`API高評価数: ${rating} (${noteKey})`);
+            return { rating, source: VALUE_SOURCES.ARTICLE_API };
+          }
+          if (rating === 0) zero = { rating: 0, source: VALUE_SOURCES.ARTICLE_API };
+
+          // APIレスポンスの全キーをログ出力（初回のみ、デバッグ用）
+          if (!fetchLikeRating._logged) {
+            fetchLikeRating._logged = true;
+            logger.debug(`記事API全キー:`, Object.keys(noteData || {}));
+            if (noteData?.note) {
+              logger.debug(`記事API note内キー:`, Object.keys(noteData.note));
+            }
+            logger.sample("記事API", noteData);
+            logger.info(`※ 高評価数はAPIに含まれない可能性あり。HTMLフォールバックに進みます`);
+          }
+        }
+      } catch (apiErr) {
+        apiNetworkError = true;
+        errors.push({ phase: "articleApi", url: apiUrl, status: apiStatus, message: apiErr.message });
+      }
+
+      // 方法2: HTMLページから抽出（APIがネットワークエラーの場合はスキップ）
+      const pageUrl = ratingPageUrl(articleUrl);
+      if (!apiNetworkError && pageUrl) {
+        try {
+          const pageRes = await fetchWithBackoff(pageUrl, {
+            credentials: "include",
+          }, limiter);
+          if (!pageRes.ok) {
+            errors.push({ phase: "articleHtml", url: pageUrl, status: pageRes.status ?? null, message: `HTTP ${pageRes.status}` });
+          } else {
+            const html = await pageRes.text();
+
+            // パターン1: "XX人が高評価" テキストを検索
+            const ratingMatch = html.match(/(\d+)\s*人が高評価/);
+            if (ratingMatch) {
+              const count = parseInt(ratingMatch[1], 10);
+              logger.debug(`HTML高評価数: ${count} (${noteKey})`);
+              return { rating: count, source: VALUE_SOURCES.HTML_TEXT };
+            }
+
+            // パターン2: __NEXT_DATA__ 内のJSONから高評価数を探す
+            const nextDataMatch = html.match(/<script\s+id="__NEXT_DATA__"[^>]*>([\s\S]*?)<\/script>/);
+            if (nextDataMatch) {
+              try {
+                const nextData = JSON.parse(nextDataMatch[1]);
+                // __NEXT_DATA__内を再帰的に探索
+                const rating = findRatingInObject(nextData, ratingFieldCandidates);
+                if (rating > 0) {
+                  logger.debug(`__NEXT_DATA__高評価数: ${rating} (${noteKey})`);
+                  return { rating, source: VALUE_SOURCES.NEXT_DATA };
+                }
+                if (rating === 0 && !zero) zero = { rating: 0, source: VALUE_SOURCES.NEXT_DATA };
+              } catch (e) { /* JSONパースエラーは無視 */ }
+            }
+
+            // パターン3: __NUXT__ データから探す（旧バージョン対応）
+            const nuxtMatch = html.match(/__NUXT__[^=]*=\s*(\{[\s\S]*?\});?\s*<\/script>/);
+            if (nuxtMatch) {
+              try {
+                const ratingInNuxt = nuxtMatch[1].match(/"(?:rating_count|ratingCount|recommend_count|high_rating_count|buyer_like_count)"\s*:\s*(\d+)/);
+                if (ratingInNuxt) {
+                  const count = parseInt(ratingInNuxt[1], 10);
+                  logger.debug(`Nuxt高評価数: ${count} (${noteKey})`);
+                  return { rating: count, source: VALUE_SOURCES.NUXT };
+                }
+              } catch (e) { /* ignore */ }
+            }
+
+            // パターン4: HTML内のJSON-LD等に「高評価」関連データがないか（テキストマッチ）
+            const htmlRatingMatch = html.match(/"(?:rating_count|ratingCount|recommend_count|high_rating_count|buyer_like_count)"\s*:\s*(\d+)/);
+            if (htmlRatingMatch) {
+              const count = parseInt(htmlRatingMatch[1], 10);
+              logger.debug(`HTML-JSON高評価数: ${count} (${noteKey})`);
+              return { rating: count, source: VALUE_SOURCES.HTML_TEXT };
+            }
+          }
+        } catch (htmlErr) {
+          errors.push({ phase: "articleHtml", url: pageUrl, status: null, message: htmlErr.message });
+        }
+      }
+    } catch (err) {
+      logger.warn(`高評価数取得エラー: ${err.message}`);
+    }
+
+    for (const error of errors) {
+      logger.debug(`${error.phase === "articleApi" ? "記事API" : "HTML"}取得失敗: ${error.message} (${error.url})`);
+    }
+    if (zero) return zero;
+    if (failures) failures.push(...errors);
+    return unknown;
+  }
+
+  /**
+   * 高評価数を探す記事ページのURL
+   * 拡張機能が取得できるのは note.com のページだけのため、独自ドメインの記事は
+   * note.com 上の URL に置き換える。クリエイターが分からなければ空文字（HTMLからの取得は行わない）
+   */
+  function ratingPageUrl(articleUrl) {
+    const { customDomain, creatorUrlname, key } = parseArticleUrl(articleUrl);
+    if (!customDomain) return articleUrl;
+    return creatorUrlname && key ? `https://${NOTE_HOST}/${creatorUrlname}/n/${key}` : "";
+  }
+
+  /**
+   * オブジェクトを浅く探索して高評価数フィールドを見つける（最大2階層）
+   * 0 より大きい値を優先し、0 しか見つからなければ 0、フィールドがなければ null を返す
+   */
+  function findRatingInObject(obj, fieldCandidates, depth) {
+    if (depth === undefined) depth = 0;
+    if (!obj || typeof obj !== "object" || depth > 3) return null;
+    let zero = null;
+
+    // 直接フィールドをチェック
+    for (const key of fieldCandidates) {
+      if (obj[key] !== undefined && obj[key] !== null) {
+        const num = Number(obj[key]);
+        if (!isNaN(num) && num > 0) return num;
+        if (num === 0) zero = 0;
+      }
+    }
+
+    // 子オブジェクトを探索
+    for (const val of Object.values(obj)) {
+      if (val && typeof val === "object" && !Array.isArray(val)) {
+        const found = findRatingInObject(val, fieldCandidates, depth + 1);
+        if (found > 0) return found;
+        if (found === 0) zero = 0;
+      }
+    }
+
+    return zero;
+  }
+
+  /**
+   * 全記事の高評価数を一括取得（進捗表示付き）
+   * 複数のワーカーで並行して取得し、429/503 を受けた場合は同時実行数を下げる。
+   * 結果は元の記事順を保つ。停止要求があった場合、未取得の記事も高評価数が不明な記事として結果に含める。
+   * 取得できなかった記事・未取得の記事の likeRating は null、取得元は sources.likeRating に記録する（不明なら null）。
+   * 記事API・HTMLの取得に失敗して値を確定できなかった記事は、articleId を付けてジョブの失敗に記録する
+   * （実行履歴に保存し、失敗した記事だけを取得し直せるようにする）
+   * @param {object} job
+   * @param {Array} articles
+   * @param {{ concurrency?: number, requestIntervalMs?: number, onRated?: (article: object, index: number) => void }} [options]
+   *   onRated: 高評価数を取得した記事ごとに呼ぶ（停止した場合に、取得した記事と未取得の記事を区別するため）
+   */
+  async function fetchAllLikeRatings(job, articles, options) {
+    const opts = { ...RATING_FETCH_DEFAULTS, ...(options || {}) };
+    const limiter = createRateLimiter(opts.concurrency);
+    logger.info(`高評価数の取得を開始: ${articles.length}件 (同時実行数: ${limiter.maxConcurrency})`);
+
+    const results = articles.slice();
+    const startedAt = Date.now();
+    let nextIndex = 0;
+    let completed = 0;
+    let active = 0;
+    let failedCount = 0;
+
+    async function worker() {
+      while (nextIndex < articles.length) {
+        if (await shouldStop(job)) return;
+
+        // 429/503 で同時実行数が下がっている間は待機
+        if (active >= limiter.limit) {
+          await sleep(100);
+          continue;
+        }
+
+        const i = nextIndex++;
+        const article = articles[i];
+        active++;
+        let rating;
+        let source;
+        const failures = [];
+        try {
+          ({ rating, source } = await fetchLikeRatingWithSource(article.url, limiter, failures));
+        } finally {
+          active--;
+        }
+        for (const failure of failures) {
+          recordFailure(job, { ...failure, articleId: articleId(article), articleUrl: article.url });
+        }
+        if (failures.length > 0) failedCount++;
+        // DOM から収集した独自ドメインの記事は、記事APIで分かったクリエイターで補う
+        results[i] = {
+          ...article,
+          likeRating: rating,
+          sources: { ...article.sources, likeRating: source },
+          creatorUrlname: article.creatorUrlname || extractCreatorFromUrl(article.url),
+        };
+        completed++;
+        if (opts.onRated) opts.onRated(results[i], i);
+
+        const elapsedSec = (Date.now() - startedAt) / 1000;
+        job.current = completed;
+        job.throughput = elapsedSec > 0 ? completed / elapsedSec : 0;
+        job.concurrency = limiter.limit;
+        job.message = `高評価数を取得中... ${completed} / ${articles.length} 件`;
+        logger.debug(`高評価数 ${completed}/${articles.length}: ${article.title.substring(0, 30)}... → ${rating ?? "不明"}`);
+
+        // レート制限対策
+        if (opts.requestIntervalMs > 0 && nextIndex < articles.length) {
+          await sleep(opts.requestIntervalMs);
+        }
+      }
+    }
+
+    const workerCount = Math.min(limiter.maxConcurrency, articles.length);
+    await Promise.all(Array.from({ length: workerCount }, () => worker()));
+
+    if (job.status === "stopping") {
+      logger.info(`高評価数: 停止要求により中断 (${completed}/${articles.length}件取得済み)`);
+    }
+    // 停止して取得しなかった記事は、高評価数を不明（null）にそろえる（既に値がある場合はそのまま）
+    results.forEach((article, i) => {
+      if (article !== articles[i]) return;
+      results[i] = {
+        ...article,
+        likeRating: article.likeRating ?? null,
+        sources: { ...article.sources, likeRating: article.sources?.likeRating ?? null },
+      };
+    });
+    logger.info(`高評価数の取得完了: ${completed}件 / ${((Date.now() - startedAt) / 1000).toFixed(1)}秒 (429/503: ${limiter.throttledCount}回)`);
+    if (failedCount > 0) {
+      logger.warn(`高評価数: ${failedCount}件の記事で記事API・HTMLの取得に失敗しました（失敗の一覧はジョブと実行履歴に記録）`);
+    }
+
+    return results;
+  }
+
+  globalThis.NoteExporter = globalThis.NoteExporter || {};
+  globalThis.NoteExporter.noteApi = {
+    VALUE_SOURCES,
+    SOURCE_FIELDS,
+    withSources,
+    RETRY_DEFAULTS,
+    RATING_FETCH_DEFAULTS,
+    sleep,
+    shouldStop,
+    RESERVED_TOP_PATHS,
+    parseArticleUrl,
+    rememberCustomDomain,
+    extractCreatorFromUrl,
+    extractNoteKey,
+    canonicalArticleUrl,
+    articleId,
+    dedupeArticles,
+    fetchApiPage,
+    recordFailure,
+    recordSchemaDrift,
+    notesFromResponse,
+    handlePageFailure,
+    fetchFromAPI,
+    fetchPagedNotesFromApi,
+    fetchFromHashtagAPI,
+    fetchFromCreatorAPI,
+    fetchFromMagazineAPI,
+    parseNotes,
+    findNotesArray,
+    extractArticleFromNote,
+    findFirstValue,
+    findNumber,
+    safeBool,
+    normalizeDate,
+    normalizeNoteType,
+    findHashtags,
+    findEyecatchUrl,
+    isInMagazine,
+    findCreatorUrlname,
+    safeStr,
+    buildNoteUrl,
+    findCreatorName,
+    parseRetryAfter,
+    createRateLimiter,
+    fetchWithBackoff,
+    mergeDomWithApi,
+    fetchLikeRating,
+    fetchLikeRatingWithSource,
+    ratingPageUrl,
+    findRatingInObject,
+    fetchAllLikeRatings,
+  };
+})();
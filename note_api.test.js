@@ -0,0 +1,1521 @@
+/**
+ * note_api.js のユニットテスト
+ *
+ * テスト対象:
+ * - extractCreatorFromUrl / parseArticleUrl: URLからクリエイター名抽出（独自ドメインを含む）
+ * - extractNoteKey: URLからnoteキー抽出
+ * - canonicalArticleUrl / articleId / dedupeArticles: 記事の正規IDと重複除去
+ * - findNotesArray: APIレスポンスからnotes配列探索
+ * - parseNotes: 記事オブジェクトの配列から記事データ抽出
+ * - extractArticleFromNote: 1つのnoteオブジェクトから記事データ抽出（不明な値の null と取得元）
+ * - normalizeDate / normalizeNoteType / safeBool: 記事メタデータの正規化
+ * - safeStr: 安全な型変換
+ * - buildNoteUrl: 記事URL構築
+ * - findCreatorName: クリエイター名探索
+ * - fetchFromAPI: ページ取得失敗時の再試行と部分結果
+ * - notesFromResponse / recordSchemaDrift: アダプターによる記事の取り出しとスキーマの変化の記録
+ * - fetchFromCreatorAPI / fetchFromMagazineAPI: クリエイター・マガジンの記事取得
+ * - mergeDomWithApi: ハッシュタグページのDOM/API併用
+ * - fetchLikeRating / fetchLikeRatingWithSource / ratingPageUrl / findRatingInObject / fetchAllLikeRatings: 高評価数の取得と取得元、
+ *   記事ごとの取得の失敗の記録
+ * - fetchWithBackoff / createRateLimiter: 429/503 時の再試行と同時実行数の調整
+ * - shouldStop: ジョブの一時停止・停止要求
+ */
+
+require("./logger.js");
+require("./note_schema.js");
+require("./note_api.js");
+
+const noteApi = globalThis.NoteExporter.noteApi;
+
+/** 取得処理に渡すジョブ（background.js の createJob のうち、取得処理が読み書きする項目） */
+function createJob(fields) {
+  return { status: "scraping", current: 0, message: "", throughput: 0, concurrency: 0, failures: [], schemaDrift: [], ...fields };
+}
+
+// 検索ページ（https://note.com/search?q=test）の検索条件
+const searchParams = { q: "test", context: "note", sort: "" };
+
+// ========================================
+// extractCreatorFromUrl
+// ========================================
+describe("extractCreatorFromUrl", () => {
+  test("標準的なnote.com URL", () => {
+    expect(noteApi.extractCreatorFromUrl("https://note.com/testuser/n/n1234")).toBe("testuser");
+  });
+
+  test("パスだけの場合", () => {
+    expect(noteApi.extractCreatorFromUrl("https://note.com/another_user/n/nabc")).toBe("another_user");
+  });
+
+  test("note.comを含まないURL", () => {
+    expect(noteApi.extractCreatorFromUrl("https://example.com/user/n/n123")).toBe("");
+  });
+
+  test("空文字列", () => {
+    expect(noteApi.extractCreatorFromUrl("")).toBe("");
+  });
+
+  test("クリエイターではないパス（/n/{key} など）", () => {
+    expect(noteApi.extractCreatorFromUrl("https://note.com/n/n1234")).toBe("");
+    expect(noteApi.extractCreatorFromUrl("https://note.com/search?q=AI")).toBe("");
+  });
+
+  test("独自ドメインの記事は、API の記事データで覚えたクリエイターを返す", () => {
+    expect(noteApi.extractCreatorFromUrl("https://blog.creator-a.jp/n/n0001")).toBe("");
+
+    const article = noteApi.extractArticleFromNote({
+      name: "独自ドメインの記事",
+      note_url: "https://blog.creator-a.jp/n/n0002",
+      user: { urlname: "creator_a", nickname: "クリエイターA" },
+    });
+    expect(article).toMatchObject({ url: "https://blog.creator-a.jp/n/n0002", creatorUrlname: "creator_a" });
+
+    // 同じ独自ドメインの他の記事（DOM から収集した記事など）にも使う
+    expect(noteApi.extractCreatorFromUrl("https://blog.creator-a.jp/n/n0001")).toBe("creator_a");
+    expect(noteApi.extractCreatorFromUrl("https://WWW.Blog.Creator-A.jp/n/n0003/")).toBe("creator_a");
+  });
+});
+
+describe("parseArticleUrl", () => {
+  test("note.com の記事URLと相対パス", () => {
+    expect(noteApi.parseArticleUrl("https://note.com/testuser/n/n1234abcd?from=search")).toEqual({
+      host: "note.com", customDomain: false, creatorUrlname: "testuser", key: "n1234abcd",
+    });
+    expect(noteApi.parseArticleUrl("/testuser/n/nabc")).toMatchObject({ host: "note.com", creatorUrlname: "testuser", key: "nabc" });
+  });
+
+  test("独自ドメインの記事URLは note キーを取り出し、独自ドメインとして扱う", () => {
+    expect(noteApi.parseArticleUrl("https://magazine.example.org/n/nxyz789/")).toEqual({
+      host: "magazine.example.org", customDomain: true, creatorUrlname: "", key: "nxyz789",
+    });
+    expect(noteApi.articleId("https://magazine.example.org/n/nxyz789/")).toBe(noteApi.articleId("https://note.com/someone/n/nxyz789"));
+  });
+
+  test("URLでない値", () => {
+    expect(noteApi.parseArticleUrl(undefined)).toEqual({ host: "", customDomain: false, creatorUrlname: "", key: "" });
+  });
+});
+
+// ========================================
+// extractNoteKey
+// ========================================
+describe("extractNoteKey", () => {
+  test("記事URLからnoteキーを抽出", () => {
+    expect(noteApi.extractNoteKey("https://note.com/testuser/n/n1234abcd")).toBe("n1234abcd");
+  });
+
+  test("相対パス", () => {
+    expect(noteApi.extractNoteKey("/testuser/n/nabc")).toBe("nabc");
+  });
+
+  test("記事URLでない場合は空文字列", () => {
+    expect(noteApi.extractNoteKey("https://note.com/testuser")).toBe("");
+    expect(noteApi.extractNoteKey(undefined)).toBe("");
+  });
+});
+
+describe("canonicalArticleUrl / articleId / dedupeArticles", () => {
+  test("クエリ文字列・フラグメント・末尾のスラッシュを除く", () => {
+    expect(noteApi.canonicalArticleUrl("https://note.com/u/n/nabc/?from=search#top")).toBe("https://note.com/u/n/nabc");
+    expect(noteApi.canonicalArticleUrl(undefined)).toBe("");
+  });
+
+  test("URLの表記やドメインが違っても同じ記事は同じID", () => {
+    const ids = [
+      "https://note.com/u/n/nabc",
+      "https://note.com/u/n/nabc/",
+      "https://note.com/u/n/nabc?ref=hashtag",
+      "https://blog.example.com/n/nabc",
+    ].map((url) => noteApi.articleId({ url }));
+    expect(new Set(ids)).toEqual(new Set(["nabc"]));
+    expect(noteApi.articleId("https://note.com/u/n/nabc")).toBe("nabc");
+  });
+
+  test("noteキーがないURLは正規化したURL、URLがなければ空文字", () => {
+    expect(noteApi.articleId({ url: "https://note.com/u/?x=1" })).toBe("https://note.com/u");
+    expect(noteApi.articleId({})).toBe("");
+  });
+
+  test("同じIDの記事は最初のものを残し、URLのない記事は残す", () => {
+    const articles = [
+      { title: "A", url: "https://note.com/u/n/n1" },
+      { title: "B", url: "" },
+      { title: "A'", url: "https://note.com/u/n/n1/?from=x" },
+      { title: "C", url: "" },
+    ];
+    expect(noteApi.dedupeArticles(articles).map((a) => a.title)).toEqual(["A", "B", "C"]);
+  });
+});
+
+// ========================================
+// safeStr
+// ========================================
+describe("safeStr", () => {
+  test("文字列をそのまま返す", () => {
+    expect(noteApi.safeStr("hello")).toBe("hello");
+  });
+
+  test("nullは空文字列", () => {
+    expect(noteApi.safeStr(null)).toBe("");
+  });
+
+  test("undefinedは空文字列", () => {
+    expect(noteApi.safeStr(undefined)).toBe("");
+  });
+
+  test("数値はString変換", () => {
+    expect(noteApi.safeStr(42)).toBe("42");
+  });
+});
+
+// ========================================
+// buildNoteUrl
+// ========================================
+describe("buildNoteUrl", () => {
+  test("note_urlフィールドがある場合", () => {
+    const note = { note_url: "https://note.com/user/n/n123" };
+    expect(noteApi.buildNoteUrl(note, note)).toBe("https://note.com/user/n/n123");
+  });
+
+  test("keyとuser.urlnameから構築", () => {
+    const note = { key: "n12345abc", user: { urlname: "testuser" } };
+    expect(noteApi.buildNoteUrl(note, note)).toBe("https://note.com/testuser/n/n12345abc");
+  });
+
+  test("innerにURLがある場合はinnerを優先", () => {
+    const note = {};
+    const inner = { note_url: "https://note.com/inner/n/nabc" };
+    expect(noteApi.buildNoteUrl(note, inner)).toBe("https://note.com/inner/n/nabc");
+  });
+
+  test("hrefフィールド（相対パス）", () => {
+    const note = { href: "/user/n/n999" };
+    expect(noteApi.buildNoteUrl(note, note)).toBe("https://note.com/user/n/n999");
+  });
+
+  test("URLが全くない場合は空文字列", () => {
+    expect(noteApi.buildNoteUrl({}, {})).toBe("");
+  });
+
+  test("独自ドメインのnote_urlはそのまま使う", () => {
+    const note = { key: "n777", note_url: "https://blog.example.net/n/n777", user: { urlname: "pro_user" } };
+    expect(noteApi.buildNoteUrl(note, note)).toBe("https://blog.example.net/n/n777");
+    expect(noteApi.findCreatorUrlname(note, note, note.note_url)).toBe("pro_user");
+  });
+});
+
+// ========================================
+// findCreatorName
+// ========================================
+describe("findCreatorName", () => {
+  test("user.nicknameがある場合", () => {
+    const note = { user: { nickname: "テストユーザー" } };
+    expect(noteApi.findCreatorName(note, note)).toBe("テストユーザー");
+  });
+
+  test("user.urlnameにフォールバック", () => {
+    const note = { user: { urlname: "testuser" } };
+    expect(noteApi.findCreatorName(note, note)).toBe("testuser");
+  });
+
+  test("creator_nameフィールド", () => {
+    const note = { creator_name: "クリエイター" };
+    expect(noteApi.findCreatorName(note, note)).toBe("クリエイター");
+  });
+
+  test("innerのuserを優先", () => {
+    const note = { user: { nickname: "outer" } };
+    const inner = { user: { nickname: "inner" } };
+    expect(noteApi.findCreatorName(note, inner)).toBe("inner");
+  });
+
+  test("ユーザー情報なし", () => {
+    expect(noteApi.findCreatorName({}, {})).toBe("");
+  });
+});
+
+// ========================================
+// findNotesArray
+// ========================================
+describe("findNotesArray", () => {
+  test("data.data.notes が配列の場合", () => {
+    const data = { data: { notes: [{ name: "test" }] } };
+    expect(noteApi.findNotesArray(data)).toEqual([{ name: "test" }]);
+  });
+
+  test("data.data.contents が配列の場合", () => {
+    const data = { data: { contents: [{ name: "c1" }, { name: "c2" }] } };
+    expect(noteApi.findNotesArray(data)).toEqual([{ name: "c1" }, { name: "c2" }]);
+  });
+
+  test("data.data.notes.contents（ネスト）の場合", () => {
+    const data = { data: { notes: { contents: [{ name: "nested" }] } } };
+    expect(noteApi.findNotesArray(data)).toEqual([{ name: "nested" }]);
+  });
+
+  test("data.data.notes.items（ネスト）の場合", () => {
+    const data = { data: { notes: { items: [{ name: "item1" }] } } };
+    expect(noteApi.findNotesArray(data)).toEqual([{ name: "item1" }]);
+  });
+
+  test("data が直接配列を持つ場合", () => {
+    const data = { data: [{ name: "direct" }] };
+    expect(noteApi.findNotesArray(data)).toEqual([{ name: "direct" }]);
+  });
+
+  test("data.dataのプロパティに配列がある場合（動的探索）", () => {
+    const data = { data: { my_custom_key: [{ name: "custom" }] } };
+    expect(noteApi.findNotesArray(data)).toEqual([{ name: "custom" }]);
+  });
+
+  test("nullデータ", () => {
+    expect(noteApi.findNotesArray(null)).toEqual([]);
+  });
+
+  test("空オブジェクト", () => {
+    expect(noteApi.findNotesArray({})).toEqual([]);
+  });
+
+  test("data.data.notes が配列でない（オブジェクト）場合", () => {
+    const data = { data: { notes: { count: 10, is_last_page: false } } };
+    // notes自体は配列でないため、スキップされる
+    const result = noteApi.findNotesArray(data);
+    expect(Array.isArray(result)).toBe(true);
+  });
+
+  test("プリミティブ値は無視される", () => {
+    const data = { data: { notes: "not-an-array", count: 10 } };
+    expect(noteApi.findNotesArray(data)).toEqual([]);
+  });
+});
+
+// ========================================
+// extractArticleFromNote（記事ごとに異なるデータを返すことを検証）
+// ========================================
+describe("extractArticleFromNote", () => {
+  test("標準的なnoteオブジェクトから各フィールドを正しく抽出", () => {
+    const note = {
+      name: "テスト記事タイトル",
+      like_count: 42,
+      price: 500,
+      note_url: "https://note.com/testuser/n/n123",
+      user: { nickname: "テストクリエイター", urlname: "testuser" },
+    };
+    const result = noteApi.extractArticleFromNote(note);
+    expect(result.title).toBe("テスト記事タイトル");
+    expect(result.likeCount).toBe(42);
+    expect(result.price).toBe(500);
+    expect(result.url).toBe("https://note.com/testuser/n/n123");
+    expect(result.creator).toBe("テストクリエイター");
+  });
+
+  test("異なるフィールド名のnoteオブジェクト", () => {
+    const note = {
+      title: "別のタイトル",
+      spCount: 99,
+      amount: 1000,
+      key: "nabc123",
+      user: { urlname: "anotheruser", name: "別のユーザー" },
+    };
+    const result = noteApi.extractArticleFromNote(note);
+    expect(result.title).toBe("別のタイトル");
+    expect(result.likeCount).toBe(99);
+    expect(result.price).toBe(1000);
+    expect(result.url).toBe("https://note.com/anotheruser/n/nabc123");
+    expect(result.creator).toBe("別のユーザー");
+  });
+
+  test("ネストされたnoteオブジェクト", () => {
+    const note = {
+      note: {
+        name: "ネストタイトル",
+        like_count: 15,
+        price: 0,
+        note_url: "https://note.com/nested/n/n999",
+        user: { nickname: "ネストユーザー" },
+      },
+    };
+    const result = noteApi.extractArticleFromNote(note);
+    expect(result.title).toBe("ネストタイトル");
+    expect(result.likeCount).toBe(15);
+    expect(result.price).toBe(0);
+    expect(result.url).toBe("https://note.com/nested/n/n999");
+    expect(result.creator).toBe("ネストユーザー");
+  });
+
+  test("無料記事（price: 0）", () => {
+    const note = { name: "無料記事", price: 0, user: { nickname: "user" } };
+    expect(noteApi.extractArticleFromNote(note).price).toBe(0);
+  });
+
+  test("null入力", () => {
+    expect(noteApi.extractArticleFromNote(null)).toBeNull();
+  });
+
+  test("プリミティブ入力", () => {
+    expect(noteApi.extractArticleFromNote("string")).toBeNull();
+    expect(noteApi.extractArticleFromNote(123)).toBeNull();
+  });
+
+  test("検索APIのメタデータを正規化して抽出", () => {
+    const note = {
+      name: "メタデータ付き記事",
+      like_count: 10,
+      price: 300,
+      key: "nmeta01",
+      publish_at: "2024-05-01T09:30:00+09:00",
+      comment_count: 4,
+      hashtags: [
+        { hashtag: { name: "#AI" } },
+        { hashtag: { name: "#個人開発" } },
+      ],
+      eyecatch: "https://assets.st-note.com/eyecatch.png",
+      type: "TextNote",
+      is_membership_connected: true,
+      is_magazine_note: true,
+      user: { nickname: "メタ太郎", urlname: "meta_taro" },
+    };
+    const result = noteApi.extractArticleFromNote(note);
+    expect(result.creatorUrlname).toBe("meta_taro");
+    expect(result.publishDate).toBe("2024-05-01T00:30:00.000Z");
+    expect(result.commentCount).toBe(4);
+    expect(result.hashtags).toEqual(["AI", "個人開発"]);
+    expect(result.eyecatchUrl).toBe("https://assets.st-note.com/eyecatch.png");
+    expect(result.noteType).toBe("text");
+    expect(result.membershipOnly).toBe(true);
+    expect(result.inMagazine).toBe(true);
+  });
+
+  test("ネストされたnoteオブジェクトのメタデータも抽出", () => {
+    const note = {
+      note: {
+        name: "ネスト動画",
+        type: "MovieNote",
+        commentCount: 2,
+        hashtags: ["#動画", "編集"],
+        magazines: [{ key: "m123" }],
+        note_url: "https://note.com/video_user/n/nvid",
+      },
+    };
+    const result = noteApi.extractArticleFromNote(note);
+    expect(result.noteType).toBe("video");
+    expect(result.commentCount).toBe(2);
+    expect(result.hashtags).toEqual(["動画", "編集"]);
+    expect(result.inMagazine).toBe(true);
+    // userがない場合は記事URLからurlnameを取得
+    expect(result.creatorUrlname).toBe("video_user");
+  });
+
+  test("メタデータがない場合は空の既定値（数値の項目は null = 不明）", () => {
+    const result = noteApi.extractArticleFromNote({ name: "最小限の記事" });
+    expect(result.publishDate).toBe("");
+    expect(result.likeCount).toBeNull();
+    expect(result.price).toBeNull();
+    expect(result.commentCount).toBeNull();
+    expect(result.hashtags).toEqual([]);
+    expect(result.eyecatchUrl).toBe("");
+    expect(result.noteType).toBe("");
+    expect(result.membershipOnly).toBe(false);
+    expect(result.inMagazine).toBe(false);
+    expect(result.creatorUrlname).toBe("");
+  });
+
+  test("0 は不明と区別して値として扱い、値のある項目の取得元を一覧APIとして記録する", () => {
+    const result = noteApi.extractArticleFromNote({ name: "記事", like_count: 0, price: "無料", user: { nickname: "太郎" } });
+    expect(result.likeCount).toBe(0);
+    expect(result.price).toBe(0);
+    expect(result.sources).toEqual({
+      title: "search_api",
+      likeCount: "search_api",
+      likeRating: null,
+      price: "search_api",
+      creator: "search_api",
+      publishDate: null,
+      commentCount: null,
+    });
+  });
+});
+
+// ========================================
+// 記事メタデータの正規化
+// ========================================
+describe("normalizeDate", () => {
+  test("タイムゾーン付き文字列をISO形式に変換", () => {
+    expect(noteApi.normalizeDate("2024-01-02T03:04:05+09:00")).toBe("2024-01-01T18:04:05.000Z");
+  });
+
+  test("秒単位・ミリ秒単位のUNIX時刻", () => {
+    expect(noteApi.normalizeDate(1704067200)).toBe("2024-01-01T00:00:00.000Z");
+    expect(noteApi.normalizeDate(1704067200000)).toBe("2024-01-01T00:00:00.000Z");
+  });
+
+  test("解釈できない値は空文字列", () => {
+    expect(noteApi.normalizeDate("not a date")).toBe("");
+    expect(noteApi.normalizeDate(null)).toBe("");
+  });
+});
+
+describe("normalizeNoteType", () => {
+  test("既知の種類を短い名前に変換", () => {
+    expect(noteApi.normalizeNoteType("TextNote")).toBe("text");
+    expect(noteApi.normalizeNoteType("ImageNote")).toBe("image");
+    expect(noteApi.normalizeNoteType("MovieNote")).toBe("video");
+  });
+
+  test("未知の種類は小文字のまま、値なしは空文字列", () => {
+    expect(noteApi.normalizeNoteType("NewNote")).toBe("newnote");
+    expect(noteApi.normalizeNoteType(undefined)).toBe("");
+  });
+});
+
+describe("safeBool", () => {
+  test("true / \"true\" / 1 を真とみなす", () => {
+    expect(noteApi.safeBool({ a: true }, ["a"])).toBe(true);
+    expect(noteApi.safeBool({ a: "true" }, ["a"])).toBe(true);
+    expect(noteApi.safeBool({ a: 1 }, ["a"])).toBe(true);
+  });
+
+  test("見つからない・偽値・nullオブジェクトは false", () => {
+    expect(noteApi.safeBool({ a: false }, ["a"])).toBe(false);
+    expect(noteApi.safeBool({}, ["a"])).toBe(false);
+    expect(noteApi.safeBool(null, ["a"])).toBe(false);
+  });
+});
+
+// ========================================
+// parseNotes（統合テスト: 記事ごとに異なる値を返すか）
+// ========================================
+describe("parseNotes", () => {
+  // アダプターの宣言した場所にない場合と同じく、レスポンスから記事配列を推測してから解析する
+  const extractNotes = (data) => noteApi.parseNotes(noteApi.findNotesArray(data));
+
+  test("必ず配列を返す（正常データ）", () => {
+    const data = { data: { notes: [{ name: "article1" }] } };
+    const result = extractNotes(data);
+    expect(Array.isArray(result)).toBe(true);
+    expect(result.length).toBe(1);
+  });
+
+  test("必ず配列を返す（nullデータ）", () => {
+    expect(Array.isArray(extractNotes(null))).toBe(true);
+    expect(extractNotes(null).length).toBe(0);
+  });
+
+  test("必ず配列を返す（空オブジェクト）", () => {
+    expect(Array.isArray(extractNotes({}))).toBe(true);
+  });
+
+  test("必ず配列を返す（不正なデータ構造）", () => {
+    expect(Array.isArray(extractNotes("string"))).toBe(true);
+    expect(Array.isArray(extractNotes(42))).toBe(true);
+    expect(Array.isArray(extractNotes(undefined))).toBe(true);
+  });
+
+  test("★核心テスト: 複数記事がそれぞれ異なるデータを持つこと", () => {
+    const data = {
+      data: {
+        notes: [
+          {
+            name: "記事A: AIの活用法",
+            like_count: 150,
+            price: 0,
+            note_url: "https://note.com/userA/n/n001",
+            user: { nickname: "ユーザーA", urlname: "userA" },
+          },
+          {
+            name: "記事B: プログラミング入門",
+            like_count: 300,
+            price: 1500,
+            note_url: "https://note.com/userB/n/n002",
+            user: { nickname: "ユーザーB", urlname: "userB" },
+          },
+          {
+            name: "記事C: デザインの基礎",
+            like_count: 75,
+            price: 500,
+            note_url: "https://note.com/userC/n/n003",
+            user: { nickname: "ユーザーC", urlname: "userC" },
+          },
+        ],
+      },
+    };
+
+    const result = extractNotes(data);
+
+    expect(result.length).toBe(3);
+
+    // 記事A
+    expect(result[0].title).toBe("記事A: AIの活用法");
+    expect(result[0].likeCount).toBe(150);
+    expect(result[0].price).toBe(0);
+    expect(result[0].url).toBe("https://note.com/userA/n/n001");
+    expect(result[0].creator).toBe("ユーザーA");
+
+    // 記事B
+    expect(result[1].title).toBe("記事B: プログラミング入門");
+    expect(result[1].likeCount).toBe(300);
+    expect(result[1].price).toBe(1500);
+    expect(result[1].url).toBe("https://note.com/userB/n/n002");
+    expect(result[1].creator).toBe("ユーザーB");
+
+    // 記事C
+    expect(result[2].title).toBe("記事C: デザインの基礎");
+    expect(result[2].likeCount).toBe(75);
+    expect(result[2].price).toBe(500);
+    expect(result[2].url).toBe("https://note.com/userC/n/n003");
+    expect(result[2].creator).toBe("ユーザーC");
+
+    // 全記事が異なるタイトルを持つ
+    const titles = new Set(result.map(r => r.title));
+    expect(titles.size).toBe(3);
+
+    // 全記事が異なるURLを持つ
+    const urls = new Set(result.map(r => r.url));
+    expect(urls.size).toBe(3);
+
+    // 全記事が異なるクリエイター名を持つ
+    const creators = new Set(result.map(r => r.creator));
+    expect(creators.size).toBe(3);
+  });
+
+  test("★核心テスト: ネストされたnoteオブジェクトでも記事ごとに異なるデータ", () => {
+    const data = {
+      data: {
+        notes: {
+          contents: [
+            {
+              note: {
+                name: "ネスト記事1",
+                like_count: 10,
+                price: 100,
+                note_url: "https://note.com/u1/n/n001",
+                user: { nickname: "著者1" },
+              },
+            },
+            {
+              note: {
+                name: "ネスト記事2",
+                like_count: 20,
+                price: 200,
+                note_url: "https://note.com/u2/n/n002",
+                user: { nickname: "著者2" },
+              },
+            },
+          ],
+        },
+      },
+    };
+
+    const result = extractNotes(data);
+
+    expect(result.length).toBe(2);
+    expect(result[0].title).toBe("ネスト記事1");
+    expect(result[0].likeCount).toBe(10);
+    expect(result[0].price).toBe(100);
+    expect(result[0].creator).toBe("著者1");
+
+    expect(result[1].title).toBe("ネスト記事2");
+    expect(result[1].likeCount).toBe(20);
+    expect(result[1].price).toBe(200);
+    expect(result[1].creator).toBe("著者2");
+  });
+
+  test("タイトルが空の記事はスキップされる", () => {
+    const data = {
+      data: {
+        notes: [
+          { name: "有効な記事", like_count: 5 },
+          { name: "", like_count: 10 },
+          { like_count: 15 },
+        ],
+      },
+    };
+    const result = extractNotes(data);
+    expect(result.length).toBe(1);
+    expect(result[0].title).toBe("有効な記事");
+  });
+});
+
+// ========================================
+// fetchFromAPI（ページ取得失敗時の再試行と部分結果）
+// ========================================
+describe("fetchFromAPI - ページ取得の失敗", () => {
+  const originalFetch = globalThis.fetch;
+
+  function pageResponse(names) {
+    const body = JSON.stringify({ data: { notes: names.map((name) => ({ name, note_url: `https://note.com/u/n/${name}` })) } });
+    return { ok: true, status: 200, text: () => Promise.resolve(body) };
+  }
+
+  /** 全タイマーを進めながら非同期処理を完了させる */
+  async function runWithTimers(promise) {
+    const result = promise.then((v) => v);
+    await jest.runAllTimersAsync();
+    return result;
+  }
+
+  let job;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    job = createJob();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    globalThis.fetch = originalFetch;
+  });
+
+  test("5xxは再試行して成功すれば続行する", async () => {
+    globalThis.fetch = jest.fn()
+      .mockResolvedValueOnce({ ok: false, status: 500 })
+      .mockResolvedValueOnce(pageResponse(["n1", "n2"]));
+
+    const result = await runWithTimers(noteApi.fetchFromAPI(job, 2, { params: searchParams }));
+    expect(result.map((a) => a.title)).toEqual(["n1", "n2"]);
+    expect(job.failures).toEqual([]);
+  });
+
+  test("ページ境界で重複した記事は1件にまとめる", async () => {
+    globalThis.fetch = jest.fn()
+      .mockResolvedValueOnce(pageResponse(Array.from({ length: 20 }, (_, i) => `p1x${i}`)))
+      .mockResolvedValueOnce(pageResponse(["p1x19", "p2x0"]))
+      .mockResolvedValueOnce(pageResponse([]));
+
+    const result = await runWithTimers(noteApi.fetchFromAPI(job, 40, { params: searchParams }));
+    expect(result.length).toBe(21);
+    expect(result.filter((a) => a.title === "p1x19").length).toBe(1);
+  });
+
+  test("途中のページが失敗し続けた場合、取得済みの記事を返して失敗を記録する", async () => {
+    globalThis.fetch = jest.fn()
+      .mockResolvedValueOnce(pageResponse(Array.from({ length: 20 }, (_, i) => `p1x${i}`)))
+      .mockResolvedValue({ ok: false, status: 502 });
+
+    const result = await runWithTimers(noteApi.fetchFromAPI(job, 40, { params: searchParams }));
+    expect(result.length).toBe(20);
+
+    const failures = job.failures;
+    expect(failures.length).toBe(1);
+    expect(failures[0]).toMatchObject({ phase: "search", page: 2, status: 502, message: "HTTP 502" });
+    expect(failures[0].url).toContain("start=20");
+  });
+
+  test("keepPartial: false の場合は取得済みの記事を破棄する（DOMフォールバック）", async () => {
+    globalThis.fetch = jest.fn()
+      .mockResolvedValueOnce(pageResponse(Array.from({ length: 20 }, (_, i) => `p1x${i}`)))
+      .mockResolvedValue({ ok: false, status: 502 });
+
+    const result = await runWithTimers(noteApi.fetchFromAPI(job, 40, { keepPartial: false, params: searchParams }));
+    expect(result).toBeNull();
+    expect(job.failures.length).toBe(1);
+  });
+
+  test("4xxは再試行しない", async () => {
+    globalThis.fetch = jest.fn().mockResolvedValue({ ok: false, status: 404 });
+
+    const result = await runWithTimers(noteApi.fetchFromAPI(job, 20, { params: searchParams }));
+    expect(result).toBeNull();
+    expect(globalThis.fetch).toHaveBeenCalledTimes(1);
+    expect(job.failures[0]).toMatchObject({ page: 1, status: 404 });
+  });
+
+  test("JSONパースエラー・ネットワークエラーも再試行し、最後の理由を記録する", async () => {
+    globalThis.fetch = jest.fn()
+      .mockResolvedValueOnce({ ok: true, status: 200, text: () => Promise.resolve("<html>") })
+      .mockRejectedValue(new Error("Failed to fetch"));
+
+    const result = await runWithTimers(noteApi.fetchFromAPI(job, 20, { params: searchParams }));
+    expect(result).toBeNull();
+    expect(globalThis.fetch).toHaveBeenCalledTimes(4);
+    expect(job.failures[0].message).toBe("ネットワークエラー: Failed to fetch");
+  });
+
+  test("検索条件の context・sort もURLエンコードし、別のパラメーターを追加させない", async () => {
+    globalThis.fetch = jest.fn().mockResolvedValue(pageResponse([]));
+
+    await runWithTimers(noteApi.fetchFromAPI(job, 20, { params: { q: "AI&x", context: "note&size=1000", sort: "new#top" } }));
+    const url = new URL(globalThis.fetch.mock.calls[0][0]);
+    expect(url.searchParams.get("q")).toBe("AI&x");
+    expect(url.searchParams.get("context")).toBe("note&size=1000");
+    expect(url.searchParams.get("sort")).toBe("new#top");
+    expect(url.searchParams.getAll("size")).toEqual(["20"]);
+    expect(url.hash).toBe("");
+  });
+});
+
+describe("notesFromResponse / recordSchemaDrift", () => {
+  const originalFetch = globalThis.fetch;
+  const adapter = globalThis.NoteExporter.noteSchema.getAdapter("search");
+
+  function v3Note(key, fields) {
+    return {
+      name: `記事${key}`, key, like_count: 12, price: 300, publish_at: "2024-01-02T03:04:05+09:00",
+      user: { urlname: "note_taro", nickname: "太郎" }, ...fields,
+    };
+  }
+
+  function v3Response(notes) {
+    const body = JSON.stringify({ data: { notes: { contents: notes, is_last_page: false } } });
+    return { ok: true, status: 200, text: () => Promise.resolve(body) };
+  }
+
+  async function runWithTimers(promise) {
+    const result = promise.then((v) => v);
+    await jest.runAllTimersAsync();
+    return result;
+  }
+
+  let job;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    job = createJob();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    globalThis.fetch = originalFetch;
+  });
+
+  test("宣言どおりの形なら、宣言した項目で記事データにして変化は記録しない", async () => {
+    globalThis.fetch = jest.fn()
+      .mockResolvedValueOnce(v3Response([v3Note("n1"), v3Note("n2", { like_count: 0, likes_count: 99 })]))
+      .mockResolvedValueOnce(v3Response([]));
+
+    const result = await runWithTimers(noteApi.fetchFromAPI(job, 10, { params: searchParams }));
+    expect(result.map((a) => a.url)).toEqual(["https://note.com/note_taro/n/n1", "https://note.com/note_taro/n/n2"]);
+    expect(result[0]).toMatchObject({ likeCount: 12, price: 300, creator: "太郎", creatorUrlname: "note_taro" });
+    // 宣言したキー（like_count）を他の候補より優先する
+    expect(result[1].likeCount).toBe(0);
+    expect(job.schemaDrift).toEqual([]);
+  });
+
+  test("必須の項目がどの記事にもなければ、見つからない項目と宣言にないキーを記録する（同じ変化は1件にまとめる）", async () => {
+    const renamed = (key) => {
+      const note = v3Note(key, { likes: 5 });
+      delete note.like_count;
+      return note;
+    };
+    globalThis.fetch = jest.fn()
+      .mockResolvedValueOnce(v3Response(Array.from({ length: 20 }, (_, i) => renamed(`a${i}`))))
+      .mockResolvedValueOnce(v3Response([renamed("b1")]))
+      .mockResolvedValueOnce(v3Response([]));
+
+    const result = await runWithTimers(noteApi.fetchFromAPI(job, 40, { params: searchParams }));
+    expect(result.length).toBe(21);
+    expect(job.schemaDrift.length).toBe(1);
+    expect(job.schemaDrift[0]).toMatchObject({
+      adapterId: "search-v3",
+      kind: "fields",
+      missingFields: [{ field: "like_count", label: "スキ数" }],
+      unmatchedKeys: ["likes"],
+      pages: 2,
+    });
+    expect(job.schemaDrift[0].message).toContain("スキ数（like_count）");
+    expect(job.schemaDrift[0].url).toContain("/api/v3/searches");
+  });
+
+  test("記事配列が宣言した場所になければ、変化を記録してレスポンスから推測する", () => {
+    const data = { data: { results: [v3Note("n1")] } };
+    const notes = noteApi.notesFromResponse(job, adapter, data, "https://note.com/api/v3/searches?q=x");
+
+    expect(notes.map((n) => n.key)).toEqual(["n1"]);
+    expect(job.schemaDrift[0]).toMatchObject({ kind: "notes", path: "data.notes.contents", unmatchedKeys: ["data.results"] });
+    expect(job.schemaDrift[0].message).toContain("記事の配列（data.notes.contents）が見つかりません");
+  });
+
+  test("推測した記事配列もアダプターで標準の形に変換する", () => {
+    const magazine = globalThis.NoteExporter.noteSchema.getAdapter("magazine");
+    const data = { data: { contents: [{ name: "記事", key: "n1", likeCount: 3, publishAt: "2024-01-01" }] } };
+    const notes = noteApi.notesFromResponse(job, magazine, data, "");
+
+    expect(notes[0]).toMatchObject({ name: "記事", like_count: 3, publish_at: "2024-01-01", likeCount: 3 });
+    expect(job.schemaDrift[0]).toMatchObject({ adapterId: "magazine-v1", kind: "notes" });
+  });
+
+  test("空の記事配列は結果なしとして扱い、変化とはみなさない", () => {
+    const notes = noteApi.notesFromResponse(job, adapter, { data: { notes: { contents: [] } } }, "");
+    expect(notes).toEqual([]);
+    expect(job.schemaDrift).toEqual([]);
+  });
+});
+
+describe("fetchFromCreatorAPI / fetchFromMagazineAPI", () => {
+  const originalFetch = globalThis.fetch;
+
+  function jsonResponse(body) {
+    const text = JSON.stringify(body);
+    return { ok: true, status: 200, text: () => Promise.resolve(text) };
+  }
+
+  function contents(names) {
+    return names.map((name) => ({ name, key: name, likeCount: 3, user: { urlname: "note_taro", nickname: "太郎" } }));
+  }
+
+  async function runWithTimers(promise) {
+    const result = promise.then((v) => v);
+    await jest.runAllTimersAsync();
+    return result;
+  }
+
+  let job;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    job = createJob();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    globalThis.fetch = originalFetch;
+  });
+
+  test("クリエイターの記事一覧を最終ページまで取得する", async () => {
+    globalThis.fetch = jest.fn()
+      .mockResolvedValueOnce(jsonResponse({ data: { contents: contents(["n1", "n2"]), isLastPage: false } }))
+      .mockResolvedValueOnce(jsonResponse({ data: { contents: contents(["n3"]), isLastPage: true } }));
+
+    const result = await runWithTimers(noteApi.fetchFromCreatorAPI(job, 10, { urlname: "note_taro" }));
+    expect(result.map((a) => a.title)).toEqual(["n1", "n2", "n3"]);
+    expect(result[0].url).toBe("https://note.com/note_taro/n/n1");
+    expect(globalThis.fetch).toHaveBeenCalledTimes(2);
+    expect(globalThis.fetch.mock.calls[1][0]).toBe("https://note.com/api/v2/creators/note_taro/contents?kind=note&page=2");
+  });
+
+  test("マガジンの収録記事を取得する", async () => {
+    globalThis.fetch = jest.fn()
+      .mockResolvedValueOnce(jsonResponse({ data: { section: { contents: contents(["n1", "n2"]), isLastPage: true } } }));
+
+    const result = await runWithTimers(noteApi.fetchFromMagazineAPI(job, 10, { magazineKey: "m0123abcd" }));
+    expect(result.map((a) => a.title)).toEqual(["n1", "n2"]);
+    expect(globalThis.fetch.mock.calls[0][0]).toContain("/api/v1/layout/magazine/m0123abcd/section?page=1");
+  });
+
+  test("以前の形式（is_last_page）のクリエイターAPIでも最終ページで止まる", async () => {
+    globalThis.fetch = jest.fn()
+      .mockResolvedValueOnce(jsonResponse({ data: { contents: contents(["n1"]), is_last_page: false } }))
+      .mockResolvedValueOnce(jsonResponse({ data: { contents: contents(["n2"]), is_last_page: true } }))
+      .mockResolvedValue(jsonResponse({ data: { contents: contents(["n3"]), is_last_page: true } }));
+
+    const result = await runWithTimers(noteApi.fetchFromCreatorAPI(job, 10, { urlname: "note_taro" }));
+    expect(result.map((a) => a.title)).toEqual(["n1", "n2"]);
+    expect(globalThis.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test("以前の形式（section のない data.contents と data.isLastPage）のマガジンAPIも変換し、最終ページで止まる", async () => {
+    const legacy = (names, isLastPage) => ({
+      data: { contents: names.map((name) => ({ name, key: name, likeCount: 3, publishAt: "2024-01-01T00:00:00+09:00", user: { urlname: "note_taro" } })), isLastPage },
+    });
+    globalThis.fetch = jest.fn()
+      .mockResolvedValueOnce(jsonResponse(legacy(["n1", "n2"], false)))
+      .mockResolvedValueOnce(jsonResponse(legacy(["n3"], true)))
+      .mockResolvedValue(jsonResponse(legacy(["n4"], true)));
+
+    const result = await runWithTimers(noteApi.fetchFromMagazineAPI(job, 10, { magazineKey: "m0123abcd" }));
+    expect(result.map((a) => a.title)).toEqual(["n1", "n2", "n3"]);
+    expect(globalThis.fetch).toHaveBeenCalledTimes(2);
+    expect(result[0]).toMatchObject({ likeCount: 3, creatorUrlname: "note_taro" });
+    expect(job.schemaDrift[0]).toMatchObject({ adapterId: "magazine-v1", kind: "notes", pages: 2 });
+  });
+
+  test("失敗したページは各ページ種別の phase で記録する", async () => {
+    globalThis.fetch = jest.fn().mockResolvedValue({ ok: false, status: 404 });
+
+    const result = await runWithTimers(noteApi.fetchFromCreatorAPI(job, 10, { urlname: "note_taro" }));
+    expect(result).toBeNull();
+    expect(job.failures[0]).toMatchObject({ phase: "creator", page: 1, status: 404 });
+  });
+
+  test("urlname・マガジンキーがなければ取得しない", async () => {
+    globalThis.fetch = jest.fn();
+
+    expect(await noteApi.fetchFromCreatorAPI(job, 10, {})).toBeNull();
+    expect(await noteApi.fetchFromMagazineAPI(job, 10, {})).toBeNull();
+    expect(globalThis.fetch).not.toHaveBeenCalled();
+  });
+});
+
+// ========================================
+// mergeDomWithApi（ハッシュタグページのDOM/API併用）
+// ========================================
+describe("mergeDomWithApi", () => {
+  const domArticles = [
+    { title: "DOM記事B", likeCount: 30, price: 0, url: "https://note.com/userB/n/nB", creator: "userB" },
+    { title: "DOM記事A", likeCount: null, price: null, url: "https://note.com/userA/n/nA", creator: "userA" },
+    { title: "DOMのみ", likeCount: 5, price: 0, url: "https://note.com/userC/n/nC", creator: "userC" },
+  ];
+  const apiArticles = [
+    {
+      title: "API記事A", likeCount: 12, price: 500, url: "https://note.com/userA/n/nA",
+      creator: "ユーザーA", hashtags: ["AI"], publishDate: "2024-01-01T00:00:00.000Z",
+    },
+    {
+      title: "API記事B", likeCount: 99, price: 0, url: "https://note.com/userB/n/nB?from=api",
+      creator: "ユーザーB", hashtags: ["開発"], publishDate: "2024-02-01T00:00:00.000Z",
+    },
+  ];
+
+  test("DOMの並び順を保ち、noteキーで照合したAPIのメタデータで補完する", () => {
+    const { articles, matched } = noteApi.mergeDomWithApi(domArticles, apiArticles);
+    expect(matched).toBe(2);
+    expect(articles.map((a) => a.url)).toEqual(domArticles.map((a) => a.url));
+    expect(articles[0].creator).toBe("ユーザーB");
+    expect(articles[0].hashtags).toEqual(["開発"]);
+    expect(articles[1].price).toBe(500);
+  });
+
+  test("DOMで取得できたスキ数を正とし、取得できなかった場合はAPIの値を使う", () => {
+    const { articles } = noteApi.mergeDomWithApi(domArticles, apiArticles);
+    expect(articles[0].likeCount).toBe(30);
+    expect(articles[1].likeCount).toBe(12);
+  });
+
+  test("DOMで表示されていた0はAPIの値で置き換えず、取得元もDOMの値を使った項目はDOMにする", () => {
+    const dom = [noteApi.withSources({ title: "DOM記事A", likeCount: 0, price: null, url: "https://note.com/userA/n/nA" }, "dom")];
+    const api = [noteApi.withSources(apiArticles[0], "search_api")];
+    const [article] = noteApi.mergeDomWithApi(dom, api).articles;
+    expect(article.likeCount).toBe(0);
+    expect(article.price).toBe(500);
+    expect(article.sources).toMatchObject({ title: "dom", likeCount: "dom", price: "search_api", creator: "search_api" });
+  });
+
+  test("タイトルはDOMの表示を優先する", () => {
+    const { articles } = noteApi.mergeDomWithApi(domArticles, apiArticles);
+    expect(articles[0].title).toBe("DOM記事B");
+  });
+
+  test("照合できない記事はDOMのデータのまま", () => {
+    const { articles } = noteApi.mergeDomWithApi(domArticles, apiArticles);
+    expect(articles[2]).toEqual(domArticles[2]);
+  });
+
+  test("API結果がnullでもDOMのデータを返す", () => {
+    const { articles, matched } = noteApi.mergeDomWithApi(domArticles, null);
+    expect(matched).toBe(0);
+    expect(articles).toEqual(domArticles);
+  });
+});
+
+// ========================================
+// fetchLikeRating（高評価数取得）
+// ========================================
+describe("fetchLikeRating", () => {
+  // globalにfetchをモック
+  const originalFetch = globalThis.fetch;
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+    // _loggedフラグをリセット
+    if (noteApi.fetchLikeRating) {
+      noteApi.fetchLikeRating._logged = false;
+    }
+  });
+
+  test("★重要: like_countはスキ数なので高評価数として返さない", async () => {
+    // APIがlike_count=42を返しても、高評価数としては不明（HTMLフォールバックも失敗）
+    let callCount = 0;
+    globalThis.fetch = jest.fn().mockImplementation(() => {
+      callCount++;
+      if (callCount === 1) {
+        // API: like_countのみ（高評価フィールドなし）
+        return Promise.resolve({
+          ok: true,
+          json: () => Promise.resolve({ data: { like_count: 42, name: "テスト記事" } }),
+        });
+      }
+      // HTML: 高評価テキストなし
+      return Promise.resolve({
+        ok: true,
+        text: () => Promise.resolve('<html><body>記事本文</body></html>'),
+      });
+    });
+
+    const result = await noteApi.fetchLikeRating("https://note.com/user/n/n12345");
+    expect(result).toBeNull(); // like_countは高評価ではない
+  });
+
+  test("独自ドメインの記事は記事APIでクリエイターを覚え、HTMLは note.com 上の URL から取得する", async () => {
+    globalThis.fetch = jest.fn().mockImplementation((url) => {
+      if (url.includes("/api/v3/notes/")) {
+        return Promise.resolve({
+          ok: true,
+          json: () => Promise.resolve({ data: { key: "ncustom1", user: { urlname: "pro_writer" } } }),
+        });
+      }
+      return Promise.resolve({ ok: true, text: () => Promise.resolve("<p>7人が高評価</p>") });
+    });
+
+    const result = await noteApi.fetchLikeRating("https://pro.writer.example/n/ncustom1");
+    expect(result).toBe(7);
+    expect(globalThis.fetch.mock.calls.map(([url]) => url)).toEqual([
+      "https://note.com/api/v3/notes/ncustom1",
+      "https://note.com/pro_writer/n/ncustom1",
+    ]);
+    expect(noteApi.extractCreatorFromUrl("https://pro.writer.example/n/nother")).toBe("pro_writer");
+  });
+
+  test("fetchLikeRatingWithSource は取得元（記事API / HTMLテキスト / __NEXT_DATA__ / __NUXT__）を返し、不明なら null", async () => {
+    globalThis.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      json: () => Promise.resolve({ data: { rating_count: 15 } }),
+    });
+    expect(await noteApi.fetchLikeRatingWithSource("https://note.com/user/n/nsrc1")).toEqual({ rating: 15, source: "article_api" });
+
+    const withHtml = (html) => jest.fn().mockImplementation((url) => Promise.resolve(url.includes("/api/")
+      ? { ok: true, json: () => Promise.resolve({ data: {} }) }
+      : { ok: true, text: () => Promise.resolve(html) }));
+    globalThis.fetch = withHtml("<p>0人が高評価</p>");
+    expect(await noteApi.fetchLikeRatingWithSource("https://note.com/user/n/nsrc2")).toEqual({ rating: 0, source: "html_text" });
+
+    globalThis.fetch = withHtml('<script id="__NEXT_DATA__" type="application/json">{"props":{"note":{"rating_count":4}}}</script>');
+    expect(await noteApi.fetchLikeRatingWithSource("https://note.com/user/n/nsrc3")).toEqual({ rating: 4, source: "next_data" });
+
+    globalThis.fetch = withHtml('<script>window.__NUXT__={"note":{"rating_count":6}};</script>');
+    expect(await noteApi.fetchLikeRatingWithSource("https://note.com/user/n/nsrc4")).toEqual({ rating: 6, source: "nuxt" });
+
+    globalThis.fetch = jest.fn().mockRejectedValue(new Error("Network error"));
+    expect(await noteApi.fetchLikeRatingWithSource("https://note.com/user/n/nsrc5")).toEqual({ rating: null, source: null });
+  });
+
+  test("記事APIの0は、HTMLにも値がなければ「高評価0件」として記事APIを取得元にする", async () => {
+    globalThis.fetch = jest.fn().mockImplementation((url) => Promise.resolve(url.includes("/api/")
+      ? { ok: true, json: () => Promise.resolve({ data: { rating_count: 0 } }) }
+      : { ok: true, text: () => Promise.resolve("<p>本文</p>") }));
+    expect(await noteApi.fetchLikeRatingWithSource("https://note.com/user/n/nzero")).toEqual({ rating: 0, source: "article_api" });
+  });
+
+  test("値を確定できなかった場合は、記事API・HTMLの取得の失敗を URL・HTTPステータス付きで返す", async () => {
+    globalThis.fetch = jest.fn().mockImplementation((url) => Promise.resolve(url.includes("/api/")
+      ? { ok: false, status: 404 }
+      : { ok: false, status: 500 }));
+    const failures = [];
+    expect(await noteApi.fetchLikeRatingWithSource("https://note.com/user/n/nfail1", undefined, failures)).toEqual({ rating: null, source: null });
+    expect(failures).toEqual([
+      { phase: "articleApi", url: "https://note.com/api/v3/notes/nfail1", status: 404, message: "HTTP 404" },
+      { phase: "articleHtml", url: "https://note.com/user/n/nfail1", status: 500, message: "HTTP 500" },
+    ]);
+
+    // 記事APIのネットワークエラーではHTMLを取得しない（失敗はエラーごとに毎回記録する）
+    globalThis.fetch = jest.fn().mockRejectedValue(new Error("Network error"));
+    const networkFailures = [];
+    await noteApi.fetchLikeRatingWithSource("https://note.com/user/n/nfail2", undefined, networkFailures);
+    await noteApi.fetchLikeRatingWithSource("https://note.com/user/n/nfail3", undefined, networkFailures);
+    expect(networkFailures).toEqual([
+      { phase: "articleApi", url: "https://note.com/api/v3/notes/nfail2", status: null, message: "Network error" },
+      { phase: "articleApi", url: "https://note.com/api/v3/notes/nfail3", status: null, message: "Network error" },
+    ]);
+  });
+
+  test("記事APIの0があれば、HTMLの取得に失敗しても失敗を返さず 0 を返す", async () => {
+    globalThis.fetch = jest.fn().mockImplementation((url) => Promise.resolve(url.includes("/api/")
+      ? { ok: true, json: () => Promise.resolve({ data: { rating_count: 0 } }) }
+      : { ok: false, status: 500 }));
+    const failures = [];
+    expect(await noteApi.fetchLikeRatingWithSource("https://note.com/user/n/nfail5", undefined, failures)).toEqual({ rating: 0, source: "article_api" });
+    expect(failures).toEqual([]);
+  });
+
+  test("HTMLから値が見つかった場合は、記事APIの失敗を返さない", async () => {
+    globalThis.fetch = jest.fn().mockImplementation((url) => Promise.resolve(url.includes("/api/")
+      ? { ok: false, status: 500 }
+      : { ok: true, text: () => Promise.resolve("<p>3人が高評価</p>") }));
+    const failures = [];
+    expect(await noteApi.fetchLikeRatingWithSource("https://note.com/user/n/nfail4", undefined, failures)).toEqual({ rating: 3, source: "html_text" });
+    expect(failures).toEqual([]);
+  });
+
+  test("クリエイターが分からない独自ドメインの記事はHTMLを取得しない", () => {
+    expect(noteApi.ratingPageUrl("https://unknown.example.com/n/n1")).toBe("");
+    expect(noteApi.ratingPageUrl("https://note.com/user/n/n1")).toBe("https://note.com/user/n/n1");
+  });
+
+  test("APIにrating_countがある場合は高評価数として取得", async () => {
+    globalThis.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      json: () => Promise.resolve({ data: { like_count: 42, rating_count: 15 } }),
+    });
+
+    const result = await noteApi.fetchLikeRating("https://note.com/user/n/n12345");
+    expect(result).toBe(15);
+  });
+
+  test("APIにrecommend_countがある場合は高評価数として取得", async () => {
+    globalThis.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      json: () => Promise.resolve({ data: { note: { recommend_count: 30 } } }),
+    });
+
+    const result = await noteApi.fetchLikeRating("https://note.com/user/n/nabc");
+    expect(result).toBe(30);
+  });
+
+  test("APIに高評価フィールドがない場合、HTMLの「XX人が高評価」テキストから取得", async () => {
+    let callCount = 0;
+    globalThis.fetch = jest.fn().mockImplementation(() => {
+      callCount++;
+      if (callCount === 1) {
+        // API: like_countのみ（高評価フィールドなし）
+        return Promise.resolve({
+          ok: true,
+          json: () => Promise.resolve({ data: { like_count: 100 } }),
+        });
+      }
+      // HTML: 高評価テキストあり
+      return Promise.resolve({
+        ok: true,
+        text: () => Promise.resolve('<html><body><span>24人が高評価</span></body></html>'),
+      });
+    });
+
+    const result = await noteApi.fetchLikeRating("https://note.com/user/n/nxyz");
+    expect(result).toBe(24);
+  });
+
+  test("APIが失敗した場合もHTMLフォールバックで「XX人が高評価」を抽出", async () => {
+    let callCount = 0;
+    globalThis.fetch = jest.fn().mockImplementation(() => {
+      callCount++;
+      if (callCount === 1) {
+        return Promise.resolve({ ok: false, status: 404 });
+      }
+      return Promise.resolve({
+        ok: true,
+        text: () => Promise.resolve('<html><body><span>18人が高評価</span></body></html>'),
+      });
+    });
+
+    const result = await noteApi.fetchLikeRating("https://note.com/user/n/nxyz");
+    expect(result).toBe(18);
+  });
+
+  test("HTMLの__NEXT_DATA__からrating_countを取得", async () => {
+    let callCount = 0;
+    globalThis.fetch = jest.fn().mockImplementation(() => {
+      callCount++;
+      if (callCount === 1) {
+        return Promise.resolve({
+          ok: true,
+          json: () => Promise.resolve({ data: { like_count: 50 } }),
+        });
+      }
+      return Promise.resolve({
+        ok: true,
+        text: () => Promise.resolve(
+          '<html><script id="__NEXT_DATA__" type="application/json">{"props":{"pageProps":{"note":{"rating_count":12}}}}</script></html>'
+        ),
+      });
+    });
+
+    const result = await noteApi.fetchLikeRating("https://note.com/user/n/nnext");
+    expect(result).toBe(12);
+  });
+
+  test("URLが空の場合はnull（不明）を返す", async () => {
+    const result = await noteApi.fetchLikeRating("");
+    expect(result).toBeNull();
+  });
+
+  test("/n/キーが見つからないURLはnull（不明）を返す", async () => {
+    const result = await noteApi.fetchLikeRating("https://note.com/user");
+    expect(result).toBeNull();
+  });
+
+  test("API・HTML両方失敗した場合はnull（不明）を返す", async () => {
+    globalThis.fetch = jest.fn().mockRejectedValue(new Error("Network error"));
+    const result = await noteApi.fetchLikeRating("https://note.com/user/n/nfail");
+    expect(result).toBeNull();
+  });
+});
+
+// ========================================
+// findRatingInObject（オブジェクト内の高評価数探索）
+// ========================================
+describe("findRatingInObject", () => {
+  const candidates = ["rating_count", "recommend_count"];
+
+  test("直接フィールドから見つける", () => {
+    expect(noteApi.findRatingInObject({ rating_count: 10 }, candidates)).toBe(10);
+  });
+
+  test("ネストされたオブジェクトから見つける", () => {
+    expect(noteApi.findRatingInObject({ note: { recommend_count: 5 } }, candidates)).toBe(5);
+  });
+
+  test("深すぎるネストは探索しない（depth > 3）", () => {
+    const deep = { a: { b: { c: { d: { rating_count: 99 } } } } };
+    expect(noteApi.findRatingInObject(deep, candidates)).toBeNull();
+  });
+
+  test("フィールドが存在しない場合はnull", () => {
+    expect(noteApi.findRatingInObject({ like_count: 100, name: "test" }, candidates)).toBeNull();
+  });
+
+  test("0より大きい値を優先し、0しかなければ0", () => {
+    expect(noteApi.findRatingInObject({ rating_count: 0, note: { recommend_count: 3 } }, candidates)).toBe(3);
+    expect(noteApi.findRatingInObject({ note: { rating_count: 0 } }, candidates)).toBe(0);
+  });
+
+  test("null入力はnull", () => {
+    expect(noteApi.findRatingInObject(null, candidates)).toBeNull();
+  });
+});
+
+// ========================================
+// fetchAllLikeRatings（一括高評価数取得）
+// ========================================
+describe("fetchAllLikeRatings", () => {
+  const originalFetch = globalThis.fetch;
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  test("全記事にlikeRatingフィールドが追加される", async () => {
+    globalThis.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      json: () => Promise.resolve({ data: { like_count: 50, rating_count: 10 } }),
+    });
+
+    const articles = [
+      { title: "記事1", likeCount: 5, price: 0, url: "https://note.com/u1/n/n001", creator: "u1" },
+      { title: "記事2", likeCount: 10, price: 100, url: "https://note.com/u2/n/n002", creator: "u2" },
+    ];
+
+    const result = await noteApi.fetchAllLikeRatings(createJob(), articles);
+    expect(result.length).toBe(2);
+    expect(result[0].likeRating).toBe(10); // rating_count（高評価数）
+    expect(result[1].likeRating).toBe(10);
+    expect(result[0].sources.likeRating).toBe("article_api");
+    // 元のフィールドも保持
+    expect(result[0].title).toBe("記事1");
+    expect(result[1].title).toBe("記事2");
+  });
+
+  test("空配列は空配列を返す", async () => {
+    const result = await noteApi.fetchAllLikeRatings(createJob(), []);
+    expect(result).toEqual([]);
+  });
+
+  test("並行取得しても結果は元の記事順を保ち、同時実行数の上限を超えない", async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    globalThis.fetch = jest.fn().mockImplementation(async (url) => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise((r) => setTimeout(r, 5));
+      inFlight--;
+      const key = url.match(/notes\/n(\d+)/)[1];
+      return { ok: true, json: () => Promise.resolve({ data: { rating_count: Number(key) } }) };
+    });
+
+    const articles = [1, 2, 3, 4, 5, 6, 7].map((n) => ({
+      title: `記事${n}`, likeCount: 0, price: 0, url: `https://note.com/u/n/n${n}`, creator: "u",
+    }));
+    const result = await noteApi.fetchAllLikeRatings(createJob(), articles, { concurrency: 3, requestIntervalMs: 0 });
+
+    expect(result.map((a) => a.likeRating)).toEqual([1, 2, 3, 4, 5, 6, 7]);
+    expect(maxInFlight).toBeGreaterThan(1);
+    expect(maxInFlight).toBeLessThanOrEqual(3);
+  });
+
+  test("処理速度と同時実行数がジョブの進捗に記録される", async () => {
+    globalThis.fetch = jest.fn().mockImplementation(async () => {
+      await new Promise((r) => setTimeout(r, 5));
+      return { ok: true, json: () => Promise.resolve({ data: { rating_count: 1 } }) };
+    });
+    const articles = [{ title: "記事1", likeCount: 0, price: 0, url: "https://note.com/u/n/n1", creator: "u" }];
+    const job = createJob();
+    await noteApi.fetchAllLikeRatings(job, articles, { concurrency: 2, requestIntervalMs: 0 });
+
+    expect(job.throughput).toBeGreaterThan(0);
+    expect(job.concurrency).toBe(2);
+    expect(job.current).toBe(1);
+  });
+
+  test("取得に失敗した記事は、記事に結び付けてジョブの失敗に記録する", async () => {
+    globalThis.fetch = jest.fn().mockImplementation((url) => Promise.resolve(url.includes("n002")
+      ? { ok: false, status: 500 }
+      : { ok: true, json: () => Promise.resolve({ data: { rating_count: 2 } }) }));
+    const articles = ["n001", "n002"].map((key) => ({ title: key, likeCount: 0, price: 0, url: `https://note.com/u/n/${key}`, creator: "u" }));
+    const job = createJob();
+    const result = await noteApi.fetchAllLikeRatings(job, articles, { requestIntervalMs: 0 });
+
+    expect(result.map((a) => a.likeRating)).toEqual([2, null]);
+    expect(job.failures).toEqual([
+      expect.objectContaining({ phase: "articleApi", status: 500, articleId: "n002", articleUrl: "https://note.com/u/n/n002", at: expect.any(String) }),
+      expect.objectContaining({ phase: "articleHtml", status: 500, articleId: "n002", articleUrl: "https://note.com/u/n/n002" }),
+    ]);
+  });
+});
+
+// ========================================
+// fetchWithBackoff / createRateLimiter / parseRetryAfter
+// ========================================
+describe("fetchWithBackoff", () => {
+  const originalFetch = globalThis.fetch;
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  function throttledResponse(status, retryAfter) {
+    return { ok: false, status, headers: { get: (name) => (name === "Retry-After" ? retryAfter : null) } };
+  }
+
+  test("429の後はRetry-Afterに従って再試行し、成功レスポンスを返す", async () => {
+    globalThis.fetch = jest.fn()
+      .mockResolvedValueOnce(throttledResponse(429, "0"))
+      .mockResolvedValueOnce({ ok: true, status: 200 });
+
+    const response = await noteApi.fetchWithBackoff("https://note.com/api", {});
+    expect(response.status).toBe(200);
+    expect(globalThis.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test("503を受けると共有の同時実行数が半減し、待機時刻が設定される", async () => {
+    globalThis.fetch = jest.fn()
+      .mockResolvedValueOnce(throttledResponse(503, "0"))
+      .mockResolvedValueOnce({ ok: true, status: 200 });
+
+    const limiter = noteApi.createRateLimiter(4);
+    await noteApi.fetchWithBackoff("https://note.com/api", {}, limiter);
+    expect(limiter.limit).toBe(2);
+    expect(limiter.throttledCount).toBe(1);
+    expect(limiter.pausedUntil).toBeGreaterThan(0);
+  });
+
+  test("再試行回数を超えた場合は最後のレスポンスを返す", async () => {
+    globalThis.fetch = jest.fn().mockResolvedValue(throttledResponse(429, "0"));
+    const response = await noteApi.fetchWithBackoff("https://note.com/api", {}, noteApi.createRateLimiter(1));
+    expect(response.status).toBe(429);
+    expect(globalThis.fetch).toHaveBeenCalledTimes(4); // 初回 + 再試行3回
+  });
+
+  test("Retry-After が長すぎる場合は待たずに（共有の待機時刻も設定せず）そのレスポンスを返す", async () => {
+    globalThis.fetch = jest.fn()
+      .mockResolvedValueOnce(throttledResponse(429, "3600"))
+      .mockResolvedValue({ ok: true, status: 200 });
+
+    const limiter = noteApi.createRateLimiter(4);
+    const response = await noteApi.fetchWithBackoff("https://note.com/api", {}, limiter);
+    expect(response.status).toBe(429);
+    expect(globalThis.fetch).toHaveBeenCalledTimes(1);
+    expect(limiter.pausedUntil).toBe(0);
+    expect(limiter).toMatchObject({ limit: 2, throttledCount: 1 });
+  });
+
+  test("Retry-After が長すぎて待たなかった取得は、高評価数の取得の失敗として記録する", async () => {
+    globalThis.fetch = jest.fn().mockImplementation((url) => Promise.resolve(url.includes("/api/")
+      ? throttledResponse(429, "3600")
+      : { ok: true, text: () => Promise.resolve("<p>本文</p>") }));
+    const failures = [];
+    const result = await noteApi.fetchLikeRatingWithSource("https://note.com/user/n/nslow", noteApi.createRateLimiter(1), failures);
+    expect(result).toEqual({ rating: null, source: null });
+    expect(failures).toEqual([{ phase: "articleApi", url: "https://note.com/api/v3/notes/nslow", status: 429, message: "HTTP 429" }]);
+  });
+
+  test("429/503以外のエラーは再試行しない", async () => {
+    globalThis.fetch = jest.fn().mockResolvedValue({ ok: false, status: 404 });
+    const response = await noteApi.fetchWithBackoff("https://note.com/api", {});
+    expect(response.status).toBe(404);
+    expect(globalThis.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test("成功が続くと同時実行数が回復する", async () => {
+    globalThis.fetch = jest.fn().mockResolvedValue({ ok: true, status: 200 });
+    const limiter = noteApi.createRateLimiter(4);
+    limiter.limit = 1;
+    for (let i = 0; i < 10; i++) {
+      await noteApi.fetchWithBackoff("https://note.com/api", {}, limiter);
+    }
+    expect(limiter.limit).toBe(2);
+  });
+});
+
+describe("createRateLimiter", () => {
+  test("同時実行数は1〜8に制限される", () => {
+    expect(noteApi.createRateLimiter(0).maxConcurrency).toBe(1);
+    expect(noteApi.createRateLimiter(20).maxConcurrency).toBe(8);
+    expect(noteApi.createRateLimiter("3").maxConcurrency).toBe(3);
+  });
+});
+
+describe("parseRetryAfter", () => {
+  test("秒数をミリ秒に変換", () => {
+    expect(noteApi.parseRetryAfter("5")).toBe(5000);
+  });
+
+  test("HTTP日付は現在時刻との差", () => {
+    const future = new Date(Date.now() + 10000).toUTCString();
+    const ms = noteApi.parseRetryAfter(future);
+    expect(ms).toBeGreaterThan(8000);
+    expect(ms).toBeLessThanOrEqual(10000);
+  });
+
+  test("値なし・解釈できない値はnull", () => {
+    expect(noteApi.parseRetryAfter(null)).toBeNull();
+    expect(noteApi.parseRetryAfter("soon")).toBeNull();
+  });
+});
+
+// ========================================
+// shouldStop（一時停止・停止要求）
+// ========================================
+describe("shouldStop", () => {
+  const originalFetch = globalThis.fetch;
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  test("停止要求中はtrueを返す", async () => {
+    await expect(noteApi.shouldStop(createJob({ status: "stopping" }))).resolves.toBe(true);
+  });
+
+  test("一時停止中は再開されるまで待機する", async () => {
+    jest.useFakeTimers();
+    const job = createJob({ status: "paused" });
+
+    let resolved = false;
+    const pending = noteApi.shouldStop(job).then((v) => { resolved = true; return v; });
+
+    await jest.advanceTimersByTimeAsync(1500);
+    expect(resolved).toBe(false);
+
+    job.status = "scraping";
+    await jest.advanceTimersByTimeAsync(500);
+    await expect(pending).resolves.toBe(false);
+    jest.useRealTimers();
+  });
+
+  test("停止要求中のfetchAllLikeRatingsは未取得の記事を高評価数が不明（null）の記事として返す", async () => {
+    globalThis.fetch = jest.fn();
+    const onRated = jest.fn();
+
+    const articles = [
+      { title: "記事1", likeCount: 5, price: 0, url: "https://note.com/u1/n/n001", creator: "u1", sources: { likeCount: "search_api" } },
+      { title: "記事2", likeCount: 10, price: 100, url: "https://note.com/u2/n/n002", creator: "u2" },
+    ];
+    const result = await noteApi.fetchAllLikeRatings(createJob({ status: "stopping" }), articles, { onRated });
+
+    expect(globalThis.fetch).not.toHaveBeenCalled();
+    expect(onRated).not.toHaveBeenCalled();
+    expect(result).toEqual([
+      { ...articles[0], likeRating: null, sources: { likeCount: "search_api", likeRating: null } },
+      { ...articles[1], likeRating: null, sources: { likeRating: null } },
+    ]);
+    // JSON に出力しても高評価数のキーが落ちない
+    expect(JSON.parse(JSON.stringify(result[1]))).toHaveProperty("likeRating", null);
+  });
+
+  test("onRated は取得した記事ごとに、結果の記事と位置を渡して呼ぶ", async () => {
+    globalThis.fetch = jest.fn().mockResolvedValue({ ok: true, json: () => Promise.resolve({ data: { rating_count: 4 } }) });
+    const onRated = jest.fn();
+    const articles = [{ title: "記事1", likeCount: 0, price: 0, url: "https://note.com/u/n/n001", creator: "u" }];
+    const result = await noteApi.fetchAllLikeRatings(createJob(), articles, { requestIntervalMs: 0, onRated });
+
+    expect(onRated).toHaveBeenCalledWith(result[0], 0);
+  });
+});
@@ -0,0 +1,255 @@
+/**
+ * note.com API のレスポンス形式（スキーマ）のアダプター
+ *
+ * API のエンドポイントとバージョンごとに、既知のレスポンスの形を1つだけ宣言する
+ * （記事配列の場所・最終ページの判定・記事の各項目のキー）。最終ページの判定だけは、
+ * 以前の形式のレスポンスでも止まれるよう、以前の場所を予備として宣言できる。
+ * 取得時はこの宣言どおりに記事を取り出し、形が合わない場合（記事配列が見つからない、
+ * 必須の項目がどの記事にもない）は「スキーマの変化」として、見つからなかった場所と
+ * 宣言にないキーを報告する。項目が0や空欄になるのを黙って出力しないための仕組み。
+ *
+ * 記事の項目は、note_api.js の extractArticleFromNote が読む標準の形（snake_case のキー）に変換する。
+ * 宣言にない項目は元の記事オブジェクトの値をそのまま残す。
+ *
+ * 公開API: globalThis.NoteExporter.noteSchema
+ */
+
+(() => {
+  "use strict";
+
+  // 記事の項目: 標準の形のキー → 各バージョンのレスポンスでのキー
+  const SNAKE_CASE_FIELDS = {
+    name: "name",
+    key: "key",
+    note_url: "note_url",
+    like_count: "like_count",
+    price: "price",
+    publish_at: "publish_at",
+    comment_count: "comment_count",
+    "user.nickname": "user.nickname",
+    "user.urlname": "user.urlname",
+    hashtags: "hashtags",
+    eyecatch: "eyecatch",
+    type: "type",
+  };
+
+  const CAMEL_CASE_FIELDS = {
+    name: "name",
+    key: "key",
+    note_url: "noteUrl",
+    like_count: "likeCount",
+    price: "price",
+    publish_at: "publishAt",
+    comment_count: "commentCount",
+    "user.nickname": "user.nickname",
+    "user.urlname": "user.urlname",
+    hashtags: "hashtags",
+    eyecatch: "eyecatch",
+    type: "type",
+  };
+
+  // どの記事にもなければスキーマの変化とみなす項目（標準の形のキー）
+  const REQUIRED_FIELDS = ["name", "key", "like_count", "price", "publish_at", "user.urlname"];
+
+  // 項目の表示名（スキーマの変化の説明に使う）
+  const FIELD_LABELS = {
+    name: "タイトル",
+    key: "記事キー",
+    note_url: "記事URL",
+    like_count: "スキ数",
+    price: "価格",
+    publish_at: "公開日時",
+    comment_count: "コメント数",
+    "user.nickname": "クリエイター名",
+    "user.urlname": "クリエイターID",
+    hashtags: "ハッシュタグ",
+    eyecatch: "アイキャッチ画像",
+    type: "種類",
+  };
+
+  /**
+   * エンドポイントとバージョンごとのアダプター（同じエンドポイントでは先頭が現在のバージョン）
+   * notesPath: 記事配列の場所 / lastPagePath: 最終ページかどうか（null = 判定しない）
+   * lastPageFallbackPaths: lastPagePath に値がないときに順に見る、以前の形式での最終ページの場所
+   */
+  const SCHEMA_ADAPTERS = [
+    { id: "search-v3", endpoint: "search", version: "v3", label: "検索API", notesPath: "data.notes.contents", lastPagePath: "data.notes.is_last_page", fields: SNAKE_CASE_FIELDS },
+    { id: "hashtag-v3", endpoint: "hashtag", version: "v3", label: "ハッシュタグAPI", notesPath: "data.notes", lastPagePath: "data.is_last_page", fields: SNAKE_CASE_FIELDS },
+    { id: "creator-v2", endpoint: "creator", version: "v2", label: "クリエイターAPI", notesPath: "data.contents", lastPagePath: "data.isLastPage", lastPageFallbackPaths: ["data.is_last_page"], fields: CAMEL_CASE_FIELDS },
+    { id: "magazine-v1", endpoint: "magazine", version: "v1", label: "マガジンAPI", notesPath: "data.section.contents", lastPagePath: "data.section.isLastPage", lastPageFallbackPaths: ["data.isLastPage"], fields: CAMEL_CASE_FIELDS },
+  ];
+
+  // 宣言にないキーとして報告する最大数
+  const MAX_UNMATCHED_KEYS = 30;
+
+  /**
+   * エンドポイントのアダプターを返す（バージョン省略時は現在のバージョン）
+   * @throws {Error} 登録されていない場合
+   */
+  function getAdapter(endpoint, version) {
+    const adapter = SCHEMA_ADAPTERS.find((a) => a.endpoint === endpoint && (!version || a.version === version));
+    if (!adapter) throw new Error(`未登録のAPIスキーマ: ${endpoint}${version ? " " + version : ""}`);
+    return adapter;
+  }
+
+  /**
+   * "a.b.c" 形式のパスの値（途中がなければ undefined）
+   */
+  function getPath(obj, path) {
+    let current = obj;
+    for (const part of path.split(".")) {
+      if (current === null || typeof current !== "object") return undefined;
+      current = current[part];
+    }
+    return current;
+  }
+
+  /**
+   * "a.b.c" 形式のパスに値を設定する（途中のオブジェクトは元の記事を変更しないようコピーする）
+   */
+  function setPath(obj, path, value) {
+    const parts = path.split(".");
+    let current = obj;
+    for (const part of parts.slice(0, -1)) {
+      const child = current[part];
+      current[part] = child !== null && typeof child === "object" && !Array.isArray(child) ? { ...child } : {};
+      current = current[part];
+    }
+    current[parts[parts.length - 1]] = value;
+  }
+
+  /**
+   * パスをたどれた最も深いオブジェクトの場所とキー（記事配列が見つからない場合の報告用）
+   */
+  function deepestKeys(data, path) {
+    let current = data;
+    const reached = [];
+    for (const part of path.split(".")) {
+      if (current === null || typeof current !== "object" || !(part in current)) break;
+      if (current[part] === null || typeof current[part] !== "object") break;
+      current = current[part];
+      reached.push(part);
+    }
+    const keys = current && typeof current === "object" && !Array.isArray(current) ? Object.keys(current) : [];
+    return { at: reached.join("."), keys: keys.slice(0, MAX_UNMATCHED_KEYS) };
+  }
+
+  function driftBase(adapter) {
+    return { adapterId: adapter.id, endpoint: adapter.endpoint, version: adapter.version, label: adapter.label };
+  }
+
+  /**
+   * レスポンスから宣言した場所の記事配列を取り出す
+   * 配列でなければ（空配列は結果なしとして扱う）スキーマの変化として drift を返す
+   * @returns {{ notes: Array|null, drift: object|null }}
+   */
+  function readNotes(adapter, data) {
+    const notes = getPath(data, adapter.notesPath);
+    if (Array.isArray(notes)) return { notes, drift: null };
+
+    const { at, keys } = deepestKeys(data, adapter.notesPath);
+    return {
+      notes: null,
+      drift: {
+        ...driftBase(adapter),
+        kind: "notes",
+        path: adapter.notesPath,
+        missingFields: [],
+        unmatchedKeys: keys.map((key) => (at ? `${at}.${key}` : key)),
+      },
+    };
+  }
+
+  /**
+   * 最終ページか（宣言した場所に値がなければ以前の場所を順に見る。宣言していないエンドポイント、
+   * またはどこにも値がなければ false）
+   */
+  function isLastPage(adapter, data) {
+    if (!adapter.lastPagePath) return false;
+    for (const path of [adapter.lastPagePath, ...(adapter.lastPageFallbackPaths || [])]) {
+      const value = getPath(data, path);
+      if (value !== undefined && value !== null) return Boolean(value);
+    }
+    return false;
+  }
+
+  /**
+   * 記事配列の各記事が宣言どおりの形か確認する
+   * 必須の項目がどの記事にもない場合に、見つからない項目と、宣言にない記事のキーを drift として返す
+   * （一部の記事だけにない項目は、その記事に値がないだけとみなす）
+   * @returns {object|null}
+   */
+  function checkNotes(adapter, notes) {
+    const items = (notes || []).filter((note) => note && typeof note === "object");
+    if (items.length === 0) return null;
+
+    const missing = REQUIRED_FIELDS.filter((field) => {
+      const path = adapter.fields[field];
+      return items.every((note) => getPath(note, path) === undefined);
+    });
+    if (missing.length === 0) return null;
+
+    const declared = new Set(Object.values(adapter.fields).map((path) => path.split(".")[0]));
+    const unmatched = [];
+    for (const note of items) {
+      for (const key of Object.keys(note)) {
+        if (!declared.has(key) && !unmatched.includes(key)) unmatched.push(key);
+      }
+    }
+
+    return {
+      ...driftBase(adapter),
+      kind: "fields",
+      path: adapter.notesPath,
+      missingFields: missing.map((field) => ({ field: adapter.fields[field], label: FIELD_LABELS[field] })),
+      unmatchedKeys: unmatched.slice(0, MAX_UNMATCHED_KEYS),
+    };
+  }
+
+  /**
+   * 記事オブジェクトを標準の形に変換する（宣言した項目を標準のキーで上書きし、その他の値は残す）
+   */
+  function adaptNote(adapter, note) {
+    if (!note || typeof note !== "object") return note;
+    const adapted = { ...note };
+    for (const [field, path] of Object.entries(adapter.fields)) {
+      const value = getPath(note, path);
+      if (value !== undefined) setPath(adapted, field, value);
+    }
+    return adapted;
+  }
+
+  /**
+   * スキーマの変化を1行の説明にする（Side Panel の警告とログに使う）
+   */
+  function describeDrift(drift) {
+    const where = `${drift.label}（${drift.version}）`;
+    const keys = drift.unmatchedKeys.length > 0 ? `宣言にないキー: ${drift.unmatchedKeys.join(", ")}` : "";
+    if (drift.kind === "notes") {
+      return `${where}: 記事の配列（${drift.path}）が見つかりません。${keys}`;
+    }
+    const fields = drift.missingFields.map((f) => `${f.label}（${f.field}）`).join("・");
+    return `${where}: ${fields} がどの記事にもありません。${keys}`;
+  }
+
+  /**
+   * 同じ変化かどうかの判定に使うキー
+   */
+  function driftSignature(drift) {
+    return [drift.adapterId, drift.kind, ...drift.missingFields.map((f) => f.field)].join("|");
+  }
+
+  globalThis.NoteExporter = globalThis.NoteExporter || {};
+  globalThis.NoteExporter.noteSchema = {
+    SCHEMA_ADAPTERS,
+    REQUIRED_FIELDS,
+    getAdapter,
+    getPath,
+    readNotes,
+    isLastPage,
+    checkNotes,
+    adaptNote,
+    describeDrift,
+    driftSignature,
+  };
+})();
@@ -0,0 +1,135 @@
+/**
+ * note_schema.js のユニットテスト
+ *
+ * テスト対象:
+ * - getAdapter: エンドポイントとバージョンごとのアダプター
+ * - readNotes / isLastPage: 宣言した場所の記事配列・最終ページの判定
+ * - checkNotes: 必須の項目が見つからない場合のスキーマの変化
+ * - adaptNote: 標準の形への変換
+ * - describeDrift / driftSignature: 変化の説明と同一判定
+ */
+
+require("./note_schema.js");
+
+const noteSchema = globalThis.NoteExporter.noteSchema;
+
+describe("getAdapter", () => {
+  test("エンドポイントごとに現在のバージョンのアダプターを返す", () => {
+    expect(noteSchema.getAdapter("search")).toMatchObject({ id: "search-v3", version: "v3", notesPath: "data.notes.contents" });
+    expect(noteSchema.getAdapter("creator", "v2").id).toBe("creator-v2");
+  });
+
+  test("登録されていないエンドポイント・バージョンはエラー", () => {
+    expect(() => noteSchema.getAdapter("unknown")).toThrow("未登録のAPIスキーマ: unknown");
+    expect(() => noteSchema.getAdapter("search", "v9")).toThrow("未登録のAPIスキーマ: search v9");
+  });
+
+  test("エンドポイントとバージョンの組み合わせは重複しない", () => {
+    const ids = noteSchema.SCHEMA_ADAPTERS.map((a) => `${a.endpoint}-${a.version}`);
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+});
+
+describe("readNotes / isLastPage", () => {
+  const adapter = noteSchema.getAdapter("search");
+
+  test("宣言した場所の配列を返す（空配列も結果なしとしてそのまま返す）", () => {
+    expect(noteSchema.readNotes(adapter, { data: { notes: { contents: [{ key: "n1" }] } } })).toEqual({ notes: [{ key: "n1" }], drift: null });
+    expect(noteSchema.readNotes(adapter, { data: { notes: { contents: [] } } })).toEqual({ notes: [], drift: null });
+  });
+
+  test("配列が見つからなければ、たどれた場所のキーを添えて変化を返す", () => {
+    const { notes, drift } = noteSchema.readNotes(adapter, { data: { notes: { items: [], total: 3 } } });
+    expect(notes).toBeNull();
+    expect(drift).toMatchObject({
+      adapterId: "search-v3",
+      kind: "notes",
+      path: "data.notes.contents",
+      unmatchedKeys: ["data.notes.items", "data.notes.total"],
+    });
+  });
+
+  test("レスポンスがオブジェクトでなくても変化として扱う", () => {
+    expect(noteSchema.readNotes(adapter, null).drift).toMatchObject({ kind: "notes", unmatchedKeys: [] });
+  });
+
+  test("最終ページは宣言した値で判定する", () => {
+    const creator = noteSchema.getAdapter("creator");
+    expect(noteSchema.isLastPage(creator, { data: { isLastPage: true } })).toBe(true);
+    expect(noteSchema.isLastPage(creator, { data: { isLastPage: false, is_last_page: true } })).toBe(false);
+    expect(noteSchema.isLastPage(creator, { data: {} })).toBe(false);
+  });
+
+  test("宣言した場所に値がなければ、以前の形式の場所で判定する", () => {
+    const creator = noteSchema.getAdapter("creator");
+    const magazine = noteSchema.getAdapter("magazine");
+    expect(noteSchema.isLastPage(creator, { data: { is_last_page: true } })).toBe(true);
+    expect(noteSchema.isLastPage(magazine, { data: { section: { isLastPage: true } } })).toBe(true);
+    expect(noteSchema.isLastPage(magazine, { data: { isLastPage: true } })).toBe(true);
+    expect(noteSchema.isLastPage(magazine, { data: { section: {}, isLastPage: false } })).toBe(false);
+  });
+});
+
+describe("checkNotes", () => {
+  const adapter = noteSchema.getAdapter("creator");
+  const note = { name: "記事", key: "n1", likeCount: 1, price: 0, publishAt: "2024-01-01", user: { urlname: "taro" } };
+
+  test("必須の項目がそろっていれば null", () => {
+    expect(noteSchema.checkNotes(adapter, [note])).toBeNull();
+    expect(noteSchema.checkNotes(adapter, [])).toBeNull();
+  });
+
+  test("一部の記事にだけない項目は変化とみなさない", () => {
+    const { price, ...free } = note;
+    expect(noteSchema.checkNotes(adapter, [note, free])).toBeNull();
+  });
+
+  test("どの記事にもない項目と、宣言にないキーを返す", () => {
+    const { likeCount, publishAt, ...rest } = note;
+    const drift = noteSchema.checkNotes(adapter, [{ ...rest, suki: 1 }, { ...rest, publishedAt: "2024-01-01" }]);
+    expect(drift).toMatchObject({
+      adapterId: "creator-v2",
+      kind: "fields",
+      missingFields: [{ field: "likeCount", label: "スキ数" }, { field: "publishAt", label: "公開日時" }],
+      unmatchedKeys: ["suki", "publishedAt"],
+    });
+  });
+});
+
+describe("adaptNote", () => {
+  test("宣言した項目を標準の形のキーにし、その他の値は残す", () => {
+    const adapter = noteSchema.getAdapter("creator");
+    const note = { name: "記事", likeCount: 5, noteUrl: "https://note.com/taro/n/n1", user: { urlname: "taro", nickname: "太郎" }, isMembershipConnected: true };
+    const adapted = noteSchema.adaptNote(adapter, note);
+    expect(adapted).toMatchObject({
+      like_count: 5,
+      note_url: "https://note.com/taro/n/n1",
+      user: { urlname: "taro", nickname: "太郎" },
+      isMembershipConnected: true,
+    });
+    expect(adapted.price).toBeUndefined();
+  });
+
+  test("元の記事オブジェクトは変更しない", () => {
+    const adapter = noteSchema.getAdapter("search");
+    const user = { urlname: "taro" };
+    const adapted = noteSchema.adaptNote(adapter, { name: "記事", user });
+    expect(adapted.user).not.toBe(user);
+    expect(user).toEqual({ urlname: "taro" });
+  });
+});
+
+describe("describeDrift / driftSignature", () => {
+  const adapter = noteSchema.getAdapter("hashtag");
+
+  test("見つからない項目と宣言にないキーを説明する", () => {
+    const drift = noteSchema.checkNotes(adapter, [{ name: "記事", key: "n1", like_count: 1, publish_at: "", user: { urlname: "a" }, amount: 100 }]);
+    expect(noteSchema.describeDrift(drift)).toBe("ハッシュタグAPI（v3）: 価格（price） がどの記事にもありません。宣言にないキー: amount");
+  });
+
+  test("同じアダプター・同じ項目の変化は同じキーになる", () => {
+    const a = noteSchema.readNotes(adapter, { data: { x: 1 } }).drift;
+    const b = noteSchema.readNotes(adapter, { data: { y: 2 } }).drift;
+    expect(noteSchema.driftSignature(a)).toBe(noteSchema.driftSignature(b));
+  });
+});
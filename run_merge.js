@@ -0,0 +1,106 @@
+/**
+ * 複数の実行（スナップショット）の結合
+ *
+ * 実行履歴の複数の実行を、記事の正規ID（note キー）で照合して1つの表にまとめる。
+ * 同じ記事の値が実行によって異なる場合は新しい実行の値を使い、新しい実行に値がない項目
+ * （高評価数を取得する前に停止した実行など）は古い実行の値で補う。
+ * 各記事には、出現した実行と初回・最終の取得日時を記録する。
+ *
+ * note_api.js（articleId / canonicalArticleUrl）と exporter.js の後に読み込む。
+ * 公開API: globalThis.NoteExporter.runMerge
+ */
+
+(() => {
+  "use strict";
+
+  const { buildTable, resolveColumns } = globalThis.NoteExporter.exporter;
+  const { articleId, canonicalArticleUrl } = globalThis.NoteExporter.noteApi;
+
+  function isMissing(value) {
+    return value === undefined || value === null || value === "";
+  }
+
+  function runTime(run) {
+    const time = new Date(run.createdAt).getTime();
+    return isNaN(time) ? 0 : time;
+  }
+
+  /**
+   * 複数の実行の記事を結合する
+   * URL のない記事は照合できないため含めない。1つの実行の中で重複した記事は先に出たものを使う
+   * @param {Array<{ id: string, name?: string, createdAt: string, articles: Array }>} runs 実行履歴の実行（runStore.getRun）
+   * @returns {Array<object>} 結合した記事。各記事に articleId・runIds・runNames（古い実行から順）・
+   *   firstSeenAt・lastSeenAt を付ける。並び順は最も新しい実行での順、その後に古い実行にだけある記事
+   */
+  function mergeRuns(runs) {
+    const newestFirst = (Array.isArray(runs) ? runs : []).filter(Boolean).sort((a, b) => runTime(b) - runTime(a));
+    const merged = new Map();
+
+    for (const run of newestFirst) {
+      const seenInRun = new Set();
+      for (const article of Array.isArray(run.articles) ? run.articles : []) {
+        const id = articleId(article);
+        if (!id || seenInRun.has(id)) continue;
+        seenInRun.add(id);
+
+        const entry = merged.get(id);
+        if (!entry) {
+          merged.set(id, {
+            ...article,
+            url: canonicalArticleUrl(article.url),
+            articleId: id,
+            runIds: [run.id],
+            runNames: [run.name || ""],
+            firstSeenAt: run.createdAt,
+            lastSeenAt: run.createdAt,
+          });
+          continue;
+        }
+
+        // 新しい実行の値を優先し、欠けている項目だけ古い実行から補う（取得元も古い実行のものにする）
+        for (const [field, value] of Object.entries(article)) {
+          if (field === "sources") continue;
+          if (isMissing(entry[field]) && !isMissing(value)) {
+            entry[field] = value;
+            // 取得元を記録する前の実行どうし（sources なし）は、旧形式の likeRatingSource のまま残す
+            if (entry.sources || article.sources) {
+              entry.sources = { ...entry.sources, [field]: article.sources?.[field] ?? null };
+            }
+          }
+        }
+        entry.runIds.unshift(run.id);
+        entry.runNames.unshift(run.name || "");
+        entry.firstSeenAt = run.createdAt;
+      }
+    }
+
+    return [...merged.values()];
+  }
+
+  /**
+   * 結合結果に追加する列（exporter.js の buildTable に渡す列定義）
+   */
+  const MERGE_COLUMNS = [
+    { id: "articleId", header: "記事ID", type: "string", value: (a) => a.articleId },
+    { id: "runCount", header: "出現回数", type: "number", value: (a) => a.runIds.length },
+    { id: "runNames", header: "出現した実行", type: "string", value: (a) => a.runNames.join(" / ") },
+    { id: "firstSeenAt", header: "初回取得日時", type: "string", value: (a) => a.firstSeenAt || "" },
+    { id: "lastSeenAt", header: "最終取得日時", type: "string", value: (a) => a.lastSeenAt || "" },
+  ];
+
+  /**
+   * 結合した記事を行モデルに変換（列レイアウトの列の後ろに MERGE_COLUMNS を付ける）
+   * @param {Array} articles mergeRuns の戻り値
+   * @param {Array} [layout] 列レイアウト
+   */
+  function buildMergeTable(articles, layout) {
+    return buildTable(articles, [...resolveColumns(layout), ...MERGE_COLUMNS]);
+  }
+
+  globalThis.NoteExporter = globalThis.NoteExporter || {};
+  globalThis.NoteExporter.runMerge = {
+    MERGE_COLUMNS,
+    mergeRuns,
+    buildMergeTable,
+  };
+})();
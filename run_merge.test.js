@@ -0,0 +1,102 @@
+/**
+ * run_merge.js のユニットテスト
+ *
+ * テスト対象:
+ * - mergeRuns: 記事IDでの照合、新しい実行の値の優先、出現した実行の記録
+ * - buildMergeTable: 結合結果の行モデル
+ */
+
+require("./logger.js");
+require("./exporter.js");
+require("./note_schema.js");
+require("./note_api.js");
+require("./run_merge.js");
+
+const runMerge = globalThis.NoteExporter.runMerge;
+
+const olderRun = {
+  id: "r1",
+  name: "AI 1月",
+  createdAt: "2024-01-01T00:00:00.000Z",
+  articles: [
+    { title: "記事A", likeCount: 10, likeRating: 2, price: 0, url: "https://note.com/a/n/n001", creator: "A", publishDate: "2023-12-01T00:00:00.000Z" },
+    { title: "記事B", likeCount: 5, likeRating: 1, price: 300, url: "https://note.com/b/n/n002", creator: "B" },
+  ],
+};
+
+const newerRun = {
+  id: "r2",
+  name: "AI 2月",
+  createdAt: "2024-02-01T00:00:00.000Z",
+  articles: [
+    { title: "記事C", likeCount: 1, price: 0, url: "https://note.com/c/n/n003", creator: "C" },
+    // 高評価数を取得する前に停止した実行（likeRating なし）・URL 表記の違い
+    { title: "記事A（改題）", likeCount: 25, price: 0, url: "https://note.com/a/n/n001/?from=search", creator: "A", publishDate: "" },
+    { title: "記事C", likeCount: 1, price: 0, url: "https://note.com/c/n/n003", creator: "C" },
+    { title: "URLなし", likeCount: 1, price: 0, url: "", creator: "D" },
+  ],
+};
+
+describe("mergeRuns", () => {
+  // 渡す順に関係なく、実行日時で新しい方を優先する
+  const merged = runMerge.mergeRuns([olderRun, newerRun]);
+  const byId = Object.fromEntries(merged.map((a) => [a.articleId, a]));
+
+  test("記事IDで照合し、新しい実行の順のあとに古い実行だけの記事を並べる", () => {
+    expect(merged.map((a) => a.articleId)).toEqual(["n003", "n001", "n002"]);
+  });
+
+  test("値が異なる場合は新しい実行の値、ない項目は古い実行の値を使う", () => {
+    expect(byId.n001).toMatchObject({
+      title: "記事A（改題）",
+      likeCount: 25,
+      likeRating: 2,
+      publishDate: "2023-12-01T00:00:00.000Z",
+      url: "https://note.com/a/n/n001",
+    });
+  });
+
+  test("古い実行から補った項目は、取得元も古い実行のものにする", () => {
+    const older = {
+      id: "s1",
+      createdAt: "2024-01-01T00:00:00.000Z",
+      articles: [{ title: "記事", likeRating: 5, price: 500, url: "https://note.com/a/n/n001", sources: { title: "search_api", likeRating: "article_api", price: "search_api" } }],
+    };
+    const newer = {
+      id: "s2",
+      createdAt: "2024-02-01T00:00:00.000Z",
+      articles: [{ title: "記事", likeRating: null, price: 500, url: "https://note.com/a/n/n001", sources: { title: "dom", likeRating: null, price: "search_api" } }],
+    };
+    const [article] = runMerge.mergeRuns([older, newer]);
+    expect(article.likeRating).toBe(5);
+    expect(article.sources).toEqual({ title: "dom", likeRating: "article_api", price: "search_api" });
+    expect(globalThis.NoteExporter.exporter.estimateSales(article).status).toBe("estimated");
+    // 元の実行の取得元は変更しない
+    expect(newer.articles[0].sources.likeRating).toBeNull();
+  });
+
+  test("出現した実行（古い順）と初回・最終の取得日時を記録する", () => {
+    expect(byId.n001).toMatchObject({
+      runIds: ["r1", "r2"],
+      runNames: ["AI 1月", "AI 2月"],
+      firstSeenAt: olderRun.createdAt,
+      lastSeenAt: newerRun.createdAt,
+    });
+    expect(byId.n002).toMatchObject({ runIds: ["r1"], firstSeenAt: olderRun.createdAt, lastSeenAt: olderRun.createdAt });
+    expect(byId.n003.runIds).toEqual(["r2"]);
+  });
+
+  test("元の実行の記事は変更しない", () => {
+    expect(olderRun.articles[0].title).toBe("記事A");
+    expect(newerRun.articles[1].likeRating).toBeUndefined();
+  });
+});
+
+describe("buildMergeTable", () => {
+  test("列レイアウトの列の後ろに結合の列を付ける", () => {
+    const table = runMerge.buildMergeTable(runMerge.mergeRuns([olderRun, newerRun]));
+    expect(table.headers.slice(-5)).toEqual(["記事ID", "出現回数", "出現した実行", "初回取得日時", "最終取得日時"]);
+    expect(table.headers[0]).toBe("タイトル");
+    expect(table.rows[1].slice(-5)).toEqual(["n001", 2, "AI 1月 / AI 2月", olderRun.createdAt, newerRun.createdAt]);
+  });
+});
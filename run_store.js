@@ -0,0 +1,159 @@
+/**
+ * 取得結果（実行履歴）の永続化
+ *
+ * chrome.storage.local に実行ごとの記事データを保存し、
+ * Side Panel から再ダウンロード・名前変更・削除できるようにする。
+ *
+ * 保存形式:
+ *  - "runIndex"   : 実行の概要一覧（新しい順、記事データを含まない）
+ *  - "run:<id>"   : 1回分の実行データ（記事配列を含む）
+ *
+ * 一覧を変更する処理（保存・名前変更・削除）は読み込んでから書き戻すため、同時に実行すると
+ * 先の変更が失われる。この処理は順番に1つずつ実行し、Side Panel からの名前変更・削除も
+ * Background Service Worker に依頼して同じ順番待ちに入れる。
+ *
+ * 公開API: globalThis.NoteExporter.runStore
+ */
+
+(() => {
+  "use strict";
+
+  const INDEX_KEY = "runIndex";
+  const RUN_KEY_PREFIX = "run:";
+  const MAX_RUNS = 50;
+
+  // 一覧を変更する処理の順番待ち（直前の処理が終わってから次を始める）
+  let indexQueue = Promise.resolve();
+
+  /**
+   * 一覧を変更する処理を、先に依頼された処理が終わってから実行する（失敗しても後の処理は続ける）
+   */
+  function withIndexLock(task) {
+    const result = indexQueue.then(task);
+    indexQueue = result.catch(() => {});
+    return result;
+  }
+
+  function runKey(id) {
+    return `${RUN_KEY_PREFIX}${id}`;
+  }
+
+  function createRunId() {
+    return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  }
+
+  /**
+   * 履歴一覧に表示する既定の名前（例: "#個人開発 2025/01/31 12:34"）
+   */
+  function defaultRunName(run) {
+    const date = new Date(run.createdAt);
+    const pad = (n) => String(n).padStart(2, "0");
+    const dateText = `${date.getFullYear()}/${pad(date.getMonth() + 1)}/${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    return `${run.query || "(クエリなし)"} ${dateText}`;
+  }
+
+  /**
+   * 実行データから一覧表示用の概要を作る
+   */
+  function summarizeRun(run) {
+    return {
+      id: run.id,
+      name: run.name || defaultRunName(run),
+      query: run.query || "",
+      pageType: run.pageType || "",
+      sort: run.sort || "",
+      status: run.status || "completed",
+      createdAt: run.createdAt,
+      updatedAt: run.updatedAt || run.createdAt,
+      count: Array.isArray(run.articles) ? run.articles.length : 0,
+      failedArticleCount: countFailedArticles(run),
+      scheduleId: run.scheduleId || "",
+    };
+  }
+
+  /**
+   * 取得に失敗した記事の数（articleId の付いた失敗を記事ごとに数える）
+   */
+  function countFailedArticles(run) {
+    const ids = new Set();
+    for (const failure of Array.isArray(run.failures) ? run.failures : []) {
+      if (failure && failure.articleId) ids.add(failure.articleId);
+    }
+    return ids.size;
+  }
+
+  async function listRuns() {
+    const stored = await chrome.storage.local.get(INDEX_KEY);
+    return Array.isArray(stored[INDEX_KEY]) ? stored[INDEX_KEY] : [];
+  }
+
+  async function getRun(id) {
+    const key = runKey(id);
+    const stored = await chrome.storage.local.get(key);
+    return stored[key] || null;
+  }
+
+  /**
+   * 実行データを保存（同じIDがあれば上書き）
+   * 保存済みの実行の名前は renameRun でだけ変わる（読み込んだ後に名前変更された実行を書き戻しても、変更後の名前を残す）
+   * 保存件数が MAX_RUNS を超えた場合は古いものから削除する
+   */
+  function saveRun(run) {
+    return withIndexLock(async () => {
+      const now = new Date().toISOString();
+      const allRuns = await listRuns();
+      const existing = allRuns.find((r) => r.id === run.id);
+      const record = {
+        ...run,
+        createdAt: run.createdAt || (existing && existing.createdAt) || now,
+        updatedAt: now,
+      };
+      record.name = (existing && existing.name) || record.name || defaultRunName(record);
+
+      const index = allRuns.filter((r) => r.id !== record.id);
+      index.unshift(summarizeRun(record));
+      const removed = index.splice(MAX_RUNS);
+
+      await chrome.storage.local.set({ [runKey(record.id)]: record, [INDEX_KEY]: index });
+      if (removed.length > 0) {
+        await chrome.storage.local.remove(removed.map((r) => runKey(r.id)));
+      }
+      return record;
+    });
+  }
+
+  function renameRun(id, name) {
+    return withIndexLock(async () => {
+      const run = await getRun(id);
+      if (!run) return null;
+      run.name = String(name).trim() || defaultRunName(run);
+
+      const index = (await listRuns()).map((r) => (r.id === id ? { ...r, name: run.name } : r));
+      await chrome.storage.local.set({ [runKey(id)]: run, [INDEX_KEY]: index });
+      return run;
+    });
+  }
+
+  function deleteRun(id) {
+    return withIndexLock(async () => {
+      const index = (await listRuns()).filter((r) => r.id !== id);
+      await chrome.storage.local.set({ [INDEX_KEY]: index });
+      await chrome.storage.local.remove(runKey(id));
+    });
+  }
+
+  globalThis.NoteExporter = globalThis.NoteExporter || {};
+  globalThis.NoteExporter.runStore = {
+    INDEX_KEY,
+    MAX_RUNS,
+    createRunId,
+    defaultRunName,
+    summarizeRun,
+    countFailedArticles,
+    listRuns,
+    getRun,
+    saveRun,
+    renameRun,
+    deleteRun,
+  };
+})();
@@ -0,0 +1,185 @@
+/**
+ * run_store.js のユニットテスト
+ *
+ * テスト対象:
+ * - saveRun / getRun / listRuns: 実行データの保存と一覧（取得に失敗した記事の数を含む）
+ * - renameRun / deleteRun: 名前変更・削除
+ * - 保存件数の上限
+ * - 一覧を変更する処理の順番待ち（同時に依頼された保存・名前変更）
+ */
+
+// chrome.storage.local のインメモリモック
+function createStorageMock() {
+  let data = {};
+  return {
+    get: jest.fn(async (key) => (key in data ? { [key]: data[key] } : {})),
+    set: jest.fn(async (items) => { data = { ...data, ...items }; }),
+    remove: jest.fn(async (keys) => {
+      for (const key of [].concat(keys)) delete data[key];
+    }),
+    _dump: () => data,
+  };
+}
+
+globalThis.chrome = { storage: { local: createStorageMock() } };
+
+require("./run_store.js");
+
+const store = globalThis.NoteExporter.runStore;
+
+function makeRun(overrides) {
+  return {
+    id: store.createRunId(),
+    query: "AI",
+    pageType: "search",
+    sort: "",
+    status: "completed",
+    createdAt: "2025-01-31T03:04:00.000Z",
+    articles: [
+      { title: "記事1", likeCount: 5, likeRating: 1, price: 0, url: "https://note.com/u1/n/n001", creator: "u1" },
+    ],
+    ...overrides,
+  };
+}
+
+beforeEach(() => {
+  chrome.storage.local = createStorageMock();
+});
+
+describe("saveRun / getRun / listRuns", () => {
+  test("保存した実行を記事データごと取得できる", async () => {
+    const run = makeRun();
+    await store.saveRun(run);
+
+    const loaded = await store.getRun(run.id);
+    expect(loaded.query).toBe("AI");
+    expect(loaded.articles).toEqual(run.articles);
+    expect(loaded.name).toContain("AI");
+  });
+
+  test("一覧は新しい順で、記事データを含まない概要を返す", async () => {
+    const first = makeRun({ query: "first" });
+    const second = makeRun({ query: "second" });
+    await store.saveRun(first);
+    await store.saveRun(second);
+
+    const index = await store.listRuns();
+    expect(index.map((r) => r.query)).toEqual(["second", "first"]);
+    expect(index[0].count).toBe(1);
+    expect(index[0].articles).toBeUndefined();
+  });
+
+  test("一覧の概要には、取得に失敗した記事の数（記事に結び付いた失敗を記事ごとに数える）を含める", async () => {
+    const run = makeRun({
+      failures: [
+        { phase: "search", page: 2, url: "https://note.com/api/v3/searches", status: 500, message: "HTTP 500" },
+        { phase: "articleApi", url: "https://note.com/api/v3/notes/n001", status: 500, message: "HTTP 500", articleId: "n001" },
+        { phase: "articleHtml", url: "https://note.com/u1/n/n001", status: 500, message: "HTTP 500", articleId: "n001" },
+      ],
+    });
+    await store.saveRun(run);
+    await store.saveRun(makeRun({ query: "legacy" }));
+
+    const index = await store.listRuns();
+    expect(index.map((r) => r.failedArticleCount)).toEqual([0, 1]);
+  });
+
+  test("同じIDで保存すると上書きされ、一覧は重複しない", async () => {
+    const run = makeRun({ status: "partial" });
+    await store.saveRun(run);
+    await store.saveRun({ ...run, status: "completed" });
+
+    const index = await store.listRuns();
+    expect(index.length).toBe(1);
+    expect(index[0].status).toBe("completed");
+  });
+
+  test("上書き保存で名前を指定しない場合は変更済みの名前を引き継ぐ", async () => {
+    const run = makeRun();
+    await store.saveRun(run);
+    await store.renameRun(run.id, "週次調査");
+    await store.saveRun({ ...run, status: "completed" });
+
+    expect((await store.getRun(run.id)).name).toBe("週次調査");
+  });
+
+  test("存在しないIDはnull", async () => {
+    expect(await store.getRun("missing")).toBeNull();
+  });
+
+  test("保存件数の上限を超えると古い実行から削除される", async () => {
+    const ids = [];
+    for (let i = 0; i < store.MAX_RUNS + 2; i++) {
+      const run = makeRun({ id: `run${i}` });
+      ids.push(run.id);
+      await store.saveRun(run);
+    }
+
+    const index = await store.listRuns();
+    expect(index.length).toBe(store.MAX_RUNS);
+    expect(await store.getRun(ids[0])).toBeNull();
+    expect(await store.getRun(ids[1])).toBeNull();
+    expect(await store.getRun(ids[2])).not.toBeNull();
+  });
+});
+
+describe("renameRun / deleteRun", () => {
+  test("名前変更は実行データと一覧の両方に反映される", async () => {
+    const run = makeRun();
+    await store.saveRun(run);
+    await store.renameRun(run.id, "  競合調査  ");
+
+    expect((await store.getRun(run.id)).name).toBe("競合調査");
+    expect((await store.listRuns())[0].name).toBe("競合調査");
+  });
+
+  test("空の名前は既定の名前に戻る", async () => {
+    const run = makeRun();
+    await store.saveRun(run);
+    await store.renameRun(run.id, "  ");
+
+    expect((await store.getRun(run.id)).name).toBe(store.defaultRunName(run));
+  });
+
+  test("削除すると一覧と実行データの両方から消える", async () => {
+    const run = makeRun();
+    await store.saveRun(run);
+    await store.deleteRun(run.id);
+
+    expect(await store.listRuns()).toEqual([]);
+    expect(await store.getRun(run.id)).toBeNull();
+  });
+});
+
+describe("一覧を変更する処理の順番待ち", () => {
+  test("同時に依頼された保存は、どちらも一覧に残る", async () => {
+    const a = makeRun({ id: "runA" });
+    const b = makeRun({ id: "runB" });
+    await Promise.all([store.saveRun(a), store.saveRun(b)]);
+
+    expect((await store.listRuns()).map((r) => r.id)).toEqual(["runB", "runA"]);
+    expect(await store.getRun("runA")).not.toBeNull();
+  });
+
+  test("保存と同時に依頼された名前変更は失われない", async () => {
+    const run = makeRun();
+    await store.saveRun(run);
+    const loaded = await store.getRun(run.id);
+
+    // 読み込んだ実行を書き戻す間に名前変更が入っても、変更後の名前を残す
+    await Promise.all([store.renameRun(run.id, "競合調査"), store.saveRun({ ...loaded, status: "partial" })]);
+
+    expect((await store.getRun(run.id))).toMatchObject({ name: "競合調査", status: "partial" });
+    expect((await store.listRuns())[0]).toMatchObject({ name: "競合調査", status: "partial" });
+  });
+
+  test("失敗した処理があっても、後の処理は実行する", async () => {
+    chrome.storage.local.set.mockRejectedValueOnce(new Error("QUOTA_BYTES quota exceeded"));
+    const failed = store.saveRun(makeRun({ id: "runA" }));
+    const saved = store.saveRun(makeRun({ id: "runB" }));
+
+    await expect(failed).rejects.toThrow("quota");
+    await saved;
+    expect((await store.listRuns()).map((r) => r.id)).toEqual(["runB"]);
+  });
+});
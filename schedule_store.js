@@ -0,0 +1,147 @@
+/**
+ * 定期実行（スケジュール）の永続化
+ *
+ * chrome.storage.local の "schedules" キーに、定期的に取得するクエリと実行間隔を保存する。
+ * 実行は Background Service Worker が chrome.alarms で行う（アラーム名は "schedule:<id>"）。
+ *
+ * 公開API: globalThis.NoteExporter.scheduleStore
+ */
+
+(() => {
+  "use strict";
+
+  const SCHEDULES_KEY = "schedules";
+  const ALARM_PREFIX = "schedule:";
+  const RETRY_ALARM_PREFIX = "schedule-retry:";
+
+  const FREQUENCIES = {
+    daily: { label: "毎日", minutes: 24 * 60 },
+    weekly: { label: "毎週", minutes: 7 * 24 * 60 },
+    custom: { label: "間隔を指定", minutes: null }, // intervalHours を使う
+  };
+
+  const MIN_INTERVAL_HOURS = 1;
+  const MAX_INTERVAL_HOURS = 24 * 30;
+  const MAX_COUNT = 500;
+
+  function createScheduleId() {
+    return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  }
+
+  function clampInt(value, min, max, fallback) {
+    const n = parseInt(value, 10);
+    return isNaN(n) ? fallback : Math.min(max, Math.max(min, n));
+  }
+
+  /**
+   * 入力値を保存形式に揃える（未指定の項目は既定値）
+   */
+  function normalizeSchedule(input) {
+    const queries = (Array.isArray(input.queries) ? input.queries : [])
+      .map((q) => String(q || "").trim())
+      .filter(Boolean);
+    return {
+      id: input.id || createScheduleId(),
+      name: String(input.name || "").trim() || queries[0] || "定期実行",
+      queries,
+      count: clampInt(input.count, 1, MAX_COUNT, 50),
+      sort: input.sort || "",
+      context: input.context || "note",
+      frequency: FREQUENCIES[input.frequency] ? input.frequency : "weekly",
+      intervalHours: clampInt(input.intervalHours, MIN_INTERVAL_HOURS, MAX_INTERVAL_HOURS, 24),
+      format: input.format || "csv",
+      autoDownload: Boolean(input.autoDownload),
+      filters: input.filters && typeof input.filters === "object" ? input.filters : null, // 絞り込みの条件（article_filter.js）
+      enabled: input.enabled !== false,
+      createdAt: input.createdAt || new Date().toISOString(),
+      lastRunAt: input.lastRunAt || null,
+      lastStatus: input.lastStatus || "", // completed | stopped | error
+      lastCount: input.lastCount || 0,
+      nextRunAt: input.nextRunAt || null,
+    };
+  }
+
+  /**
+   * chrome.alarms の periodInMinutes
+   */
+  function periodInMinutes(schedule) {
+    return FREQUENCIES[schedule.frequency]?.minutes || schedule.intervalHours * 60;
+  }
+
+  function alarmName(id) {
+    return `${ALARM_PREFIX}${id}`;
+  }
+
+  function retryAlarmName(id) {
+    return `${RETRY_ALARM_PREFIX}${id}`;
+  }
+
+  /**
+   * アラーム名からスケジュールIDを取り出す（定期実行のアラームでなければ null）
+   */
+  function scheduleIdFromAlarm(name) {
+    for (const prefix of [ALARM_PREFIX, RETRY_ALARM_PREFIX]) {
+      if (String(name).startsWith(prefix)) return name.slice(prefix.length) || null;
+    }
+    return null;
+  }
+
+  async function listSchedules() {
+    const stored = await chrome.storage.local.get(SCHEDULES_KEY);
+    return Array.isArray(stored[SCHEDULES_KEY]) ? stored[SCHEDULES_KEY] : [];
+  }
+
+  async function getSchedule(id) {
+    return (await listSchedules()).find((s) => s.id === id) || null;
+  }
+
+  /**
+   * スケジュールを保存（同じIDがあれば上書き）
+   * @returns {Promise<object>} 保存したスケジュール
+   */
+  async function saveSchedule(input) {
+    const record = normalizeSchedule(input);
+    const schedules = await listSchedules();
+    const index = schedules.findIndex((s) => s.id === record.id);
+    if (index >= 0) {
+      schedules[index] = record;
+    } else {
+      schedules.push(record);
+    }
+    await chrome.storage.local.set({ [SCHEDULES_KEY]: schedules });
+    return record;
+  }
+
+  /**
+   * スケジュールの一部を更新（実行結果・次回実行日時・有効/無効など）
+   * @returns {Promise<object|null>} 更新後のスケジュール（存在しなければ null）
+   */
+  async function updateSchedule(id, partial) {
+    const current = await getSchedule(id);
+    if (!current) return null;
+    return saveSchedule({ ...current, ...partial, id });
+  }
+
+  async function deleteSchedule(id) {
+    const schedules = (await listSchedules()).filter((s) => s.id !== id);
+    await chrome.storage.local.set({ [SCHEDULES_KEY]: schedules });
+  }
+
+  globalThis.NoteExporter = globalThis.NoteExporter || {};
+  globalThis.NoteExporter.scheduleStore = {
+    SCHEDULES_KEY,
+    FREQUENCIES,
+    MIN_INTERVAL_HOURS,
+    MAX_INTERVAL_HOURS,
+    normalizeSchedule,
+    periodInMinutes,
+    alarmName,
+    retryAlarmName,
+    scheduleIdFromAlarm,
+    listSchedules,
+    getSchedule,
+    saveSchedule,
+    updateSchedule,
+    deleteSchedule,
+  };
+})();
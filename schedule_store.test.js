@@ -0,0 +1,78 @@
+/**
+ * schedule_store.js のユニットテスト
+ *
+ * テスト対象:
+ * - normalizeSchedule: 入力値の正規化と既定値
+ * - periodInMinutes / alarmName / scheduleIdFromAlarm: chrome.alarms との対応
+ * - saveSchedule / updateSchedule / deleteSchedule: 保存・更新・削除
+ */
+
+// chrome.storage.local のインメモリモック
+function createStorageMock() {
+  let data = {};
+  return {
+    get: jest.fn(async (key) => (key in data ? { [key]: data[key] } : {})),
+    set: jest.fn(async (items) => { data = { ...data, ...items }; }),
+  };
+}
+
+globalThis.chrome = { storage: { local: createStorageMock() } };
+
+require("./schedule_store.js");
+
+const store = globalThis.NoteExporter.scheduleStore;
+
+beforeEach(() => {
+  chrome.storage.local = createStorageMock();
+});
+
+describe("normalizeSchedule", () => {
+  test("空行を除いたクエリを保存し、名前がなければ最初のクエリを使う", () => {
+    const schedule = store.normalizeSchedule({ queries: [" AI ", "", "#個人開発"] });
+    expect(schedule.queries).toEqual(["AI", "#個人開発"]);
+    expect(schedule.name).toBe("AI");
+    expect(schedule).toMatchObject({ frequency: "weekly", count: 50, enabled: true, autoDownload: false, filters: null, nextRunAt: null });
+  });
+
+  test("取得件数と間隔は範囲内に収める", () => {
+    const schedule = store.normalizeSchedule({ queries: ["AI"], count: "1000", frequency: "custom", intervalHours: "0" });
+    expect(schedule.count).toBe(500);
+    expect(schedule.intervalHours).toBe(store.MIN_INTERVAL_HOURS);
+  });
+
+  test("未知の実行間隔は毎週", () => {
+    expect(store.normalizeSchedule({ queries: ["AI"], frequency: "hourly" }).frequency).toBe("weekly");
+  });
+});
+
+describe("periodInMinutes / アラーム名", () => {
+  test("毎日・毎週・間隔指定を分に変換", () => {
+    expect(store.periodInMinutes({ frequency: "daily" })).toBe(1440);
+    expect(store.periodInMinutes({ frequency: "weekly" })).toBe(10080);
+    expect(store.periodInMinutes({ frequency: "custom", intervalHours: 6 })).toBe(360);
+  });
+
+  test("定期実行と再試行のアラーム名からスケジュールIDを取り出す", () => {
+    expect(store.scheduleIdFromAlarm(store.alarmName("abc"))).toBe("abc");
+    expect(store.scheduleIdFromAlarm(store.retryAlarmName("abc"))).toBe("abc");
+    expect(store.scheduleIdFromAlarm("other")).toBeNull();
+  });
+});
+
+describe("saveSchedule / updateSchedule / deleteSchedule", () => {
+  test("追加・更新・削除できる", async () => {
+    const saved = await store.saveSchedule({ name: "毎週のAI", queries: ["AI"], frequency: "daily" });
+    expect(await store.listSchedules()).toEqual([saved]);
+
+    const updated = await store.updateSchedule(saved.id, { enabled: false, lastStatus: "completed", lastCount: 12 });
+    expect(updated).toMatchObject({ id: saved.id, name: "毎週のAI", enabled: false, lastStatus: "completed", lastCount: 12 });
+    expect((await store.listSchedules()).length).toBe(1);
+
+    await store.deleteSchedule(saved.id);
+    expect(await store.listSchedules()).toEqual([]);
+  });
+
+  test("存在しないスケジュールの更新はnull", async () => {
+    expect(await store.updateSchedule("missing", { enabled: false })).toBeNull();
+  });
+});
@@ -0,0 +1,228 @@
+/**
+ * DOM スクレイピングのセレクタープロファイル
+ *
+ * DOM から記事を収集するときに使う CSS セレクター（記事リンク・記事カード・タイトル・スキ数・価格・
+ * クリエイター名）を、ページ種別ごとのプロファイルとして chrome.storage.local の "selectorProfiles" キーに保存する。
+ * note.com のデザインが変わったときに、拡張機能を更新しなくても Side Panel から直せるようにするためのもの。
+ * 保存するのは既定値から変更した項目だけで、読み込み時に既定値で補う。JSON での書き出し・読み込みにも対応する。
+ *
+ * 公開API: globalThis.NoteExporter.selectorProfiles
+ */
+
+(() => {
+  "use strict";
+
+  const PROFILES_KEY = "selectorProfiles";
+
+  // DOM から収集するページ種別（content_script.js の getPageType と同じ値）
+  const PAGE_TYPES = {
+    search: "検索",
+    hashtag: "ハッシュタグ",
+    creator: "クリエイター",
+    magazine: "マガジン",
+    category: "カテゴリ",
+    contest: "コンテスト",
+  };
+
+  /**
+   * セレクターの項目（空欄にできる項目は optional）
+   * card は記事リンクから closest() でたどる記事カード。空欄なら他の記事へのリンクを含まない範囲を自動で判定する
+   */
+  const SELECTOR_FIELDS = {
+    articleLink: { label: "記事リンク", default: 'a[href*="/n/"]', optional: false },
+    card: { label: "記事カード", default: "", optional: true },
+    title: { label: "タイトル", default: "h1, h2, h3, h4", optional: true },
+    likeCount: { label: "スキ数", default: '[class*="like"], [class*="Like"], [class*="heart"], [class*="Heart"]', optional: true },
+    price: { label: "価格", default: '[class*="price"], [class*="Price"], [class*="amount"]', optional: true },
+    creator: { label: "クリエイター名", default: '[class*="creator"], [class*="Creator"], [class*="author"], [class*="Author"], [class*="userName"]', optional: true },
+  };
+
+  /**
+   * セレクター以外の推測とその順序（既定はすべて有効）
+   * likeIconFirst: スキ数はアイコンの隣の数字を先に見て、なければセレクターで探す（オフならセレクターを先に見る）
+   */
+  const FALLBACK_OPTIONS = {
+    likeNearIcon: { label: "スキ数: アイコン（SVG）の隣の数字を使う", default: true },
+    likeIconFirst: { label: "スキ数: セレクターより先にアイコンの隣の数字を見る", default: true },
+    priceFromYenText: { label: "価格: カード内の「¥」付きの数字を使う", default: true },
+  };
+
+  const DEFAULT_PROFILE = Object.freeze({
+    ...Object.fromEntries(Object.entries(SELECTOR_FIELDS).map(([id, field]) => [id, field.default])),
+    ...Object.fromEntries(Object.entries(FALLBACK_OPTIONS).map(([id, option]) => [id, option.default])),
+  });
+
+  /**
+   * CSS セレクターとして解釈できるか（DOM のない環境では確認しない）
+   * @returns {string} エラーの説明（問題なければ空文字列）
+   */
+  function validateSelector(selector) {
+    if (typeof document === "undefined" || typeof document.createDocumentFragment !== "function") return "";
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return "";
+    } catch (err) {
+      return err.message;
+    }
+  }
+
+  /**
+   * プロファイルの問題点（解釈できないセレクター・必須の項目の空欄）
+   * @returns {string[]}
+   */
+  function validateProfile(profile) {
+    const errors = [];
+    for (const [id, field] of Object.entries(SELECTOR_FIELDS)) {
+      const selector = profile[id];
+      if (!selector) {
+        if (!field.optional) errors.push(`${field.label}のセレクターは空欄にできません`);
+        continue;
+      }
+      const error = validateSelector(selector);
+      if (error) errors.push(`${field.label}のセレクター「${selector}」を解釈できません（${error}）`);
+    }
+    return errors;
+  }
+
+  /**
+   * 入力値を完全なプロファイルにする（未指定・不正な型の項目は既定値）
+   */
+  function normalizeProfile(input) {
+    const source = input && typeof input === "object" ? input : {};
+    const profile = { ...DEFAULT_PROFILE };
+    for (const id of Object.keys(SELECTOR_FIELDS)) {
+      if (typeof source[id] === "string") profile[id] = source[id].trim();
+    }
+    for (const id of Object.keys(FALLBACK_OPTIONS)) {
+      if (typeof source[id] === "boolean") profile[id] = source[id];
+    }
+    if (!profile.articleLink) profile.articleLink = DEFAULT_PROFILE.articleLink;
+    return profile;
+  }
+
+  /**
+   * 既定値から変更した項目だけを残す（保存用）
+   */
+  function diffFromDefault(profile) {
+    return Object.fromEntries(Object.entries(profile).filter(([id, value]) => value !== DEFAULT_PROFILE[id]));
+  }
+
+  async function loadStored() {
+    const stored = await chrome.storage.local.get(PROFILES_KEY);
+    return stored[PROFILES_KEY] || {};
+  }
+
+  /**
+   * すべてのページ種別のプロファイル（既定値で補ったもの）
+   * @returns {Promise<Object<string, object>>}
+   */
+  async function loadProfiles() {
+    const stored = await loadStored();
+    return Object.fromEntries(Object.keys(PAGE_TYPES).map((type) => [type, normalizeProfile(stored[type])]));
+  }
+
+  /**
+   * ページ種別のプロファイル（対応していない種別は既定のプロファイル）
+   */
+  async function getProfile(pageType) {
+    const stored = await loadStored();
+    return normalizeProfile(PAGE_TYPES[pageType] ? stored[pageType] : null);
+  }
+
+  /**
+   * ページ種別のプロファイルを保存する
+   * @throws {Error} セレクターを解釈できない場合（message に問題点を改行区切りで含める）
+   * @returns {Promise<object>} 保存したプロファイル
+   */
+  async function saveProfile(pageType, input) {
+    if (!PAGE_TYPES[pageType]) throw new Error(`不明なページ種別: ${pageType}`);
+    const profile = normalizeProfile(input);
+    const errors = validateProfile(profile);
+    if (errors.length > 0) throw new Error(errors.join("\n"));
+
+    const stored = await loadStored();
+    const changed = diffFromDefault(profile);
+    const next = { ...stored };
+    if (Object.keys(changed).length > 0) {
+      next[pageType] = changed;
+    } else {
+      delete next[pageType];
+    }
+    await chrome.storage.local.set({ [PROFILES_KEY]: next });
+    return profile;
+  }
+
+  async function resetProfile(pageType) {
+    const next = { ...(await loadStored()) };
+    delete next[pageType];
+    await chrome.storage.local.set({ [PROFILES_KEY]: next });
+    return normalizeProfile(null);
+  }
+
+  /**
+   * すべてのプロファイルを JSON 文字列にする（既定値から変更した項目だけ）
+   */
+  async function exportProfiles() {
+    return JSON.stringify({ version: 1, profiles: await loadStored() }, null, 2);
+  }
+
+  /**
+   * JSON 文字列のプロファイルを読み込んで保存する（含まれていないページ種別はそのまま）
+   * { version, profiles: { ページ種別: プロファイル } } と、profiles の中身だけの形のどちらにも対応する
+   * @throws {Error} JSON として解釈できない、不明なページ種別、セレクターを解釈できない場合（何も保存しない）
+   * @returns {Promise<string[]>} 読み込んだページ種別
+   */
+  async function importProfiles(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      throw new Error(`JSON を解釈できません（${err.message}）`);
+    }
+    const profiles = data && typeof data.profiles === "object" ? data.profiles : data;
+    if (!profiles || typeof profiles !== "object" || Array.isArray(profiles)) {
+      throw new Error("プロファイルが含まれていません");
+    }
+
+    const errors = [];
+    const imported = {};
+    for (const [type, input] of Object.entries(profiles)) {
+      if (!PAGE_TYPES[type]) {
+        errors.push(`不明なページ種別: ${type}`);
+        continue;
+      }
+      const profile = normalizeProfile(input);
+      errors.push(...validateProfile(profile).map((error) => `${PAGE_TYPES[type]}: ${error}`));
+      imported[type] = diffFromDefault(profile);
+    }
+    if (errors.length > 0) throw new Error(errors.join("\n"));
+
+    const next = { ...(await loadStored()) };
+    for (const [type, changed] of Object.entries(imported)) {
+      if (Object.keys(changed).length > 0) {
+        next[type] = changed;
+      } else {
+        delete next[type];
+      }
+    }
+    await chrome.storage.local.set({ [PROFILES_KEY]: next });
+    return Object.keys(imported);
+  }
+
+  globalThis.NoteExporter = globalThis.NoteExporter || {};
+  globalThis.NoteExporter.selectorProfiles = {
+    PROFILES_KEY,
+    PAGE_TYPES,
+    SELECTOR_FIELDS,
+    FALLBACK_OPTIONS,
+    DEFAULT_PROFILE,
+    validateProfile,
+    normalizeProfile,
+    loadProfiles,
+    getProfile,
+    saveProfile,
+    resetProfile,
+    exportProfiles,
+    importProfiles,
+  };
+})();
@@ -0,0 +1,104 @@
+/**
+ * selector_profiles.js のユニットテスト
+ *
+ * テスト対象:
+ * - normalizeProfile / validateProfile: 既定値での補完と入力の確認
+ * - loadProfiles / getProfile / saveProfile / resetProfile: ページ種別ごとの保存（既定値からの変更だけ）
+ * - exportProfiles / importProfiles: JSON での書き出しと読み込み
+ */
+
+// chrome.storage.local のインメモリモック
+function createStorageMock() {
+  let data = {};
+  return {
+    get: jest.fn(async (key) => (key in data ? { [key]: data[key] } : {})),
+    set: jest.fn(async (items) => { data = { ...data, ...items }; }),
+  };
+}
+
+globalThis.chrome = { storage: { local: createStorageMock() } };
+
+require("./selector_profiles.js");
+
+const selectorProfiles = globalThis.NoteExporter.selectorProfiles;
+const { DEFAULT_PROFILE } = selectorProfiles;
+
+beforeEach(() => {
+  chrome.storage.local = createStorageMock();
+});
+
+describe("normalizeProfile / validateProfile", () => {
+  test("未指定・不正な型の項目は既定値で補い、前後の空白を除く", () => {
+    const profile = selectorProfiles.normalizeProfile({ likeCount: "  .likes  ", price: 100, likeNearIcon: false, extra: "x" });
+    expect(profile).toEqual({ ...DEFAULT_PROFILE, likeCount: ".likes", likeNearIcon: false });
+  });
+
+  test("記事リンクのセレクターが空欄なら既定値に戻す", () => {
+    expect(selectorProfiles.normalizeProfile({ articleLink: " " }).articleLink).toBe(DEFAULT_PROFILE.articleLink);
+  });
+
+  test("空欄にできない項目を指摘する（DOM のない環境ではセレクターの構文は確認しない）", () => {
+    expect(selectorProfiles.validateProfile(DEFAULT_PROFILE)).toEqual([]);
+    expect(selectorProfiles.validateProfile({ ...DEFAULT_PROFILE, articleLink: "" })).toEqual(["記事リンクのセレクターは空欄にできません"]);
+  });
+});
+
+describe("loadProfiles / getProfile / saveProfile / resetProfile", () => {
+  test("未保存の場合はすべてのページ種別が既定のプロファイル", async () => {
+    const profiles = await selectorProfiles.loadProfiles();
+    expect(Object.keys(profiles)).toEqual(Object.keys(selectorProfiles.PAGE_TYPES));
+    expect(profiles.hashtag).toEqual(DEFAULT_PROFILE);
+  });
+
+  test("既定値から変更した項目だけを保存し、他のページ種別には影響しない", async () => {
+    const saved = await selectorProfiles.saveProfile("hashtag", { ...DEFAULT_PROFILE, card: "article", likeCount: ".likes" });
+    expect(saved).toMatchObject({ card: "article", likeCount: ".likes", title: DEFAULT_PROFILE.title });
+
+    const { selectorProfiles: stored } = await chrome.storage.local.get("selectorProfiles");
+    expect(stored).toEqual({ hashtag: { card: "article", likeCount: ".likes" } });
+    expect(await selectorProfiles.getProfile("hashtag")).toEqual(saved);
+    expect(await selectorProfiles.getProfile("search")).toEqual(DEFAULT_PROFILE);
+  });
+
+  test("対応していないページ種別は既定のプロファイルを返し、保存はエラー", async () => {
+    await selectorProfiles.saveProfile("search", { card: "li" });
+    expect(await selectorProfiles.getProfile("unknown")).toEqual(DEFAULT_PROFILE);
+    expect(await selectorProfiles.getProfile(undefined)).toEqual(DEFAULT_PROFILE);
+    await expect(selectorProfiles.saveProfile("unknown", {})).rejects.toThrow("不明なページ種別: unknown");
+  });
+
+  test("既定に戻すと保存した変更を消す", async () => {
+    await selectorProfiles.saveProfile("creator", { card: "section" });
+    expect(await selectorProfiles.resetProfile("creator")).toEqual(DEFAULT_PROFILE);
+    const { selectorProfiles: stored } = await chrome.storage.local.get("selectorProfiles");
+    expect(stored).toEqual({});
+  });
+});
+
+describe("exportProfiles / importProfiles", () => {
+  test("書き出した JSON を読み込むと同じプロファイルになる", async () => {
+    await selectorProfiles.saveProfile("magazine", { card: ".m-card", priceFromYenText: false });
+    const json = await selectorProfiles.exportProfiles();
+    expect(JSON.parse(json)).toEqual({ version: 1, profiles: { magazine: { card: ".m-card", priceFromYenText: false } } });
+
+    chrome.storage.local = createStorageMock();
+    expect(await selectorProfiles.importProfiles(json)).toEqual(["magazine"]);
+    expect((await selectorProfiles.getProfile("magazine")).card).toBe(".m-card");
+  });
+
+  test("profiles の中身だけの形も読み込み、含まれないページ種別は変更しない", async () => {
+    await selectorProfiles.saveProfile("search", { card: "li" });
+    await selectorProfiles.importProfiles(JSON.stringify({ contest: { title: "h2" } }));
+
+    expect((await selectorProfiles.getProfile("search")).card).toBe("li");
+    expect((await selectorProfiles.getProfile("contest")).title).toBe("h2");
+  });
+
+  test("問題がある場合は何も保存せず、問題点をまとめてエラーにする", async () => {
+    await expect(selectorProfiles.importProfiles("{")).rejects.toThrow("JSON を解釈できません");
+    await expect(selectorProfiles.importProfiles("[]")).rejects.toThrow("プロファイルが含まれていません");
+    await expect(selectorProfiles.importProfiles(JSON.stringify({ search: { card: "li" }, feed: {} })))
+      .rejects.toThrow("不明なページ種別: feed");
+    expect(await selectorProfiles.getProfile("search")).toEqual(DEFAULT_PROFILE);
+  });
+});
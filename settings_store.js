@@ -0,0 +1,66 @@
+/**
+ * Side Panel の設定の永続化
+ *
+ * chrome.storage.local の "settings" キーに、出力形式・列レイアウト・
+ * 列レイアウトのプリセットなどをまとめて保存する。
+ *
+ * 公開API: globalThis.NoteExporter.settingsStore
+ */
+
+(() => {
+  "use strict";
+
+  const SETTINGS_KEY = "settings";
+
+  const DEFAULT_SETTINGS = {
+    exportFormat: "csv",
+    columnLayout: null, // null = 既定の列（exporter.js の COLUMNS）
+    columnPresets: {}, // { プリセット名: 列レイアウト }
+    ratingConcurrency: 4, // 高評価数取得の同時実行数
+    keepPartialOnApiError: true, // 検索APIが途中で失敗しても取得済みの記事で続行する
+    hashtagMode: "hybrid", // ハッシュタグページの取得方法（hybrid | dom | api）
+    batchQueries: "", // 一括取得のクエリ（1行に1つ、"#" で始まるものはハッシュタグ）
+    batchSort: "", // 一括取得の並び順（"" = 既定）
+    batchContext: "note", // 一括取得の検索対象（検索APIの context）
+    batchOutput: "combined", // 一括取得の出力方法（combined | perQuery）
+    filters: null, // 絞り込みの条件（article_filter.js の形式。null = 指定なし）
+    includeSummary: false, // 記事一覧の出力に統計サマリー（XLSX は「集計」シート、その他は別ファイル）を付ける
+  };
+
+  async function loadSettings() {
+    const stored = await chrome.storage.local.get(SETTINGS_KEY);
+    return { ...DEFAULT_SETTINGS, ...(stored[SETTINGS_KEY] || {}) };
+  }
+
+  /**
+   * 設定の一部を更新して保存
+   * @param {object} partial 更新する項目
+   * @returns {Promise<object>} 更新後の設定全体
+   */
+  async function updateSettings(partial) {
+    const settings = { ...(await loadSettings()), ...partial };
+    await chrome.storage.local.set({ [SETTINGS_KEY]: settings });
+    return settings;
+  }
+
+  async function saveColumnPreset(name, layout) {
+    const { columnPresets } = await loadSettings();
+    return updateSettings({ columnPresets: { ...columnPresets, [name]: layout } });
+  }
+
+  async function deleteColumnPreset(name) {
+    const columnPresets = { ...(await loadSettings()).columnPresets };
+    delete columnPresets[name];
+    return updateSettings({ columnPresets });
+  }
+
+  globalThis.NoteExporter = globalThis.NoteExporter || {};
+  globalThis.NoteExporter.settingsStore = {
+    SETTINGS_KEY,
+    DEFAULT_SETTINGS,
+    loadSettings,
+    updateSettings,
+    saveColumnPreset,
+    deleteColumnPreset,
+  };
+})();
@@ -0,0 +1,63 @@
+/**
+ * settings_store.js のユニットテスト
+ *
+ * テスト対象:
+ * - loadSettings / updateSettings: 設定の読み書き
+ * - saveColumnPreset / deleteColumnPreset: 列レイアウトのプリセット
+ */
+
+// chrome.storage.local のインメモリモック
+function createStorageMock() {
+  let data = {};
+  return {
+    get: jest.fn(async (key) => (key in data ? { [key]: data[key] } : {})),
+    set: jest.fn(async (items) => { data = { ...data, ...items }; }),
+  };
+}
+
+globalThis.chrome = { storage: { local: createStorageMock() } };
+
+require("./settings_store.js");
+
+const settingsStore = globalThis.NoteExporter.settingsStore;
+
+beforeEach(() => {
+  chrome.storage.local = createStorageMock();
+});
+
+describe("loadSettings / updateSettings", () => {
+  test("未保存の場合は既定値", async () => {
+    expect(await settingsStore.loadSettings()).toEqual(settingsStore.DEFAULT_SETTINGS);
+  });
+
+  test("一部の項目だけ更新しても他の項目は保持される", async () => {
+    await settingsStore.updateSettings({ exportFormat: "xlsx" });
+    await settingsStore.updateSettings({ columnLayout: [{ id: "title", enabled: true }] });
+
+    const settings = await settingsStore.loadSettings();
+    expect(settings.exportFormat).toBe("xlsx");
+    expect(settings.columnLayout).toEqual([{ id: "title", enabled: true }]);
+  });
+});
+
+describe("saveColumnPreset / deleteColumnPreset", () => {
+  const layout = [{ id: "title", header: "記事名", enabled: true }];
+
+  test("名前付きで保存し、同名は上書きされる", async () => {
+    await settingsStore.saveColumnPreset("週次", [{ id: "url", enabled: true }]);
+    await settingsStore.saveColumnPreset("週次", layout);
+    await settingsStore.saveColumnPreset("月次", layout);
+
+    const { columnPresets } = await settingsStore.loadSettings();
+    expect(Object.keys(columnPresets)).toEqual(["週次", "月次"]);
+    expect(columnPresets["週次"]).toEqual(layout);
+  });
+
+  test("削除すると他のプリセットは残る", async () => {
+    await settingsStore.saveColumnPreset("週次", layout);
+    await settingsStore.saveColumnPreset("月次", layout);
+    await settingsStore.deleteColumnPreset("週次");
+
+    expect(Object.keys((await settingsStore.loadSettings()).columnPresets)).toEqual(["月次"]);
+  });
+});
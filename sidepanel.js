@@ -1,9 +1,336 @@
 document.addEventListener("DOMContentLoaded", () => {
+  const {
+    exportArticles, buildTableFile, downloadFile, formatDate, FORMATS, DEFAULT_FORMAT, COLUMNS, normalizeLayout,
+    numberValue, valueSource, VALUE_SOURCE_LABELS,
+  } = NoteExporter.exporter;
+  const logger = NoteExporter.logger;
+  const snapshotDiff = NoteExporter.snapshotDiff;
+  const runMerge = NoteExporter.runMerge;
+  const creatorReport = NoteExporter.creatorReport;
+  const articleSummary = NoteExporter.articleSummary;
+  const articleFilter = NoteExporter.articleFilter;
+  const runStore = NoteExporter.runStore;
+  const settingsStore = NoteExporter.settingsStore;
+  const scheduleStore = NoteExporter.scheduleStore;
+  const selectorProfiles = NoteExporter.selectorProfiles;
+
   const startBtn = document.getElementById("startBtn");
   const countInput = document.getElementById("count");
+  const formatSelect = document.getElementById("format");
+  const includeSummaryInput = document.getElementById("includeSummary");
+  const concurrencyInput = document.getElementById("concurrency");
+  const keepPartialInput = document.getElementById("keepPartial");
+  const hashtagModeSelect = document.getElementById("hashtagMode");
   const statusEl = document.getElementById("status");
+  const schemaDriftEl = document.getElementById("schemaDrift");
+  const schemaDriftList = document.getElementById("schemaDriftList");
+  const filterSummary = document.getElementById("filterSummary");
+  const filterInputs = {
+    likeMin: document.getElementById("filterLikeMin"),
+    likeMax: document.getElementById("filterLikeMax"),
+    priceMin: document.getElementById("filterPriceMin"),
+    priceMax: document.getElementById("filterPriceMax"),
+    paid: document.getElementById("filterPaid"),
+    withinDays: document.getElementById("filterWithinDays"),
+    dateFrom: document.getElementById("filterDateFrom"),
+    dateTo: document.getElementById("filterDateTo"),
+    includeCreators: document.getElementById("filterIncludeCreators"),
+    excludeCreators: document.getElementById("filterExcludeCreators"),
+    maxPerCreator: document.getElementById("filterMaxPerCreator"),
+  };
+  const clearFiltersBtn = document.getElementById("clearFiltersBtn");
   const progressBar = document.getElementById("progressBar");
   const progressFill = document.getElementById("progressFill");
+  const runControls = document.getElementById("runControls");
+  const pauseBtn = document.getElementById("pauseBtn");
+  const stopBtn = document.getElementById("stopBtn");
+  const previewSection = document.getElementById("previewSection");
+  const previewSearchInput = document.getElementById("previewSearch");
+  const previewCountEl = document.getElementById("previewCount");
+  const previewHead = document.getElementById("previewHead");
+  const previewBody = document.getElementById("previewBody");
+  const exportPreviewBtn = document.getElementById("exportPreviewBtn");
+  const restorePreviewBtn = document.getElementById("restorePreviewBtn");
+  const creatorSummaryTitle = document.getElementById("creatorSummaryTitle");
+  const creatorBody = document.getElementById("creatorBody");
+  const exportCreatorsBtn = document.getElementById("exportCreatorsBtn");
+  const historyList = document.getElementById("historyList");
+  const mergeRunsBtn = document.getElementById("mergeRunsBtn");
+  const diffBeforeSelect = document.getElementById("diffBefore");
+  const diffAfterSelect = document.getElementById("diffAfter");
+  const diffBeforeFileInput = document.getElementById("diffBeforeFile");
+  const diffAfterFileInput = document.getElementById("diffAfterFile");
+  const diffIncludeUnchangedInput = document.getElementById("diffIncludeUnchanged");
+  const exportDiffBtn = document.getElementById("exportDiffBtn");
+  const columnList = document.getElementById("columnList");
+  const presetSelect = document.getElementById("presetSelect");
+  const loadPresetBtn = document.getElementById("loadPresetBtn");
+  const savePresetBtn = document.getElementById("savePresetBtn");
+  const deletePresetBtn = document.getElementById("deletePresetBtn");
+  const resetColumnsBtn = document.getElementById("resetColumnsBtn");
+  const batchQueriesInput = document.getElementById("batchQueries");
+  const batchSortSelect = document.getElementById("batchSort");
+  const batchContextSelect = document.getElementById("batchContext");
+  const batchOutputSelect = document.getElementById("batchOutput");
+  const startBatchBtn = document.getElementById("startBatchBtn");
+  const batchProgressList = document.getElementById("batchProgress");
+  const scheduleNameInput = document.getElementById("scheduleName");
+  const scheduleQueriesInput = document.getElementById("scheduleQueries");
+  const scheduleFrequencySelect = document.getElementById("scheduleFrequency");
+  const scheduleIntervalGroup = document.getElementById("scheduleIntervalGroup");
+  const scheduleIntervalInput = document.getElementById("scheduleInterval");
+  const scheduleAutoDownloadInput = document.getElementById("scheduleAutoDownload");
+  const addScheduleBtn = document.getElementById("addScheduleBtn");
+  const scheduleList = document.getElementById("scheduleList");
+  const selectorPageTypeSelect = document.getElementById("selectorPageType");
+  const selectorFieldsEl = document.getElementById("selectorFields");
+  const testSelectorsBtn = document.getElementById("testSelectorsBtn");
+  const clearSelectorTestBtn = document.getElementById("clearSelectorTestBtn");
+  const saveSelectorsBtn = document.getElementById("saveSelectorsBtn");
+  const resetSelectorsBtn = document.getElementById("resetSelectorsBtn");
+  const exportSelectorsBtn = document.getElementById("exportSelectorsBtn");
+  const importSelectorsBtn = document.getElementById("importSelectorsBtn");
+  const importSelectorsFileInput = document.getElementById("importSelectorsFile");
+  const selectorTestResult = document.getElementById("selectorTestResult");
+  const selectorTestSummary = document.getElementById("selectorTestSummary");
+  const selectorTestBody = document.getElementById("selectorTestBody");
+  const logLevelSelect = document.getElementById("logLevel");
+  const downloadDiagnosticsBtn = document.getElementById("downloadDiagnosticsBtn");
+
+  // 現在の列レイアウト（exporter.js の normalizeLayout 済み）
+  let columnLayout = normalizeLayout(null);
+
+  const UNSUPPORTED_PAGE_MESSAGE =
+    "note.comの検索結果・ハッシュタグ・クリエイター・マガジン・カテゴリ・コンテストのページを開いた状態で実行してください。";
+
+  // --- 出力形式 ---
+
+  for (const [id, format] of Object.entries(FORMATS)) {
+    const option = document.createElement("option");
+    option.value = id;
+    option.textContent = format.label;
+    formatSelect.appendChild(option);
+  }
+  formatSelect.value = DEFAULT_FORMAT;
+
+  formatSelect.addEventListener("change", () => {
+    settingsStore.updateSettings({ exportFormat: formatSelect.value });
+  });
+
+  function readConcurrency() {
+    const value = parseInt(concurrencyInput.value, 10);
+    return isNaN(value) ? settingsStore.DEFAULT_SETTINGS.ratingConcurrency : Math.min(8, Math.max(1, value));
+  }
+
+  hashtagModeSelect.addEventListener("change", () => {
+    settingsStore.updateSettings({ hashtagMode: hashtagModeSelect.value });
+  });
+
+  keepPartialInput.addEventListener("change", () => {
+    settingsStore.updateSettings({ keepPartialOnApiError: keepPartialInput.checked });
+  });
+
+  includeSummaryInput.addEventListener("change", () => {
+    settingsStore.updateSettings({ includeSummary: includeSummaryInput.checked });
+  });
+
+  /**
+   * 取得中の失敗（ページ取得エラーなど）を1行の説明にまとめる
+   */
+  function describeFailures(failures) {
+    if (!Array.isArray(failures) || failures.length === 0) return "";
+    const last = failures[failures.length - 1];
+    // 記事ごとの失敗（高評価数の取得）は、取得先の API ではなく記事の URL を示す
+    const where = (last.query ? `「${last.query}」の` : "") + (last.page ? `${last.page}ページ目` : last.articleUrl || last.url);
+    const more = failures.length > 1 ? ` ほか${failures.length - 1}件` : "";
+    return `※ ${where}の取得に失敗: ${last.message}${more}`;
+  }
+
+  /**
+   * API レスポンスの形の変化（スキーマの変化）の警告を表示する（なければ隠す）
+   * @param {Array} drifts ジョブの schemaDrift（note_api.js の recordSchemaDrift）
+   */
+  function renderSchemaDrift(drifts) {
+    const list = Array.isArray(drifts) ? drifts : [];
+    schemaDriftEl.hidden = list.length === 0;
+    schemaDriftList.replaceChildren(...list.map((drift) => {
+      const li = document.createElement("li");
+      li.textContent = drift.pages > 1 ? `${drift.message}（${drift.pages}ページ）` : drift.message;
+      return li;
+    }));
+  }
+
+  concurrencyInput.addEventListener("change", () => {
+    concurrencyInput.value = String(readConcurrency());
+    settingsStore.updateSettings({ ratingConcurrency: readConcurrency() });
+  });
+
+  // --- 絞り込み ---
+
+  /**
+   * 入力欄から絞り込みの条件を読み取る（article_filter.js の normalizeFilters 済み）
+   */
+  function readFilters() {
+    const values = {};
+    for (const [key, input] of Object.entries(filterInputs)) values[key] = input.value;
+    return articleFilter.normalizeFilters(values);
+  }
+
+  function renderFilters(filters) {
+    const normalized = articleFilter.normalizeFilters(filters);
+    for (const [key, input] of Object.entries(filterInputs)) {
+      const value = normalized[key];
+      input.value = Array.isArray(value) ? value.join("\n") : value === null ? "" : String(value);
+    }
+    filterSummary.textContent = articleFilter.hasFilters(normalized)
+      ? "絞り込み（高評価数の取得前に適用）: 設定中"
+      : "絞り込み（高評価数の取得前に適用）";
+  }
+
+  for (const input of Object.values(filterInputs)) {
+    input.addEventListener("change", () => {
+      const filters = readFilters();
+      renderFilters(filters);
+      settingsStore.updateSettings({ filters });
+    });
+  }
+
+  clearFiltersBtn.addEventListener("click", () => {
+    renderFilters(null);
+    settingsStore.updateSettings({ filters: null });
+  });
+
+  // --- 列の設定 ---
+
+  const defaultHeaders = new Map(COLUMNS.map((c) => [c.id, c.header]));
+
+  function saveColumnLayout() {
+    settingsStore.updateSettings({ columnLayout });
+  }
+
+  function renderColumns() {
+    columnList.replaceChildren();
+
+    columnLayout.forEach((entry, index) => {
+      const item = document.createElement("li");
+      item.className = "column-item";
+      item.draggable = true;
+      item.dataset.index = String(index);
+
+      const handle = document.createElement("span");
+      handle.className = "drag-handle";
+      handle.textContent = "⋮⋮";
+
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.checked = entry.enabled;
+      checkbox.title = "出力する";
+      checkbox.addEventListener("change", () => {
+        entry.enabled = checkbox.checked;
+        saveColumnLayout();
+      });
+
+      const headerInput = document.createElement("input");
+      headerInput.type = "text";
+      headerInput.value = entry.header;
+      headerInput.placeholder = defaultHeaders.get(entry.id);
+      headerInput.title = `既定の列名: ${defaultHeaders.get(entry.id)}`;
+      headerInput.addEventListener("change", () => {
+        entry.header = headerInput.value.trim();
+        saveColumnLayout();
+      });
+
+      item.append(handle, checkbox, headerInput);
+
+      item.addEventListener("dragstart", (e) => {
+        e.dataTransfer.effectAllowed = "move";
+        e.dataTransfer.setData("text/plain", String(index));
+        item.classList.add("dragging");
+      });
+      item.addEventListener("dragend", () => item.classList.remove("dragging"));
+      item.addEventListener("dragover", (e) => {
+        e.preventDefault();
+        e.dataTransfer.dropEffect = "move";
+      });
+      item.addEventListener("drop", (e) => {
+        e.preventDefault();
+        const from = parseInt(e.dataTransfer.getData("text/plain"), 10);
+        if (isNaN(from) || from === index) return;
+        const [moved] = columnLayout.splice(from, 1);
+        columnLayout.splice(index, 0, moved);
+        saveColumnLayout();
+        renderColumns();
+      });
+
+      columnList.appendChild(item);
+    });
+  }
+
+  function renderPresets(presets) {
+    presetSelect.replaceChildren();
+    const names = Object.keys(presets);
+    const placeholder = document.createElement("option");
+    placeholder.value = "";
+    placeholder.textContent = names.length > 0 ? "プリセットを選択" : "保存済みプリセットなし";
+    presetSelect.appendChild(placeholder);
+    for (const name of names) {
+      const option = document.createElement("option");
+      option.value = name;
+      option.textContent = name;
+      presetSelect.appendChild(option);
+    }
+  }
+
+  loadPresetBtn.addEventListener("click", async () => {
+    const name = presetSelect.value;
+    if (!name) return;
+    const { columnPresets } = await settingsStore.loadSettings();
+    if (!columnPresets[name]) return;
+    columnLayout = normalizeLayout(columnPresets[name]);
+    saveColumnLayout();
+    renderColumns();
+    setStatus(`列プリセット「${name}」を読み込みました。`, "success");
+  });
+
+  savePresetBtn.addEventListener("click", async () => {
+    const name = window.prompt("プリセット名を入力してください。", presetSelect.value || "");
+    if (!name || !name.trim()) return;
+    const settings = await settingsStore.saveColumnPreset(name.trim(), columnLayout);
+    renderPresets(settings.columnPresets);
+    presetSelect.value = name.trim();
+    setStatus(`列プリセット「${name.trim()}」を保存しました。`, "success");
+  });
+
+  deletePresetBtn.addEventListener("click", async () => {
+    const name = presetSelect.value;
+    if (!name || !window.confirm(`列プリセット「${name}」を削除しますか？`)) return;
+    const settings = await settingsStore.deleteColumnPreset(name);
+    renderPresets(settings.columnPresets);
+  });
+
+  resetColumnsBtn.addEventListener("click", () => {
+    columnLayout = normalizeLayout(null);
+    saveColumnLayout();
+    renderColumns();
+  });
+
+  settingsStore.loadSettings().then((settings) => {
+    if (FORMATS[settings.exportFormat]) {
+      formatSelect.value = settings.exportFormat;
+    }
+    concurrencyInput.value = String(settings.ratingConcurrency);
+    keepPartialInput.checked = settings.keepPartialOnApiError;
+    includeSummaryInput.checked = settings.includeSummary;
+    hashtagModeSelect.value = settings.hashtagMode;
+    renderFilters(settings.filters);
+    batchQueriesInput.value = settings.batchQueries;
+    batchSortSelect.value = settings.batchSort;
+    batchContextSelect.value = settings.batchContext;
+    batchOutputSelect.value = settings.batchOutput;
+    columnLayout = normalizeLayout(settings.columnLayout);
+    renderColumns();
+    renderPresets(settings.columnPresets);
+  });
 
   function setStatus(message, type) {
     statusEl.textContent = message;
@@ -19,70 +346,453 @@ document.addEventListener("DOMContentLoaded", () => {
   function resetUI() {
     startBtn.disabled = false;
     startBtn.textContent = "データ取得開始";
+    startBatchBtn.disabled = false;
+    startBatchBtn.textContent = "一括取得開始";
     progressBar.classList.remove("active");
     progressFill.style.width = "0%";
+    runControls.classList.remove("active");
+    pauseBtn.disabled = false;
+    pauseBtn.textContent = "一時停止";
+    stopBtn.disabled = false;
   }
 
-  startBtn.addEventListener("click", async () => {
-    const count = parseInt(countInput.value, 10);
+  /**
+   * バックグラウンドのジョブに操作（一時停止・停止・取得済みデータ出力など）を送る
+   */
+  async function sendControl(action, extra) {
+    try {
+      return await chrome.runtime.sendMessage({ action, ...extra });
+    } catch (err) {
+      setStatus("通信エラーが発生しました。", "error");
+      return null;
+    }
+  }
 
+  pauseBtn.addEventListener("click", async () => {
+    const isPaused = pauseBtn.dataset.paused === "true";
+    const response = await sendControl(isPaused ? "resumeJob" : "pauseJob");
+    if (!response) return;
+    pauseBtn.dataset.paused = String(response.status === "paused");
+    pauseBtn.textContent = response.status === "paused" ? "再開" : "一時停止";
+  });
+
+  stopBtn.addEventListener("click", async () => {
+    pauseBtn.disabled = true;
+    stopBtn.disabled = true;
+    await sendControl("stopJob");
+  });
+
+  function readCount() {
+    const count = parseInt(countInput.value, 10);
     if (isNaN(count) || count < 1) {
       setStatus("取得件数を1以上の数値で入力してください。", "error");
-      return;
+      return null;
     }
+    return count;
+  }
 
-    // アクティブタブを取得
+  /**
+   * アクティブタブが note.com のページなら返す
+   * 対応ページ（検索・ハッシュタグ・クリエイター・マガジン・カテゴリ・コンテスト）かどうかは Content Script が判定する
+   */
+  async function getNoteTab() {
     const [tab] = await chrome.tabs.query({
       active: true,
       currentWindow: true,
     });
 
-    const isSearchPage = tab && tab.url && (tab.url.includes("note.com/search") || tab.url.includes("note.com/hashtag/"));
-    if (!isSearchPage) {
-      setStatus(
-        "note.comの検索結果ページまたはハッシュタグページを開いた状態で実行してください。",
-        "error"
-      );
-      return;
+    const isNotePage = tab && tab.url && tab.url.startsWith("https://note.com/");
+    if (!isNotePage) {
+      setStatus(UNSUPPORTED_PAGE_MESSAGE, "error");
+      return null;
     }
+    return tab;
+  }
 
+  /**
+   * 取得中の表示に切り替える（開始時と、実行中のジョブがある状態でパネルを開いた時）
+   */
+  function showRunning(kind) {
+    hidePreview();
+    renderSchemaDrift([]);
     startBtn.disabled = true;
-    startBtn.textContent = "取得中...";
+    startBatchBtn.disabled = true;
+    (kind === "batch" ? startBatchBtn : startBtn).textContent = "取得中...";
+  }
+
+  /**
+   * バックグラウンドにジョブの開始（startJob）を送り、進捗の監視を始める
+   * ジョブはバックグラウンドで実行されるため、パネルを閉じても続行する
+   */
+  async function startRun(count, message) {
+    pauseBtn.dataset.paused = "false";
+    showRunning(message.kind);
     setStatus("データ取得を開始しています...", "info");
     setProgress(0, count);
 
-    // Content Scriptにメッセージ送信
     try {
-      const response = await chrome.tabs.sendMessage(tab.id, {
-        action: "startScraping",
-        count: count,
-      });
+      const response = await chrome.runtime.sendMessage({ action: "startJob", ...message });
 
       if (response && response.status === "started") {
-        setStatus("自動スクロールでデータを収集中...", "info");
-        pollProgress(tab.id, count);
+        setStatus(message.kind === "batch" ? "一括取得を開始しました..." : "データを収集中...", "info");
+        runControls.classList.add("active");
+        pollProgress();
+      } else if (response && response.status === "unsupported_page") {
+        setStatus(UNSUPPORTED_PAGE_MESSAGE, "error");
+        resetUI();
+      } else if (response && response.status === "already_running") {
+        setStatus("すでに取得を実行中です。終了または停止してから開始してください。", "error");
+        resetUI();
+      } else if (response && response.status === "no_queries") {
+        setStatus("キーワードまたはハッシュタグを1行に1つ入力してください。", "error");
+        resetUI();
       } else {
         setStatus(
-          "Content Scriptとの通信に失敗しました。ページをリロードしてください。",
+          "ページとの通信に失敗しました。ページをリロードして再度お試しください。",
           "error"
         );
         resetUI();
       }
     } catch (err) {
-      setStatus(
-        "Content Scriptとの通信に失敗しました。ページをリロードして再度お試しください。",
-        "error"
-      );
+      setStatus("バックグラウンドとの通信に失敗しました。", "error");
       resetUI();
     }
+  }
+
+  startBtn.addEventListener("click", async () => {
+    const count = readCount();
+    if (count === null) return;
+
+    const tab = await getNoteTab();
+    if (!tab) return;
+
+    batchProgressList.replaceChildren();
+    await startRun(count, {
+      kind: "page",
+      tabId: tab.id,
+      count: count,
+      format: formatSelect.value,
+      columns: columnLayout,
+      concurrency: readConcurrency(),
+      keepPartial: keepPartialInput.checked,
+      hashtagMode: hashtagModeSelect.value,
+      filters: readFilters(),
+    });
   });
 
-  function pollProgress(tabId, totalCount) {
+  // --- 取得結果のプレビュー ---
+
+  // 並べ替えに使う列（"rank" は取得した順）
+  const PREVIEW_COLUMNS = [
+    { id: "rank", header: "#", type: "number" },
+    { id: "title", header: "タイトル", type: "string" },
+    { id: "creator", header: "クリエイター", type: "string" },
+    { id: "likeCount", header: "スキ", type: "number" },
+    { id: "likeRating", header: "高評価", type: "number" },
+    { id: "price", header: "価格", type: "number" },
+  ];
+
+  /**
+   * 表示中のジョブの記事（index は background の job.articles での位置。出力時に送る）
+   * @type {{ jobId: string, rows: Array<{ index: number, article: object }>, removed: Set<number> }|null}
+   */
+  let preview = null;
+  let previewSort = { id: "rank", desc: false };
+
+  function hidePreview() {
+    preview = null;
+    previewSection.hidden = true;
+    previewBody.replaceChildren();
+    creatorBody.replaceChildren();
+  }
+
+  /**
+   * 終了したジョブの記事をバックグラウンドから受け取り、プレビューを表示する
+   */
+  async function loadPreview() {
+    const response = await sendControl("getJobArticles");
+    if (!response || response.status !== "ok") {
+      hidePreview();
+      return;
+    }
+    preview = {
+      jobId: response.id,
+      rows: response.articles.map((article, index) => ({ index, article })),
+      removed: new Set(),
+    };
+    previewSort = { id: "rank", desc: false };
+    previewSearchInput.value = "";
+    previewSection.hidden = false;
+    renderPreview();
+  }
+
+  function previewValue(row, column) {
+    if (column.id === "rank") return row.index;
+    if (column.type === "number") {
+      // 値が不明な記事（高評価数を取得していないなど）は、並べ替えで常に値のある記事の後ろ（昇順では前）にする
+      const value = numberValue(row.article, column.id);
+      return value === null ? -1 : value;
+    }
+    return String(row.article[column.id] || "");
+  }
+
+  function matchesKeyword(article, keyword) {
+    const text = [article.title, article.creator, article.query, ...(article.hashtags || [])].join("\n");
+    return text.toLowerCase().includes(keyword);
+  }
+
+  /**
+   * 絞り込み・並べ替え後の行（除外した行を除く）。出力もこの順で行う
+   */
+  function visiblePreviewRows() {
+    const keyword = previewSearchInput.value.trim().toLowerCase();
+    const column = PREVIEW_COLUMNS.find((c) => c.id === previewSort.id);
+    const direction = previewSort.desc ? -1 : 1;
+    return preview.rows
+      .filter((row) => !preview.removed.has(row.index) && (!keyword || matchesKeyword(row.article, keyword)))
+      .sort((a, b) => {
+        const x = previewValue(a, column);
+        const y = previewValue(b, column);
+        const order = column.type === "number" ? x - y : x.localeCompare(y, "ja");
+        return order * direction || a.index - b.index;
+      });
+  }
+
+  function renderPreviewHead() {
+    const tr = document.createElement("tr");
+    for (const column of PREVIEW_COLUMNS) {
+      const th = document.createElement("th");
+      const mark = previewSort.id === column.id ? (previewSort.desc ? " ▼" : " ▲") : "";
+      th.textContent = `${column.header}${mark}`;
+      th.addEventListener("click", () => {
+        // 同じ列は昇順・降順を切り替え、数値の列は降順から始める
+        previewSort = previewSort.id === column.id
+          ? { id: column.id, desc: !previewSort.desc }
+          : { id: column.id, desc: column.type === "number" && column.id !== "rank" };
+        renderPreview();
+      });
+      tr.appendChild(th);
+    }
+    tr.appendChild(document.createElement("th"));
+    previewHead.replaceChildren(tr);
+  }
+
+  function createPreviewCell(text, className) {
+    const td = document.createElement("td");
+    td.textContent = text;
+    if (className) td.className = className;
+    return td;
+  }
+
+  /**
+   * 数値の項目のセル（不明な値は「-」、取得元をツールチップに表示）
+   * @param {(value: number) => string} [format] 値の表示（省略時は桁区切り）
+   */
+  function createValueCell(article, field, format) {
+    const value = numberValue(article, field);
+    const text = value === null ? "-" : format ? format(value) : value.toLocaleString();
+    const td = createPreviewCell(text, "number");
+    const source = VALUE_SOURCE_LABELS[valueSource(article, field)];
+    td.title = source ? `取得元: ${source}` : value === null ? "不明" : "";
+    return td;
+  }
+
+  function formatPrice(price) {
+    return price > 0 ? `¥${price.toLocaleString()}` : "無料";
+  }
+
+  function renderPreview() {
+    if (!preview) return;
+    renderPreviewHead();
+
+    const rows = visiblePreviewRows();
+    previewBody.replaceChildren();
+    for (const row of rows) {
+      const { article } = row;
+      const tr = document.createElement("tr");
+      tr.title = article.url || "";
+      tr.append(
+        createPreviewCell(String(row.index + 1), "number"),
+        createPreviewCell(article.title || ""),
+        createPreviewCell(article.creator || ""),
+        createValueCell(article, "likeCount"),
+        createValueCell(article, "likeRating"),
+        createValueCell(article, "price", formatPrice)
+      );
+
+      const removeCell = document.createElement("td");
+      const removeBtn = document.createElement("button");
+      removeBtn.className = "remove-row";
+      removeBtn.textContent = "×";
+      removeBtn.title = "この記事を出力から除外";
+      removeBtn.addEventListener("click", (event) => {
+        event.stopPropagation();
+        preview.removed.add(row.index);
+        renderPreview();
+      });
+      removeCell.appendChild(removeBtn);
+      tr.appendChild(removeCell);
+
+      // 行をクリックすると記事を新しいタブで開く
+      tr.addEventListener("click", () => {
+        if (article.url) chrome.tabs.create({ url: article.url });
+      });
+      previewBody.appendChild(tr);
+    }
+
+    const removed = preview.removed.size > 0 ? `（除外 ${preview.removed.size}件）` : "";
+    previewCountEl.textContent = `表示中 ${rows.length}件 / 取得 ${preview.rows.length}件${removed}`;
+    exportPreviewBtn.disabled = rows.length === 0;
+    restorePreviewBtn.disabled = preview.removed.size === 0;
+    renderCreatorSummary(rows.map((row) => row.article));
+  }
+
+  /**
+   * 表示中の記事（絞り込み・除外後）のクリエイター別の集計を表示する
+   */
+  function renderCreatorSummary(articles) {
+    const creators = creatorReport.aggregateByCreator(articles);
+    creatorSummaryTitle.textContent = `クリエイター別の集計（${creators.length}人）`;
+    creatorBody.replaceChildren();
+    for (const c of creators) {
+      const tr = document.createElement("tr");
+      tr.title = c.creatorUrlname ? `@${c.creatorUrlname} / スキ数が最も多い記事: ${c.bestTitle}` : `スキ数が最も多い記事: ${c.bestTitle}`;
+      tr.append(
+        createPreviewCell(c.creator || c.creatorUrlname || "（不明）"),
+        createPreviewCell(String(c.articleCount), "number"),
+        createPreviewCell(c.likeCountTotal === null ? "-" : c.likeCountTotal.toLocaleString(), "number"),
+        createPreviewCell(c.likeCountAverage === null ? "-" : c.likeCountAverage.toLocaleString(), "number"),
+        createPreviewCell(c.likeRatingTotal === null ? "-" : c.likeRatingTotal.toLocaleString(), "number"),
+        createPreviewCell(c.paidRatio === null ? "-" : `${Math.round(c.paidRatio * 100)}%`, "number")
+      );
+      // 行をクリックするとクリエイターのページ（urlname が分からなければ最もスキ数の多い記事）を開く
+      tr.addEventListener("click", () => {
+        const url = c.creatorUrlname ? `https://note.com/${c.creatorUrlname}` : c.bestUrl;
+        if (url) chrome.tabs.create({ url });
+      });
+      creatorBody.appendChild(tr);
+    }
+    exportCreatorsBtn.disabled = creators.length === 0;
+  }
+
+  /**
+   * 記事配列のクリエイター別の集計を、選択中の出力形式でダウンロードする
+   * @returns {number} 集計したクリエイターの人数
+   */
+  function exportCreatorReport(articles, options) {
+    const creators = creatorReport.aggregateByCreator(articles);
+    const { content, filename, mimeType } = buildTableFile(creatorReport.buildCreatorTable(creators), {
+      format: formatSelect.value,
+      baseName: "note_creators",
+      label: options?.label || "",
+      date: options?.date,
+      sheetName: "クリエイター別",
+    });
+    downloadFile(content, filename, mimeType);
+    return creators.length;
+  }
+
+  previewSearchInput.addEventListener("input", renderPreview);
+
+  restorePreviewBtn.addEventListener("click", () => {
+    if (!preview) return;
+    preview.removed.clear();
+    renderPreview();
+  });
+
+  exportCreatorsBtn.addEventListener("click", () => {
+    if (!preview) return;
+    const articles = visiblePreviewRows().map((row) => row.article);
+    const queries = new Set(articles.map((a) => a.query || ""));
+    const count = exportCreatorReport(articles, { label: queries.size === 1 ? [...queries][0] : "" });
+    setStatus(`${count}人のクリエイター別の集計を${FORMATS[formatSelect.value].label}で出力しました。`, "success");
+  });
+
+  exportPreviewBtn.addEventListener("click", async () => {
+    if (!preview) return;
+    const response = await sendControl("exportCollected", {
+      jobId: preview.jobId,
+      indexes: visiblePreviewRows().map((row) => row.index),
+      format: formatSelect.value,
+      columns: columnLayout,
+    });
+    if (response && response.status === "exported") {
+      setStatus(`${response.count}件のデータを${FORMATS[formatSelect.value].label}で出力しました。`, "success");
+    } else if (response) {
+      setStatus("出力できる取得済みデータがありません。", "error");
+      hidePreview();
+    }
+  });
+
+  // --- 複数キーワードの一括取得 ---
+
+  function saveBatchSettings() {
+    settingsStore.updateSettings({
+      batchQueries: batchQueriesInput.value,
+      batchSort: batchSortSelect.value,
+      batchContext: batchContextSelect.value,
+      batchOutput: batchOutputSelect.value,
+    });
+  }
+
+  for (const el of [batchQueriesInput, batchSortSelect, batchContextSelect, batchOutputSelect]) {
+    el.addEventListener("change", saveBatchSettings);
+  }
+
+  const BATCH_STATUS_LABELS = { pending: "待機中", running: "取得中", done: "完了", failed: "失敗", stopped: "停止" };
+
+  function renderBatchProgress(items) {
+    batchProgressList.replaceChildren();
+    for (const item of items) {
+      const li = document.createElement("li");
+      li.className = item.status;
+
+      const query = document.createElement("span");
+      query.textContent = item.query;
+
+      const state = document.createElement("span");
+      const failures = item.failures > 0 ? `・失敗${item.failures}件` : "";
+      state.textContent = item.status === "pending" || item.status === "running"
+        ? BATCH_STATUS_LABELS[item.status]
+        : `${BATCH_STATUS_LABELS[item.status]} ${item.count}件${failures}`;
+
+      li.append(query, state);
+      batchProgressList.appendChild(li);
+    }
+  }
+
+  startBatchBtn.addEventListener("click", async () => {
+    const queries = batchQueriesInput.value.split("\n").map((q) => q.trim()).filter(Boolean);
+    if (queries.length === 0) {
+      setStatus("キーワードまたはハッシュタグを1行に1つ入力してください。", "error");
+      return;
+    }
+
+    const count = readCount();
+    if (count === null) return;
+
+    // 一括取得はバックグラウンドで API から取得するため、開いているページに関係なく実行できる
+    saveBatchSettings();
+    renderBatchProgress(queries.map((query) => ({ query, status: "pending", count: 0, failures: 0 })));
+    await startRun(count, {
+      kind: "batch",
+      queries,
+      count,
+      sort: batchSortSelect.value,
+      context: batchContextSelect.value,
+      output: batchOutputSelect.value,
+      format: formatSelect.value,
+      columns: columnLayout,
+      concurrency: readConcurrency(),
+      keepPartial: keepPartialInput.checked,
+      filters: readFilters(),
+    });
+  });
+
+  function pollProgress() {
     const interval = setInterval(async () => {
       try {
-        const response = await chrome.tabs.sendMessage(tabId, {
-          action: "getProgress",
-        });
+        const response = await chrome.runtime.sendMessage({ action: "getJobState" });
 
         if (!response) {
           clearInterval(interval);
@@ -91,22 +801,43 @@ document.addEventListener("DOMContentLoaded", () => {
           return;
         }
 
+        const totalCount = response.total;
         setProgress(response.current, totalCount);
+        renderSchemaDrift(response.schemaDrift);
+        if (response.batch) {
+          renderBatchProgress(response.batch.items);
+        }
+
+        // ページ取得の失敗などがあれば、状態表示の2行目に添える
+        const failureNote = describeFailures(response.failures);
+        const withFailures = (text) => (failureNote ? `${text}\n${failureNote}` : text);
 
         if (response.status === "completed") {
           clearInterval(interval);
-          setStatus(
-            `${response.current}件のデータを取得しました。CSVをダウンロードしています...`,
-            "success"
-          );
+          setStatus(withFailures(response.message), "success");
           resetUI();
+          loadPreview();
+        } else if (response.status === "stopped") {
+          clearInterval(interval);
+          setStatus(withFailures(response.message), "info");
+          resetUI();
+          loadPreview();
+        } else if (response.status === "paused") {
+          setStatus(`一時停止中... ${response.current} / ${totalCount} 件`, "info");
+        } else if (response.status === "stopping") {
+          setStatus("停止しています...", "info");
         } else if (response.status === "error") {
           clearInterval(interval);
-          setStatus(`エラー: ${response.message}`, "error");
+          setStatus(withFailures(`エラー: ${response.message}`), "error");
           resetUI();
+        } else if (response.throughput > 0) {
+          setStatus(
+            withFailures(`${response.message}（${response.throughput.toFixed(1)}件/秒・同時${response.concurrency}件）`),
+            "info"
+          );
         } else {
           setStatus(
-            `データ収集中... ${response.current} / ${totalCount} 件`,
+            withFailures(`データ収集中... ${response.current} / ${totalCount} 件`),
             "info"
           );
         }
@@ -117,4 +848,586 @@ document.addEventListener("DOMContentLoaded", () => {
       }
     }, 1000);
   }
+
+  // --- 定期実行 ---
+
+  const SCHEDULE_STATUS_LABELS = { completed: "完了", stopped: "停止", error: "失敗" };
+
+  scheduleFrequencySelect.addEventListener("change", () => {
+    scheduleIntervalGroup.hidden = scheduleFrequencySelect.value !== "custom";
+  });
+
+  addScheduleBtn.addEventListener("click", async () => {
+    const queries = scheduleQueriesInput.value.split("\n").map((q) => q.trim()).filter(Boolean);
+    if (queries.length === 0) {
+      setStatus("定期実行するキーワードまたはハッシュタグを1行に1つ入力してください。", "error");
+      return;
+    }
+    const count = readCount();
+    if (count === null) return;
+
+    // 保存すると Background がアラームを登録する（chrome.storage の変更を監視）
+    const filters = readFilters();
+    const schedule = await scheduleStore.saveSchedule({
+      name: scheduleNameInput.value,
+      queries,
+      count,
+      sort: batchSortSelect.value,
+      context: batchContextSelect.value,
+      frequency: scheduleFrequencySelect.value,
+      intervalHours: scheduleIntervalInput.value,
+      format: formatSelect.value,
+      autoDownload: scheduleAutoDownloadInput.checked,
+      filters: articleFilter.hasFilters(filters) ? filters : null,
+    });
+    scheduleNameInput.value = "";
+    scheduleQueriesInput.value = "";
+    setStatus(`定期実行「${schedule.name}」を追加しました。`, "success");
+  });
+
+  function describeFrequency(schedule) {
+    return schedule.frequency === "custom"
+      ? `${schedule.intervalHours}時間ごと`
+      : scheduleStore.FREQUENCIES[schedule.frequency].label;
+  }
+
+  async function renderSchedules() {
+    const schedules = await scheduleStore.listSchedules();
+    scheduleList.replaceChildren();
+
+    if (schedules.length === 0) {
+      const empty = document.createElement("p");
+      empty.className = "history-empty";
+      empty.textContent = "定期実行はまだありません。";
+      scheduleList.appendChild(empty);
+      return;
+    }
+
+    for (const schedule of schedules) {
+      const item = document.createElement("div");
+      item.className = "history-item";
+
+      const name = document.createElement("div");
+      name.className = "name";
+      name.textContent = schedule.enabled ? schedule.name : `${schedule.name}（停止中）`;
+
+      const meta = document.createElement("div");
+      meta.className = "meta";
+      const parts = [
+        describeFrequency(schedule),
+        `${schedule.queries.length}クエリ・各${schedule.count}件`,
+        schedule.autoDownload ? `自動ダウンロード（${FORMATS[schedule.format]?.label || schedule.format}）` : "履歴に保存のみ",
+      ];
+      if (articleFilter.hasFilters(schedule.filters)) parts.push("絞り込みあり");
+      if (schedule.enabled && schedule.nextRunAt) parts.push(`次回 ${formatRunDate(schedule.nextRunAt)}`);
+      if (schedule.lastRunAt) {
+        parts.push(`前回 ${formatRunDate(schedule.lastRunAt)} ${SCHEDULE_STATUS_LABELS[schedule.lastStatus] || schedule.lastStatus} ${schedule.lastCount}件`);
+      }
+      meta.textContent = parts.join(" / ");
+
+      const actions = document.createElement("div");
+      actions.className = "actions";
+      actions.append(
+        createHistoryButton("今すぐ実行", () => runScheduleNow(schedule)),
+        createHistoryButton(schedule.enabled ? "停止" : "再開", () => {
+          scheduleStore.updateSchedule(schedule.id, { enabled: !schedule.enabled });
+        }),
+        createHistoryButton("削除", () => deleteSchedule(schedule), "btn-danger")
+      );
+
+      item.append(name, meta, actions);
+      scheduleList.appendChild(item);
+    }
+  }
+
+  async function runScheduleNow(schedule) {
+    const response = await sendControl("runSchedule", { id: schedule.id });
+    if (!response) return;
+    if (response.status === "started") {
+      pauseBtn.dataset.paused = "false";
+      showRunning("batch");
+      runControls.classList.add("active");
+      setStatus(`定期実行「${schedule.name}」を開始しました...`, "info");
+      pollProgress();
+    } else if (response.status === "already_running") {
+      setStatus("すでに取得を実行中です。終了または停止してから実行してください。", "error");
+    } else {
+      setStatus(`定期実行「${schedule.name}」を開始できませんでした。`, "error");
+    }
+  }
+
+  async function deleteSchedule(schedule) {
+    if (!window.confirm(`定期実行「${schedule.name}」を削除しますか？`)) return;
+    await scheduleStore.deleteSchedule(schedule.id);
+  }
+
+  // --- 実行履歴 ---
+
+  const RUN_STATUS_LABELS = { completed: "完了", partial: "途中まで" };
+
+  function formatRunDate(isoString) {
+    const date = new Date(isoString);
+    return date.toLocaleString("ja-JP", { dateStyle: "short", timeStyle: "short" });
+  }
+
+  function createHistoryButton(label, onClick, extraClass) {
+    const button = document.createElement("button");
+    button.className = `btn-secondary${extraClass ? " " + extraClass : ""}`;
+    button.textContent = label;
+    button.addEventListener("click", onClick);
+    return button;
+  }
+
+  // 結合する実行として選択中のID（一覧を描き直しても選択を保つ）
+  const selectedRunIds = new Set();
+
+  function updateMergeButton() {
+    mergeRunsBtn.disabled = selectedRunIds.size < 2;
+    mergeRunsBtn.textContent = selectedRunIds.size > 0
+      ? `選択した${selectedRunIds.size}件の実行を結合して出力`
+      : "選択した実行を結合して出力";
+  }
+
+  async function renderHistory() {
+    const runs = await runStore.listRuns();
+    renderDiffOptions(runs);
+    historyList.replaceChildren();
+
+    // 削除された実行の選択を外す
+    for (const id of [...selectedRunIds]) {
+      if (!runs.some((r) => r.id === id)) selectedRunIds.delete(id);
+    }
+    updateMergeButton();
+
+    if (runs.length === 0) {
+      const empty = document.createElement("p");
+      empty.className = "history-empty";
+      empty.textContent = "保存された実行はまだありません。";
+      historyList.appendChild(empty);
+      return;
+    }
+
+    for (const run of runs) {
+      const item = document.createElement("div");
+      item.className = "history-item";
+
+      const name = document.createElement("div");
+      name.className = "name";
+      const label = document.createElement("label");
+      const check = document.createElement("input");
+      check.type = "checkbox";
+      check.checked = selectedRunIds.has(run.id);
+      check.addEventListener("change", () => {
+        if (check.checked) selectedRunIds.add(run.id);
+        else selectedRunIds.delete(run.id);
+        updateMergeButton();
+      });
+      const title = document.createElement("span");
+      title.textContent = run.name;
+      label.append(check, title);
+      name.appendChild(label);
+
+      const meta = document.createElement("div");
+      meta.className = "meta";
+      const failed = run.failedArticleCount > 0 ? ` / 取得失敗${run.failedArticleCount}件` : "";
+      meta.textContent = `${run.scheduleId ? "定期実行 / " : ""}${run.count}件${failed} / ${RUN_STATUS_LABELS[run.status] || run.status} / ${formatRunDate(run.updatedAt)}`;
+
+      const actions = document.createElement("div");
+      actions.className = "actions";
+      actions.append(
+        createHistoryButton("ダウンロード", () => redownloadRun(run.id)),
+        createHistoryButton("クリエイター別", () => exportRunCreators(run.id)),
+        createHistoryButton("名前変更", () => renameRun(run)),
+        createHistoryButton("削除", () => deleteRun(run), "btn-danger")
+      );
+      if (run.failedArticleCount > 0) {
+        actions.prepend(createHistoryButton("失敗した記事だけ再取得", () => retryFailedArticles(run)));
+      }
+
+      item.append(name, meta, actions);
+      historyList.appendChild(item);
+    }
+  }
+
+  /**
+   * 高評価数の取得に失敗した記事だけを取得し直す（バックグラウンドのジョブとして実行し、結果は元の実行に書き戻す）
+   */
+  async function retryFailedArticles(run) {
+    const response = await sendControl("retryFailedRatings", { runId: run.id, concurrency: readConcurrency() });
+    if (!response) return;
+    if (response.status === "started") {
+      pauseBtn.dataset.paused = "false";
+      showRunning("retry");
+      runControls.classList.add("active");
+      setProgress(0, response.count);
+      setStatus(`「${run.name}」の失敗した${response.count}件の記事を取得し直しています...`, "info");
+      pollProgress();
+    } else if (response.status === "already_running") {
+      setStatus("すでに取得を実行中です。終了または停止してから実行してください。", "error");
+    } else if (response.status === "no_failures") {
+      setStatus(`「${run.name}」に取得に失敗した記事はありません。`, "info");
+    } else {
+      setStatus("保存されたデータが見つかりません。", "error");
+    }
+  }
+
+  async function redownloadRun(id) {
+    const run = await runStore.getRun(id);
+    if (!run || !Array.isArray(run.articles) || run.articles.length === 0) {
+      setStatus("保存されたデータが見つかりません。", "error");
+      return;
+    }
+    exportArticles(run.articles, {
+      format: formatSelect.value,
+      layout: columnLayout,
+      date: new Date(run.createdAt),
+    }, includeSummaryInput.checked ? [articleSummary.summaryAttachment(run.articles)] : []);
+    setStatus(`「${run.name}」の${run.articles.length}件を${FORMATS[formatSelect.value].label}で出力しました。`, "success");
+  }
+
+  async function exportRunCreators(id) {
+    const run = await runStore.getRun(id);
+    if (!run || !Array.isArray(run.articles) || run.articles.length === 0) {
+      setStatus("保存されたデータが見つかりません。", "error");
+      return;
+    }
+    const count = exportCreatorReport(run.articles, { label: run.query, date: new Date(run.createdAt) });
+    setStatus(`「${run.name}」の${count}人のクリエイター別の集計を${FORMATS[formatSelect.value].label}で出力しました。`, "success");
+  }
+
+  mergeRunsBtn.addEventListener("click", async () => {
+    const runs = (await Promise.all([...selectedRunIds].map((id) => runStore.getRun(id)))).filter(Boolean);
+    if (runs.length < 2) {
+      setStatus("結合する実行を2件以上選択してください。", "error");
+      return;
+    }
+
+    const articles = runMerge.mergeRuns(runs);
+    const queries = new Set(runs.map((r) => r.query || ""));
+    const { content, filename, mimeType } = buildTableFile(runMerge.buildMergeTable(articles, columnLayout), {
+      format: formatSelect.value,
+      baseName: "note_merged",
+      label: queries.size === 1 ? [...queries][0] : "",
+      sheetName: "結合",
+    });
+    downloadFile(content, filename, mimeType);
+    setStatus(`${runs.length}件の実行を結合し、${articles.length}件の記事を${FORMATS[formatSelect.value].label}で出力しました。`, "success");
+  });
+
+  async function renameRun(run) {
+    const name = window.prompt("新しい名前を入力してください。", run.name);
+    if (name === null) return;
+    // 一覧の変更は Background で順番に行う（保存中のジョブと同時に書き込んで変更が失われないように）
+    await sendControl("renameRun", { runId: run.id, name });
+  }
+
+  async function deleteRun(run) {
+    if (!window.confirm(`「${run.name}」を削除しますか？`)) return;
+    await sendControl("deleteRun", { runId: run.id });
+  }
+
+  // --- スナップショットの比較 ---
+
+  function renderDiffOptions(runs) {
+    for (const select of [diffBeforeSelect, diffAfterSelect]) {
+      const selected = select.value;
+      select.replaceChildren();
+      const placeholder = document.createElement("option");
+      placeholder.value = "";
+      placeholder.textContent = runs.length > 0 ? "実行履歴から選択" : "保存された実行なし";
+      select.appendChild(placeholder);
+      for (const run of runs) {
+        const option = document.createElement("option");
+        option.value = run.id;
+        option.textContent = `${run.name}（${run.count}件）`;
+        option.dataset.query = run.query;
+        select.appendChild(option);
+      }
+      select.value = runs.some((r) => r.id === selected) ? selected : "";
+    }
+  }
+
+  // 比較先を選んだら、同じクエリの1つ前の実行を比較元に選ぶ（一覧は新しい順）
+  diffAfterSelect.addEventListener("change", () => {
+    const options = Array.from(diffAfterSelect.options);
+    const index = diffAfterSelect.selectedIndex;
+    const query = options[index]?.dataset.query;
+    if (!query) return;
+    const previous = options.slice(index + 1).find((o) => o.dataset.query === query);
+    if (previous) diffBeforeSelect.value = previous.value;
+  });
+
+  /**
+   * 比較する一方の記事を読み込む（ファイルが選ばれていればファイル、なければ実行履歴）
+   * @returns {Promise<{ articles: Array, query: string }|null>}
+   */
+  async function loadDiffSide(select, fileInput) {
+    const file = fileInput.files && fileInput.files[0];
+    if (file) {
+      return { articles: snapshotDiff.parseExportedFile(await file.text()), query: "" };
+    }
+    if (!select.value) return null;
+    const run = await runStore.getRun(select.value);
+    return run ? { articles: run.articles || [], query: run.query || "" } : null;
+  }
+
+  exportDiffBtn.addEventListener("click", async () => {
+    let before;
+    let after;
+    try {
+      before = await loadDiffSide(diffBeforeSelect, diffBeforeFileInput);
+      after = await loadDiffSide(diffAfterSelect, diffAfterFileInput);
+    } catch (err) {
+      setStatus(`ファイルを読み込めませんでした: ${err.message}`, "error");
+      return;
+    }
+    if (!before || !after) {
+      setStatus("比較元と比較先を選択してください。", "error");
+      return;
+    }
+    if (before.query && after.query && before.query !== after.query
+      && !window.confirm(`検索クエリが異なります（「${before.query}」と「${after.query}」）。比較しますか？`)) {
+      return;
+    }
+
+    const diff = snapshotDiff.diffSnapshots(before.articles, after.articles);
+    const table = snapshotDiff.buildDiffTable(diff, { includeUnchanged: diffIncludeUnchangedInput.checked });
+    const { content, filename, mimeType } = buildTableFile(table, {
+      format: formatSelect.value,
+      baseName: "note_diff",
+      label: after.query || before.query,
+      sheetName: "差分",
+    });
+    downloadFile(content, filename, mimeType);
+
+    const { added, removed, changed, unchanged } = diff.summary;
+    setStatus(`差分を${FORMATS[formatSelect.value].label}で出力しました（新規 ${added}件・削除 ${removed}件・変化 ${changed}件・変化なし ${unchanged}件）。`, "success");
+  });
+
+  // --- DOM のセレクター ---
+
+  // ページ種別ごとの入力欄（selector_profiles.js の SELECTOR_FIELDS / FALLBACK_OPTIONS から作る）
+  const selectorInputs = {};
+
+  for (const [type, label] of Object.entries(selectorProfiles.PAGE_TYPES)) {
+    const option = document.createElement("option");
+    option.value = type;
+    option.textContent = label;
+    selectorPageTypeSelect.appendChild(option);
+  }
+
+  for (const [id, field] of Object.entries(selectorProfiles.SELECTOR_FIELDS)) {
+    const group = document.createElement("div");
+    group.className = "form-group";
+    const label = document.createElement("label");
+    label.htmlFor = `selector-${id}`;
+    label.textContent = field.optional ? field.label : `${field.label}（必須）`;
+    const input = document.createElement("input");
+    input.type = "text";
+    input.id = `selector-${id}`;
+    input.spellcheck = false;
+    input.placeholder = field.default || "空欄 = 自動で判定";
+    group.append(label, input);
+    selectorFieldsEl.appendChild(group);
+    selectorInputs[id] = input;
+  }
+
+  for (const [id, option] of Object.entries(selectorProfiles.FALLBACK_OPTIONS)) {
+    const group = document.createElement("div");
+    group.className = "form-group checkbox";
+    const label = document.createElement("label");
+    const input = document.createElement("input");
+    input.type = "checkbox";
+    label.append(input, ` ${option.label}`);
+    group.appendChild(label);
+    selectorFieldsEl.appendChild(group);
+    selectorInputs[id] = input;
+  }
+
+  function renderSelectorProfile(profile) {
+    for (const [id, input] of Object.entries(selectorInputs)) {
+      if (input.type === "checkbox") {
+        input.checked = profile[id];
+      } else {
+        input.value = profile[id];
+      }
+    }
+  }
+
+  function readSelectorProfile() {
+    return selectorProfiles.normalizeProfile(Object.fromEntries(
+      Object.entries(selectorInputs).map(([id, input]) => [id, input.type === "checkbox" ? input.checked : input.value])
+    ));
+  }
+
+  async function loadSelectorProfile() {
+    renderSelectorProfile(await selectorProfiles.getProfile(selectorPageTypeSelect.value));
+  }
+
+  /**
+   * 開いている note.com のページで、入力中のプロファイルの記事カードを強調表示し、取り出した値を表示する
+   */
+  async function testSelectorProfile() {
+    const profile = readSelectorProfile();
+    const errors = selectorProfiles.validateProfile(profile);
+    if (errors.length > 0) {
+      setStatus(errors.join("\n"), "error");
+      return;
+    }
+    const tab = await getNoteTab();
+    if (!tab) return;
+
+    let response;
+    try {
+      response = await chrome.tabs.sendMessage(tab.id, { action: "testSelectors", profile });
+    } catch (err) {
+      setStatus("ページと通信できませんでした。ページを再読み込みしてからお試しください。", "error");
+      return;
+    }
+    if (response?.status !== "ok") {
+      setStatus(`セレクターのテストに失敗しました: ${response?.message || "不明なエラー"}`, "error");
+      return;
+    }
+
+    selectorTestResult.hidden = false;
+    const shown = response.articles.length < response.cardCount ? `（先頭${response.articles.length}件を表示）` : "";
+    selectorTestSummary.textContent = `記事リンク ${response.linkCount}件・記事カード ${response.cardCount}件${shown}`;
+    selectorTestBody.replaceChildren(...response.articles.map((article, i) => {
+      const tr = document.createElement("tr");
+      tr.title = article.url;
+      tr.append(
+        createPreviewCell(String(i + 1), "number"),
+        createPreviewCell(article.title),
+        createValueCell(article, "likeCount"),
+        createValueCell(article, "price", formatPrice),
+        createPreviewCell(article.creator)
+      );
+      return tr;
+    }));
+    setStatus(
+      response.cardCount > 0
+        ? "ページ上の記事カードを枠で強調表示しました。値が正しければ「保存」してください。"
+        : "記事カードが見つかりませんでした。記事リンク・記事カードのセレクターを確認してください。",
+      response.cardCount > 0 ? "success" : "error"
+    );
+  }
+
+  selectorPageTypeSelect.addEventListener("change", loadSelectorProfile);
+  testSelectorsBtn.addEventListener("click", testSelectorProfile);
+
+  clearSelectorTestBtn.addEventListener("click", async () => {
+    selectorTestResult.hidden = true;
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (tab?.url?.startsWith("https://note.com/")) {
+      chrome.tabs.sendMessage(tab.id, { action: "clearSelectorTest" }).catch(() => {});
+    }
+  });
+
+  saveSelectorsBtn.addEventListener("click", async () => {
+    const type = selectorPageTypeSelect.value;
+    try {
+      renderSelectorProfile(await selectorProfiles.saveProfile(type, readSelectorProfile()));
+      setStatus(`${selectorProfiles.PAGE_TYPES[type]}ページのセレクターを保存しました。`, "success");
+    } catch (err) {
+      setStatus(err.message, "error");
+    }
+  });
+
+  resetSelectorsBtn.addEventListener("click", async () => {
+    const type = selectorPageTypeSelect.value;
+    renderSelectorProfile(await selectorProfiles.resetProfile(type));
+    setStatus(`${selectorProfiles.PAGE_TYPES[type]}ページのセレクターを既定に戻しました。`, "success");
+  });
+
+  exportSelectorsBtn.addEventListener("click", async () => {
+    downloadFile(await selectorProfiles.exportProfiles(), `note_selector_profiles_${formatDate()}.json`, "application/json;charset=utf-8;");
+  });
+
+  importSelectorsBtn.addEventListener("click", () => importSelectorsFileInput.click());
+
+  importSelectorsFileInput.addEventListener("change", async () => {
+    const file = importSelectorsFileInput.files[0];
+    importSelectorsFileInput.value = "";
+    if (!file) return;
+    try {
+      const types = await selectorProfiles.importProfiles(await file.text());
+      await loadSelectorProfile();
+      const labels = types.map((type) => selectorProfiles.PAGE_TYPES[type]).join("・");
+      setStatus(types.length > 0 ? `セレクターを読み込みました（${labels}）。` : "読み込むセレクターがありませんでした。", "success");
+    } catch (err) {
+      setStatus(`セレクターを読み込めませんでした: ${err.message}`, "error");
+    }
+  });
+
+  loadSelectorProfile();
+
+  // --- 診断 ---
+
+  chrome.storage.local.get(logger.LOG_LEVEL_KEY).then((stored) => {
+    logLevelSelect.value = stored[logger.LOG_LEVEL_KEY] || logger.getLevel();
+  }).catch(() => {
+    logLevelSelect.value = logger.getLevel();
+  });
+
+  logLevelSelect.addEventListener("change", () => {
+    logger.setLevel(logLevelSelect.value);
+  });
+
+  /**
+   * 診断情報（Service Worker が集めた設定・ジョブ・ログと、note.com のタブの情報）を JSON で保存する
+   * note.com 以外のタブでは、ページの情報を除いて保存する
+   */
+  downloadDiagnosticsBtn.addEventListener("click", async () => {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const tabId = tab?.url?.startsWith("https://note.com/") ? tab.id : null;
+
+    let diagnostics;
+    try {
+      diagnostics = await chrome.runtime.sendMessage({ action: "getDiagnostics", tabId });
+    } catch (err) {
+      diagnostics = { error: err.message };
+    }
+    const bundle = { ...diagnostics, panel: logger.snapshot() };
+    downloadFile(JSON.stringify(bundle, null, 2), `note_diagnostics_${formatDate()}.json`, "application/json;charset=utf-8;");
+    setStatus(tabId ? "診断情報をダウンロードしました。" : "診断情報をダウンロードしました（note.com のタブが開かれていないため、ページの情報は含まれません）。", "success");
+  });
+
+  // バックグラウンドのジョブによる保存や他の操作を一覧に反映
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === "local" && changes[runStore.INDEX_KEY]) {
+      renderHistory();
+    }
+    if (areaName === "local" && changes[scheduleStore.SCHEDULES_KEY]) {
+      renderSchedules();
+    }
+  });
+
+  renderHistory();
+  renderSchedules();
+
+  // 定期実行の結果はアイコンのバッジで知らせるため、パネルを開いたら消す
+  chrome.runtime.sendMessage({ action: "clearBadge" }).catch(() => {});
+
+  // パネルを開き直した時に、実行中・停止中のジョブの状態を表示する
+  chrome.runtime.sendMessage({ action: "getJobState" }).then((response) => {
+    if (!response) return;
+    if (response.batch) {
+      renderBatchProgress(response.batch.items);
+    }
+    renderSchemaDrift(response.schemaDrift);
+    if (response.status === "scraping" || response.status === "paused" || response.status === "stopping") {
+      pauseBtn.dataset.paused = String(response.status === "paused");
+      pauseBtn.textContent = response.status === "paused" ? "再開" : "一時停止";
+      showRunning(response.kind);
+      runControls.classList.add("active");
+      setProgress(response.current, response.total);
+      setStatus("実行中のジョブの進捗を表示しています...", "info");
+      pollProgress();
+    } else if (response.status === "completed" || response.status === "stopped") {
+      setStatus(response.message, response.status === "completed" ? "success" : "info");
+      loadPreview();
+    } else if (response.status === "error" && response.message) {
+      setStatus(`エラー: ${response.message}`, "error");
+    }
+  }).catch(() => {});
 });
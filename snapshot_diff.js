@@ -0,0 +1,241 @@
+/**
+ * 2回分の取得結果（スナップショット）の差分
+ *
+ * 同じクエリの2つの実行履歴（または取り込んだCSV / TSV）を、記事の正規ID（note キー）で照合し、
+ * 新しく現れた記事・消えた記事と、スキ数・高評価数・単価・順位の変化を求める。
+ * 差分レポートは exporter.js の行モデルにして、記事一覧と同じ出力形式で書き出す。
+ *
+ * note_api.js（articleId）と exporter.js の後に読み込む。
+ * 公開API: globalThis.NoteExporter.snapshotDiff
+ */
+
+(() => {
+  "use strict";
+
+  const { COLUMNS, buildTable, numberValue } = globalThis.NoteExporter.exporter;
+  const { articleId } = globalThis.NoteExporter.noteApi;
+
+  const DIFF_STATUS_LABELS = {
+    added: "新規",
+    removed: "削除",
+    changed: "変化",
+    unchanged: "変化なし",
+  };
+
+  // --- 差分 ---
+
+  /**
+   * 記事配列を 記事ID → { article, rank } に変換（順位は1始まり、重複は先に出たものを使う）
+   */
+  function indexByKey(articles) {
+    const index = new Map();
+    (Array.isArray(articles) ? articles : []).forEach((article, i) => {
+      const key = articleId(article);
+      if (key && !index.has(key)) index.set(key, { article, rank: i + 1 });
+    });
+    return index;
+  }
+
+  function numberOrNull(value) {
+    const n = Number(value);
+    return value === undefined || value === null || value === "" || isNaN(n) ? null : n;
+  }
+
+  function delta(before, after) {
+    return before === null || after === null ? null : after - before;
+  }
+
+  /**
+   * 2つのスナップショットの差分を求める
+   * @param {Array} beforeArticles 比較元（古い方）
+   * @param {Array} afterArticles 比較先（新しい方）
+   * @returns {{ rows: Array<object>, summary: { added: number, removed: number, changed: number, unchanged: number } }}
+   *   rows は比較先の順（新規・変化・変化なし）のあとに削除された記事を比較元の順で並べる。
+   *   rankChange は順位が上がった場合に正（比較元の順位 − 比較先の順位）
+   */
+  function diffSnapshots(beforeArticles, afterArticles) {
+    const before = indexByKey(beforeArticles);
+    const after = indexByKey(afterArticles);
+    const rows = [];
+
+    const buildRow = (key, prev, next) => {
+      const base = (next || prev).article;
+      const values = {};
+      for (const field of ["likeCount", "likeRating", "price"]) {
+        const b = prev ? numberValue(prev.article, field) : null;
+        const a = next ? numberValue(next.article, field) : null;
+        values[field] = { before: b, after: a, delta: delta(b, a) };
+      }
+
+      let status = "unchanged";
+      if (!prev) status = "added";
+      else if (!next) status = "removed";
+      else if (Object.values(values).some((v) => v.delta !== null && v.delta !== 0)) status = "changed";
+
+      return {
+        status,
+        key,
+        title: base.title || "",
+        url: base.url || "",
+        creator: base.creator || "",
+        rankBefore: prev ? prev.rank : null,
+        rankAfter: next ? next.rank : null,
+        rankChange: prev && next ? prev.rank - next.rank : null,
+        likeCountBefore: values.likeCount.before,
+        likeCountAfter: values.likeCount.after,
+        likeCountDelta: values.likeCount.delta,
+        likeRatingBefore: values.likeRating.before,
+        likeRatingAfter: values.likeRating.after,
+        likeRatingDelta: values.likeRating.delta,
+        priceBefore: values.price.before,
+        priceAfter: values.price.after,
+        priceDelta: values.price.delta,
+      };
+    };
+
+    for (const [key, next] of after) {
+      rows.push(buildRow(key, before.get(key), next));
+    }
+    for (const [key, prev] of before) {
+      if (!after.has(key)) rows.push(buildRow(key, prev, null));
+    }
+
+    const summary = { added: 0, removed: 0, changed: 0, unchanged: 0 };
+    for (const row of rows) summary[row.status]++;
+    return { rows, summary };
+  }
+
+  // --- 差分レポートの行モデル ---
+
+  const numberColumn = (id, header) => ({ id, header, type: "number", value: (r) => r[id] });
+
+  /**
+   * 差分レポートの列（exporter.js の buildTable に渡す列定義）
+   * 比較元・比較先の一方にしかない値は空欄（JSON では null）
+   */
+  const DIFF_COLUMNS = [
+    { id: "status", header: "区分", type: "string", value: (r) => DIFF_STATUS_LABELS[r.status] },
+    { id: "title", header: "タイトル", type: "string", value: (r) => r.title },
+    { id: "url", header: "記事URL", type: "string", value: (r) => r.url },
+    { id: "creator", header: "クリエイター名", type: "string", value: (r) => r.creator },
+    numberColumn("rankBefore", "順位（前）"),
+    numberColumn("rankAfter", "順位（後）"),
+    numberColumn("rankChange", "順位の変動"),
+    numberColumn("likeCountBefore", "スキ数（前）"),
+    numberColumn("likeCountAfter", "スキ数（後）"),
+    numberColumn("likeCountDelta", "スキ数の増減"),
+    numberColumn("likeRatingBefore", "高評価数（前）"),
+    numberColumn("likeRatingAfter", "高評価数（後）"),
+    numberColumn("likeRatingDelta", "高評価数の増減"),
+    numberColumn("priceBefore", "単価（前）"),
+    numberColumn("priceAfter", "単価（後）"),
+    numberColumn("priceDelta", "単価の変化"),
+  ];
+
+  /**
+   * 差分を行モデルに変換（exporter.js の serializeTable / buildTableFile で書き出す）
+   * @param {{ rows: Array<object> }} diff diffSnapshots の戻り値
+   * @param {{ includeUnchanged?: boolean }} [options] includeUnchanged: 変化のない記事も含める（既定 true）
+   */
+  function buildDiffTable(diff, options) {
+    const includeUnchanged = options?.includeUnchanged !== false;
+    const rows = includeUnchanged ? diff.rows : diff.rows.filter((r) => r.status !== "unchanged");
+    return buildTable(rows, DIFF_COLUMNS);
+  }
+
+  // --- 出力済みファイルの取り込み ---
+
+  /**
+   * CSV / TSV のテキストをセルの2次元配列に変換（ダブルクォート・セル内改行に対応）
+   */
+  function parseDelimited(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let cell = "";
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (quoted) {
+        if (ch === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (ch === '"') {
+          quoted = false;
+        } else {
+          cell += ch;
+        }
+      } else if (ch === '"' && cell === "") {
+        quoted = true;
+      } else if (ch === delimiter) {
+        row.push(cell);
+        cell = "";
+      } else if (ch === "\n" || ch === "\r") {
+        if (ch === "\r" && text[i + 1] === "\n") i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = "";
+      } else {
+        cell += ch;
+      }
+    }
+    if (cell !== "" || row.length > 0) {
+      row.push(cell);
+      rows.push(row);
+    }
+    return rows.filter((r) => r.some((c) => c !== ""));
+  }
+
+  /**
+   * セルの文字列を列の型に合わせて記事の値に戻す（exporter.js の COLUMNS の value の逆。数値の空欄は不明 = null）
+   */
+  function parseCellValue(column, text) {
+    if (column.type === "number") return numberOrNull(text.replace(/,/g, ""));
+    if (column.type === "boolean") return text.toUpperCase() === "TRUE";
+    if (column.id === "hashtags") return text.split(/\s+/).filter(Boolean).map((t) => t.replace(/^#/, ""));
+    return text;
+  }
+
+  /**
+   * この拡張機能で出力した CSV / TSV を記事配列に戻す
+   * 列は既定の列名（または列ID）で判定するため、列名を変更して出力したファイルはその列を読み取れない
+   * @param {string} text ファイルの内容
+   * @returns {Array} 記事配列（記事URLの列がない場合は例外）
+   */
+  function parseExportedFile(text) {
+    const body = String(text || "").replace(/^\uFEFF/, "");
+    const firstLine = body.split(/\r?\n/, 1)[0];
+    const delimiter = firstLine.includes("\t") ? "\t" : ",";
+    const [headers, ...rows] = parseDelimited(body, delimiter);
+    if (!headers) return [];
+
+    const byName = new Map();
+    for (const column of COLUMNS) {
+      byName.set(column.header, column);
+      byName.set(column.id, column);
+    }
+    const columns = headers.map((h) => byName.get(h.trim()) || null);
+    if (!columns.some((c) => c && c.id === "url")) {
+      throw new Error("記事URLの列が見つかりません");
+    }
+
+    return rows.map((cells) => {
+      const article = {};
+      columns.forEach((column, i) => {
+        if (column) article[column.id] = parseCellValue(column, cells[i] || "");
+      });
+      return article;
+    });
+  }
+
+  globalThis.NoteExporter = globalThis.NoteExporter || {};
+  globalThis.NoteExporter.snapshotDiff = {
+    DIFF_STATUS_LABELS,
+    DIFF_COLUMNS,
+    diffSnapshots,
+    buildDiffTable,
+    parseDelimited,
+    parseExportedFile,
+  };
+})();
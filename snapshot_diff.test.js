@@ -0,0 +1,130 @@
+/**
+ * snapshot_diff.js のユニットテスト
+ *
+ * テスト対象:
+ * - diffSnapshots: 新規・削除・変化の判定、スキ数・高評価数・単価・順位の増減
+ * - buildDiffTable: 差分レポートの行モデル
+ * - parseDelimited: CSV / TSV の分割（ダブルクォート・セル内改行）
+ * - parseExportedFile: 出力済みファイルの取り込み
+ */
+
+require("./logger.js");
+require("./exporter.js");
+require("./note_schema.js");
+require("./note_api.js");
+require("./snapshot_diff.js");
+
+const exporter = globalThis.NoteExporter.exporter;
+const snapshotDiff = globalThis.NoteExporter.snapshotDiff;
+
+const before = [
+  { title: "記事A", url: "https://note.com/userA/n/n001", creator: "ユーザーA", likeCount: 100, likeRating: 10, price: 0 },
+  { title: "記事B", url: "https://note.com/userB/n/n002", creator: "ユーザーB", likeCount: 50, likeRating: 5, price: 500 },
+  { title: "記事C", url: "https://note.com/userC/n/n003", creator: "ユーザーC", likeCount: 20, likeRating: 0, price: 0 },
+];
+
+const after = [
+  { title: "記事B", url: "https://note.com/userB/n/n002?from=search", creator: "ユーザーB", likeCount: 80, likeRating: 5, price: 800 },
+  { title: "記事A", url: "https://note.com/userA/n/n001", creator: "ユーザーA", likeCount: 100, likeRating: 10, price: 0 },
+  { title: "記事D", url: "https://note.com/userD/n/n004", creator: "ユーザーD", likeCount: 5, likeRating: 1, price: 0 },
+];
+
+// ========================================
+// diffSnapshots
+// ========================================
+describe("diffSnapshots", () => {
+  const diff = snapshotDiff.diffSnapshots(before, after);
+  const byKey = Object.fromEntries(diff.rows.map((r) => [r.key, r]));
+
+  test("比較先の順に並べ、削除された記事を最後に置く", () => {
+    expect(diff.rows.map((r) => r.key)).toEqual(["n002", "n001", "n004", "n003"]);
+    expect(diff.summary).toEqual({ added: 1, removed: 1, changed: 1, unchanged: 1 });
+  });
+
+  test("URLのクエリ文字列が違っても note キーで照合し、増減を求める", () => {
+    expect(byKey.n002).toMatchObject({
+      status: "changed",
+      rankBefore: 2,
+      rankAfter: 1,
+      rankChange: 1,
+      likeCountBefore: 50,
+      likeCountAfter: 80,
+      likeCountDelta: 30,
+      likeRatingDelta: 0,
+      priceBefore: 500,
+      priceAfter: 800,
+      priceDelta: 300,
+    });
+  });
+
+  test("順位だけ変わった記事は変化なし、一方にしかない記事の値はnull", () => {
+    expect(byKey.n001).toMatchObject({ status: "unchanged", rankChange: -1, likeCountDelta: 0 });
+    expect(byKey.n004).toMatchObject({ status: "added", rankBefore: null, rankAfter: 3, likeCountBefore: null, likeCountDelta: null });
+    expect(byKey.n003).toMatchObject({ status: "removed", rankBefore: 3, rankAfter: null, likeCountAfter: null });
+  });
+
+  test("高評価数がない記事は高評価数の増減を求めない", () => {
+    const result = snapshotDiff.diffSnapshots(
+      [{ url: "https://note.com/u/n/n9", likeCount: 1 }],
+      [{ url: "https://note.com/u/n/n9", likeCount: 1, likeRating: 3 }]
+    );
+    expect(result.rows[0]).toMatchObject({ status: "unchanged", likeRatingBefore: null, likeRatingDelta: null });
+  });
+});
+
+// ========================================
+// buildDiffTable
+// ========================================
+describe("buildDiffTable", () => {
+  const diff = snapshotDiff.diffSnapshots(before, after);
+
+  test("区分を日本語にし、値のない差分は空欄にする", () => {
+    const table = snapshotDiff.buildDiffTable(diff);
+    expect(table.headers[0]).toBe("区分");
+    expect(table.rows.map((r) => r[0])).toEqual(["変化", "変化なし", "新規", "削除"]);
+    const csv = exporter.serializeTable(table, "csv").content;
+    expect(csv.split("\n")[3].startsWith("\"新規\",\"記事D\",\"https://note.com/userD/n/n004\",\"ユーザーD\",,3,,")).toBe(true);
+  });
+
+  test("includeUnchanged: false で変化のない記事を除く", () => {
+    const table = snapshotDiff.buildDiffTable(diff, { includeUnchanged: false });
+    expect(table.rows.map((r) => r[0])).toEqual(["変化", "新規", "削除"]);
+  });
+});
+
+// ========================================
+// parseDelimited / parseExportedFile
+// ========================================
+describe("parseDelimited", () => {
+  test("ダブルクォート内の区切り文字・改行・エスケープを扱い、空行を除く", () => {
+    const rows = snapshotDiff.parseDelimited("a,b\r\n\"x, y\",\"1行目\n2行目\"\n\n\"\"\"引用\"\"\",3\n", ",");
+    expect(rows).toEqual([["a", "b"], ["x, y", "1行目\n2行目"], ["\"引用\"", "3"]]);
+  });
+});
+
+describe("parseExportedFile", () => {
+  const layout = exporter.normalizeLayout().map((c) => ({ ...c, enabled: true }));
+
+  test.each(["csv", "tsv"])("%s で出力したファイルを記事配列に戻す", (format) => {
+    const articles = [
+      { ...before[0], hashtags: ["AI", "個人開発"], isPaid: false },
+      { ...before[1], title: "記事B, \"比較\"" },
+    ];
+    const [{ content }] = exporter.buildExportFiles(articles, { format, layout });
+    const parsed = snapshotDiff.parseExportedFile(content);
+
+    expect(parsed.length).toBe(2);
+    expect(parsed[0]).toMatchObject({ title: "記事A", url: before[0].url, likeCount: 100, likeRating: 10, hashtags: ["AI", "個人開発"] });
+    expect(parsed[1]).toMatchObject({ title: "記事B, \"比較\"", price: 500 });
+    expect(snapshotDiff.diffSnapshots(articles, parsed).summary).toEqual({ added: 0, removed: 0, changed: 0, unchanged: 2 });
+  });
+
+  test("数値の空欄は不明（null）として戻す", () => {
+    const parsed = snapshotDiff.parseExportedFile("記事URL,スキ数,高評価数\nhttps://note.com/u/n/n1,3,\n");
+    expect(parsed[0]).toMatchObject({ likeCount: 3, likeRating: null });
+  });
+
+  test("記事URLの列がなければ例外", () => {
+    expect(() => snapshotDiff.parseExportedFile("タイトル,スキ数\n記事A,1\n")).toThrow("記事URLの列が見つかりません");
+  });
+});